@@ -0,0 +1,198 @@
+// accounts.js - Account switcher: the selected account, per-account balances
+// and the account list in the Wallet Info card
+
+import { log } from './log.js';
+import { updateBalance, updateReceiveAddress } from './ui.js';
+import { escapeHtml } from './resultModal.js';
+
+const SELECTED_ACCOUNT_KEY = 'kaspa_selected_account';
+
+let accounts = [];
+let selectedAccountId = null;
+const balances = new Map();
+const changeHandlers = [];
+
+/**
+ * Display name for an account descriptor.
+ * @param {Object} account
+ * @param {number} index - Position in the account list
+ * @returns {string}
+ */
+function accountName(account, index) {
+    return account.name || `Account ${index + 1}`;
+}
+
+/**
+ * Mature balance in KAS for display.
+ * @param {string} accountId
+ * @returns {string}
+ */
+function formatBalance(accountId) {
+    const balance = balances.get(accountId);
+    if (balance == null) return '-';
+    const kas = Number(balance.mature ?? balance.Mature ?? 0) / 1e8;
+    return `${kas.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 8 })} KAS`;
+}
+
+/**
+ * Get the currently selected account descriptor.
+ * @returns {Object|null}
+ */
+export function getSelectedAccount() {
+    return accounts.find(a => a.accountId === selectedAccountId) || null;
+}
+
+/**
+ * Get all account descriptors of the open wallet.
+ * @returns {Object[]}
+ */
+export function getAccounts() {
+    return accounts.slice();
+}
+
+/**
+ * Register a handler called with the account descriptor whenever the selection changes.
+ * @param {Function} handler
+ */
+export function onAccountChange(handler) {
+    changeHandlers.push(handler);
+}
+
+/**
+ * Replace the account list (after a wallet is opened). Keeps the previous
+ * selection when that account still exists, otherwise selects the first account.
+ * @param {Object[]} descriptors - Account descriptors from Wallet.listAccounts()
+ * @returns {Object|null} The selected account
+ */
+export function setAccounts(descriptors) {
+    accounts = Array.isArray(descriptors) ? descriptors.slice() : [];
+    // Keep balances from earlier events for accounts that are still listed
+    for (const accountId of balances.keys()) {
+        if (!accounts.some(a => a.accountId === accountId)) balances.delete(accountId);
+    }
+    for (const account of accounts) {
+        if (account.balance != null) {
+            balances.set(account.accountId, { mature: account.balance, pending: account.pendingBalance });
+        }
+    }
+
+    const stored = localStorage.getItem(SELECTED_ACCOUNT_KEY);
+    const keep = accounts.find(a => a.accountId === (selectedAccountId || stored));
+    selectedAccountId = (keep || accounts[0])?.accountId ?? null;
+
+    renderAccountSwitcher();
+    return getSelectedAccount();
+}
+
+/**
+ * Select an account and notify the change handlers.
+ * @param {string} accountId
+ */
+export function selectAccount(accountId) {
+    const account = accounts.find(a => a.accountId === accountId);
+    if (!account || accountId === selectedAccountId) return;
+
+    selectedAccountId = accountId;
+    localStorage.setItem(SELECTED_ACCOUNT_KEY, accountId);
+    log(`[Accounts] Switched to ${accountName(account, accounts.indexOf(account))}.`);
+
+    renderAccountSwitcher();
+    changeHandlers.forEach(fn => fn(account));
+}
+
+/**
+ * Record a balance for an account (from a wallet balance event).
+ * @param {string} accountId
+ * @param {Object} balance - { mature, pending, outgoing }
+ */
+export function updateAccountBalance(accountId, balance) {
+    if (!accountId || !balance) return;
+    balances.set(accountId, balance);
+    renderAccountSwitcher();
+}
+
+/**
+ * Update an account's receive address (after a new address is derived).
+ * @param {string} accountId
+ * @param {string} address
+ */
+export function updateAccountReceiveAddress(accountId, address) {
+    const account = accounts.find(a => a.accountId === accountId);
+    if (!account) return;
+    account.receiveAddress = address;
+    renderAccountSwitcher();
+}
+
+/**
+ * Forget the account list (when the wallet is closed).
+ */
+export function clearAccounts() {
+    accounts = [];
+    selectedAccountId = null;
+    balances.clear();
+    renderAccountSwitcher();
+}
+
+/**
+ * Render the account select, the account table and the selected account's
+ * balance and receive address.
+ */
+export function renderAccountSwitcher() {
+    const select = document.getElementById('accountSelect');
+    const list = document.getElementById('accountList');
+    const selected = getSelectedAccount();
+
+    if (select) {
+        select.innerHTML = accounts.length
+            ? accounts.map((account, i) => `
+                <option value="${account.accountId}" ${account.accountId === selectedAccountId ? 'selected' : ''}>
+                    ${escapeHtml(accountName(account, i))} (${formatBalance(account.accountId)})
+                </option>`).join('')
+            : '<option value="">No accounts</option>';
+        select.disabled = accounts.length < 2;
+    }
+
+    if (list) {
+        if (accounts.length < 2) {
+            list.innerHTML = '';
+        } else {
+            let html = '<div class="table-responsive"><table class="table table-sm mb-0">';
+            html += `<thead><tr>
+                <th class="small">Account</th>
+                <th class="small text-end">Balance</th>
+                <th class="small d-none d-sm-table-cell">Receive Address</th>
+            </tr></thead><tbody>`;
+            accounts.forEach((account, i) => {
+                const active = account.accountId === selectedAccountId;
+                html += `<tr class="account-row ${active ? 'table-active' : ''}" data-account="${account.accountId}" style="cursor: pointer;">
+                    <td class="small">${active ? '<i class="bi bi-check2 me-1"></i>' : ''}${escapeHtml(accountName(account, i))}</td>
+                    <td class="small text-end text-nowrap">${formatBalance(account.accountId)}</td>
+                    <td class="small font-monospace text-break d-none d-sm-table-cell">${account.receiveAddress || '-'}</td>
+                </tr>`;
+            });
+            html += '</tbody></table></div>';
+            list.innerHTML = html;
+
+            list.querySelectorAll('.account-row').forEach(row => {
+                row.onclick = () => selectAccount(row.dataset.account);
+            });
+        }
+    }
+
+    if (selected) {
+        const balance = balances.get(selected.accountId);
+        if (balance) updateBalance(balance);
+        if (selected.receiveAddress) updateReceiveAddress(selected.receiveAddress);
+    }
+}
+
+/**
+ * Wire the account select.
+ */
+export function initAccountSwitcher() {
+    const select = document.getElementById('accountSelect');
+    if (select) {
+        select.addEventListener('change', () => selectAccount(select.value));
+    }
+    renderAccountSwitcher();
+}
@@ -133,21 +133,38 @@ window.addEventListener('DOMContentLoaded', async () => {
   const { log, clearLog } = await import('./log.js');
   const { initializeWallet, getInstances, disposeAll } = await import('./initWallet.js');
   const {
-    sendKaspaToSelf,
     listTransactions,
     transferKaspaSelf,
+    sweepPrivateKey,
+    consolidateUtxos,
     getTransactionByIndex,
     getUtxosForAddresses,
     getPayloadByTxId,
     getFeeEstimate,
+    updateFeeTierEta,
     createNewAddress,
+    createAccount,
+    renameAccount,
+    importKeyAccount,
     listAllAddresses,
     showMnemonic,
   } = await import('./walletActions.js');
   const { getLatestBlueScore } = await import('./events.js');
   const { initWalletManagerUI, renderWalletList } = await import('./walletManager.js');
   const { getStoredWallets } = await import('./walletStorage.js');
+  const {
+    loadCustomNetworks,
+    populateNetworkSelect,
+    showManageNetworksModal
+  } = await import('./networks.js');
   const { initBlockScannerUI, resetScanner, disposeBlockScanner } = await import('./blockScannerUI.js');
+  const { initSendForm, revalidateSendForm, getCustomFee } = await import('./sendForm.js');
+  const { initCoinControl } = await import('./coinControl.js');
+  const { showBatchSendModal } = await import('./batchSend.js');
+  const { showPskbModal } = await import('./pskbModal.js');
+  const { showMultisigModal } = await import('./multisigModal.js');
+  const { showMessageModal } = await import('./messageModal.js');
+  const { initAccountSwitcher, getSelectedAccount } = await import('./accounts.js');
   const { 
     isFirstTimeSetupNeeded, 
     showFirstTimeSetupWizard, 
@@ -164,6 +181,9 @@ window.addEventListener('DOMContentLoaded', async () => {
 
   log('Log system initialized!');
 
+  // Register saved custom networks before any network is selected
+  await loadCustomNetworks();
+
   // Initialize the wallet manager UI
   initWalletManagerUI();
   renderWalletList();
@@ -171,7 +191,9 @@ window.addEventListener('DOMContentLoaded', async () => {
   // Initialize the block scanner UI
   initBlockScannerUI();
 
-  let firstAccount = null;
+  // Account switcher: every action below uses the selected account
+  initAccountSwitcher();
+
   let lastBalance = null;
   
     // Determine initial network:
@@ -194,7 +216,17 @@ window.addEventListener('DOMContentLoaded', async () => {
 
     const networkSelect = document.getElementById('networkSelect');
     if (networkSelect) {
-      networkSelect.value = currentNetwork;
+      populateNetworkSelect(networkSelect, { selected: currentNetwork });
+    }
+
+    const manageNetworksBtn = document.getElementById('manageNetworksBtn');
+    if (manageNetworksBtn) {
+      manageNetworksBtn.addEventListener('click', () => showManageNetworksModal({
+        onChange: () => {
+          populateNetworkSelect(networkSelect, { selected: currentNetwork });
+          renderWalletList();
+        }
+      }));
     }
 
     if (networkOverride) {
@@ -202,9 +234,6 @@ window.addEventListener('DOMContentLoaded', async () => {
       sessionStorage.removeItem('kaspa_wallet_network');
     }
 
-  function setFirstAccount(account) {
-    firstAccount = account;
-  }
   function setLastBalance(balance) {
     lastBalance = balance;
   }
@@ -256,13 +285,16 @@ window.addEventListener('DOMContentLoaded', async () => {
       updateLoadingStatus('Reconnecting wallet...');
       progressToStep('connect', ['init']);
       
-      await initializeWallet(currentNetwork, setFirstAccount, setLastBalance);
+      await initializeWallet(currentNetwork, setLastBalance);
       
       updateLoadingStatus('Network ready!');
-      progressToStep('wallet', ['init', 'connect']);
+      progressToStep('wallet', ['init', 'connect', 'sync']);
       
       // Re-render wallet list so the active wallet badge reflects any changes
       renderWalletList();
+
+      // The expected address prefix may have changed
+      revalidateSendForm();
       
       await hideLoadingScreen();
     } catch (err) {
@@ -271,24 +303,57 @@ window.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
-  // Send KAS to self
-  document.getElementById('sendBtn').onclick = async () => {
-    const amountEl = document.getElementById('amountInput');
-    const amount = amountEl ? amountEl.value.trim() || '1.567' : '1.567';
-    const payload = document.getElementById('payloadInput').value;
-    const customFeeEl = document.getElementById('customFeeInput');
-    const customFee = customFeeEl ? customFeeEl.value.trim() : '';
-    await sendKaspaToSelf(firstAccount, amount, payload, customFee);
+  // Send form: destination/amount validation, max button and confirmation step
+  initSendForm({
+    getAccount: getSelectedAccount,
+    getFeeTier: () => getSelectedFeeTier()
+  });
+
+  // Coin control: pick the UTXOs a send or batch payment spends
+  initCoinControl({ getAccount: getSelectedAccount });
+
+  // Batch payment: CSV import with a preview table
+  document.getElementById('batchSendBtn').onclick = () => {
+    if (!getSelectedAccount()) return log('No account available');
+    showBatchSendModal({
+      getAccount: getSelectedAccount,
+      getFeeTier: () => getSelectedFeeTier()
+    });
+  };
+
+  // Partially signed transactions: create, sign, combine and broadcast PSKBs
+  document.getElementById('pskbBtn').onclick = () => {
+    if (!getSelectedAccount()) return log('No account available');
+    showPskbModal({
+      getAccount: getSelectedAccount,
+      getFeeTier: () => getSelectedFeeTier()
+    });
+  };
+
+  // Multisig accounts: share the cosigner key and add m-of-n addresses
+  document.getElementById('multisigBtn').onclick = () => {
+    if (!getSelectedAccount()) return log('No account available');
+    showMultisigModal({ getAccount: getSelectedAccount });
   };
 
   // List all transactions
   document.getElementById('listTxBtn').onclick = async () => {
-    await listTransactions(firstAccount);
+    await listTransactions(getSelectedAccount());
   };
 
   // Transfer KAS within wallet
   document.getElementById('transferBtn').onclick = async () => {
-    await transferKaspaSelf(firstAccount);
+    await transferKaspaSelf(getSelectedAccount(), getSelectedFeeTier());
+  };
+
+  // Sweep an external private key into the selected account
+  document.getElementById('sweepKeyBtn').onclick = async () => {
+    await sweepPrivateKey(getSelectedAccount(), getSelectedFeeTier());
+  };
+
+  // Compound many small UTXOs into the change address
+  document.getElementById('consolidateBtn').onclick = async () => {
+    await consolidateUtxos(getSelectedAccount(), getSelectedFeeTier(), getCustomFee());
   };
 
   // Get transaction by direction and index
@@ -296,13 +361,13 @@ window.addEventListener('DOMContentLoaded', async () => {
     const direction = document.getElementById('txDirection').value;
     const idxRaw = document.getElementById('txIndex').value;
     const index = Number.isNaN(parseInt(idxRaw, 10)) ? 0 : parseInt(idxRaw, 10);
-    await getTransactionByIndex(firstAccount, direction, index);
+    await getTransactionByIndex(getSelectedAccount(), direction, index);
   };
 
   // Get payload from transaction by ID
   document.getElementById('getPayloadBtn').onclick = async () => {
     const txId = document.getElementById('txIdPayloadInput').value.trim();
-    await getPayloadByTxId(firstAccount, txId);
+    await getPayloadByTxId(getSelectedAccount(), txId);
   };
 
   // Get latest blue score
@@ -314,18 +379,43 @@ window.addEventListener('DOMContentLoaded', async () => {
   const createAddrBtn = document.getElementById('createAddressBtn');
   if (createAddrBtn) {
     createAddrBtn.onclick = async () => {
-      await createNewAddress(firstAccount);
+      await createNewAddress(getSelectedAccount());
     };
   }
 
+  // Create and rename accounts
+  document.getElementById('createAccountBtn').onclick = async () => {
+    await createAccount();
+  };
+  document.getElementById('renameAccountBtn').onclick = async () => {
+    await renameAccount(getSelectedAccount());
+  };
+  document.getElementById('importKeyAccountBtn').onclick = async () => {
+    await importKeyAccount();
+  };
+
   // Get fee estimate
   const feeBtn = document.getElementById('getFeeEstimateBtn');
   if (feeBtn) {
     feeBtn.onclick = async () => {
-      await getFeeEstimate();
+      await getFeeEstimate(getSelectedAccount(), getSelectedFeeTier());
     };
   }
 
+  // Fee priority: a tier replaces the custom fee and shows the expected confirmation time
+  const feeTierSelect = document.getElementById('feeTierSelect');
+  function getSelectedFeeTier() {
+    const tier = feeTierSelect ? feeTierSelect.value : 'custom';
+    return tier === 'custom' ? undefined : tier;
+  }
+  if (feeTierSelect) {
+    feeTierSelect.addEventListener('change', async () => {
+      const customFeeEl = document.getElementById('customFeeInput');
+      if (customFeeEl) customFeeEl.disabled = !!getSelectedFeeTier();
+      await updateFeeTierEta(getSelectedFeeTier());
+    });
+  }
+
   // List all known addresses
   const listAddrsBtn = document.getElementById('listAddressesBtn');
   if (listAddrsBtn) {
@@ -334,6 +424,15 @@ window.addEventListener('DOMContentLoaded', async () => {
     };
   }
 
+  // Sign a message with a wallet address, or verify one
+  const signMessageBtn = document.getElementById('signMessageBtn');
+  if (signMessageBtn) {
+    signMessageBtn.onclick = async () => {
+      if (!getSelectedAccount()) return log('No account available');
+      await showMessageModal({ getAccount: getSelectedAccount });
+    };
+  }
+
   // Show mnemonic phrase
   const showMnemonicBtn = document.getElementById('showMnemonicBtn');
   if (showMnemonicBtn) {
@@ -381,6 +480,9 @@ window.addEventListener('DOMContentLoaded', async () => {
         sessionStorage.setItem('kaspa_wallet_password', setupConfig.password);
         sessionStorage.setItem('kaspa_wallet_mnemonic', setupConfig.mnemonic);
         sessionStorage.setItem('kaspa_wallet_network', setupConfig.network);
+        if (setupConfig.passphrase) {
+          sessionStorage.setItem('kaspa_wallet_passphrase', setupConfig.passphrase);
+        }
         
         log(`Importing wallet: ${setupConfig.walletName} on ${setupConfig.network}...`);
         
@@ -396,6 +498,9 @@ window.addEventListener('DOMContentLoaded', async () => {
         sessionStorage.setItem('kaspa_create_wallet', setupConfig.walletName);
         sessionStorage.setItem('kaspa_wallet_password', setupConfig.password);
         sessionStorage.setItem('kaspa_wallet_network', setupConfig.network);
+        if (setupConfig.passphrase) {
+          sessionStorage.setItem('kaspa_wallet_passphrase', setupConfig.passphrase);
+        }
         // Store the storage preference for post-creation handling
         sessionStorage.setItem('kaspa_storage_preference', setupConfig.storagePreference);
         
@@ -459,12 +564,12 @@ window.addEventListener('DOMContentLoaded', async () => {
         progressToStep('connect', ['init']);
       }
       
-      await initializeWallet(currentNetwork, setFirstAccount, setLastBalance);
+      await initializeWallet(currentNetwork, setLastBalance);
       
       // Update loading progress
       if (showLoading) {
         updateLoadingStatus('Wallet ready!');
-        progressToStep('wallet', ['init', 'connect']);
+        progressToStep('wallet', ['init', 'connect', 'sync']);
       }
       
       // Handle first-time setup post-creation (mnemonic display/storage)
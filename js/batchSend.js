@@ -0,0 +1,238 @@
+// batchSend.js - Batch payment modal: CSV import of recipients, a preview table
+// with per-row validation and one Wallet.sendMany for the whole list
+
+import { getInstances, ensurePassphrase } from './initWallet.js';
+import { log } from './log.js';
+import { showResultModal, showConfirmModal, escapeHtml } from './resultModal.js';
+import { validateDestination, getCustomFee } from './sendForm.js';
+import { getUtxoSelection, describeUtxoSelection, resetCoinControl } from './coinControl.js';
+import { kaspaToSompi, sompiToKaspaString } from '../wasm-wrapper/KaspaClient.js';
+import { parseRecipientsCsv, validateKaspaAmount } from '../wasm-wrapper/Utilities.js';
+import { MIN_KAS_AMOUNT } from '../wasm-wrapper/Constants.js';
+
+/**
+ * Validate parsed CSV rows for the connected network.
+ * @param {Array<{ line: number, address: string, amount: string, error: string|null }>} rows
+ * @returns {Array<{ line: number, address: string, amount: string, error: string|null }>}
+ */
+function validateRows(rows) {
+    return rows.map(row => {
+        if (row.error) return row;
+        const addressError = validateDestination(row.address);
+        if (addressError) return { ...row, error: addressError };
+        // Number() also takes "1e5" and "0x10", which kaspaToSompi cannot convert
+        if (!/^\d+(\.\d+)?$/.test(row.amount) || !validateKaspaAmount(row.amount)) {
+            return { ...row, error: `Amount must be a decimal number >= ${MIN_KAS_AMOUNT} KAS` };
+        }
+        return row;
+    });
+}
+
+/**
+ * Show the batch payment modal.
+ * @param {Object} options
+ * @param {Function} options.getAccount - Returns the account to send from
+ * @param {Function} options.getFeeTier - Returns the selected fee tier, or undefined for a custom fee
+ */
+export function showBatchSendModal({ getAccount, getFeeTier }) {
+    const existing = document.getElementById('batchSendModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'batchSendModal';
+    modal.className = 'modal d-block';
+    modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 10000;';
+    modal.setAttribute('tabindex', '-1');
+
+    modal.innerHTML = `
+        <div class="modal-dialog modal-dialog-centered modal-dialog-scrollable modal-lg">
+            <div class="modal-content" style="background-color: var(--kaspa-bg-card); border-color: var(--kaspa-border);">
+                <div class="modal-header" style="background-color: rgba(73, 234, 203, 0.1); border-bottom-color: var(--kaspa-border);">
+                    <h5 class="modal-title" style="color: var(--kaspa-primary);">
+                        <i class="bi bi-people me-2"></i>Batch Payment
+                    </h5>
+                    <button type="button" class="btn-close btn-close-white" id="batchSendClose"></button>
+                </div>
+                <div class="modal-body">
+                    <label for="batchCsvInput" class="form-label small">Recipients (one <code>address,amount</code> per line)</label>
+                    <textarea class="form-control form-control-sm font-monospace" id="batchCsvInput" rows="5" spellcheck="false"
+                        placeholder="address,amount&#10;kaspatest:qr...,1.5&#10;kaspatest:qz...,0.25"></textarea>
+                    <div class="d-flex flex-wrap gap-2 align-items-center mt-2">
+                        <input type="file" class="form-control form-control-sm w-auto" id="batchCsvFile" accept=".csv,.txt,text/csv">
+                        <button type="button" class="btn btn-outline-kaspa btn-sm" id="batchPreviewBtn">
+                            <i class="bi bi-table me-1"></i>Preview
+                        </button>
+                    </div>
+                    <div class="mt-3">
+                        <label for="batchPayloadInput" class="form-label small">Payload (optional)</label>
+                        <input type="text" class="form-control form-control-sm" id="batchPayloadInput" placeholder="Enter payload text">
+                    </div>
+                    <div id="batchPreview" class="mt-3"></div>
+                </div>
+                <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
+                    <button type="button" class="btn btn-outline-secondary btn-sm" id="batchSendCancel">Cancel</button>
+                    <button type="button" class="btn btn-kaspa btn-sm" id="batchSendSubmit" disabled>
+                        <i class="bi bi-send me-1"></i>Send
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const csvInput = modal.querySelector('#batchCsvInput');
+    const fileInput = modal.querySelector('#batchCsvFile');
+    const payloadInput = modal.querySelector('#batchPayloadInput');
+    const preview = modal.querySelector('#batchPreview');
+    const submitBtn = modal.querySelector('#batchSendSubmit');
+
+    let rows = [];
+
+    const renderRows = () => {
+        const invalid = rows.filter(r => r.error).length;
+
+        if (!rows.length) {
+            preview.innerHTML = '<div class="text-muted small">No recipients.</div>';
+            submitBtn.disabled = true;
+            return;
+        }
+
+        const total = rows
+            .filter(r => !r.error)
+            .reduce((sum, r) => sum + kaspaToSompi(r.amount), 0n);
+
+        let html = `<div class="small mb-2">
+            ${rows.length} recipient(s), total ${sompiToKaspaString(total)} KAS
+            ${invalid ? `<span class="badge bg-danger ms-2">${invalid} invalid</span>` : '<span class="badge bg-success ms-2">All valid</span>'}
+        </div>`;
+        html += '<div class="table-responsive" style="max-height: 40vh;"><table class="table table-sm mb-0">';
+        html += `<thead><tr>
+            <th class="small">Line</th>
+            <th class="small">Address</th>
+            <th class="small text-end">Amount (KAS)</th>
+            <th class="small">Status</th>
+        </tr></thead><tbody>`;
+        for (const row of rows) {
+            html += `<tr class="${row.error ? 'table-danger' : ''}">
+                <td class="small">${row.line}</td>
+                <td class="small font-monospace text-break">${escapeHtml(row.address)}</td>
+                <td class="small text-end">${escapeHtml(row.amount)}</td>
+                <td class="small">${row.error
+                    ? `<span class="text-danger">${escapeHtml(row.error)}</span>`
+                    : '<i class="bi bi-check-lg text-success"></i>'}</td>
+            </tr>`;
+        }
+        html += '</tbody></table></div>';
+        preview.innerHTML = html;
+
+        // Every row must be valid so nothing is silently dropped from the batch
+        submitBtn.disabled = invalid > 0;
+        submitBtn.innerHTML = `<i class="bi bi-send me-1"></i>Send ${rows.length} payment${rows.length === 1 ? '' : 's'}`;
+    };
+
+    const renderPreview = () => {
+        rows = validateRows(parseRecipientsCsv(csvInput.value));
+        renderRows();
+    };
+
+    const submit = async () => {
+        const { wallet } = getInstances();
+        const account = getAccount();
+        if (!wallet || !account) {
+            return log('Wallet not initialized');
+        }
+        const accountId = account.accountId;
+
+        const outputs = rows.map(r => ({ address: r.address, amount: r.amount }));
+        const feeTier = getFeeTier();
+        const priorityFeeKas = getCustomFee();
+        const utxos = getUtxoSelection();
+        const payload = payloadInput.value.trim() || undefined;
+
+        submitBtn.disabled = true;
+        try {
+            const estimate = await wallet.estimateSendMany({ outputs, accountId, payload, priorityFeeKas, feeTier, utxos });
+
+            const confirmRows = [
+                { label: 'Recipients', value: outputs.length },
+                { label: 'Amount', value: `${sompiToKaspaString(estimate.totalAmount)} KAS` },
+                { label: 'Fee', value: `${estimate.feesKas} KAS (priority ${sompiToKaspaString(estimate.priorityFee)} KAS)` },
+                { label: 'Total', value: `${sompiToKaspaString(estimate.totalAmount + estimate.fees)} KAS` },
+                { label: 'Transactions', value: estimate.transactions },
+                { label: 'Payload', value: payload || 'none' }
+            ];
+            if (feeTier) {
+                confirmRows.splice(3, 0, { label: 'Fee priority', value: `${feeTier} (${estimate.feerate.toFixed(2)} sompi/gram)` });
+            }
+            if (utxos) {
+                confirmRows.push({ label: 'Inputs', value: `${describeUtxoSelection()} (${estimate.inputs} spent)` });
+            }
+
+            const confirmed = await showConfirmModal('Confirm Batch Payment', confirmRows, {
+                confirmLabel: `Send ${outputs.length} payment${outputs.length === 1 ? '' : 's'}`,
+                note: estimate.transactions > 1
+                    ? 'Your UTXOs do not fit in one transaction, so they are compounded first. Transactions cannot be reversed.'
+                    : 'Transactions cannot be reversed. Check the recipient list.'
+            });
+            if (!confirmed) {
+                log('[Batch] Cancelled.');
+                return;
+            }
+            if (!(await ensurePassphrase())) {
+                return;
+            }
+
+            const result = await wallet.sendMany({ outputs, accountId, payload, priorityFeeKas, feeTier, utxos });
+            if (utxos) resetCoinControl();
+            log(`[Batch] Sent ${outputs.length} payments in ${result.transactions.length} transaction(s).`);
+
+            let content = `✅ Batch Payment Sent\n`;
+            content += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+            content += `Recipients: ${outputs.length}\n`;
+            content += `Amount: ${sompiToKaspaString(result.totalAmount)} KAS\n\n`;
+            content += `Transactions:\n`;
+            for (const tx of result.transactions) {
+                content += `${tx.index + 1}. ${tx.id}${tx.final ? ' (payments)' : ' (compound)'}\n`;
+            }
+
+            modal.remove();
+            showResultModal('Batch Payment Sent', content, { type: 'success', size: 'lg' });
+        } catch (err) {
+            // OutputsValidationError lists every bad output; show them against their CSV lines
+            if (Array.isArray(err?.errors)) {
+                rows = rows.map((row, i) => {
+                    const problem = err.errors.find(e => e.index === i);
+                    return problem ? { ...row, error: problem.message } : row;
+                });
+                renderRows();
+            }
+            log('Batch send error: ' + (err?.message || err));
+            showResultModal('Batch Payment Error', err?.message || err, { type: 'error' });
+        } finally {
+            if (document.body.contains(modal)) {
+                submitBtn.disabled = rows.some(r => r.error);
+            }
+        }
+    };
+
+    fileInput.onchange = async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+        csvInput.value = await file.text();
+        renderPreview();
+    };
+
+    // The recipients sent are the ones in the preview, so editing requires a new preview
+    csvInput.oninput = () => {
+        submitBtn.disabled = true;
+    };
+    modal.querySelector('#batchPreviewBtn').onclick = renderPreview;
+    submitBtn.onclick = submit;
+
+    const close = () => modal.remove();
+    modal.querySelector('#batchSendClose').onclick = close;
+    modal.querySelector('#batchSendCancel').onclick = close;
+
+    csvInput.focus();
+}
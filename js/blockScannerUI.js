@@ -4,6 +4,7 @@
 import { BlockScanner, MatchMode } from '../wasm-wrapper/BlockScanner.js';
 import { getInstances } from './initWallet.js';
 import { log } from './log.js';
+import { escapeHtml } from './resultModal.js';
 
 /** @type {BlockScanner|null} */
 let scannerInstance = null;
@@ -130,12 +131,6 @@ function renderResults() {
  * @param {string} str
  * @returns {string}
  */
-function escapeHtml(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-}
-
 /**
  * Safely stringify an object for display, handling BigInt and circular refs.
  * @param {any} value
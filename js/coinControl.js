@@ -0,0 +1,208 @@
+// coinControl.js - Coin control for the Send form: a table of the account's
+// UTXOs from Wallet.listUtxos, where the user picks the outputs to spend (or to
+// leave alone) instead of letting the SDK choose
+
+import { getInstances } from './initWallet.js';
+import { log } from './log.js';
+import { onAccountChange } from './accounts.js';
+import { escapeHtml } from './resultModal.js';
+import { sompiToKaspaString } from '../wasm-wrapper/KaspaClient.js';
+
+let getAccount = () => null;
+let utxos = [];
+const selected = new Set();
+
+/**
+ * Get DOM elements for the coin control panel.
+ */
+function getElements() {
+    return {
+        toggle: document.getElementById('coinControlToggle'),
+        panel: document.getElementById('coinControlPanel'),
+        mode: document.getElementById('coinControlMode'),
+        refreshBtn: document.getElementById('coinControlRefreshBtn'),
+        table: document.getElementById('coinControlTable'),
+        summary: document.getElementById('coinControlSummary')
+    };
+}
+
+/**
+ * @returns {boolean} Whether coin control is switched on
+ */
+function isEnabled() {
+    const { toggle } = getElements();
+    return !!toggle?.checked;
+}
+
+/**
+ * @returns {'allow'|'deny'} Spend only the selected UTXOs, or everything except them
+ */
+function getMode() {
+    const { mode } = getElements();
+    return mode?.value === 'deny' ? 'deny' : 'allow';
+}
+
+/**
+ * Shorten an outpoint for the table; the full id is in the title.
+ * @param {string} id - "transactionId:index"
+ * @returns {string}
+ */
+function shortOutpoint(id) {
+    const [txid, index] = id.split(':');
+    return `${txid.slice(0, 8)}…${txid.slice(-8)}:${index}`;
+}
+
+/**
+ * Show how much the current selection spends.
+ */
+function renderSummary() {
+    const { summary } = getElements();
+    if (!summary) return;
+
+    const mature = utxos.filter(u => u.mature);
+    const picked = mature.filter(u => selected.has(u.id));
+    const spent = getMode() === 'allow' ? picked : mature.filter(u => !selected.has(u.id));
+    const total = spent.reduce((sum, u) => sum + u.amount, 0n);
+
+    if (!selected.size) {
+        summary.textContent = `No UTXOs selected: the wallet chooses the inputs (${mature.length} spendable).`;
+    } else {
+        summary.textContent = `Spends ${spent.length} of ${mature.length} spendable UTXO${mature.length === 1 ? '' : 's'} ` +
+            `(${sompiToKaspaString(total)} KAS).`;
+    }
+}
+
+/**
+ * Render the UTXO table with one checkbox per output. Immature outputs are
+ * listed but cannot be picked.
+ */
+function renderTable() {
+    const { table } = getElements();
+    if (!table) return;
+
+    if (!utxos.length) {
+        table.innerHTML = '<div class="small text-muted">No UTXOs.</div>';
+        renderSummary();
+        return;
+    }
+
+    let html = '<div class="table-responsive" style="max-height: 240px; overflow-y: auto;"><table class="table table-sm mb-0">';
+    html += `<thead><tr>
+        <th></th>
+        <th class="small text-end">Amount (KAS)</th>
+        <th class="small">Address</th>
+        <th class="small">Outpoint</th>
+        <th class="small">Maturity</th>
+    </tr></thead><tbody>`;
+    for (const u of utxos) {
+        const maturity = u.mature
+            ? '<span class="text-success">mature</span>'
+            : `<span class="text-warning">${u.isCoinbase ? 'coinbase ' : ''}${u.maturityProgress ?? 0}%</span>`;
+        html += `<tr>
+            <td><input type="checkbox" class="form-check-input coin-control-utxo" data-id="${escapeHtml(u.id)}"
+                ${selected.has(u.id) ? 'checked' : ''} ${u.mature ? '' : 'disabled'}></td>
+            <td class="small text-end text-nowrap">${sompiToKaspaString(u.amount)}</td>
+            <td class="small font-monospace text-break">${escapeHtml(u.address || '-')}</td>
+            <td class="small font-monospace text-nowrap" title="${escapeHtml(u.id)}">${escapeHtml(shortOutpoint(u.id))}</td>
+            <td class="small text-nowrap">${maturity}</td>
+        </tr>`;
+    }
+    html += '</tbody></table></div>';
+    table.innerHTML = html;
+
+    table.querySelectorAll('.coin-control-utxo').forEach(box => {
+        box.onchange = () => {
+            if (box.checked) selected.add(box.dataset.id);
+            else selected.delete(box.dataset.id);
+            renderSummary();
+        };
+    });
+    renderSummary();
+}
+
+/**
+ * Reload the UTXOs of the selected account. Picks that are no longer unspent are dropped.
+ */
+export async function refreshCoinControl() {
+    const { wallet } = getInstances();
+    const account = getAccount();
+    const { table, refreshBtn } = getElements();
+    if (!wallet || !account || !table) return;
+
+    if (refreshBtn) refreshBtn.disabled = true;
+    try {
+        utxos = await wallet.listUtxos({ accountId: account.accountId });
+        const known = new Set(utxos.filter(u => u.mature).map(u => u.id));
+        for (const id of [...selected]) {
+            if (!known.has(id)) selected.delete(id);
+        }
+        renderTable();
+    } catch (err) {
+        utxos = [];
+        table.innerHTML = `<div class="small text-danger">${escapeHtml(err?.message || String(err))}</div>`;
+        log(`[CoinControl] Failed to list UTXOs: ${err?.message || err}`);
+    } finally {
+        if (refreshBtn) refreshBtn.disabled = false;
+    }
+}
+
+/**
+ * The coin control selection for Wallet.send / sendMany.
+ * @returns {{ allow: string[] }|{ deny: string[] }|undefined} undefined when
+ *   coin control is off or nothing is selected (the wallet chooses the inputs)
+ */
+export function getUtxoSelection() {
+    if (!isEnabled() || !selected.size) return undefined;
+    return { [getMode()]: [...selected] };
+}
+
+/**
+ * One-line description of the selection for confirmation dialogs.
+ * @returns {string|null} null when the wallet chooses the inputs
+ */
+export function describeUtxoSelection() {
+    const selection = getUtxoSelection();
+    if (!selection) return null;
+    const count = selected.size;
+    const noun = `UTXO${count === 1 ? '' : 's'}`;
+    return selection.allow ? `Only the ${count} selected ${noun}` : `All except the ${count} selected ${noun}`;
+}
+
+/**
+ * Clear the selection (e.g. after a send spent the picked outputs).
+ */
+export function resetCoinControl() {
+    selected.clear();
+    utxos = [];
+    const { table } = getElements();
+    if (table) table.innerHTML = '';
+    renderSummary();
+    if (isEnabled()) refreshCoinControl();
+}
+
+/**
+ * Initialize the coin control panel.
+ * @param {Object} options
+ * @param {Function} options.getAccount - Returns the account to send from
+ */
+export function initCoinControl(options) {
+    getAccount = options.getAccount;
+
+    const { toggle, panel, mode, refreshBtn } = getElements();
+
+    if (toggle) {
+        toggle.onchange = () => {
+            panel?.classList.toggle('d-none', !toggle.checked);
+            if (toggle.checked) refreshCoinControl();
+        };
+    }
+    if (mode) {
+        mode.onchange = renderSummary;
+    }
+    if (refreshBtn) {
+        refreshBtn.onclick = refreshCoinControl;
+    }
+
+    // Outpoints belong to one account; a new account starts with no picks
+    onAccountChange(() => resetCoinControl());
+}
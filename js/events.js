@@ -1,23 +1,26 @@
 // events.js - Event registration and blue score utilities
 
 import { log, logTable } from './log.js';
-import { updateBalance, updateReceiveAddress } from './ui.js';
+import { updateBalance } from './ui.js';
 import { getInstances } from './initWallet.js';
+import { getSelectedAccount, updateAccountBalance } from './accounts.js';
 
 /**
  * Register wallet event handlers.
  * @param {Wallet} wallet - Wallet instance
- * @param {Function} getFirstAccount - Function to get first account
- * @param {Function} setLastBalance - Function to set last balance
+ * @param {Function} setLastBalance - Function to set the last balance of the selected account
  */
-export function registerWalletEvents(wallet, getFirstAccount, setLastBalance) {
+export function registerWalletEvents(wallet, setLastBalance) {
     wallet.onBalanceChanged((data) => {
         console.log('[OnBalanceChanged] data:', data);
-        setLastBalance(data.balance);
-        updateBalance(data.balance);
-        const firstAccount = getFirstAccount();
-        if (firstAccount?.receiveAddress) {
-            updateReceiveAddress(firstAccount.receiveAddress);
+        // Balance events carry the account ID; the switcher shows the selected one
+        if (data.id) {
+            updateAccountBalance(data.id, data.balance);
+        } else {
+            updateBalance(data.balance);
+        }
+        if (!data.id || data.id === getSelectedAccount()?.accountId) {
+            setLastBalance(data.balance);
         }
         log('\n\nBalance\n-------');
         logTable([{
@@ -3,6 +3,7 @@
 
 import { getStoredWallets, addWalletToList, storeMnemonic } from './walletStorage.js';
 import { log } from './log.js';
+import { populateNetworkSelect } from './networks.js';
 
 const FIRST_TIME_SETUP_KEY = 'kaspa_first_time_setup_complete';
 
@@ -45,7 +46,7 @@ export const StoragePreference = {
 
 /**
  * Show the first-time setup wizard modal.
- * @returns {Promise<{walletName: string, password: string, network: string, storagePreference: string, mnemonic?: string, isImport?: boolean} | null>}
+ * @returns {Promise<{walletName: string, password: string, network: string, storagePreference: string, mnemonic?: string, passphrase?: string, isImport?: boolean} | null>}
  *          Returns setup config or null if cancelled.
  */
 export function showFirstTimeSetupWizard() {
@@ -127,6 +128,16 @@ export function showFirstTimeSetupWizard() {
                                            placeholder="Re-enter your password" autocomplete="new-password">
                                 </div>
 
+                                <!-- BIP-39 Passphrase -->
+                                <div class="mb-3">
+                                    <label for="setupPassphrase" class="form-label">
+                                        <i class="bi bi-key-fill me-1"></i>BIP-39 Passphrase (optional)
+                                    </label>
+                                    <input type="password" class="form-control" id="setupPassphrase" 
+                                           placeholder="Leave empty for no passphrase" autocomplete="off">
+                                    <div class="form-text">An extra word added to your recovery phrase. You will need both to restore the wallet, and it is asked for when sending.</div>
+                                </div>
+
                                 <!-- Network -->
                                 <div class="mb-3">
                                     <label for="setupNetwork" class="form-label">
@@ -222,6 +233,16 @@ export function showFirstTimeSetupWizard() {
                                     </div>
                                 </div>
 
+                                <!-- Import BIP-39 Passphrase -->
+                                <div class="mb-3">
+                                    <label for="importPassphrase" class="form-label">
+                                        <i class="bi bi-key-fill me-1"></i>BIP-39 Passphrase (optional)
+                                    </label>
+                                    <input type="password" class="form-control" id="importPassphrase" 
+                                           placeholder="Leave empty if the phrase has no passphrase" autocomplete="off">
+                                    <div class="form-text">Only if the wallet was created with a passphrase ("25th word").</div>
+                                </div>
+
                                 <div class="alert alert-warning small mb-0" style="background-color: rgba(255, 193, 7, 0.15); border-color: #ffc107;">
                                     <i class="bi bi-shield-exclamation me-2"></i>
                                     <strong>Security:</strong> Never share your recovery phrase with anyone.
@@ -262,6 +283,7 @@ export function showFirstTimeSetupWizard() {
         const walletNameInput = modal.querySelector('#setupWalletName');
         const passwordInput = modal.querySelector('#setupPassword');
         const passwordConfirmInput = modal.querySelector('#setupPasswordConfirm');
+        const passphraseInput = modal.querySelector('#setupPassphrase');
         const networkSelect = modal.querySelector('#setupNetwork');
         
         // Import tab elements
@@ -269,7 +291,10 @@ export function showFirstTimeSetupWizard() {
         const importPasswordInput = modal.querySelector('#importPassword');
         const importPasswordConfirmInput = modal.querySelector('#importPasswordConfirm');
         const importNetworkSelect = modal.querySelector('#importNetwork');
+        populateNetworkSelect(networkSelect, { selected: 'testnet-10', detailed: true });
+        populateNetworkSelect(importNetworkSelect, { selected: 'testnet-10', detailed: true });
         const importMnemonicInput = modal.querySelector('#importMnemonic');
+        const importPassphraseInput = modal.querySelector('#importPassphrase');
         const importWordCountEl = modal.querySelector('#importWordCount');
         
         // Buttons
@@ -385,6 +410,7 @@ export function showFirstTimeSetupWizard() {
                 walletName,
                 password,
                 network,
+                passphrase: passphraseInput.value || undefined,
                 storagePreference: storagePref,
                 isImport: false
             };
@@ -448,6 +474,7 @@ export function showFirstTimeSetupWizard() {
                 password,
                 network,
                 mnemonic: words.join(' '),
+                passphrase: importPassphraseInput.value || undefined,
                 storagePreference: 'show_mnemonic', // Not needed for import
                 isImport: true
             };
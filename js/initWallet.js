@@ -3,11 +3,12 @@
 
 import { KaspaClient } from '../wasm-wrapper/KaspaClient.js';
 import { Wallet } from '../wasm-wrapper/Wallet.js';
+import { WatchOnlyWallet } from '../wasm-wrapper/WatchOnlyWallet.js';
 import { Events } from '../wasm-wrapper/Events.js';
 import { UtxoContext } from '../wasm-wrapper/UtxoContext.js';
 import { registerWalletEvents, startBlockStream } from './events.js';
-import { updateBalance, updateReceiveAddress } from './ui.js';
 import { log } from './log.js';
+import { setAccounts, clearAccounts, onAccountChange, updateAccountBalance } from './accounts.js';
 import { 
     getWalletCreationInfo, 
     getWalletLoadInfo,
@@ -15,7 +16,13 @@ import {
     showMnemonicModal,
     renderWalletList
 } from './walletManager.js';
-import { addWalletToList, hasMnemonicStored, storeMnemonic } from './walletStorage.js';
+import { addWalletToList, getStoredWallets, hasMnemonicStored, storeMnemonic, getMultisigAccounts } from './walletStorage.js';
+import { networkRegistry } from './networks.js';
+import { updateLoadingStatus, progressToStep, updateSyncProgress } from './loadingScreen.js';
+import { NodeNotSyncedError } from '../wasm-wrapper/Errors.js';
+
+// How long the loading screen waits for a syncing node before opening the wallet anyway
+const SYNC_WAIT_TIMEOUT_MS = 60000;
 
 // Application-level instances (managed lifecycle)
 let kaspaClient = null;
@@ -27,17 +34,30 @@ let utxoContext = null;
 let currentWalletFilename = null;
 let currentWalletPassword = null;
 
+/**
+ * Stored list entry of a watch-only wallet, or null for a regular wallet.
+ * @param {string} filename
+ * @returns {Object|null}
+ */
+function getWatchOnlyEntry(filename) {
+    return getStoredWallets().find(w => w.filename === filename && w.watchOnly) || null;
+}
+
 /**
  * Prompt user for wallet password using a Bootstrap-styled modal.
  * @param {string} filename - Wallet filename
  * @param {boolean} [isRetry=false] - Whether this is a retry after failed attempt
+ * @param {Object} [options]
+ * @param {boolean} [options.passphrase=false] - Ask for the BIP-39 passphrase instead (not trimmed)
  * @returns {Promise<string|null>} - Resolves to the entered password or null if cancelled
  */
-function promptForPassword(filename, isRetry = false) {
+function promptForPassword(filename, isRetry = false, { passphrase = false } = {}) {
     return new Promise((resolve) => {
         if (typeof document === 'undefined') {
             // Fallback for non-browser environments
-            const msg = isRetry
+            const msg = passphrase
+                ? `Enter the BIP-39 passphrase for wallet "${filename}":`
+                : isRetry
                 ? `Incorrect password. Please try again for wallet "${filename}":`
                 : `Enter password for wallet "${filename}":`;
             const value = prompt(msg);
@@ -55,8 +75,10 @@ function promptForPassword(filename, isRetry = false) {
         modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 11000;';
         modal.setAttribute('tabindex', '-1');
 
-        const title = 'Wallet Password Required';
-        const message = isRetry
+        const title = passphrase ? 'Wallet Passphrase Required' : 'Wallet Password Required';
+        const message = passphrase
+            ? `Wallet "${filename}" is protected by a BIP-39 passphrase. Enter it to enable sending:`
+            : isRetry
             ? `Incorrect password. Please try again for wallet "${filename}".`
             : `Enter password for wallet "${filename}":`;
 
@@ -71,7 +93,7 @@ function promptForPassword(filename, isRetry = false) {
                     </div>
                     <div class="modal-body">
                         <p class="small text-muted mb-2">${message}</p>
-                        <input type="password" class="form-control form-control-sm" id="walletPasswordInput" placeholder="Enter password" autocomplete="current-password" />
+                        <input type="password" class="form-control form-control-sm" id="walletPasswordInput" placeholder="${passphrase ? 'Enter passphrase' : 'Enter password'}" autocomplete="${passphrase ? 'off' : 'current-password'}" />
                     </div>
                     <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
                         <button type="button" class="btn btn-outline-kaspa btn-sm" id="walletPasswordCancel">Cancel</button>
@@ -94,7 +116,8 @@ function promptForPassword(filename, isRetry = false) {
         };
 
         const submit = () => {
-            const value = input.value.trim();
+            // Whitespace is part of a BIP-39 passphrase
+            const value = passphrase ? input.value : input.value.trim();
             cleanup();
             resolve(value || null);
         };
@@ -130,9 +153,55 @@ function promptForPassword(filename, isRetry = false) {
     });
 }
 
+/**
+ * Log KaspaClient connection state changes (drops, retries, recoveries).
+ * @param {{ state: string, attempt?: number, delayMs?: number, gaveUp?: boolean }} event
+ */
+function logConnectionState({ state, attempt, delayMs, gaveUp }) {
+    if (state === 'disconnected') {
+        log(gaveUp
+            ? '[Network] Connection lost. Giving up on reconnecting.'
+            : '[Network] Connection lost. Reconnecting...');
+    } else if (state === 'connecting' && attempt) {
+        log(`[Network] Reconnect attempt ${attempt} (after ${delayMs}ms)...`);
+    } else if (state === 'reconnected') {
+        log('[Network] Reconnected. Subscriptions restored.');
+    }
+}
+
+/**
+ * Wait for the connected node to finish syncing, showing progress on the
+ * loading screen. If it is still syncing after SYNC_WAIT_TIMEOUT_MS the
+ * wallet opens anyway; sends are refused by Wallet until the node catches up.
+ * @returns {Promise<void>}
+ */
+async function waitForNodeSync() {
+    progressToStep('sync', ['init', 'connect']);
+    try {
+        await kaspaClient.waitForSync({
+            timeoutMs: SYNC_WAIT_TIMEOUT_MS,
+            onProgress: (sync) => {
+                updateSyncProgress(sync);
+                if (!sync.isSynced) {
+                    updateLoadingStatus('Node is syncing...');
+                }
+            }
+        });
+    } catch (err) {
+        if (!(err instanceof NodeNotSyncedError)) throw err;
+
+        log('[Network] Node is still syncing. Sending is disabled until it catches up.');
+        kaspaClient.waitForSync({ timeoutMs: 0, pollIntervalMs: 10000 })
+            .then(() => log('[Network] Node synced. Sending enabled.'))
+            .catch(() => {}); // Client disposed (network switch or page unload)
+    } finally {
+        updateSyncProgress(null);
+    }
+}
+
 /**
  * Get the current application instances.
- * @returns {{ client: KaspaClient, wallet: Wallet, events: Events, utxoContext: UtxoContext }}
+ * @returns {{ client: KaspaClient, wallet: Wallet|WatchOnlyWallet, events: Events, utxoContext: UtxoContext }}
  */
 export function getInstances() {
     return { client: kaspaClient, wallet, events, utxoContext };
@@ -146,14 +215,31 @@ export function getCurrentWalletFilename() {
     return currentWalletFilename;
 }
 
+/**
+ * Ask for the BIP-39 passphrase when the open wallet's keys are protected by
+ * one and it was not given when the wallet was unlocked. A passphrase the
+ * wallet rejected while signing is forgotten, so it is asked for again.
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+export async function ensurePassphrase() {
+    if (!wallet?.requiresPassphrase || wallet.hasPassphrase) return true;
+
+    const passphrase = await promptForPassword(currentWalletFilename, false, { passphrase: true });
+    if (!passphrase) {
+        log('No passphrase entered. Sending is disabled for this wallet until it is given.');
+        return false;
+    }
+    wallet.setPassphrase(passphrase);
+    return true;
+}
+
 /**
  * Initialize or reinitialize the wallet for a given network.
  * @param {string} networkId - Network to connect to
- * @param {Function} setFirstAccount - Callback to set the first account
- * @param {Function} setLastBalance - Callback to set the last balance
+ * @param {Function} setLastBalance - Callback to set the last balance of the selected account
  * @returns {Promise<void>}
  */
-export async function initializeWallet(networkId, setFirstAccount, setLastBalance) {
+export async function initializeWallet(networkId, setLastBalance) {
     // Check for wallet creation, import, or load request from session storage
     const createInfo = getWalletCreationInfo();
     const importInfo = getWalletImportInfo();
@@ -163,6 +249,8 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
     let walletFilename = 'wallet-browser-demo';
     let walletPassword = 'abc';
     let walletMnemonic = null;
+    let walletPrivateKey = null;
+    let walletPassphrase;
     let isNewWallet = false;
     let isImport = false;
     
@@ -170,12 +258,15 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
         walletFilename = importInfo.filename;
         walletPassword = importInfo.password;
         walletMnemonic = importInfo.mnemonic;
+        walletPrivateKey = importInfo.privateKey;
+        walletPassphrase = importInfo.passphrase;
         networkId = importInfo.network || networkId;
         isImport = true;
         log(`Importing wallet: ${walletFilename}`);
     } else if (createInfo) {
         walletFilename = createInfo.filename;
         walletPassword = createInfo.password;
+        walletPassphrase = createInfo.passphrase;
         networkId = createInfo.network || networkId;
         isNewWallet = true;
         log(`Creating new wallet: ${walletFilename}`);
@@ -190,7 +281,8 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
         if (lastWallet) {
             walletFilename = lastWallet;
             // If we don't have password in session, we need to prompt
-            if (!lastPassword) {
+            // (watch-only wallets have none)
+            if (!lastPassword && !getWatchOnlyEntry(walletFilename)) {
                 const storedPassword = await promptForPassword(walletFilename);
                 if (!storedPassword) {
                     // User explicitly cancelled login; abort initialization completely
@@ -218,7 +310,8 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
 
     // Create new client if needed
     if (!kaspaClient) {
-        kaspaClient = new KaspaClient();
+        kaspaClient = new KaspaClient({ networks: networkRegistry });
+        kaspaClient.onConnectionStateChange(logConnectionState);
     }
 
     // Connect to network
@@ -226,6 +319,19 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
         await kaspaClient.connect(networkId);
     }
 
+    // Balances and UTXOs from a syncing node are incomplete
+    if (kaspaClient.isSynced !== true) {
+        await waitForNodeSync();
+    }
+
+    // Watch-only wallets open from the stored extended public key; they have no wallet file
+    const watchOnlyEntry = getWatchOnlyEntry(walletFilename);
+    if (!wallet && watchOnlyEntry) {
+        wallet = new WatchOnlyWallet(kaspaClient);
+        await wallet.open(watchOnlyEntry.xpub, { name: walletFilename });
+        log(`Watch-only wallet "${walletFilename}" opened. Sending is disabled.`);
+    }
+
     // Create wallet instance with retry on password failure
     if (!wallet) {
         wallet = new Wallet(kaspaClient);
@@ -236,7 +342,7 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
         if (isImport && walletMnemonic) {
             // Import wallet from mnemonic
             try {
-                await wallet.import(walletPassword, walletMnemonic, walletFilename);
+                await wallet.import(walletPassword, walletMnemonic, walletFilename, { passphrase: walletPassphrase });
                 log(`Wallet "${walletFilename}" imported successfully.`);
                 
                 // Check if user wants to store the mnemonic
@@ -263,13 +369,25 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
                 log(`Import failed: ${err.message}`);
                 throw err;
             }
+        } else if (isImport && walletPrivateKey) {
+            // Import a raw private key as the wallet's only (keypair) account
+            try {
+                await wallet.importPrivateKey(walletPassword, walletPrivateKey, walletFilename);
+                log(`Wallet "${walletFilename}" imported from private key.`);
+                addWalletToList(walletFilename, networkId, false);
+                renderWalletList();
+                sessionStorage.removeItem('kaspa_wallet_password');
+            } catch (err) {
+                log(`Import failed: ${err.message}`);
+                throw err;
+            }
         } else {
             // Keep prompting until the correct password is entered or the user cancels.
             // For existing wallets we treat any create/open failure as a password issue and
             // give the user another chance, since the underlying SDK error is wrapped.
             while (true) {
                 try {
-                    await wallet.create(walletPassword, walletFilename);
+                    await wallet.create(walletPassword, walletFilename, { passphrase: walletPassphrase });
                     break; // Success - exit the loop
                 } catch (err) {
                     // If this was during brand new wallet creation, don't loop forever –
@@ -292,6 +410,11 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
                 }
             }
             
+            // The passphrase is not stored; ask for it when unlocking a wallet that has one
+            if (!isNewWallet && wallet.requiresPassphrase) {
+                await ensurePassphrase();
+            }
+
             // Check if first-time setup is handling mnemonic display (storage preference is set)
             const firstTimeSetupHandling = sessionStorage.getItem('kaspa_storage_preference');
             
@@ -317,24 +440,30 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
         }
     }
 
-    // Get accounts
+    // Get accounts; the account switcher keeps the previous selection if it still exists
     const accounts = await wallet.listAccounts();
-    const firstAccount = accounts.accountDescriptors[0];
-    setFirstAccount(firstAccount);
+    const descriptors = accounts.accountDescriptors || [];
+    const account = setAccounts(descriptors);
 
-    // Activate account
-    if (firstAccount?.accountId) {
-        await wallet.accountsActivate({ accountIds: [firstAccount.accountId] });
+    // Activate every account so balance events arrive for all of them
+    if (descriptors.length) {
+        await wallet.accountsActivate({ accountIds: descriptors.map(a => a.accountId) });
     }
 
-    // Update UI
-    if (firstAccount?.receiveAddress) {
-        updateReceiveAddress(firstAccount.receiveAddress);
+    // Multisig accounts live outside the wallet file; add the stored ones back
+    if (!wallet.isWatchOnly) {
+        for (const multisig of getMultisigAccounts(walletFilename)) {
+            try {
+                wallet.addMultisigAccount(multisig);
+            } catch (err) {
+                log(`Skipped stored multisig account: ${err?.message || err}`);
+            }
+        }
     }
 
     // Register wallet events
     wallet.clearEventHandlers();
-    registerWalletEvents(wallet, () => firstAccount, setLastBalance);
+    registerWalletEvents(wallet, setLastBalance);
 
     // Create events instance
     if (!events) {
@@ -350,20 +479,34 @@ export async function initializeWallet(networkId, setFirstAccount, setLastBalanc
         await utxoContext.init();
     }
 
-    // Watch addresses
-    if (firstAccount?.receiveAddress) {
-        const watchList = [firstAccount.receiveAddress, firstAccount.changeAddress].filter(Boolean);
-        await utxoContext.watchAddresses(watchList);
-        const balance = utxoContext.balance;
-        updateBalance(balance);
+    await watchAccount(account);
+}
+
+/**
+ * Point the UTXO context at an account's receive and change addresses.
+ * @param {Object|null} account - Account descriptor
+ * @returns {Promise<void>}
+ */
+async function watchAccount(account) {
+    if (!utxoContext || !account?.receiveAddress) return;
+    if (utxoContext.trackedAddresses.length) {
+        await utxoContext.clear();
     }
+    await utxoContext.watchAddresses([account.receiveAddress, account.changeAddress].filter(Boolean));
+    updateAccountBalance(account.accountId, utxoContext.balance);
 }
 
+// Follow the account switcher
+onAccountChange(account => {
+    watchAccount(account).catch(err => log('Account switch error: ' + (err?.message || err)));
+});
+
 /**
  * Dispose all instances and clean up resources.
  * @returns {Promise<void>}
  */
 export async function disposeAll() {
+    clearAccounts();
     if (utxoContext) {
         await utxoContext.dispose();
         utxoContext = null;
@@ -37,6 +37,10 @@ function createLoadingScreen() {
             </div>
             <h4 class="loading-title">Initializing Wallet</h4>
             <p class="loading-status">Connecting to Kaspa network...</p>
+            <div class="loading-sync" style="display: none;">
+                <div class="loading-sync-bar"><div class="loading-sync-fill"></div></div>
+                <div class="loading-sync-detail"></div>
+            </div>
             <div class="loading-steps">
                 <div class="loading-step" data-step="init">
                     <i class="bi bi-circle"></i>
@@ -46,6 +50,10 @@ function createLoadingScreen() {
                     <i class="bi bi-circle"></i>
                     <span>Connecting to network</span>
                 </div>
+                <div class="loading-step" data-step="sync">
+                    <i class="bi bi-circle"></i>
+                    <span>Waiting for node sync</span>
+                </div>
                 <div class="loading-step" data-step="wallet">
                     <i class="bi bi-circle"></i>
                     <span>Opening wallet</span>
@@ -145,6 +153,30 @@ function createLoadingScreen() {
                 min-height: 1.5em;
             }
 
+            .loading-sync {
+                margin: -1rem 0 1.5rem;
+            }
+
+            .loading-sync-bar {
+                height: 6px;
+                background: rgba(73, 234, 203, 0.1);
+                border-radius: 3px;
+                overflow: hidden;
+            }
+
+            .loading-sync-fill {
+                height: 100%;
+                width: 0;
+                background: #49eacb;
+                transition: width 0.5s ease;
+            }
+
+            .loading-sync-detail {
+                color: #8b949e;
+                font-size: 0.75rem;
+                margin-top: 0.5rem;
+            }
+
             .loading-steps {
                 display: flex;
                 flex-direction: column;
@@ -280,6 +312,7 @@ export function showLoadingScreen(options = {}) {
     container.querySelectorAll('.loading-step').forEach(step => {
         step.classList.remove('active', 'completed', 'error');
     });
+    updateSyncProgress(null);
 
     // Show with animation
     container.classList.remove('fade-out');
@@ -300,6 +333,40 @@ export function updateLoadingStatus(status) {
     if (statusEl) statusEl.textContent = status;
 }
 
+/**
+ * Show node sync progress under the status message, or hide it.
+ * @param {{ isSynced: boolean, progress: number|null, virtualDaaScore: bigint|null, blockCount: bigint|null, headerCount: bigint|null }|null} sync
+ *   Progress reported by KaspaClient.waitForSync(), or null to hide
+ */
+export function updateSyncProgress(sync) {
+    const container = document.getElementById(config.containerId);
+    if (!container) return;
+
+    const syncEl = container.querySelector('.loading-sync');
+    if (!syncEl) return;
+
+    if (!sync || sync.isSynced) {
+        syncEl.style.display = 'none';
+        return;
+    }
+
+    const fill = syncEl.querySelector('.loading-sync-fill');
+    const detail = syncEl.querySelector('.loading-sync-detail');
+    const percent = sync.progress != null ? Math.floor(sync.progress * 100) : null;
+
+    syncEl.style.display = 'block';
+    if (fill) fill.style.width = `${percent ?? 0}%`;
+    if (detail) {
+        const parts = [];
+        if (percent != null) parts.push(`~${percent}%`);
+        if (sync.blockCount != null && sync.headerCount != null) {
+            parts.push(`${sync.blockCount.toLocaleString()} / ${sync.headerCount.toLocaleString()} blocks`);
+        }
+        if (sync.virtualDaaScore != null) parts.push(`DAA score ${sync.virtualDaaScore.toLocaleString()}`);
+        detail.textContent = parts.join(' · ');
+    }
+}
+
 /**
  * Update the loading screen title
  * @param {string} title - New title
@@ -314,7 +381,7 @@ export function updateLoadingTitle(title) {
 
 /**
  * Mark a step as active, completed, or error
- * @param {string} stepId - Step identifier (init, connect, wallet, ready)
+ * @param {string} stepId - Step identifier (init, connect, sync, wallet, ready)
  * @param {'active'|'completed'|'error'} state - Step state
  */
 export function setLoadingStep(stepId, state) {
@@ -339,7 +406,7 @@ export function setLoadingStep(stepId, state) {
  * @param {string[]} [completedSteps=[]] - Steps to mark as completed
  */
 export function progressToStep(currentStep, completedSteps = []) {
-    const steps = ['init', 'connect', 'wallet', 'ready'];
+    const steps = ['init', 'connect', 'sync', 'wallet', 'ready'];
     
     steps.forEach(step => {
         if (completedSteps.includes(step)) {
@@ -371,7 +438,8 @@ export function hideLoadingScreen() {
 
         setTimeout(() => {
             // Mark all steps as completed for satisfying finish
-            progressToStep(null, ['init', 'connect', 'wallet', 'ready']);
+            progressToStep(null, ['init', 'connect', 'sync', 'wallet', 'ready']);
+            updateSyncProgress(null);
             updateLoadingStatus('Ready!');
 
             // Short delay to show completed state
@@ -0,0 +1,188 @@
+// messageModal.js - Sign a message with a wallet address (proof of ownership,
+// login challenges) and verify signed messages from anyone.
+
+import { getInstances, getCurrentWalletFilename, ensurePassphrase } from './initWallet.js';
+import { log } from './log.js';
+import { hasMnemonicStored, retrieveMnemonic } from './walletStorage.js';
+import { escapeHtml } from './resultModal.js';
+import { Wallet } from '../wasm-wrapper/Wallet.js';
+
+/**
+ * Show the sign / verify message modal.
+ * @param {Object} options
+ * @param {Function} options.getAccount - Returns the account whose receive address is suggested
+ */
+export async function showMessageModal({ getAccount }) {
+    const { wallet } = getInstances();
+    const account = getAccount();
+    if (!wallet || !account) {
+        log('Wallet not initialized');
+        return;
+    }
+
+    const existing = document.getElementById('messageModal');
+    if (existing) existing.remove();
+
+    // Where the signing key comes from: the wallet itself, the stored recovery
+    // phrase (unlocked with the password), or a keypair account's key
+    const filename = getCurrentWalletFilename();
+    const keypair = account.kind === 'keypair';
+    const holdsMnemonic = !wallet.isWatchOnly && !keypair && !!(await wallet.getMnemonic());
+    const stored = !holdsMnemonic && !keypair && !!filename && hasMnemonicStored(filename);
+    const canSign = keypair || holdsMnemonic || stored;
+
+    let keyField = '';
+    if (keypair) {
+        keyField = `
+            <label for="messageKey" class="form-label small">Private key of this account</label>
+            <input type="password" class="form-control form-control-sm font-monospace" id="messageKey" autocomplete="off">`;
+    } else if (stored) {
+        keyField = `
+            <label for="messagePassword" class="form-label small">Wallet password (unlocks the stored recovery phrase)</label>
+            <input type="password" class="form-control form-control-sm" id="messagePassword" autocomplete="current-password">`;
+    } else if (!canSign) {
+        keyField = `
+            <div class="small text-warning">This wallet holds no recovery phrase. Open it with its recovery phrase to sign messages.</div>`;
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'messageModal';
+    modal.className = 'modal d-block';
+    modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 10000;';
+    modal.setAttribute('tabindex', '-1');
+
+    modal.innerHTML = `
+        <div class="modal-dialog modal-dialog-centered modal-dialog-scrollable modal-lg">
+            <div class="modal-content" style="background-color: var(--kaspa-bg-card); border-color: var(--kaspa-border);">
+                <div class="modal-header" style="background-color: rgba(73, 234, 203, 0.1); border-bottom-color: var(--kaspa-border);">
+                    <h5 class="modal-title" style="color: var(--kaspa-primary);">
+                        <i class="bi bi-patch-check me-2"></i>Sign / Verify Message
+                    </h5>
+                    <button type="button" class="btn-close btn-close-white" id="messageClose"></button>
+                </div>
+                <div class="modal-body">
+                    <h6 class="small text-muted">Sign</h6>
+                    ${wallet.isWatchOnly ? '<div class="small text-warning mb-2">Watch-only wallets cannot sign.</div>' : `
+                    <div class="row g-2">
+                        <div class="col-12">
+                            <label for="messageAddress" class="form-label small">Address</label>
+                            <input type="text" class="form-control form-control-sm font-monospace" id="messageAddress" value="${escapeHtml(account.receiveAddress || '')}">
+                        </div>
+                        <div class="col-12">
+                            <label for="messageText" class="form-label small">Message</label>
+                            <textarea class="form-control form-control-sm" id="messageText" rows="3"></textarea>
+                        </div>
+                        ${keyField ? `<div class="col-12">${keyField}</div>` : ''}
+                    </div>
+                    <button type="button" class="btn btn-kaspa btn-sm mt-2" id="messageSignBtn"${canSign ? '' : ' disabled'}>
+                        <i class="bi bi-pen me-1"></i>Sign
+                    </button>
+                    <div id="messageSignStatus" class="small mt-2"></div>
+                    <pre id="messageSignResult" class="small p-2 rounded mt-2 d-none"
+                        style="background-color: var(--kaspa-bg-input); white-space: pre-wrap; word-break: break-all;"></pre>
+                    <button type="button" class="btn btn-outline-kaspa btn-sm d-none" id="messageCopyBtn">
+                        <i class="bi bi-clipboard me-1"></i>Copy
+                    </button>`}
+
+                    <h6 class="small text-muted mt-4">Verify</h6>
+                    <div class="row g-2">
+                        <div class="col-12">
+                            <label for="verifyText" class="form-label small">Message</label>
+                            <textarea class="form-control form-control-sm" id="verifyText" rows="3"></textarea>
+                        </div>
+                        <div class="col-12">
+                            <label for="verifySignature" class="form-label small">Signature</label>
+                            <input type="text" class="form-control form-control-sm font-monospace" id="verifySignature" spellcheck="false">
+                        </div>
+                        <div class="col-12">
+                            <label for="verifySigner" class="form-label small">Signer's address or public key</label>
+                            <input type="text" class="form-control form-control-sm font-monospace" id="verifySigner" spellcheck="false">
+                        </div>
+                    </div>
+                    <button type="button" class="btn btn-outline-kaspa btn-sm mt-2" id="messageVerifyBtn">
+                        <i class="bi bi-patch-check me-1"></i>Verify
+                    </button>
+                    <div id="messageVerifyStatus" class="small mt-2"></div>
+                </div>
+                <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
+                    <button type="button" class="btn btn-outline-secondary btn-sm" id="messageCancel">Close</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const setStatus = (el, message, type = 'muted') => {
+        el.innerHTML = message ? `<span class="text-${type}">${escapeHtml(message)}</span>` : '';
+    };
+
+    const sign = async () => {
+        const status = modal.querySelector('#messageSignStatus');
+        const result = modal.querySelector('#messageSignResult');
+        const copyBtn = modal.querySelector('#messageCopyBtn');
+        result.classList.add('d-none');
+        copyBtn.classList.add('d-none');
+
+        const request = {
+            message: modal.querySelector('#messageText').value,
+            address: modal.querySelector('#messageAddress').value.trim()
+        };
+
+        if (keypair) {
+            request.privateKey = modal.querySelector('#messageKey').value.trim();
+        } else if (stored) {
+            const mnemonic = await retrieveMnemonic(filename, modal.querySelector('#messagePassword').value);
+            if (!mnemonic) return setStatus(status, 'Could not unlock the recovery phrase. Wrong password?', 'danger');
+            request.mnemonic = mnemonic;
+        }
+        if (!keypair && !(await ensurePassphrase())) return;
+
+        try {
+            const signed = await wallet.signMessage(request);
+            result.textContent = JSON.stringify(signed, null, 2);
+            result.classList.remove('d-none');
+            copyBtn.classList.remove('d-none');
+            copyBtn.onclick = async () => {
+                try {
+                    await navigator.clipboard.writeText(JSON.stringify(signed));
+                    setStatus(status, 'Signed message copied to the clipboard.');
+                } catch (err) {
+                    setStatus(status, err?.message || String(err), 'danger');
+                }
+            };
+            setStatus(status, 'Message signed.', 'success');
+            log(`[Message] Signed with ${signed.address}`);
+        } catch (err) {
+            setStatus(status, err?.message || String(err), 'danger');
+            log(`[Message] Sign failed: ${err?.message || err}`);
+        }
+    };
+
+    const verify = () => {
+        const status = modal.querySelector('#messageVerifyStatus');
+        const signer = modal.querySelector('#verifySigner').value.trim();
+        const isKey = /^(0[23])?[0-9a-fA-F]{64}$/.test(signer);
+
+        try {
+            const valid = Wallet.verifyMessage({
+                message: modal.querySelector('#verifyText').value,
+                signature: modal.querySelector('#verifySignature').value,
+                ...(isKey ? { publicKey: signer } : { address: signer })
+            });
+            setStatus(status, valid ? 'Valid signature.' : 'Invalid signature.', valid ? 'success' : 'danger');
+            log(`[Message] Verification ${valid ? 'passed' : 'failed'} for ${signer}`);
+        } catch (err) {
+            setStatus(status, err?.message || String(err), 'danger');
+        }
+    };
+
+    if (!wallet.isWatchOnly && canSign) {
+        modal.querySelector('#messageSignBtn').onclick = sign;
+    }
+    modal.querySelector('#messageVerifyBtn').onclick = verify;
+
+    const close = () => modal.remove();
+    modal.querySelector('#messageClose').onclick = close;
+    modal.querySelector('#messageCancel').onclick = close;
+}
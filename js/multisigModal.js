@@ -0,0 +1,208 @@
+// multisigModal.js - Multisig accounts: share this wallet's cosigner key, build
+// an m-of-n address from the cosigners' keys and keep it with the wallet.
+// Spending and co-signing go through the PSKB dialog.
+
+import { getInstances, getCurrentWalletFilename } from './initWallet.js';
+import { log } from './log.js';
+import { saveMultisigAccounts } from './walletStorage.js';
+import { escapeHtml } from './resultModal.js';
+import { sompiToKaspaString } from '../wasm-wrapper/KaspaClient.js';
+
+/**
+ * Show the multisig modal.
+ * @param {Object} options
+ * @param {Function} options.getAccount - Returns the account whose cosigner key is shown
+ */
+export function showMultisigModal({ getAccount }) {
+    const { wallet } = getInstances();
+    const account = getAccount();
+    if (!wallet || !account) {
+        log('Wallet not initialized');
+        return;
+    }
+
+    const existing = document.getElementById('multisigModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'multisigModal';
+    modal.className = 'modal d-block';
+    modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 10000;';
+    modal.setAttribute('tabindex', '-1');
+
+    modal.innerHTML = `
+        <div class="modal-dialog modal-dialog-centered modal-dialog-scrollable modal-lg">
+            <div class="modal-content" style="background-color: var(--kaspa-bg-card); border-color: var(--kaspa-border);">
+                <div class="modal-header" style="background-color: rgba(73, 234, 203, 0.1); border-bottom-color: var(--kaspa-border);">
+                    <h5 class="modal-title" style="color: var(--kaspa-primary);">
+                        <i class="bi bi-shield-lock me-2"></i>Multisig Accounts
+                    </h5>
+                    <button type="button" class="btn-close btn-close-white" id="multisigClose"></button>
+                </div>
+                <div class="modal-body">
+                    <h6 class="small text-muted">Your cosigner key (${escapeHtml(account.name || account.accountId)})</h6>
+                    <div class="input-group input-group-sm">
+                        <input type="text" class="form-control font-monospace" id="multisigOwnKey" readonly placeholder="-">
+                        <button type="button" class="btn btn-outline-kaspa" id="multisigCopyKeyBtn" title="Copy">
+                            <i class="bi bi-clipboard"></i>
+                        </button>
+                    </div>
+                    <div class="form-text">Send this key to the other cosigners. Multisig bundles are signed with it in the PSKB dialog.</div>
+
+                    <h6 class="small text-muted mt-4">Add a multisig account</h6>
+                    <div class="row g-2">
+                        <div class="col-8">
+                            <label for="multisigName" class="form-label small">Name</label>
+                            <input type="text" class="form-control form-control-sm" id="multisigName" placeholder="Treasury" maxlength="64">
+                        </div>
+                        <div class="col-4">
+                            <label for="multisigThreshold" class="form-label small">Signatures required</label>
+                            <input type="number" class="form-control form-control-sm" id="multisigThreshold" min="1" value="2">
+                        </div>
+                        <div class="col-12">
+                            <label for="multisigKeys" class="form-label small">Public keys of all cosigners, including yours (one per line)</label>
+                            <textarea class="form-control form-control-sm font-monospace" id="multisigKeys" rows="4" spellcheck="false"
+                                placeholder="02..."></textarea>
+                        </div>
+                    </div>
+                    <div class="d-flex gap-2 mt-2">
+                        <button type="button" class="btn btn-outline-kaspa btn-sm" id="multisigAddOwnBtn">
+                            <i class="bi bi-person-plus me-1"></i>Add my key
+                        </button>
+                        <button type="button" class="btn btn-kaspa btn-sm" id="multisigAddBtn">
+                            <i class="bi bi-plus-lg me-1"></i>Add Account
+                        </button>
+                    </div>
+                    <div id="multisigStatus" class="small mt-3"></div>
+
+                    <h6 class="small text-muted mt-4">Multisig accounts</h6>
+                    <div id="multisigList" class="small text-muted">None yet.</div>
+                </div>
+                <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
+                    <button type="button" class="btn btn-outline-secondary btn-sm" id="multisigCancel">Close</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const ownKeyInput = modal.querySelector('#multisigOwnKey');
+    const nameInput = modal.querySelector('#multisigName');
+    const thresholdInput = modal.querySelector('#multisigThreshold');
+    const keysInput = modal.querySelector('#multisigKeys');
+    const status = modal.querySelector('#multisigStatus');
+    const list = modal.querySelector('#multisigList');
+    const filename = getCurrentWalletFilename();
+
+    const setStatus = (message, type = 'muted') => {
+        status.innerHTML = message ? `<span class="text-${type}">${escapeHtml(message)}</span>` : '';
+    };
+
+    const save = () => {
+        if (filename) saveMultisigAccounts(filename, wallet.listMultisigAccounts());
+    };
+
+    const renderList = async () => {
+        const accounts = wallet.listMultisigAccounts();
+        if (!accounts.length) {
+            list.innerHTML = 'None yet.';
+            return;
+        }
+
+        let html = '<div class="table-responsive"><table class="table table-sm mb-0">';
+        html += `<thead><tr>
+            <th class="small">Account</th>
+            <th class="small">Policy</th>
+            <th class="small text-end">Balance</th>
+            <th></th>
+        </tr></thead><tbody>`;
+        accounts.forEach((m, i) => {
+            html += `<tr>
+                <td class="small">
+                    ${escapeHtml(m.name || `Multisig ${i + 1}`)}
+                    <div class="font-monospace text-break text-muted">${escapeHtml(m.address)}</div>
+                </td>
+                <td class="small text-nowrap">${m.minimumSignatures}-of-${m.publicKeys.length}</td>
+                <td class="small text-end text-nowrap" data-balance="${escapeHtml(m.accountId)}">...</td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-outline-danger btn-sm multisig-remove" data-account="${escapeHtml(m.accountId)}" title="Remove">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>`;
+        });
+        html += '</tbody></table></div>';
+        list.innerHTML = html;
+
+        list.querySelectorAll('.multisig-remove').forEach(btn => {
+            btn.onclick = () => {
+                wallet.removeMultisigAccount(btn.dataset.account);
+                save();
+                log(`[Multisig] Removed ${btn.dataset.account}. Funds stay at the address.`);
+                renderList();
+            };
+        });
+
+        // Balances come from the node and fill in as they arrive
+        for (const m of accounts) {
+            const cell = list.querySelector(`[data-balance="${m.accountId}"]`);
+            try {
+                const balance = await wallet.getMultisigBalance(m.accountId);
+                if (cell) cell.textContent = `${sompiToKaspaString(balance)} KAS`;
+            } catch (err) {
+                if (cell) cell.textContent = '-';
+                log(`[Multisig] Balance of ${m.address} unavailable: ${err?.message || err}`);
+            }
+        }
+    };
+
+    const addAccount = () => {
+        const publicKeys = keysInput.value.split(/[\s,]+/).filter(Boolean);
+        try {
+            const multisig = wallet.addMultisigAccount({
+                name: nameInput.value,
+                minimumSignatures: Number(thresholdInput.value),
+                publicKeys
+            });
+            save();
+            log(`[Multisig] Added ${multisig.minimumSignatures}-of-${multisig.publicKeys.length} account: ${multisig.address}`);
+            setStatus(`Added ${multisig.address}. Every cosigner who enters the same keys gets this address.`, 'success');
+            nameInput.value = '';
+            keysInput.value = '';
+            renderList();
+        } catch (err) {
+            setStatus(err?.message || String(err), 'danger');
+        }
+    };
+
+    wallet.getCosignerKey({ accountId: account.accountId })
+        .then(({ publicKey }) => {
+            ownKeyInput.value = publicKey;
+        })
+        .catch(err => {
+            ownKeyInput.placeholder = err?.message || String(err);
+            modal.querySelector('#multisigAddOwnBtn').disabled = true;
+        });
+
+    modal.querySelector('#multisigCopyKeyBtn').onclick = async () => {
+        if (!ownKeyInput.value) return;
+        try {
+            await navigator.clipboard.writeText(ownKeyInput.value);
+            setStatus('Cosigner key copied to the clipboard.');
+        } catch (err) {
+            setStatus(err?.message || String(err), 'danger');
+        }
+    };
+    modal.querySelector('#multisigAddOwnBtn').onclick = () => {
+        if (!ownKeyInput.value || keysInput.value.includes(ownKeyInput.value)) return;
+        keysInput.value = [keysInput.value.trim(), ownKeyInput.value].filter(Boolean).join('\n');
+    };
+    modal.querySelector('#multisigAddBtn').onclick = addAccount;
+
+    const close = () => modal.remove();
+    modal.querySelector('#multisigClose').onclick = close;
+    modal.querySelector('#multisigCancel').onclick = close;
+
+    renderList();
+}
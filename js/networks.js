@@ -0,0 +1,236 @@
+// networks.js - Network registry UI: custom network persistence, select population and management modal
+
+import { NetworkRegistry } from '../wasm-wrapper/NetworkRegistry.js';
+import { log } from './log.js';
+import { escapeHtml } from './resultModal.js';
+
+const CUSTOM_NETWORKS_KEY = 'kaspa_custom_networks';
+
+// Labels used by the setup wizard for built-in networks
+const DETAILED_LABELS = {
+    'testnet-10': 'testnet-10 (Recommended for testing)',
+    'mainnet': 'mainnet (Real funds)'
+};
+
+// Application-level registry shared by every KaspaClient the UI creates
+export const networkRegistry = new NetworkRegistry({
+    logger: { log: () => {}, warn: console.warn, error: console.error }
+});
+
+let loadPromise = null;
+
+/**
+ * Load custom networks saved in localStorage into the registry. Safe to call multiple times.
+ * @returns {Promise<void>}
+ */
+export function loadCustomNetworks() {
+    if (!loadPromise) {
+        loadPromise = (async () => {
+            let saved = [];
+            try {
+                saved = JSON.parse(localStorage.getItem(CUSTOM_NETWORKS_KEY) || '[]');
+            } catch (err) {
+                console.warn('[Networks] Ignoring unreadable custom network list:', err);
+            }
+            const { failed } = await networkRegistry.load(saved);
+            for (const { id, error } of failed) {
+                log(`[Network] Skipped saved network "${id}": ${error}`);
+            }
+        })();
+    }
+    return loadPromise;
+}
+
+function saveCustomNetworks() {
+    localStorage.setItem(CUSTOM_NETWORKS_KEY, JSON.stringify(networkRegistry.toJSON()));
+}
+
+/**
+ * Display label for a network ID.
+ * @param {string} networkId
+ * @returns {string}
+ */
+export function getNetworkLabel(networkId) {
+    const network = networkRegistry.get(networkId);
+    if (!network) return networkId || 'Unknown';
+    return network.name !== network.id ? `${network.name} (${network.id})` : network.id;
+}
+
+/**
+ * Fill a <select> with the registered networks.
+ * @param {HTMLSelectElement} select
+ * @param {Object} [options]
+ * @param {string} [options.selected] - Network to select (defaults to the current value)
+ * @param {boolean} [options.detailed=false] - Use the setup wizard's descriptive labels
+ */
+export function populateNetworkSelect(select, { selected, detailed = false } = {}) {
+    if (!select) return;
+    const value = selected || select.value || 'testnet-10';
+
+    select.innerHTML = '';
+    for (const network of networkRegistry.list()) {
+        const option = document.createElement('option');
+        option.value = network.id;
+        option.textContent = detailed && DETAILED_LABELS[network.id]
+            ? DETAILED_LABELS[network.id]
+            : getNetworkLabel(network.id);
+        select.appendChild(option);
+    }
+
+    // Keep an unknown value (e.g. a wallet for a removed network) selectable
+    if (!networkRegistry.has(value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${value} (not registered)`;
+        select.appendChild(option);
+    }
+    select.value = value;
+}
+
+/**
+ * Show the custom network manager modal.
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called after a network is added or removed
+ * @returns {Promise<void>} Resolves when the modal is closed
+ */
+export function showManageNetworksModal({ onChange } = {}) {
+    return new Promise((resolve) => {
+        const existing = document.getElementById('manageNetworksModal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'manageNetworksModal';
+        modal.className = 'modal d-block';
+        modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 11000;';
+        modal.setAttribute('tabindex', '-1');
+
+        modal.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered modal-lg">
+                <div class="modal-content" style="background-color: var(--kaspa-bg-card); border-color: var(--kaspa-border);">
+                    <div class="modal-header" style="background-color: rgba(73, 234, 203, 0.1); border-bottom-color: var(--kaspa-border);">
+                        <h5 class="modal-title" style="color: var(--kaspa-primary);">
+                            <i class="bi bi-diagram-3 me-2"></i>Networks
+                        </h5>
+                        <button type="button" class="btn-close btn-close-white" id="manageNetworksClose"></button>
+                    </div>
+                    <div class="modal-body">
+                        <div id="networkListContainer" class="mb-3"></div>
+                        <h6 class="mb-2"><i class="bi bi-plus-circle me-1"></i>Add Custom Network</h6>
+                        <div class="row g-2">
+                            <div class="col-md-4">
+                                <label for="customNetworkId" class="form-label small">Network ID</label>
+                                <input type="text" class="form-control form-control-sm" id="customNetworkId" placeholder="devnet, simnet, testnet-12">
+                            </div>
+                            <div class="col-md-8">
+                                <label for="customNetworkName" class="form-label small">Name (optional)</label>
+                                <input type="text" class="form-control form-control-sm" id="customNetworkName" placeholder="Integration devnet">
+                            </div>
+                            <div class="col-12">
+                                <label for="customNetworkNodes" class="form-label small">Node URLs (comma separated)</label>
+                                <input type="text" class="form-control form-control-sm font-monospace" id="customNetworkNodes" placeholder="ws://127.0.0.1:17610">
+                                <div class="form-text">Leave empty to use the default local port for the network type.</div>
+                            </div>
+                            <div class="col-12">
+                                <label for="customNetworkExplorer" class="form-label small">Explorer URL (optional)</label>
+                                <input type="text" class="form-control form-control-sm" id="customNetworkExplorer" placeholder="http://127.0.0.1:8080">
+                            </div>
+                        </div>
+                        <div class="alert alert-danger d-none small py-2 mt-3 mb-0" id="customNetworkError"></div>
+                    </div>
+                    <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
+                        <button type="button" class="btn btn-outline-secondary btn-sm" id="manageNetworksDone">Close</button>
+                        <button type="button" class="btn btn-kaspa btn-sm" id="customNetworkAdd">
+                            <i class="bi bi-plus-lg me-1"></i>Add Network
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const listContainer = modal.querySelector('#networkListContainer');
+        const idInput = modal.querySelector('#customNetworkId');
+        const nameInput = modal.querySelector('#customNetworkName');
+        const nodesInput = modal.querySelector('#customNetworkNodes');
+        const explorerInput = modal.querySelector('#customNetworkExplorer');
+        const errorEl = modal.querySelector('#customNetworkError');
+        const addBtn = modal.querySelector('#customNetworkAdd');
+
+        const showError = (msg) => {
+            errorEl.textContent = msg;
+            errorEl.classList.remove('d-none');
+        };
+
+        const renderList = () => {
+            let html = '<div class="table-responsive"><table class="table table-sm mb-0">';
+            html += `<thead><tr>
+                <th>Network</th>
+                <th class="d-none d-sm-table-cell">Prefix</th>
+                <th>Node</th>
+                <th></th>
+            </tr></thead><tbody>`;
+            for (const network of networkRegistry.list()) {
+                const node = network.nodeUrls[0]
+                    || (network.useResolver ? 'Public resolver' : networkRegistry.defaultNodeUrl(network.id));
+                const action = network.builtin
+                    ? '<span class="badge bg-secondary">Built-in</span>'
+                    : `<button class="btn btn-outline-danger btn-sm network-remove-btn" data-network="${escapeHtml(network.id)}"><i class="bi bi-trash"></i></button>`;
+                html += `<tr>
+                    <td class="small">${escapeHtml(getNetworkLabel(network.id))}</td>
+                    <td class="d-none d-sm-table-cell small font-monospace">${escapeHtml(network.addressPrefix)}</td>
+                    <td class="small font-monospace text-break">${escapeHtml(node)}</td>
+                    <td class="text-end">${action}</td>
+                </tr>`;
+            }
+            html += '</tbody></table></div>';
+            listContainer.innerHTML = html;
+
+            listContainer.querySelectorAll('.network-remove-btn').forEach(btn => {
+                btn.onclick = () => {
+                    networkRegistry.unregister(btn.dataset.network);
+                    saveCustomNetworks();
+                    log(`[Network] Removed custom network "${btn.dataset.network}".`);
+                    renderList();
+                    onChange?.();
+                };
+            });
+        };
+
+        addBtn.onclick = async () => {
+            errorEl.classList.add('d-none');
+            addBtn.disabled = true;
+            try {
+                const nodeUrls = nodesInput.value.split(',').map(u => u.trim()).filter(Boolean);
+                const network = await networkRegistry.register({
+                    id: idInput.value.trim(),
+                    name: nameInput.value.trim() || undefined,
+                    nodeUrls,
+                    explorerUrl: explorerInput.value.trim() || undefined
+                });
+                saveCustomNetworks();
+                log(`[Network] Added custom network "${network.id}" (${network.nodeUrls[0] || networkRegistry.defaultNodeUrl(network.id)}).`);
+                idInput.value = '';
+                nameInput.value = '';
+                nodesInput.value = '';
+                explorerInput.value = '';
+                renderList();
+                onChange?.();
+            } catch (err) {
+                showError(err?.message || String(err));
+            } finally {
+                addBtn.disabled = false;
+            }
+        };
+
+        const close = () => {
+            modal.remove();
+            resolve();
+        };
+        modal.querySelector('#manageNetworksClose').onclick = close;
+        modal.querySelector('#manageNetworksDone').onclick = close;
+
+        renderList();
+        idInput.focus();
+    });
+}
@@ -0,0 +1,340 @@
+// pskbModal.js - Partially signed transaction bundles: create an unsigned PSKB,
+// sign it, combine copies signed by different people and broadcast it.
+// Bundles move between people as text or .pskb files. Multisig accounts spend
+// through the same bundles: create one here, cosigners sign it in turn.
+
+import { getInstances, ensurePassphrase } from './initWallet.js';
+import { log } from './log.js';
+import { showResultModal, showConfirmModal, escapeHtml } from './resultModal.js';
+import { validateDestination, getCustomFee } from './sendForm.js';
+import { sompiToKaspaString } from '../wasm-wrapper/KaspaClient.js';
+import { validateKaspaAmount } from '../wasm-wrapper/Utilities.js';
+import { MIN_KAS_AMOUNT } from '../wasm-wrapper/Constants.js';
+
+/**
+ * Split pasted text into PSKB blobs (one per line or separated by whitespace).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitBlobs(text) {
+    return String(text ?? '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Save a PSKB as a text file.
+ * @param {string} pskb
+ * @param {string} filename
+ */
+function downloadPskb(pskb, filename) {
+    const url = URL.createObjectURL(new Blob([pskb], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the PSKB modal.
+ * @param {Object} options
+ * @param {Function} options.getAccount - Returns the account to create, sign and broadcast with
+ * @param {Function} options.getFeeTier - Returns the selected fee tier, or undefined for a custom fee
+ */
+export function showPskbModal({ getAccount, getFeeTier }) {
+    const existing = document.getElementById('pskbModal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'pskbModal';
+    modal.className = 'modal d-block';
+    modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 10000;';
+    modal.setAttribute('tabindex', '-1');
+
+    modal.innerHTML = `
+        <div class="modal-dialog modal-dialog-centered modal-dialog-scrollable modal-lg">
+            <div class="modal-content" style="background-color: var(--kaspa-bg-card); border-color: var(--kaspa-border);">
+                <div class="modal-header" style="background-color: rgba(73, 234, 203, 0.1); border-bottom-color: var(--kaspa-border);">
+                    <h5 class="modal-title" style="color: var(--kaspa-primary);">
+                        <i class="bi bi-file-earmark-lock2 me-2"></i>Partially Signed Transactions (PSKB)
+                    </h5>
+                    <button type="button" class="btn-close btn-close-white" id="pskbClose"></button>
+                </div>
+                <div class="modal-body">
+                    <h6 class="small text-muted">1. Create an unsigned bundle</h6>
+                    <div class="row g-2 align-items-end">
+                        <div class="col-12" id="pskbSourceRow">
+                            <label for="pskbSource" class="form-label small">Spend from</label>
+                            <select class="form-select form-select-sm" id="pskbSource"></select>
+                        </div>
+                        <div class="col-12 col-md-7">
+                            <label for="pskbAddress" class="form-label small">Recipient</label>
+                            <input type="text" class="form-control form-control-sm font-monospace" id="pskbAddress" placeholder="kaspatest:...">
+                        </div>
+                        <div class="col-8 col-md-3">
+                            <label for="pskbAmount" class="form-label small">Amount (KAS)</label>
+                            <input type="text" class="form-control form-control-sm" id="pskbAmount" placeholder="0.0">
+                        </div>
+                        <div class="col-4 col-md-2">
+                            <button type="button" class="btn btn-outline-kaspa btn-sm w-100" id="pskbCreateBtn">
+                                <i class="bi bi-plus-lg me-1"></i>Create
+                            </button>
+                        </div>
+                    </div>
+
+                    <h6 class="small text-muted mt-4">2. Bundle</h6>
+                    <label for="pskbInput" class="form-label small">Paste a PSKB, or several signed copies of the same one to combine (one per line)</label>
+                    <textarea class="form-control form-control-sm font-monospace" id="pskbInput" rows="4" spellcheck="false"
+                        placeholder="PSKB7b22..."></textarea>
+                    <div class="d-flex flex-wrap gap-2 align-items-center mt-2">
+                        <input type="file" class="form-control form-control-sm w-auto" id="pskbFile" accept=".pskb,.txt,text/plain" multiple>
+                        <button type="button" class="btn btn-outline-kaspa btn-sm" id="pskbInspectBtn">
+                            <i class="bi bi-search me-1"></i>Inspect
+                        </button>
+                        <button type="button" class="btn btn-outline-kaspa btn-sm" id="pskbCombineBtn">
+                            <i class="bi bi-union me-1"></i>Combine
+                        </button>
+                        <button type="button" class="btn btn-outline-kaspa btn-sm" id="pskbSignBtn">
+                            <i class="bi bi-pen me-1"></i>Sign
+                        </button>
+                        <button type="button" class="btn btn-outline-kaspa btn-sm" id="pskbExportBtn">
+                            <i class="bi bi-download me-1"></i>Export
+                        </button>
+                        <button type="button" class="btn btn-outline-kaspa btn-sm" id="pskbCopyBtn">
+                            <i class="bi bi-clipboard me-1"></i>Copy
+                        </button>
+                    </div>
+                    <div id="pskbStatus" class="small mt-3"></div>
+                    <pre id="pskbPreview" class="small p-2 rounded mt-2 d-none"
+                        style="background-color: var(--kaspa-bg-input); max-height: 30vh; overflow: auto; white-space: pre-wrap;"></pre>
+                </div>
+                <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
+                    <button type="button" class="btn btn-outline-secondary btn-sm" id="pskbCancel">Close</button>
+                    <button type="button" class="btn btn-kaspa btn-sm" id="pskbBroadcastBtn">
+                        <i class="bi bi-broadcast me-1"></i>Broadcast
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const sourceSelect = modal.querySelector('#pskbSource');
+    const addressInput = modal.querySelector('#pskbAddress');
+    const amountInput = modal.querySelector('#pskbAmount');
+    const pskbInput = modal.querySelector('#pskbInput');
+    const fileInput = modal.querySelector('#pskbFile');
+    const status = modal.querySelector('#pskbStatus');
+    const preview = modal.querySelector('#pskbPreview');
+
+    const setStatus = (message, type = 'muted') => {
+        status.innerHTML = message ? `<span class="text-${type}">${escapeHtml(message)}</span>` : '';
+    };
+
+    const showError = (title, err) => {
+        const message = err?.message || String(err);
+        log(`[PSKB] ${title}: ${message}`);
+        setStatus(message, 'danger');
+    };
+
+    const requireWallet = () => {
+        const { wallet } = getInstances();
+        const account = getAccount();
+        if (!wallet || !account) {
+            log('Wallet not initialized');
+            return null;
+        }
+        return { wallet, account };
+    };
+
+    /**
+     * The single blob in the text area; several must be combined first.
+     * @returns {string|null}
+     */
+    const currentBlob = () => {
+        const blobs = splitBlobs(pskbInput.value);
+        if (!blobs.length) {
+            setStatus('No PSKB. Create one, paste one or load a file.', 'warning');
+            return null;
+        }
+        if (blobs.length > 1) {
+            setStatus(`${blobs.length} PSKBs loaded. Combine them first.`, 'warning');
+            return null;
+        }
+        return blobs[0];
+    };
+
+    // The selected account, or one of the wallet's multisig accounts
+    const fillSources = () => {
+        const { wallet } = getInstances();
+        const account = getAccount();
+        const multisigs = wallet && !wallet.isWatchOnly ? wallet.listMultisigAccounts() : [];
+        sourceSelect.innerHTML = `<option value="">${escapeHtml(account?.name || account?.accountId || 'Selected account')}</option>`
+            + multisigs.map(m => `<option value="${escapeHtml(m.accountId)}">${escapeHtml(m.name || m.address)} (${m.minimumSignatures}-of-${m.publicKeys.length} multisig)</option>`).join('');
+        modal.querySelector('#pskbSourceRow').classList.toggle('d-none', !multisigs.length);
+    };
+
+    const setBlob = (pskb, message) => {
+        pskbInput.value = pskb;
+        preview.classList.add('d-none');
+        setStatus(message, 'success');
+    };
+
+    const create = async () => {
+        const ctx = requireWallet();
+        if (!ctx) return;
+
+        const address = addressInput.value.trim();
+        const amount = amountInput.value.trim();
+        const addressError = validateDestination(address);
+        if (addressError) return setStatus(addressError, 'danger');
+        if (!validateKaspaAmount(amount)) return setStatus(`Amount must be a number >= ${MIN_KAS_AMOUNT} KAS`, 'danger');
+
+        try {
+            const result = await ctx.wallet.createUnsigned({
+                outputs: [{ address, amount }],
+                accountId: sourceSelect.value || ctx.account.accountId,
+                priorityFeeKas: getCustomFee(),
+                feeTier: getFeeTier()
+            });
+            log(`[PSKB] Created unsigned bundle: ${result.transactions} transaction(s), fee ${sompiToKaspaString(result.fees)} KAS.`);
+            setBlob(result.pskb, `Unsigned bundle created: ${result.transactions} transaction(s), ${sompiToKaspaString(result.totalAmount)} KAS + ${sompiToKaspaString(result.fees)} KAS fee.`);
+        } catch (err) {
+            showError('Create failed', err);
+        }
+    };
+
+    const inspect = () => {
+        const ctx = requireWallet();
+        const pskb = ctx && currentBlob();
+        if (!pskb) return;
+
+        try {
+            const { transactions, display } = ctx.wallet.inspectPskb(pskb);
+            preview.textContent = display;
+            preview.classList.remove('d-none');
+            setStatus(`${transactions} transaction(s) in bundle.`);
+        } catch (err) {
+            showError('Inspect failed', err);
+        }
+    };
+
+    const combine = () => {
+        const ctx = requireWallet();
+        if (!ctx) return;
+
+        const blobs = splitBlobs(pskbInput.value);
+        if (blobs.length < 2) {
+            return setStatus('Paste or load at least two signed copies to combine.', 'warning');
+        }
+        try {
+            setBlob(ctx.wallet.combine(blobs), `Combined ${blobs.length} PSKBs.`);
+            log(`[PSKB] Combined ${blobs.length} bundles.`);
+        } catch (err) {
+            showError('Combine failed', err);
+        }
+    };
+
+    const sign = async () => {
+        const ctx = requireWallet();
+        const pskb = ctx && currentBlob();
+        if (!pskb) return;
+        if (!(await ensurePassphrase())) return;
+
+        try {
+            const signed = await ctx.wallet.signPskb(pskb, { accountId: ctx.account.accountId });
+            setBlob(signed, `Signed with ${ctx.account.name || ctx.account.accountId}.`);
+            log('[PSKB] Signed bundle.');
+        } catch (err) {
+            showError('Sign failed', err);
+        }
+    };
+
+    const broadcast = async () => {
+        const ctx = requireWallet();
+        const pskb = ctx && currentBlob();
+        if (!pskb) return;
+
+        let transactions;
+        try {
+            ({ transactions } = ctx.wallet.inspectPskb(pskb));
+        } catch (err) {
+            return showError('Broadcast failed', err);
+        }
+
+        const confirmed = await showConfirmModal('Broadcast PSKB', [
+            { label: 'Transactions', value: transactions },
+            { label: 'Account', value: ctx.account.name || ctx.account.accountId }
+        ], {
+            confirmLabel: 'Broadcast',
+            note: 'Every input must be signed. Transactions cannot be reversed. Use Inspect to review the outputs.'
+        });
+        if (!confirmed) {
+            log('[PSKB] Broadcast cancelled.');
+            return;
+        }
+
+        try {
+            const result = await ctx.wallet.broadcastPskb(pskb, { accountId: ctx.account.accountId });
+            log(`[PSKB] Broadcast ${result.transactions.length} transaction(s).`);
+
+            let content = `✅ PSKB Broadcast\n`;
+            content += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+            content += `Transactions:\n`;
+            for (const tx of result.transactions) {
+                content += `${tx.index + 1}. ${tx.id}${tx.final ? '' : ' (compound)'}\n`;
+            }
+            modal.remove();
+            showResultModal('PSKB Broadcast', content, { type: 'success', size: 'lg' });
+        } catch (err) {
+            showError('Broadcast failed', err);
+            showResultModal('PSKB Broadcast Error', err?.message || err, { type: 'error' });
+        }
+    };
+
+    const exportBlob = () => {
+        const pskb = currentBlob();
+        if (!pskb) return;
+        downloadPskb(pskb, `transaction-${new Date().toISOString().replace(/[:.]/g, '-')}.pskb`);
+        setStatus('Bundle exported.');
+    };
+
+    const copyBlob = async () => {
+        const pskb = currentBlob();
+        if (!pskb) return;
+        try {
+            await navigator.clipboard.writeText(pskb);
+            setStatus('Bundle copied to the clipboard.');
+        } catch (err) {
+            showError('Copy failed', err);
+        }
+    };
+
+    // Loaded files are appended to the bundles already in the field, ready to combine
+    fileInput.onchange = async () => {
+        const files = Array.from(fileInput.files || []);
+        if (!files.length) return;
+        const texts = await Promise.all(files.map(f => f.text()));
+        pskbInput.value = [pskbInput.value, ...texts].map(t => t.trim()).filter(Boolean).join('\n');
+        preview.classList.add('d-none');
+        setStatus(`Loaded ${files.length} file(s).`);
+        fileInput.value = '';
+    };
+
+    modal.querySelector('#pskbCreateBtn').onclick = create;
+    modal.querySelector('#pskbInspectBtn').onclick = inspect;
+    modal.querySelector('#pskbCombineBtn').onclick = combine;
+    modal.querySelector('#pskbSignBtn').onclick = sign;
+    modal.querySelector('#pskbExportBtn').onclick = exportBlob;
+    modal.querySelector('#pskbCopyBtn').onclick = copyBlob;
+    modal.querySelector('#pskbBroadcastBtn').onclick = broadcast;
+
+    const close = () => modal.remove();
+    modal.querySelector('#pskbClose').onclick = close;
+    modal.querySelector('#pskbCancel').onclick = close;
+
+    fillSources();
+    addressInput.focus();
+}
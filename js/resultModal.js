@@ -289,11 +289,86 @@ export function showTransactionModal(title, txData) {
     };
 }
 
+/**
+ * Show a confirmation modal listing label/value rows.
+ * @param {string} title - Modal title
+ * @param {Array<{ label: string, value: string, mono?: boolean }>} rows - Details to confirm
+ * @param {object} [options] - Optional settings
+ * @param {string} [options.confirmLabel='Confirm'] - Confirm button text
+ * @param {string} [options.note] - Warning shown under the details
+ * @returns {Promise<boolean>} Resolves true if confirmed, false if cancelled
+ */
+export function showConfirmModal(title, rows, options = {}) {
+    const { confirmLabel = 'Confirm', note } = options;
+
+    return new Promise((resolve) => {
+        const existingModal = document.getElementById('confirmModal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'confirmModal';
+        modal.className = 'modal d-block';
+        modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 10000;';
+        modal.setAttribute('tabindex', '-1');
+
+        const rowsHtml = rows.map(({ label, value, mono }) => `
+            <tr>
+                <th class="small text-muted fw-normal text-nowrap pe-3">${escapeHtml(label)}</th>
+                <td class="small ${mono ? 'font-monospace text-break' : ''}">${escapeHtml(String(value))}</td>
+            </tr>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered">
+                <div class="modal-content" style="background-color: var(--kaspa-bg-card); border-color: var(--kaspa-border);">
+                    <div class="modal-header" style="background-color: rgba(251, 191, 36, 0.1); border-bottom-color: var(--kaspa-border);">
+                        <h5 class="modal-title" style="color: #fbbf24;">
+                            <i class="bi bi-shield-check me-2"></i>${escapeHtml(title)}
+                        </h5>
+                        <button type="button" class="btn-close btn-close-white" id="confirmModalClose"></button>
+                    </div>
+                    <div class="modal-body">
+                        <table class="table table-sm mb-0"><tbody>${rowsHtml}</tbody></table>
+                        ${note ? `<div class="alert alert-warning small py-2 mt-3 mb-0">${escapeHtml(note)}</div>` : ''}
+                    </div>
+                    <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
+                        <button type="button" class="btn btn-outline-secondary btn-sm" id="confirmModalCancel">Cancel</button>
+                        <button type="button" class="btn btn-kaspa btn-sm" id="confirmModalOk">
+                            <i class="bi bi-check-lg me-1"></i>${escapeHtml(confirmLabel)}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') close(false);
+        };
+        const close = (confirmed) => {
+            document.removeEventListener('keydown', handleEscape);
+            modal.remove();
+            resolve(confirmed);
+        };
+
+        document.getElementById('confirmModalClose').onclick = () => close(false);
+        document.getElementById('confirmModalCancel').onclick = () => close(false);
+        document.getElementById('confirmModalOk').onclick = () => close(true);
+        document.addEventListener('keydown', handleEscape);
+        document.getElementById('confirmModalOk').focus();
+    });
+}
+
 // Helper functions
 
-function escapeHtml(str) {
-    if (typeof str !== 'string') return str;
-    return str
+/**
+ * Escape text for use in HTML content and attribute values.
+ * @param {any} str - Converted to a string; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+    return String(str ?? '')
         .replace(/&/g, '&amp;')
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;')
@@ -0,0 +1,398 @@
+// sendForm.js - UI controller for the Send Transaction form
+// Validates the destination and amount as the user types, fills in the maximum
+// sendable amount (sent with Wallet.sweep) and asks for confirmation before sending
+
+import { getInstances, ensurePassphrase } from './initWallet.js';
+import { networkRegistry } from './networks.js';
+import { log } from './log.js';
+import { showResultModal, showConfirmModal } from './resultModal.js';
+import { getUtxoSelection, describeUtxoSelection, resetCoinControl } from './coinControl.js';
+import { kaspaToSompi, sompiToKaspaString } from '../wasm-wrapper/KaspaClient.js';
+import { stringToHex, validateKaspaAmount, validatePriorityFee } from '../wasm-wrapper/Utilities.js';
+
+let getAccount = () => null;
+let getFeeTier = () => undefined;
+
+// Set by the Max button: the send empties the account with Wallet.sweep so the
+// fee comes out of the amount. Editing the amount turns it off again.
+let sweepMode = false;
+
+/**
+ * Get DOM elements for the send form.
+ */
+function getElements() {
+    return {
+        destination: document.getElementById('destinationInput'),
+        destinationFeedback: document.getElementById('destinationFeedback'),
+        selfBtn: document.getElementById('destinationSelfBtn'),
+        amount: document.getElementById('amountInput'),
+        amountFeedback: document.getElementById('amountFeedback'),
+        maxBtn: document.getElementById('amountMaxBtn'),
+        customFee: document.getElementById('customFeeInput'),
+        payload: document.getElementById('payloadInput'),
+        sendBtn: document.getElementById('sendBtn')
+    };
+}
+
+/**
+ * Mark an input as valid/invalid and show the feedback message.
+ * @param {HTMLInputElement} input
+ * @param {HTMLElement} feedback
+ * @param {string|null} error - Error message, or null when valid
+ * @param {boolean} [showValid=true] - Add the valid style when there is no error
+ */
+function setFieldState(input, feedback, error, showValid = true) {
+    if (!input) return;
+    input.classList.toggle('is-invalid', !!error);
+    input.classList.toggle('is-valid', !error && showValid);
+    if (feedback) feedback.textContent = error || '';
+}
+
+/**
+ * Check a destination address for the connected network.
+ * @param {string} address
+ * @returns {string|null} Error message, or null if the address can be sent to
+ */
+export function validateDestination(address) {
+    const { client } = getInstances();
+    if (!address) return 'Destination address is required';
+    if (!client?.networkId) return 'Not connected to a network';
+
+    const separator = address.indexOf(':');
+    if (separator <= 0) {
+        return 'Address must start with its network prefix (e.g. kaspa: or kaspatest:)';
+    }
+
+    const prefix = address.slice(0, separator);
+    const expected = networkRegistry.get(client.networkId)?.addressPrefix;
+    if (expected && prefix !== expected) {
+        return `This is a ${prefix}: address, but ${client.networkId} uses ${expected}:`;
+    }
+
+    if (!client.isValidAddress(address)) {
+        return 'Invalid Kaspa address';
+    }
+    return null;
+}
+
+/**
+ * Check the amount field.
+ * @param {string} amount
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAmount(amount) {
+    if (!amount) return 'Amount is required';
+    if (!validateKaspaAmount(amount)) return 'Amount is below the minimum';
+    return null;
+}
+
+/**
+ * Read the custom fee field, unless a fee tier is selected.
+ * @returns {string|undefined}
+ */
+export function getCustomFee() {
+    const { customFee } = getElements();
+    const value = customFee ? customFee.value.trim() : '';
+    return !getFeeTier() && value ? value : undefined;
+}
+
+/**
+ * Read the payload field as hex (the encoding Wallet.send uses).
+ * @returns {{ text: string|undefined, hex: string|undefined }}
+ */
+function getPayload() {
+    const { payload } = getElements();
+    const text = payload ? payload.value.trim() : '';
+    return text ? { text, hex: stringToHex(text) } : { text: undefined, hex: undefined };
+}
+
+/**
+ * Validate the destination field and show the result.
+ * @param {boolean} [showEmpty=false] - Flag an empty field (on submit) instead of leaving it neutral
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDestinationField(showEmpty = false) {
+    const { destination, destinationFeedback } = getElements();
+    const value = destination.value.trim();
+    const error = validateDestination(value);
+    if (value || showEmpty) {
+        setFieldState(destination, destinationFeedback, error);
+    } else {
+        setFieldState(destination, destinationFeedback, null, false);
+    }
+    return error;
+}
+
+/**
+ * Validate the amount field and show the result.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAmountField() {
+    const { amount, amountFeedback } = getElements();
+    const error = validateAmount(amount.value.trim());
+    setFieldState(amount, amountFeedback, error, false);
+    return error;
+}
+
+/**
+ * Fill the amount field with the whole balance minus fees and switch the form
+ * to sweep mode.
+ */
+async function fillMaxAmount() {
+    const { wallet } = getInstances();
+    const account = getAccount();
+    const { destination, amount, maxBtn } = getElements();
+
+    if (!wallet || !account) {
+        return log('Wallet not initialized');
+    }
+
+    const toAddress = destination.value.trim() && !validateDestination(destination.value.trim())
+        ? destination.value.trim()
+        : account.receiveAddress;
+
+    maxBtn.disabled = true;
+    try {
+        const estimate = await wallet.estimateSweep({
+            toAddress,
+            accountId: account.accountId,
+            priorityFeeKas: getCustomFee(),
+            feeTier: getFeeTier()
+        });
+        amount.value = estimate.amountKas;
+        sweepMode = true;
+        validateAmountField();
+        log(`[Send] Max amount: ${estimate.amountKas} KAS (fee ${estimate.feesKas} KAS)`);
+    } catch (err) {
+        log('Max amount error: ' + (err?.message || err));
+        showResultModal('Max Amount Error', err?.message || err, { type: 'error' });
+    } finally {
+        maxBtn.disabled = false;
+    }
+}
+
+/**
+ * Confirm and send the whole balance with Wallet.sweep.
+ * @param {Object} account
+ * @param {string} toAddress
+ */
+async function submitSweep(account, toAddress) {
+    const { wallet } = getInstances();
+    const customFee = getCustomFee();
+    const feeTier = getFeeTier();
+
+    const estimate = await wallet.estimateSweep({
+        toAddress,
+        accountId: account.accountId,
+        priorityFeeKas: customFee,
+        feeTier
+    });
+
+    const rows = [
+        { label: 'To', value: toAddress, mono: true },
+        { label: 'Balance', value: `${sompiToKaspaString(estimate.balance)} KAS` },
+        { label: 'Fee', value: `${estimate.feesKas} KAS (deducted from the amount)` },
+        { label: 'Recipient gets', value: `~${estimate.amountKas} KAS` },
+        { label: 'Transactions', value: estimate.transactions }
+    ];
+    if (feeTier) {
+        rows.splice(3, 0, { label: 'Fee priority', value: `${feeTier} (${estimate.feerate.toFixed(2)} sompi/gram)` });
+    }
+
+    const confirmed = await showConfirmModal('Confirm Sweep', rows, {
+        confirmLabel: 'Send All',
+        note: 'This empties the account. Transactions cannot be reversed. Check the destination address.'
+    });
+    if (!confirmed) {
+        log('[Send] Cancelled.');
+        return;
+    }
+    if (!(await ensurePassphrase())) {
+        return;
+    }
+
+    const result = await wallet.sweep({
+        toAddress,
+        accountId: account.accountId,
+        priorityFeeKas: customFee,
+        feeTier
+    });
+    log(`[Send] Swept ${sompiToKaspaString(result.balance)} KAS in ${result.transactions.length} transaction(s).`);
+
+    let content = `✅ Balance Sent\n`;
+    content += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+    content += `To: ${toAddress}\n`;
+    if (result.amount != null) {
+        content += `Amount: ${sompiToKaspaString(result.amount)} KAS\n`;
+    }
+    if (result.fees != null) {
+        content += `Fee: ${sompiToKaspaString(result.fees)} KAS\n`;
+    }
+    content += `\nTransactions:\n`;
+    for (const tx of result.transactions) {
+        content += `${tx.index + 1}. ${tx.id}${tx.final ? '' : ' (compound)'}\n`;
+    }
+    sweepMode = false;
+    showResultModal('Balance Sent', content, { type: 'success' });
+}
+
+/**
+ * Validate the form, show the confirmation step and send.
+ */
+async function submitSend() {
+    const { wallet } = getInstances();
+    const account = getAccount();
+    const { destination, amount, sendBtn } = getElements();
+
+    if (!wallet) {
+        return log('Wallet not initialized');
+    }
+    if (!account) {
+        return log('No account available');
+    }
+
+    const destinationError = validateDestinationField(true);
+    const amountError = sweepMode ? null : validateAmountField();
+    if (destinationError || amountError) {
+        return;
+    }
+
+    const toAddress = destination.value.trim();
+    const amountKas = amount.value.trim();
+    const customFee = getCustomFee();
+    const feeTier = getFeeTier();
+    const payload = getPayload();
+
+    if (customFee && !validatePriorityFee(customFee)) {
+        return showResultModal('Send Error', 'Invalid custom fee', { type: 'error' });
+    }
+
+    const utxos = getUtxoSelection();
+
+    sendBtn.disabled = true;
+    try {
+        if (sweepMode) {
+            // A sweep spends every UTXO, so a selection would be ignored
+            if (utxos) {
+                return showResultModal('Send Error', 'Max sends the whole balance. Turn off coin control or enter an amount.', { type: 'error' });
+            }
+            // Wallet.sweep takes no payload; sending without it would silently drop the text
+            if (payload.text) {
+                return showResultModal('Send Error', 'Max sends the whole balance without a payload. Clear the payload or enter an amount.', { type: 'error' });
+            }
+            return await submitSweep(account, toAddress);
+        }
+
+        const estimate = await wallet.estimateTransactionFee({
+            amount: amountKas,
+            toAddress,
+            accountId: account.accountId,
+            payload: payload.text,
+            priorityFeeKas: customFee,
+            feeTier,
+            utxos
+        });
+
+        const rows = [
+            { label: 'To', value: toAddress, mono: true },
+            { label: 'Amount', value: `${amountKas} KAS` },
+            { label: 'Fee', value: `${estimate.feesKas} KAS (priority ${sompiToKaspaString(estimate.priorityFee)} KAS)` },
+            { label: 'Total', value: `${sompiToKaspaString(kaspaToSompi(amountKas) + estimate.fees)} KAS` },
+            { label: 'Mass', value: `${estimate.mass} grams` },
+            { label: 'Change', value: estimate.change != null ? `${sompiToKaspaString(estimate.change)} KAS` : 'n/a (multiple transactions)' },
+            { label: 'Payload', value: payload.text ? `${payload.text} (${payload.hex.length / 2} bytes)` : 'none' }
+        ];
+        if (feeTier) {
+            rows.splice(3, 0, { label: 'Fee priority', value: `${feeTier} (${estimate.feerate.toFixed(2)} sompi/gram)` });
+        }
+        if (utxos) {
+            rows.push({ label: 'Inputs', value: `${describeUtxoSelection()} (${estimate.inputs} spent)` });
+        }
+
+        const confirmed = await showConfirmModal('Confirm Transaction', rows, {
+            confirmLabel: 'Send',
+            note: 'Transactions cannot be reversed. Check the destination address.'
+        });
+        if (!confirmed) {
+            log('[Send] Cancelled.');
+            return;
+        }
+        if (!(await ensurePassphrase())) {
+            return;
+        }
+
+        const sendResult = await wallet.send({
+            amount: amountKas,
+            toAddress,
+            accountId: account.accountId,
+            payload: payload.text,
+            priorityFeeKas: customFee,
+            feeTier,
+            utxos
+        });
+        if (utxos) resetCoinControl();
+        log('sendResult: ' + JSON.stringify(sendResult, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value));
+
+        let content = `✅ Transaction Sent Successfully\n`;
+        content += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        content += `To: ${toAddress}\n`;
+        content += `Amount: ${amountKas} KAS\n`;
+        if (payload.text) {
+            content += `Payload: ${payload.text}\n`;
+        }
+        if (sendResult?.id || sendResult?.transactionId) {
+            content += `\nTx ID: ${sendResult.id || sendResult.transactionId}\n`;
+        } else if (sendResult?.transactionIds?.length) {
+            content += `\nTx ID: ${sendResult.transactionIds.join('\n       ')}\n`;
+        }
+        showResultModal('Transaction Sent', content, { type: 'success' });
+    } catch (err) {
+        log('Send error: ' + (err?.message || err));
+        showResultModal('Send Error', err?.message || err, { type: 'error' });
+    } finally {
+        sendBtn.disabled = false;
+    }
+}
+
+/**
+ * Initialize the send form.
+ * @param {Object} options
+ * @param {Function} options.getAccount - Returns the account to send from
+ * @param {Function} options.getFeeTier - Returns the selected fee tier, or undefined for a custom fee
+ */
+export function initSendForm(options) {
+    getAccount = options.getAccount;
+    getFeeTier = options.getFeeTier;
+
+    const { destination, selfBtn, amount, maxBtn, sendBtn } = getElements();
+
+    destination?.addEventListener('input', () => validateDestinationField());
+    amount?.addEventListener('input', () => {
+        sweepMode = false;
+        validateAmountField();
+    });
+
+    if (selfBtn) {
+        selfBtn.onclick = () => {
+            const account = getAccount();
+            if (!account) return log('No account available');
+            destination.value = account.receiveAddress;
+            validateDestinationField();
+        };
+    }
+    if (maxBtn) {
+        maxBtn.onclick = fillMaxAmount;
+    }
+    if (sendBtn) {
+        sendBtn.onclick = submitSend;
+    }
+}
+
+/**
+ * Re-validate the destination (e.g. after a network switch changes the expected prefix).
+ */
+export function revalidateSendForm() {
+    const { destination } = getElements();
+    if (destination) validateDestinationField();
+}
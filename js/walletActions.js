@@ -2,86 +2,29 @@
 // Uses instance-based wasm-wrapper architecture
 
 import { log } from './log.js';
-import { getInstances, getCurrentWalletFilename } from './initWallet.js';
-import { updateReceiveAddress } from './ui.js';
+import { getInstances, getCurrentWalletFilename, ensurePassphrase } from './initWallet.js';
+import { updateAccountReceiveAddress, setAccounts, selectAccount, getAccounts } from './accounts.js';
 import { sompiToKaspaString } from '../wasm-wrapper/KaspaClient.js';
 import { hasMnemonicStored } from './walletStorage.js';
-import { showRetrieveMnemonicDialog } from './walletManager.js';
-import { showResultModal, showAddressListModal, showTransactionModal } from './resultModal.js';
+import { showRetrieveMnemonicDialog, showPrivateKeyPrompt } from './walletManager.js';
+import { showResultModal, showConfirmModal, showAddressListModal, showTransactionModal } from './resultModal.js';
 
 /**
- * Send KAS to self (for testing).
- * @param {Object} firstAccount - First account object
- * @param {string} amountKas - Amount in KAS to send
- * @param {string} [payload=''] - Optional payload (UTF-8 string)
- * @param {string} [customFeeKas] - Optional custom fee in KAS
+ * List all transactions for the selected account.
+ * @param {Object} account - Selected account
  */
-export async function sendKaspaToSelf(firstAccount, amountKas, payload = '', customFeeKas) {
+export async function listTransactions(account) {
     const { wallet } = getInstances();
     
     if (!wallet) {
         return log('Wallet not initialized');
     }
-    if (!firstAccount) {
-        return log('No account available');
-    }
-
-    // Frontend should pass plain text; Wallet.js handles all encoding.
-    let safePayload = undefined;
-    if (typeof payload === 'string') {
-        const trimmed = payload.trim();
-        if (trimmed.length > 0) {
-            safePayload = trimmed;
-        }
-    }
-
-    try {
-        const fee = (typeof customFeeKas === 'string' && customFeeKas.trim().length > 0)
-            ? customFeeKas.trim()
-            : undefined;
-
-        const sendResult = await wallet.send({
-            amount: amountKas || '1.567',
-            toAddress: firstAccount.changeAddress,
-            payload: safePayload,
-            priorityFeeKas: fee
-        });
-        log('sendResult: ' + JSON.stringify(sendResult, (key, value) =>
-            typeof value === 'bigint' ? value.toString() : value));
-        
-        // Show success modal
-        let content = `✅ Transaction Sent Successfully\n`;
-        content += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
-        content += `Amount: ${amountKas || '1.567'} KAS\n`;
-        if (payload) {
-            content += `Payload: ${payload}\n`;
-        }
-        if (sendResult?.id || sendResult?.transactionId) {
-            content += `\nTx ID: ${sendResult.id || sendResult.transactionId}\n`;
-        }
-        showResultModal('Transaction Sent', content, { type: 'success' });
-    } catch (err) {
-        log('Send error: ' + (err?.message || err));
-        showResultModal('Send Error', err?.message || err, { type: 'error' });
-    }
-}
-
-/**
- * List all transactions for the first account.
- * @param {Object} firstAccount - First account object
- */
-export async function listTransactions(firstAccount) {
-    const { wallet } = getInstances();
-    
-    if (!wallet) {
-        return log('Wallet not initialized');
-    }
-    if (!firstAccount) {
+    if (!account) {
         return log('No account available');
     }
 
     try {
-        const txs = await wallet.listTransactions(firstAccount.accountId);
+        const txs = await wallet.listTransactions(account.accountId);
         log('\n\nTransactions\n------------');
         txs.transactions.forEach(tx => {
             log(JSON.stringify(tx, (key, value) =>
@@ -117,23 +60,29 @@ export async function listTransactions(firstAccount) {
 
 /**
  * Transfer KAS to self (for testing).
- * @param {Object} firstAccount - First account object
+ * @param {Object} account - Selected account
+ * @param {string} [feeTier] - Optional fee tier ('low', 'normal', 'high')
  */
-export async function transferKaspaSelf(firstAccount) {
+export async function transferKaspaSelf(account, feeTier) {
     const { wallet } = getInstances();
     
     if (!wallet) {
         return log('Wallet not initialized');
     }
-    if (!firstAccount) {
+    if (!account) {
         return log('No account available');
     }
 
+    if (!(await ensurePassphrase())) {
+        return;
+    }
+
     try {
         const transferResult = await wallet.transfer({
             amount: '2.456',
-            fromAccountId: firstAccount.accountId,
-            toAccountId: firstAccount.accountId
+            fromAccountId: account.accountId,
+            toAccountId: account.accountId,
+            feeTier
         });
         log('transferResult: ' + JSON.stringify(transferResult, (key, value) =>
             typeof value === 'bigint' ? value.toString() : value));
@@ -150,22 +99,163 @@ export async function transferKaspaSelf(firstAccount) {
 }
 
 /**
- * Create a new receive address for the first account and update the UI.
- * @param {Object} firstAccount - First account object
+ * Sweep the funds of an external private key into the selected account.
+ * @param {Object} account - Selected account (receives the funds)
+ * @param {string|{ feerate: number }} [feeTier] - Selected fee tier
+ */
+export async function sweepPrivateKey(account, feeTier) {
+    const { wallet } = getInstances();
+
+    if (!wallet) {
+        return log('Wallet not initialized');
+    }
+    if (!account) {
+        return log('No account available');
+    }
+
+    const key = await showPrivateKeyPrompt({
+        title: 'Sweep Private Key',
+        message: 'Private key to sweep into this account (64 hex characters):',
+        networkId: wallet.networkId,
+        confirmButtonText: 'Check balance'
+    });
+    if (!key) return;
+
+    const params = { accountId: account.accountId, feeTier };
+    try {
+        const estimate = await wallet.estimateSweepPrivateKey(key.privateKey, params);
+        const rows = [
+            { label: 'From', value: estimate.fromAddress, mono: true },
+            { label: 'To', value: estimate.toAddress, mono: true },
+            { label: 'Balance', value: `${sompiToKaspaString(estimate.balance)} KAS` },
+            { label: 'Fee', value: `${estimate.feesKas} KAS (deducted from the amount)` },
+            { label: 'You receive', value: `~${estimate.amountKas} KAS` },
+            { label: 'Transactions', value: estimate.transactions }
+        ];
+        if (estimate.immatureBalance > 0n) {
+            rows.push({ label: 'Left on the key', value: `${sompiToKaspaString(estimate.immatureBalance)} KAS (not yet mature)` });
+        }
+
+        const confirmed = await showConfirmModal('Sweep Private Key', rows, {
+            confirmLabel: 'Sweep all funds',
+            note: 'The whole mature balance of the key is sent to this account, less network fees. The key itself is not stored.'
+        });
+        if (!confirmed) {
+            log('Sweep key cancelled.');
+            return;
+        }
+
+        const result = await wallet.sweepPrivateKey(key.privateKey, params);
+        log(`Swept ${sompiToKaspaString(result.amount)} KAS from ${result.fromAddress} in ${result.transactions.length} transaction(s).`);
+
+        let content = `✅ Private Key Swept\n`;
+        content += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        content += `From: ${result.fromAddress}\n`;
+        content += `Balance: ${sompiToKaspaString(result.balance)} KAS\n`;
+        content += `Recovered: ${sompiToKaspaString(result.amount)} KAS\n`;
+        content += `Fees: ${sompiToKaspaString(result.fees)} KAS\n`;
+        if (result.immatureBalance > 0n) {
+            content += `Left on the key (immature): ${sompiToKaspaString(result.immatureBalance)} KAS\n`;
+        }
+        content += `\nTransactions:\n`;
+        for (const tx of result.transactions) {
+            content += `${tx.index + 1}. ${tx.id}\n`;
+        }
+        showResultModal('Sweep Complete', content, { type: 'success', size: 'lg' });
+    } catch (err) {
+        log('Sweep key error: ' + (err?.message || err));
+        showResultModal('Sweep Key Error', err?.message || err, { type: 'error' });
+    }
+}
+
+/**
+ * Compound the selected account's UTXOs into its change address. The dry run's
+ * projected fee is shown before anything is signed.
+ * @param {Object} account - Selected account
+ * @param {string|{ feerate: number }} [feeTier] - Selected fee tier
+ * @param {string} [priorityFeeKas] - Custom priority fee per transaction group, when no tier is selected
  */
-export async function createNewAddress(firstAccount) {
+export async function consolidateUtxos(account, feeTier, priorityFeeKas) {
     const { wallet } = getInstances();
 
     if (!wallet) {
         return log('Wallet not initialized');
     }
-    if (!firstAccount) {
+    if (!account) {
         return log('No account available');
     }
 
+    const maxRaw = prompt('Maximum inputs per transaction (leave empty for as few transactions as possible):', '');
+    if (maxRaw === null) return;
+    const maxInputsPerTx = maxRaw.trim() ? Number(maxRaw.trim()) : undefined;
+    const params = { accountId: account.accountId, maxInputsPerTx, feeTier, priorityFeeKas };
+
     try {
-        const address = await wallet.createNewAddress({ accountId: firstAccount.accountId });
-        updateReceiveAddress(address);
+        const plan = await wallet.consolidate({ ...params, dryRun: true });
+        if (!plan.inputs) {
+            showResultModal('Consolidate UTXOs', `Nothing to consolidate: ${plan.utxosBefore} UTXO(s), fewer than two mature ones per group.`, { type: 'info' });
+            return;
+        }
+
+        const confirmed = await showConfirmModal('Consolidate UTXOs', [
+            { label: 'UTXOs', value: `${plan.utxosBefore} → ${plan.utxosAfter}` },
+            { label: 'Inputs merged', value: plan.inputs },
+            { label: 'Transactions', value: plan.transactions },
+            { label: 'Projected fee', value: `${plan.feesKas} KAS` },
+            { label: 'Consolidated', value: `${sompiToKaspaString(plan.amount)} KAS` },
+            { label: 'To', value: account.changeAddress, mono: true }
+        ], {
+            confirmLabel: 'Consolidate',
+            note: 'The UTXOs are sent to this account\'s change address. The fee is deducted from the consolidated amount.'
+        });
+        if (!confirmed) {
+            log('Consolidation cancelled.');
+            return;
+        }
+        if (!(await ensurePassphrase())) {
+            return;
+        }
+
+        const result = await wallet.consolidate({
+            ...params,
+            onProgress: ({ index, total, transactionId, inputs }) => {
+                log(`[Consolidate] ${index + 1}/${total}: ${inputs} input(s) in ${transactionId}`);
+            }
+        });
+        log(`Consolidated ${result.inputs} UTXOs in ${result.transactionIds.length} transaction(s).`);
+
+        let content = `✅ UTXOs Consolidated\n`;
+        content += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+        content += `UTXOs: ${result.utxosBefore} → ${result.utxosAfter}\n`;
+        content += `Fees: ${result.feesKas} KAS\n\n`;
+        content += `Transactions:\n`;
+        result.transactionIds.forEach((id, i) => {
+            content += `${i + 1}. ${id}\n`;
+        });
+        showResultModal('Consolidation Complete', content, { type: 'success', size: 'lg' });
+    } catch (err) {
+        log('Consolidate error: ' + (err?.message || err));
+        showResultModal('Consolidate Error', err?.message || err, { type: 'error' });
+    }
+}
+
+/**
+ * Create a new receive address for the selected account and update the UI.
+ * @param {Object} account - Selected account
+ */
+export async function createNewAddress(account) {
+    const { wallet } = getInstances();
+
+    if (!wallet) {
+        return log('Wallet not initialized');
+    }
+    if (!account) {
+        return log('No account available');
+    }
+
+    try {
+        const address = await wallet.createNewAddress({ accountId: account.accountId });
+        updateAccountReceiveAddress(account.accountId, address);
         log(`New receive address: ${address}`);
         showResultModal('New Address Created', address, { type: 'success' });
     } catch (err) {
@@ -174,6 +264,100 @@ export async function createNewAddress(firstAccount) {
     }
 }
 
+/**
+ * Ask for a name, create a new BIP32 account and switch to it.
+ */
+export async function createAccount() {
+    const { wallet } = getInstances();
+
+    if (!wallet) {
+        return log('Wallet not initialized');
+    }
+
+    const name = prompt('Name for the new account (optional):', `Account ${getAccounts().length + 1}`);
+    if (name === null) return;
+    // Deriving a BIP32 account decrypts the mnemonic key data
+    if (!(await ensurePassphrase())) return;
+
+    try {
+        const account = await wallet.createAccount({ name: name.trim() || undefined });
+        setAccounts((await wallet.listAccounts()).accountDescriptors);
+        selectAccount(account.accountId);
+        log(`New account ${account.name || account.accountId} (index ${account.index ?? '?'}): ${account.receiveAddress}`);
+    } catch (err) {
+        log('Create account error: ' + (err?.message || err));
+        showResultModal('Account Error', err?.message || err, { type: 'error' });
+    }
+}
+
+/**
+ * Import a raw private key (paper wallet, key from another tool) into the open
+ * wallet as a keypair account, after showing the address it controls.
+ */
+export async function importKeyAccount() {
+    const { wallet } = getInstances();
+
+    if (!wallet) {
+        return log('Wallet not initialized');
+    }
+
+    const key = await showPrivateKeyPrompt({
+        title: 'Import Private Key',
+        message: 'Private key to import as an account (64 hex characters):',
+        networkId: wallet.networkId
+    });
+    if (!key) return;
+
+    const confirmed = await showConfirmModal('Import Private Key', [
+        { label: 'Address', value: key.address, mono: true },
+        { label: 'Network', value: wallet.networkId }
+    ], {
+        confirmLabel: 'Import as account',
+        note: 'The key is stored encrypted in this wallet. Anyone with the key can spend from this address.'
+    });
+    if (!confirmed) {
+        log('Import key cancelled.');
+        return;
+    }
+
+    try {
+        const account = await wallet.addPrivateKeyAccount({ privateKey: key.privateKey });
+        setAccounts((await wallet.listAccounts()).accountDescriptors);
+        selectAccount(account.accountId);
+        log(`Imported keypair account ${account.name || account.accountId}: ${account.receiveAddress}`);
+    } catch (err) {
+        log('Import key error: ' + (err?.message || err));
+        showResultModal('Import Key Error', err?.message || err, { type: 'error' });
+    }
+}
+
+/**
+ * Ask for a new name for an account.
+ * @param {Object} account - Selected account
+ */
+export async function renameAccount(account) {
+    const { wallet } = getInstances();
+
+    if (!wallet) {
+        return log('Wallet not initialized');
+    }
+    if (!account) {
+        return log('No account available');
+    }
+
+    const name = prompt('New account name:', account.name || '');
+    if (name === null) return;
+
+    try {
+        await wallet.renameAccount(account.accountId, name.trim());
+        setAccounts((await wallet.listAccounts()).accountDescriptors);
+        log(`Renamed account to "${name.trim()}"`);
+    } catch (err) {
+        log('Rename account error: ' + (err?.message || err));
+        showResultModal('Account Error', err?.message || err, { type: 'error' });
+    }
+}
+
 /**
  * Show the wallet's mnemonic phrase.
  * WARNING: This exposes sensitive data.
@@ -268,22 +452,22 @@ export async function listAllAddresses() {
 
 /**
  * Get a transaction by direction and index.
- * @param {Object} firstAccount - First account object
+ * @param {Object} account - Selected account
  * @param {string} direction - 'incoming' or 'outgoing'
  * @param {number} [index=0] - Transaction index
  */
-export async function getTransactionByIndex(firstAccount, direction, index = 0) {
+export async function getTransactionByIndex(account, direction, index = 0) {
     const { wallet } = getInstances();
     
     if (!wallet) {
         return log('Wallet not initialized');
     }
-    if (!firstAccount) {
+    if (!account) {
         return log('No account available');
     }
 
     try {
-        const txs = await wallet.listTransactions(firstAccount.accountId);
+        const txs = await wallet.listTransactions(account.accountId);
         const filtered = (txs.transactions || []).filter(tx => {
             const txType = tx?.data?.type;
             const isIncoming = typeof txType === 'string' && txType.toLowerCase().includes('incoming');
@@ -384,16 +568,16 @@ export async function getUtxosForAddresses(addressesInput, scriptPubKeyInput) {
 
 /**
  * Get payload from a transaction by ID.
- * @param {Object} firstAccount - First account object
+ * @param {Object} account - Selected account
  * @param {string} txId - Transaction ID
  */
-export async function getPayloadByTxId(firstAccount, txId) {
+export async function getPayloadByTxId(account, txId) {
     const { wallet } = getInstances();
     
     if (!wallet) {
         return log('Wallet not initialized');
     }
-    if (!firstAccount) {
+    if (!account) {
         return log('No account available');
     }
     if (!txId) {
@@ -401,7 +585,7 @@ export async function getPayloadByTxId(firstAccount, txId) {
     }
 
     try {
-        const txs = await wallet.listTransactions(firstAccount.accountId, { start: 0, end: 200 });
+        const txs = await wallet.listTransactions(account.accountId, { start: 0, end: 200 });
         const list = Array.isArray(txs.transactions) ? txs.transactions : [];
         const tx = list.find(t => t && (
             t.id === txId || t.transactionId === txId || t.txId === txId || t.hash === txId
@@ -426,13 +610,52 @@ export async function getPayloadByTxId(firstAccount, txId) {
     }
 }
 
+/**
+ * Format an expected confirmation time for display.
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatEta(seconds) {
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return 'n/a';
+    if (seconds < 1) return '< 1s';
+    if (seconds < 90) return `~${Math.round(seconds)}s`;
+    return `~${Math.round(seconds / 60)} min`;
+}
+
+/**
+ * Show the expected confirmation time for a fee tier under the fee selector.
+ * @param {string} [feeTier] - 'low', 'normal' or 'high'; clears the hint when omitted
+ * @returns {Promise<void>}
+ */
+export async function updateFeeTierEta(feeTier) {
+    const etaEl = document.getElementById('feeTierEta');
+    if (!etaEl) return;
+    etaEl.textContent = '';
+
+    const { client } = getInstances();
+    if (!feeTier || !client) return;
+
+    try {
+        const res = await client.getFeeEstimate();
+        const feerate = res?.[feeTier];
+        etaEl.textContent = feerate != null
+            ? `${feerate.toFixed(2)} sompi/gram, confirms ${formatEta(res.estimatedSeconds?.[feeTier])}`
+            : 'Fee rate not available';
+    } catch (err) {
+        etaEl.textContent = 'Fee rate not available';
+        log('Fee tier error: ' + (err?.message || err));
+    }
+}
+
 /**
  * Get fee estimates including:
- * 1. Network fee rates (sompi/gram) for low/normal/high
+ * 1. Network fee rates (sompi/gram) for low/normal/high, with expected confirmation times
  * 2. Actual estimated fee for a sample transaction (1.567 KAS to self with current payload)
+ * @param {Object} account - Selected account (the sample transaction spends from it)
+ * @param {string} [feeTier] - Fee tier for the sample transaction (uses the custom fee when omitted)
  * @returns {Promise<Object | null>}
  */
-export async function getFeeEstimate() {
+export async function getFeeEstimate(account, feeTier) {
     const { client, wallet } = getInstances();
 
     if (!client) {
@@ -460,16 +683,18 @@ export async function getFeeEstimate() {
                     ? (sompi * 1e-8).toFixed(8)
                     : 'n/a';
 
+            const eta = res.estimatedSeconds || {};
+
             result.networkRates = {
-                low: toKas(low),
-                normal: toKas(normal),
-                high: toKas(high)
+                low: `${toKas(low)} (${formatEta(eta.low)})`,
+                normal: `${toKas(normal)} (${formatEta(eta.normal)})`,
+                high: `${toKas(high)} (${formatEta(eta.high)})`
             };
 
-            log('Network fee rates (KAS per gram):');
-            log(`  low:    ${toKas(low)}`);
-            log(`  normal: ${toKas(normal)}`);
-            log(`  high:   ${toKas(high)}`);
+            log('Network fee rates (KAS per gram, expected confirmation):');
+            log(`  low:    ${result.networkRates.low}`);
+            log(`  normal: ${result.networkRates.normal}`);
+            log(`  high:   ${result.networkRates.high}`);
         } else {
             log('Network fee rates: not available');
         }
@@ -487,12 +712,9 @@ export async function getFeeEstimate() {
 
                 // Get custom fee from UI
                 const customFeeEl = document.getElementById('customFeeInput');
-                const customFee = customFeeEl && customFeeEl.value.trim() ? customFeeEl.value.trim() : undefined;
+                const customFee = !feeTier && customFeeEl && customFeeEl.value.trim() ? customFeeEl.value.trim() : undefined;
 
-                // Get first account
-                const accounts = await wallet.listAccounts();
-                if (accounts?.accountDescriptors?.length) {
-                    const firstAccount = accounts.accountDescriptors[0];
+                if (account) {
 
                     // Convert payload to hex if present
                     let payloadHex = undefined;
@@ -504,9 +726,11 @@ export async function getFeeEstimate() {
 
                     const estimate = await wallet.estimateTransactionFee({
                         amount: amountKas,
-                        toAddress: firstAccount.changeAddress,
+                        toAddress: account.changeAddress,
+                        accountId: account.accountId,
                         payload: payloadHex,
-                        priorityFeeKas: customFee
+                        priorityFeeKas: customFee,
+                        feeTier
                     });
 
                     result.transactionEstimate = {
@@ -514,6 +738,9 @@ export async function getFeeEstimate() {
                         mass: estimate.mass,
                         baseFee: sompiToKaspaString(estimate.baseFee) + ' KAS',
                         baseFeeSmopi: estimate.baseFee.toString(),
+                        tier: feeTier
+                            ? `${feeTier}: ${sompiToKaspaString(estimate.fees)} KAS total, confirms ${formatEta(estimate.estimatedSeconds)}`
+                            : null,
                         payloadSize: payload ? `${payload.length} chars → ${payloadHex ? payloadHex.length / 2 : 0} bytes` : 'none'
                     };
 
@@ -522,9 +749,13 @@ export async function getFeeEstimate() {
                     // For the self-send amount, show only the base (network) fee,
                     // since this is what matches the on-chain fee for the tx.
                     log(`  Base fee:     ${sompiToKaspaString(estimate.baseFee)} KAS (${estimate.baseFee} sompi)`);
-                    // Auto-fill the custom fee textbox with the base fee
-                    const customFeeEl2 = document.getElementById('customFeeInput');
-                    if (customFeeEl2) customFeeEl2.value = sompiToKaspaString(estimate.baseFee);
+                    if (result.transactionEstimate.tier) {
+                        log(`  Fee tier:     ${result.transactionEstimate.tier} (priority fee ${estimate.priorityFee} sompi)`);
+                    } else {
+                        // Auto-fill the custom fee textbox with the base fee
+                        const customFeeEl2 = document.getElementById('customFeeInput');
+                        if (customFeeEl2) customFeeEl2.value = sompiToKaspaString(estimate.baseFee);
+                    }
                     if (payload) {
                         log(`  Payload:      ${payload.length} chars → ${payloadHex ? payloadHex.length / 2 : 0} bytes`);
                     }
@@ -535,7 +766,7 @@ export async function getFeeEstimate() {
         }
 
         // Show modal with results
-        let modalContent = '📊 Network Fee Rates (KAS/gram)\n';
+        let modalContent = '📊 Network Fee Rates (KAS/gram, confirmation)\n';
         modalContent += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
         modalContent += `   Low:    ${result.networkRates.low || 'n/a'}\n`;
         modalContent += `   Normal: ${result.networkRates.normal || 'n/a'}\n`;
@@ -547,6 +778,9 @@ export async function getFeeEstimate() {
             modalContent += `   Amount:   ${result.transactionEstimate.amount} KAS\n`;
             modalContent += `   Mass:     ${result.transactionEstimate.mass} grams\n`;
             modalContent += `   Base Fee: ${result.transactionEstimate.baseFee}\n`;
+            if (result.transactionEstimate.tier) {
+                modalContent += `   Tier:     ${result.transactionEstimate.tier}\n`;
+            }
             modalContent += `   Payload:  ${result.transactionEstimate.payloadSize}\n`;
         }
         
@@ -4,15 +4,19 @@ import { log } from './log.js';
 import { 
     getStoredWallets, 
     addWalletToList, 
+    addWatchOnlyWalletToList,
     removeWalletFromList,
     storeMnemonic,
     retrieveMnemonic,
     hasMnemonicStored,
     getStorageInfo
 } from './walletStorage.js';
-import { KaspaClient } from '../wasm-wrapper/KaspaClient.js';
+import { KaspaClient, ensureWasmInitialized } from '../wasm-wrapper/KaspaClient.js';
 import { Wallet as KaspaWallet } from '../wasm-wrapper/Wallet.js';
+import { WatchOnlyWallet } from '../wasm-wrapper/WatchOnlyWallet.js';
 import { resetFirstTimeSetupFlag } from './firstTimeSetup.js';
+import { networkRegistry, getNetworkLabel } from './networks.js';
+import { escapeHtml } from './resultModal.js';
 
 /**
  * Show a Bootstrap-styled password prompt modal.
@@ -118,6 +122,134 @@ function showPasswordPrompt(message, title = 'Password Required', options = {})
     });
 }
 
+/**
+ * Validate a private key field as it is typed and show the address the key
+ * controls (or the validation error) in `addressEl`.
+ * @param {HTMLInputElement} input - Private key field
+ * @param {HTMLElement} addressEl - Element for the address preview
+ * @param {Function} getNetwork - Returns the network to derive the address for
+ * @returns {Function} Returns the latest Wallet.validatePrivateKey result, or null while empty
+ */
+function bindPrivateKeyPreview(input, addressEl, getNetwork) {
+    const placeholder = addressEl.textContent;
+    let keyCheck = null;
+    input.addEventListener('input', async () => {
+        const value = input.value.trim();
+        keyCheck = null;
+        if (!value) {
+            addressEl.className = 'form-text text-break';
+            addressEl.textContent = placeholder;
+            return;
+        }
+        await ensureWasmInitialized();
+        if (input.value.trim() !== value) return;
+
+        keyCheck = KaspaWallet.validatePrivateKey(value, getNetwork());
+        addressEl.className = `form-text text-break ${keyCheck.valid ? 'text-success' : 'text-danger'}`;
+        addressEl.textContent = keyCheck.valid ? `Address: ${keyCheck.address}` : keyCheck.error;
+    });
+    return () => keyCheck;
+}
+
+/**
+ * Ask for a private key in a masked field, the same field as the Import
+ * dialog's "Private Key" tab: the key is validated as it is typed and the
+ * address it controls is shown before it can be submitted.
+ * @param {Object} options
+ * @param {string} options.title - Modal title
+ * @param {string} options.message - Text above the field
+ * @param {string} options.networkId - Network to derive the address for
+ * @param {string} [options.confirmButtonText='Continue'] - Submit button text
+ * @returns {Promise<{ privateKey: string, address: string }|null>} null if cancelled
+ */
+export function showPrivateKeyPrompt({ title, message, networkId, confirmButtonText = 'Continue' }) {
+    return new Promise((resolve) => {
+        const existing = document.getElementById('privateKeyPromptModal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'privateKeyPromptModal';
+        modal.className = 'modal d-block';
+        modal.style.cssText = 'background: rgba(0,0,0,0.85); z-index: 11000;';
+        modal.setAttribute('tabindex', '-1');
+
+        modal.innerHTML = `
+            <div class="modal-dialog modal-dialog-centered">
+                <div class="modal-content" style="background-color: var(--kaspa-bg-card); border-color: var(--kaspa-border);">
+                    <div class="modal-header" style="background-color: rgba(73, 234, 203, 0.1); border-bottom-color: var(--kaspa-border);">
+                        <h5 class="modal-title" style="color: var(--kaspa-primary);">
+                            <i class="bi bi-file-earmark-lock me-2"></i>${title}
+                        </h5>
+                        <button type="button" class="btn-close btn-close-white" id="privateKeyPromptClose"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="small text-muted mb-2">${message}</p>
+                        <input type="password" class="form-control form-control-sm font-monospace" id="privateKeyPromptInput"
+                               placeholder="64 hex characters" autocomplete="off" spellcheck="false">
+                        <div class="form-text text-break" id="privateKeyPromptAddress">The address for this key is shown here.</div>
+                    </div>
+                    <div class="modal-footer" style="border-top-color: var(--kaspa-border);">
+                        <button type="button" class="btn btn-outline-secondary btn-sm" id="privateKeyPromptCancel">Cancel</button>
+                        <button type="button" class="btn btn-kaspa btn-sm" id="privateKeyPromptOk">
+                            ${confirmButtonText}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const input = modal.querySelector('#privateKeyPromptInput');
+        const addressEl = modal.querySelector('#privateKeyPromptAddress');
+        bindPrivateKeyPreview(input, addressEl, () => networkId);
+
+        const cleanup = () => {
+            modal.remove();
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+
+        // Checked again here: Enter can come before the preview has caught up
+        const submit = async () => {
+            const privateKey = input.value.trim();
+            await ensureWasmInitialized();
+            const check = KaspaWallet.validatePrivateKey(privateKey, networkId);
+            if (!check.valid) {
+                addressEl.className = 'form-text text-break text-danger';
+                addressEl.textContent = check.error;
+                input.focus();
+                return;
+            }
+            cleanup();
+            resolve({ privateKey, address: check.address });
+        };
+
+        const cancel = () => {
+            cleanup();
+            resolve(null);
+        };
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                cancel();
+            }
+        };
+
+        modal.querySelector('#privateKeyPromptOk').onclick = submit;
+        modal.querySelector('#privateKeyPromptCancel').onclick = cancel;
+        modal.querySelector('#privateKeyPromptClose').onclick = cancel;
+        document.addEventListener('keydown', handleKeyDown);
+
+        setTimeout(() => {
+            input.focus();
+        }, 0);
+    });
+}
+
 /**
  * Render the wallet list in the UI.
  */
@@ -160,29 +292,38 @@ export function renderWalletList() {
         const createdDate = wallet.createdAt 
             ? new Date(wallet.createdAt).toLocaleDateString() 
             : 'Unknown';
-        const mnemonicStatus = wallet.hasMnemonic 
-            ? '<span class="badge bg-success"><i class="bi bi-lock-fill me-1"></i>Stored</span>' 
-            : '<span class="badge bg-warning text-dark"><i class="bi bi-exclamation-triangle me-1"></i>Not saved</span>';
+        const mnemonicStatus = wallet.watchOnly
+            ? '<span class="badge bg-info text-dark" title="Opened from an extended public key; cannot send"><i class="bi bi-eye me-1"></i>Watch-only</span>'
+            : wallet.hasMnemonic 
+                ? '<span class="badge bg-success"><i class="bi bi-lock-fill me-1"></i>Stored</span>' 
+                : '<span class="badge bg-warning text-dark"><i class="bi bi-exclamation-triangle me-1"></i>Not saved</span>';
         const isActive = activeFilename && wallet.filename === activeFilename;
         const activeBadge = isActive 
             ? '<span class="badge bg-success me-1"><i class="bi bi-play-fill me-1"></i>Active</span>' 
             : '';
         const rowClass = isActive ? 'table-active' : '';
+        const networkCell = !wallet.network
+            ? 'Unknown'
+            : networkRegistry.has(wallet.network)
+                ? escapeHtml(getNetworkLabel(wallet.network))
+                : `${escapeHtml(wallet.network)} <span class="badge bg-warning text-dark" title="Add this network under Network settings to use the wallet"><i class="bi bi-exclamation-triangle"></i> Not registered</span>`;
         const activateDisabledAttr = isActive ? 'disabled aria-disabled="true"' : '';
+        // Watch-only wallets have no wallet file, so there is no password to change
+        const editPasswordBtn = wallet.watchOnly ? '' : `
+                    <button class="btn btn-outline-kaspa wallet-edit-password-btn" data-filename="${wallet.filename}">
+                        <i class="bi bi-key me-1"></i>Edit Password
+                    </button>`;
         
         html += `<tr class="${rowClass}">
             <td class="font-monospace small">${activeBadge}${wallet.filename}</td>
-            <td class="d-none d-sm-table-cell">${wallet.network || 'Unknown'}</td>
+            <td class="d-none d-sm-table-cell">${networkCell}</td>
             <td>${mnemonicStatus}</td>
             <td class="d-none d-md-table-cell small">${createdDate}</td>
             <td class="text-center">
                 <div class="btn-group btn-group-sm">
                     <button class="btn btn-outline-kaspa wallet-load-btn" data-filename="${wallet.filename}" ${activateDisabledAttr}>
                         <i class="bi bi-box-arrow-in-right me-1"></i>Activate
-                    </button>
-                    <button class="btn btn-outline-kaspa wallet-edit-password-btn" data-filename="${wallet.filename}">
-                        <i class="bi bi-key me-1"></i>Edit Password
-                    </button>
+                    </button>${editPasswordBtn}
                     <button class="btn btn-outline-danger wallet-delete-btn" data-filename="${wallet.filename}">
                         <i class="bi bi-trash"></i>
                     </button>
@@ -218,69 +359,85 @@ async function handleDeleteWallet(filename) {
     const walletMeta = wallets.find(w => w.filename === filename);
     const network = walletMeta?.network || 'testnet-10';
 
-    // Show deletion confirmation modal with warning and password prompt
-    const warningHtml = `
-        <div class="alert alert-danger mb-3" style="background-color: rgba(248, 81, 73, 0.15); border-color: #f85149;">
-            <h6 class="alert-heading mb-2">
-                <i class="bi bi-exclamation-triangle-fill me-2"></i>Permanent Deletion
-            </h6>
-            <p class="mb-2 small">This will permanently delete wallet <strong>"${filename}"</strong>:</p>
-            <ul class="mb-0 small">
-                <li>Remove wallet file from browser storage</li>
-                <li>Delete any stored encrypted mnemonic</li>
-                <li>Clear all wallet references</li>
-            </ul>
-            <p class="mt-2 mb-0 small text-danger"><strong>This action CANNOT be undone!</strong></p>
-        </div>
-    `;
-
-    const password = await showPasswordPrompt(
-        'Enter wallet password to confirm deletion:',
-        'Delete Wallet',
-        {
-            isDanger: true,
-            confirmButtonText: '<i class="bi bi-trash me-1"></i>Delete Permanently',
-            warningHtml
+    if (walletMeta?.watchOnly) {
+        // Nothing but the stored extended public key to remove
+        const { showConfirmModal } = await import('./resultModal.js');
+        const confirmed = await showConfirmModal('Remove Watch-only Wallet', [
+            { label: 'Wallet', value: filename },
+            { label: 'Extended public key', value: walletMeta.xpub || '-', mono: true }
+        ], {
+            confirmLabel: 'Remove',
+            note: 'Only the stored extended public key is removed. Funds and private keys are not affected.'
+        });
+        if (!confirmed) {
+            log('Wallet deletion cancelled.');
+            return;
         }
-    );
+    } else {
+        // Show deletion confirmation modal with warning and password prompt
+        const warningHtml = `
+            <div class="alert alert-danger mb-3" style="background-color: rgba(248, 81, 73, 0.15); border-color: #f85149;">
+                <h6 class="alert-heading mb-2">
+                    <i class="bi bi-exclamation-triangle-fill me-2"></i>Permanent Deletion
+                </h6>
+                <p class="mb-2 small">This will permanently delete wallet <strong>"${filename}"</strong>:</p>
+                <ul class="mb-0 small">
+                    <li>Remove wallet file from browser storage</li>
+                    <li>Delete any stored encrypted mnemonic</li>
+                    <li>Clear all wallet references</li>
+                </ul>
+                <p class="mt-2 mb-0 small text-danger"><strong>This action CANNOT be undone!</strong></p>
+            </div>
+        `;
 
-    if (!password) {
-        log('Wallet deletion cancelled.');
-        return;
-    }
+        const password = await showPasswordPrompt(
+            'Enter wallet password to confirm deletion:',
+            'Delete Wallet',
+            {
+                isDanger: true,
+                confirmButtonText: '<i class="bi bi-trash me-1"></i>Delete Permanently',
+                warningHtml
+            }
+        );
 
-    // Show progress
-    log(`Deleting wallet "${filename}"...`);
+        if (!password) {
+            log('Wallet deletion cancelled.');
+            return;
+        }
 
-    // Perform hard delete using the SDK
-    try {
-        const deleteResult = await KaspaWallet.deleteWallet(filename, password, network, {
-            logger: { log, warn: console.warn, error: console.error }
-        });
+        // Show progress
+        log(`Deleting wallet "${filename}"...`);
 
-        if (!deleteResult.success && deleteResult.error) {
-            // Check if it's a password error
-            const errLower = (deleteResult.error || '').toLowerCase();
-            if (errLower.includes('secret') || errLower.includes('password') || errLower.includes('decrypt')) {
-                log(`Incorrect password for wallet "${filename}". Deletion cancelled.`);
-                const { showResultModal } = await import('./resultModal.js');
-                showResultModal(
-                    'Deletion Failed',
-                    `Incorrect password. The wallet "${filename}" was NOT deleted.`,
-                    { type: 'error' }
-                );
-                return;
+        // Perform hard delete using the SDK
+        try {
+            const deleteResult = await KaspaWallet.deleteWallet(filename, password, network, {
+                logger: { log, warn: console.warn, error: console.error }
+            });
+
+            if (!deleteResult.success && deleteResult.error) {
+                // Check if it's a password error
+                const errLower = (deleteResult.error || '').toLowerCase();
+                if (errLower.includes('secret') || errLower.includes('password') || errLower.includes('decrypt')) {
+                    log(`Incorrect password for wallet "${filename}". Deletion cancelled.`);
+                    const { showResultModal } = await import('./resultModal.js');
+                    showResultModal(
+                        'Deletion Failed',
+                        `Incorrect password. The wallet "${filename}" was NOT deleted.`,
+                        { type: 'error' }
+                    );
+                    return;
+                }
+                // Other error - log but continue with soft delete of local references
+                log(`Warning: Hard delete encountered an error: ${deleteResult.error}`);
+                log('Proceeding with removal of local references...');
+            } else if (deleteResult.success) {
+                log(`Hard delete successful. Removed ${deleteResult.deletedStorageKeys?.length || 0} storage entries.`);
             }
-            // Other error - log but continue with soft delete of local references
-            log(`Warning: Hard delete encountered an error: ${deleteResult.error}`);
+        } catch (err) {
+            const errMsg = err?.message || String(err);
+            log(`Warning: Hard delete failed: ${errMsg}`);
             log('Proceeding with removal of local references...');
-        } else if (deleteResult.success) {
-            log(`Hard delete successful. Removed ${deleteResult.deletedStorageKeys?.length || 0} storage entries.`);
         }
-    } catch (err) {
-        const errMsg = err?.message || String(err);
-        log(`Warning: Hard delete failed: ${errMsg}`);
-        log('Proceeding with removal of local references...');
     }
 
     // Remove from our local wallet list and encrypted mnemonic
@@ -321,7 +478,9 @@ async function handleDeleteWallet(filename) {
     const { showResultModal } = await import('./resultModal.js');
     showResultModal(
         'Wallet Deleted',
-        `Wallet "${filename}" has been permanently deleted.\n\nAll private key data has been removed from browser storage.`,
+        walletMeta?.watchOnly
+            ? `Watch-only wallet "${filename}" has been removed.`
+            : `Wallet "${filename}" has been permanently deleted.\n\nAll private key data has been removed from browser storage.`,
         { type: 'success' }
     );
 
@@ -370,7 +529,7 @@ async function handleEditWalletPassword(filename) {
 
         try {
             log(`Changing password for wallet "${filename}" on network "${network}" (attempt ${attempts + 1})...`);
-            const client = new KaspaClient();
+            const client = new KaspaClient({ networks: networkRegistry });
             await client.connect(network);
 
             const tempWallet = new KaspaWallet(client);
@@ -410,17 +569,23 @@ async function handleLoadWallet(filename) {
         log(`Wallet "${filename}" not found.`);
         return;
     }
-    
-    // Prompt for password using Bootstrap modal
-    const password = await showPasswordPrompt(`Enter password for wallet "${filename}":`, 'Wallet Password');
-    if (!password) {
-        log('Wallet load cancelled.');
+
+    if (wallet.network && !networkRegistry.has(wallet.network)) {
+        log(`Wallet "${filename}" is for network "${wallet.network}", which is not registered. Add it in Network settings first.`);
         return;
     }
     
-    // Set the wallet filename in session storage for the init function to pick up
+    // Set the wallet filename in session storage for the init function to pick up.
+    // Watch-only wallets have no password; they open from the stored extended public key.
+    if (!wallet.watchOnly) {
+        const password = await showPasswordPrompt(`Enter password for wallet "${filename}":`, 'Wallet Password');
+        if (!password) {
+            log('Wallet load cancelled.');
+            return;
+        }
+        sessionStorage.setItem('kaspa_wallet_password', password);
+    }
     sessionStorage.setItem('kaspa_load_wallet', filename);
-    sessionStorage.setItem('kaspa_wallet_password', password);
     
     // Auto-switch network to match the wallet's network
     if (wallet.network) {
@@ -930,8 +1095,10 @@ function showCreateWalletModal() {
 }
 
 /**
- * Show the import wallet modal.
- * @returns {Promise<{ walletName: string, password: string, mnemonic: string } | null>}
+ * Show the import wallet modal. The "Private Key" tab imports a hex secret
+ * key as a keypair account and previews its address; the "Watch-only" tab
+ * takes an extended public key instead and needs no password.
+ * @returns {Promise<{ walletName: string, password: string, mnemonic: string, passphrase?: string, storagePreference: string } | { walletName: string, password: string, privateKey: string } | { watchOnly: true, walletName: string, xpub: string } | null>}
  */
 export function showImportWalletModal() {
     return new Promise((resolve) => {
@@ -950,15 +1117,43 @@ export function showImportWalletModal() {
                 <div class="modal-content" style="background-color: var(--kaspa-bg-card); border: 1px solid var(--kaspa-primary);">
                     <div class="modal-header" style="background-color: rgba(73, 234, 203, 0.1); border-bottom-color: var(--kaspa-border);">
                         <h5 class="modal-title" style="color: var(--kaspa-primary);">
-                            <i class="bi bi-box-arrow-in-down me-2"></i>Import Wallet from Mnemonic
+                            <i class="bi bi-box-arrow-in-down me-2"></i>Import Wallet
                         </h5>
                         <button type="button" class="btn-close btn-close-white" id="importWalletClose"></button>
                     </div>
                     <div class="modal-body">
-                        <div class="alert alert-info small mb-3" style="background-color: rgba(73, 234, 203, 0.1); border-color: var(--kaspa-primary);">
+                        <ul class="nav nav-tabs mb-3" role="tablist">
+                            <li class="nav-item" role="presentation">
+                                <button type="button" class="nav-link active" data-import-mode="mnemonic" role="tab">
+                                    <i class="bi bi-key me-1"></i>Recovery Phrase
+                                </button>
+                            </li>
+                            <li class="nav-item" role="presentation">
+                                <button type="button" class="nav-link" data-import-mode="key" role="tab">
+                                    <i class="bi bi-file-earmark-lock me-1"></i>Private Key
+                                </button>
+                            </li>
+                            <li class="nav-item" role="presentation">
+                                <button type="button" class="nav-link" data-import-mode="xpub" role="tab">
+                                    <i class="bi bi-eye me-1"></i>Watch-only
+                                </button>
+                            </li>
+                        </ul>
+
+                        <div class="alert alert-info small mb-3" data-import-modes="mnemonic" style="background-color: rgba(73, 234, 203, 0.1); border-color: var(--kaspa-primary);">
                             <i class="bi bi-info-circle me-2"></i>
                             Enter your 12 or 24-word recovery phrase to import an existing wallet.
                         </div>
+                        <div class="alert alert-info small mb-3 d-none" data-import-modes="key" style="background-color: rgba(73, 234, 203, 0.1); border-color: var(--kaspa-primary);">
+                            <i class="bi bi-info-circle me-2"></i>
+                            Enter a private key (64 hex characters), e.g. from a paper wallet or another tool.
+                            It becomes a single-address keypair account; the wallet has no recovery phrase.
+                        </div>
+                        <div class="alert alert-info small mb-3 d-none" data-import-modes="xpub" style="background-color: rgba(73, 234, 203, 0.1); border-color: var(--kaspa-primary);">
+                            <i class="bi bi-info-circle me-2"></i>
+                            Enter an account's extended public key (kpub/xpub) to follow its balance without access to its funds.
+                            A watch-only wallet cannot send.
+                        </div>
 
                         <!-- Wallet Name -->
                         <div class="mb-3">
@@ -970,8 +1165,30 @@ export function showImportWalletModal() {
                             <div class="form-text">A unique name for this imported wallet.</div>
                         </div>
 
+                        <!-- Extended Public Key -->
+                        <div class="mb-3 d-none" data-import-modes="xpub">
+                            <label for="importWalletXpub" class="form-label small">
+                                <i class="bi bi-eye me-1"></i>Extended Public Key
+                            </label>
+                            <textarea class="form-control font-monospace" id="importWalletXpub" 
+                                      rows="3" placeholder="kpub..." spellcheck="false"
+                                      style="font-size: 0.85rem;"></textarea>
+                            <div class="form-text">The account-level key (m/44'/111111'/0'), e.g. exported from another wallet.</div>
+                            <div class="form-text text-break" id="importXpubAddress">The first address for this key is shown here before adding it.</div>
+                        </div>
+
+                        <!-- Private Key -->
+                        <div class="mb-3 d-none" data-import-modes="key">
+                            <label for="importWalletPrivateKey" class="form-label small">
+                                <i class="bi bi-file-earmark-lock me-1"></i>Private Key
+                            </label>
+                            <input type="password" class="form-control form-control-sm font-monospace" id="importWalletPrivateKey" 
+                                   placeholder="64 hex characters" autocomplete="off" spellcheck="false">
+                            <div class="form-text text-break" id="importKeyAddress">The address for this key is shown here before importing.</div>
+                        </div>
+
                         <!-- Password -->
-                        <div class="mb-3">
+                        <div class="mb-3" data-import-modes="mnemonic key">
                             <label for="importWalletPassword" class="form-label small">
                                 <i class="bi bi-lock me-1"></i>New Password
                             </label>
@@ -981,7 +1198,7 @@ export function showImportWalletModal() {
                         </div>
 
                         <!-- Confirm Password -->
-                        <div class="mb-3">
+                        <div class="mb-3" data-import-modes="mnemonic key">
                             <label for="importWalletPasswordConfirm" class="form-label small">
                                 <i class="bi bi-lock-fill me-1"></i>Confirm Password
                             </label>
@@ -990,7 +1207,7 @@ export function showImportWalletModal() {
                         </div>
 
                         <!-- Mnemonic Input -->
-                        <div class="mb-3">
+                        <div class="mb-3" data-import-modes="mnemonic">
                             <label for="importWalletMnemonic" class="form-label small">
                                 <i class="bi bi-key me-1"></i>Recovery Phrase (Mnemonic)
                             </label>
@@ -1003,8 +1220,18 @@ export function showImportWalletModal() {
                             </div>
                         </div>
 
+                        <!-- BIP-39 Passphrase -->
+                        <div class="mb-3" data-import-modes="mnemonic">
+                            <label for="importWalletPassphrase" class="form-label small">
+                                <i class="bi bi-key-fill me-1"></i>BIP-39 Passphrase (optional)
+                            </label>
+                            <input type="password" class="form-control form-control-sm" id="importWalletPassphrase" 
+                                   placeholder="Leave empty if the phrase has no passphrase" autocomplete="off">
+                            <div class="form-text">Only if the wallet was created with a passphrase ("25th word"). A different passphrase restores a different, empty wallet.</div>
+                        </div>
+
                         <!-- Storage Preference -->
-                        <div class="mb-3">
+                        <div class="mb-3" data-import-modes="mnemonic">
                             <label class="form-label small">
                                 <i class="bi bi-shield-lock me-1"></i>Recovery Phrase Storage
                             </label>
@@ -1028,9 +1255,9 @@ export function showImportWalletModal() {
                         </div>
 
                         <!-- Security Warning -->
-                        <div class="alert alert-warning small mb-0" style="background-color: rgba(255, 193, 7, 0.15); border-color: #ffc107;">
+                        <div class="alert alert-warning small mb-0" data-import-modes="mnemonic key" style="background-color: rgba(255, 193, 7, 0.15); border-color: #ffc107;">
                             <i class="bi bi-shield-exclamation me-2"></i>
-                            <strong>Security:</strong> Never share your recovery phrase. Anyone with access to it can steal your funds.
+                            <strong>Security:</strong> Never share your recovery phrase or private key. Anyone with access to it can steal your funds.
                         </div>
 
                         <!-- Error Display -->
@@ -1054,6 +1281,11 @@ export function showImportWalletModal() {
         const passwordInput = modal.querySelector('#importWalletPassword');
         const passwordConfirmInput = modal.querySelector('#importWalletPasswordConfirm');
         const mnemonicInput = modal.querySelector('#importWalletMnemonic');
+        const passphraseInput = modal.querySelector('#importWalletPassphrase');
+        const xpubInput = modal.querySelector('#importWalletXpub');
+        const privateKeyInput = modal.querySelector('#importWalletPrivateKey');
+        const keyAddressEl = modal.querySelector('#importKeyAddress');
+        const xpubAddressEl = modal.querySelector('#importXpubAddress');
         const wordCountEl = modal.querySelector('#importWordCount');
         const submitBtn = modal.querySelector('#importWalletSubmit');
         const cancelBtn = modal.querySelector('#importWalletCancel');
@@ -1069,6 +1301,50 @@ export function showImportWalletModal() {
             errorMsg.classList.add('d-none');
         };
 
+        let mode = 'mnemonic';
+        const setMode = (next) => {
+            mode = next;
+            modal.querySelectorAll('[data-import-mode]').forEach(tab => {
+                tab.classList.toggle('active', tab.dataset.importMode === mode);
+            });
+            modal.querySelectorAll('[data-import-modes]').forEach(el => {
+                el.classList.toggle('d-none', !el.dataset.importModes.split(' ').includes(mode));
+            });
+            submitBtn.innerHTML = mode === 'xpub'
+                ? '<i class="bi bi-eye me-1"></i>Add Watch-only Wallet'
+                : '<i class="bi bi-box-arrow-in-down me-1"></i>Import Wallet';
+            hideError();
+        };
+        modal.querySelectorAll('[data-import-mode]').forEach(tab => {
+            tab.onclick = () => setMode(tab.dataset.importMode);
+        });
+
+        // Validate the key as it is typed and show the address it controls
+        const getKeyCheck = bindPrivateKeyPreview(
+            privateKeyInput,
+            keyAddressEl,
+            () => document.getElementById('networkSelect')?.value || 'testnet-10'
+        );
+
+        // Same for an extended public key: its first receive address
+        let xpubCheck = null;
+        xpubInput.addEventListener('input', async () => {
+            const value = xpubInput.value.trim();
+            xpubCheck = null;
+            if (!value) {
+                xpubAddressEl.className = 'form-text text-break';
+                xpubAddressEl.textContent = 'The first address for this key is shown here before adding it.';
+                return;
+            }
+            await ensureWasmInitialized();
+            if (xpubInput.value.trim() !== value) return;
+
+            const network = document.getElementById('networkSelect')?.value || 'testnet-10';
+            xpubCheck = WatchOnlyWallet.validateXPub(value, network);
+            xpubAddressEl.className = `form-text text-break ${xpubCheck.valid ? 'text-success' : 'text-danger'}`;
+            xpubAddressEl.textContent = xpubCheck.valid ? `First address: ${xpubCheck.address}` : xpubCheck.error;
+        });
+
         // Update word count as user types
         mnemonicInput.addEventListener('input', () => {
             const words = mnemonicInput.value.trim().split(/\s+/).filter(w => w.length > 0);
@@ -1120,6 +1396,28 @@ export function showImportWalletModal() {
                 return null;
             }
 
+            if (mode === 'xpub') {
+                const xpub = xpubInput.value.trim();
+                if (!xpub) {
+                    showError('Please enter an extended public key.');
+                    xpubInput.focus();
+                    return null;
+                }
+                if (!xpubCheck?.valid) {
+                    showError(xpubCheck?.error || 'Please enter a valid extended public key.');
+                    xpubInput.focus();
+                    return null;
+                }
+                return { watchOnly: true, walletName, xpub };
+            }
+
+            const keyCheck = getKeyCheck();
+            if (mode === 'key' && !keyCheck?.valid) {
+                showError(keyCheck?.error || 'Please enter a valid private key.');
+                privateKeyInput.focus();
+                return null;
+            }
+
             if (!password) {
                 showError('Please enter a password.');
                 passwordInput.focus();
@@ -1138,6 +1436,14 @@ export function showImportWalletModal() {
                 return null;
             }
 
+            if (mode === 'key') {
+                return {
+                    walletName,
+                    password,
+                    privateKey: privateKeyInput.value.trim()
+                };
+            }
+
             if (!mnemonic) {
                 showError('Please enter your recovery phrase.');
                 mnemonicInput.focus();
@@ -1159,6 +1465,7 @@ export function showImportWalletModal() {
                 walletName,
                 password,
                 mnemonic: words.join(' '),
+                passphrase: passphraseInput.value || undefined,
                 storagePreference
             };
         };
@@ -1182,7 +1489,7 @@ export function showImportWalletModal() {
 
         // Handle keyboard
         modal.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && e.target !== mnemonicInput) {
+            if (e.key === 'Enter' && e.target !== mnemonicInput && e.target !== xpubInput) {
                 e.preventDefault();
                 submit();
             } else if (e.key === 'Escape') {
@@ -1209,12 +1516,39 @@ async function handleImportWallet() {
     const networkSelect = document.getElementById('networkSelect');
     const network = networkSelect?.value || 'testnet-10';
 
+    // A watch-only wallet is just the stored key; open it like any listed wallet
+    if (config.watchOnly) {
+        // The dialog checked the key as it was typed; check again before storing it
+        await ensureWasmInitialized();
+        const check = WatchOnlyWallet.validateXPub(config.xpub, network);
+        if (!check.valid) {
+            const { showResultModal } = await import('./resultModal.js');
+            showResultModal('Import Error', `Invalid extended public key: ${check.error}`, { type: 'error' });
+            return;
+        }
+        log(`Watch-only wallet "${config.walletName}" first address: ${check.address}`);
+
+        addWatchOnlyWalletToList(config.walletName, network, config.xpub);
+        sessionStorage.setItem('kaspa_load_wallet', config.walletName);
+        sessionStorage.setItem('kaspa_wallet_network', network);
+        log(`Adding watch-only wallet "${config.walletName}"...`);
+        window.location.reload();
+        return;
+    }
+
     // Store import info for initWallet to pick up
     sessionStorage.setItem('kaspa_import_wallet', config.walletName);
     sessionStorage.setItem('kaspa_wallet_password', config.password);
-    sessionStorage.setItem('kaspa_wallet_mnemonic', config.mnemonic);
+    if (config.privateKey) {
+        sessionStorage.setItem('kaspa_wallet_private_key', config.privateKey);
+    } else {
+        sessionStorage.setItem('kaspa_wallet_mnemonic', config.mnemonic);
+        sessionStorage.setItem('kaspa_import_storage_preference', config.storagePreference);
+        if (config.passphrase) {
+            sessionStorage.setItem('kaspa_wallet_passphrase', config.passphrase);
+        }
+    }
     sessionStorage.setItem('kaspa_wallet_network', network);
-    sessionStorage.setItem('kaspa_import_storage_preference', config.storagePreference);
 
     log(`Importing wallet "${config.walletName}"...`);
 
@@ -1224,36 +1558,42 @@ async function handleImportWallet() {
 
 /**
  * Get wallet import info from session storage.
+ * Exactly one of `mnemonic` and `privateKey` is set.
  * Note: Does NOT clear kaspa_wallet_password - that's needed later for mnemonic storage.
- * @returns {{ filename: string, password: string, mnemonic: string, network: string, storagePreference: string }|null}
+ * @returns {{ filename: string, password: string, mnemonic: string|null, privateKey: string|null, passphrase: string|undefined, network: string, storagePreference: string }|null}
  */
 export function getWalletImportInfo() {
     const filename = sessionStorage.getItem('kaspa_import_wallet');
     const password = sessionStorage.getItem('kaspa_wallet_password');
     const mnemonic = sessionStorage.getItem('kaspa_wallet_mnemonic');
+    const privateKey = sessionStorage.getItem('kaspa_wallet_private_key');
+    const passphrase = sessionStorage.getItem('kaspa_wallet_passphrase') || undefined;
     const network = sessionStorage.getItem('kaspa_wallet_network');
     const storagePreference = sessionStorage.getItem('kaspa_import_storage_preference') || 'no_save';
 
-    if (!filename || !mnemonic) return null;
+    if (!filename || (!mnemonic && !privateKey)) return null;
 
-    // Clear after reading (mnemonic is sensitive!)
+    // Clear after reading (mnemonic and private key are sensitive!)
     // Note: Don't clear password yet - needed for mnemonic storage if user chose store_encrypted
     sessionStorage.removeItem('kaspa_import_wallet');
     sessionStorage.removeItem('kaspa_wallet_mnemonic');
+    sessionStorage.removeItem('kaspa_wallet_private_key');
+    sessionStorage.removeItem('kaspa_wallet_passphrase');
     sessionStorage.removeItem('kaspa_wallet_network');
     sessionStorage.removeItem('kaspa_import_storage_preference');
 
-    return { filename, password, mnemonic, network, storagePreference };
+    return { filename, password, mnemonic, privateKey, passphrase, network, storagePreference };
 }
 
 /**
  * Get wallet creation info from session storage.
  * Note: Does NOT clear kaspa_wallet_password - that's needed later for mnemonic storage.
- * @returns {{ filename: string, password: string, network: string }|null}
+ * @returns {{ filename: string, password: string, passphrase: string|undefined, network: string }|null}
  */
 export function getWalletCreationInfo() {
     const filename = sessionStorage.getItem('kaspa_create_wallet');
     const password = sessionStorage.getItem('kaspa_wallet_password');
+    const passphrase = sessionStorage.getItem('kaspa_wallet_passphrase') || undefined;
     const network = sessionStorage.getItem('kaspa_wallet_network');
     
     if (!filename) return null;
@@ -1261,9 +1601,10 @@ export function getWalletCreationInfo() {
     // Clear creation-specific keys after reading, but NOT the password
     // (password is needed for mnemonic storage after wallet creation)
     sessionStorage.removeItem('kaspa_create_wallet');
+    sessionStorage.removeItem('kaspa_wallet_passphrase');
     sessionStorage.removeItem('kaspa_wallet_network');
     
-    return { filename, password, network };
+    return { filename, password, passphrase, network };
 }
 
 /**
@@ -4,6 +4,7 @@
 
 const WALLET_LIST_KEY = 'kaspa_wallets';
 const MNEMONIC_PREFIX = 'kaspa_mnemonic_';
+const MULTISIG_PREFIX = 'kaspa_multisig_';
 
 // Crypto constants
 const PBKDF2_ITERATIONS = 100000;
@@ -107,7 +108,7 @@ async function decrypt(encoded, password) {
 
 /**
  * Get list of all stored wallets.
- * @returns {{ filename: string, network: string, createdAt: string, hasMnemonic: boolean }[]}
+ * @returns {{ filename: string, network: string, createdAt: string, hasMnemonic: boolean, watchOnly?: boolean, xpub?: string }[]}
  */
 export function getStoredWallets() {
     try {
@@ -151,6 +152,29 @@ export function addWalletToList(filename, network, hasMnemonic = false) {
     localStorage.setItem(WALLET_LIST_KEY, JSON.stringify(wallets));
 }
 
+/**
+ * Add a watch-only wallet to the stored list. Watch-only wallets have no
+ * wallet file or password; the extended public key is all that is needed
+ * to open them again.
+ * @param {string} filename - Wallet name
+ * @param {string} network - Network ID
+ * @param {string} xpub - Account-level extended public key (kpub/xpub)
+ */
+export function addWatchOnlyWalletToList(filename, network, xpub) {
+    const wallets = getStoredWallets().filter(w => w.filename !== filename);
+    wallets.push({
+        filename,
+        network,
+        createdAt: new Date().toISOString(),
+        lastUsed: new Date().toISOString(),
+        hasMnemonic: false,
+        watchOnly: true,
+        xpub
+    });
+
+    localStorage.setItem(WALLET_LIST_KEY, JSON.stringify(wallets));
+}
+
 /**
  * Remove a wallet from the stored list and its mnemonic.
  * @param {string} filename - Wallet filename
@@ -162,6 +186,36 @@ export function removeWalletFromList(filename) {
     
     // Also remove mnemonic if stored
     localStorage.removeItem(MNEMONIC_PREFIX + filename);
+    localStorage.removeItem(MULTISIG_PREFIX + filename);
+}
+
+/**
+ * Get the multisig accounts held by a wallet. Only public data is stored:
+ * the keys and threshold are enough to add the account again after opening.
+ * @param {string} filename - Wallet filename
+ * @returns {{ name: string|null, minimumSignatures: number, publicKeys: string[] }[]}
+ */
+export function getMultisigAccounts(filename) {
+    try {
+        const data = localStorage.getItem(MULTISIG_PREFIX + filename);
+        return data ? JSON.parse(data) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Store the multisig accounts held by a wallet.
+ * @param {string} filename - Wallet filename
+ * @param {{ name: string|null, minimumSignatures: number, publicKeys: string[] }[]} accounts
+ */
+export function saveMultisigAccounts(filename, accounts) {
+    const list = accounts.map(({ name, minimumSignatures, publicKeys }) => ({ name, minimumSignatures, publicKeys }));
+    if (list.length) {
+        localStorage.setItem(MULTISIG_PREFIX + filename, JSON.stringify(list));
+    } else {
+        localStorage.removeItem(MULTISIG_PREFIX + filename);
+    }
 }
 
 /**
@@ -215,9 +269,10 @@ export function hasMnemonicStored(filename) {
 export function clearAllWalletData() {
     const wallets = getStoredWallets();
     
-    // Remove all mnemonics
+    // Remove all mnemonics and multisig accounts
     for (const wallet of wallets) {
         localStorage.removeItem(MNEMONIC_PREFIX + wallet.filename);
+        localStorage.removeItem(MULTISIG_PREFIX + wallet.filename);
     }
     
     // Remove wallet list
@@ -3,9 +3,112 @@
 export const MIN_KAS_AMOUNT = 0.000002;
 export const MIN_SOMPI_AMOUNT = 200;
 export const MAX_PAYLOAD_BYTES = 32 * 1024;
+export const DEFAULT_RPC_TIMEOUT_MS = 30000;
 
 export const NETWORK_IDS = {
 	TESTNET_10: 'testnet-10',
 	TESTNET_11: 'testnet-11',
 	MAINNET: 'mainnet',
 };
+
+export const NETWORK_TYPES = {
+	MAINNET: 'mainnet',
+	TESTNET: 'testnet',
+	DEVNET: 'devnet',
+	SIMNET: 'simnet',
+};
+
+// Default node ports per network type (rusty-kaspa defaults)
+export const DEFAULT_NETWORK_PORTS = {
+	mainnet: { grpc: 16110, p2p: 16111, wrpcBorsh: 17110, wrpcJson: 18110 },
+	testnet: { grpc: 16210, p2p: 16211, wrpcBorsh: 17210, wrpcJson: 18210 },
+	simnet: { grpc: 16510, p2p: 16511, wrpcBorsh: 17510, wrpcJson: 18510 },
+	devnet: { grpc: 16610, p2p: 16611, wrpcBorsh: 17610, wrpcJson: 18610 },
+};
+
+// Built-in networks; public nodes are found through the Resolver
+export const DEFAULT_NETWORKS = [
+	{
+		id: 'mainnet',
+		name: 'mainnet',
+		addressPrefix: 'kaspa',
+		ports: DEFAULT_NETWORK_PORTS.mainnet,
+		explorerUrl: 'https://explorer.kaspa.org',
+		nodeUrls: [],
+		useResolver: true,
+	},
+	{
+		id: 'testnet-10',
+		name: 'testnet-10',
+		addressPrefix: 'kaspatest',
+		ports: DEFAULT_NETWORK_PORTS.testnet,
+		explorerUrl: 'https://explorer-tn10.kaspa.org',
+		nodeUrls: [],
+		useResolver: true,
+	},
+	{
+		id: 'testnet-11',
+		name: 'testnet-11',
+		addressPrefix: 'kaspatest',
+		ports: { grpc: 16310, p2p: 16311, wrpcBorsh: 17310, wrpcJson: 18310 },
+		explorerUrl: 'https://explorer-tn11.kaspa.org',
+		nodeUrls: [],
+		useResolver: true,
+	},
+];
+
+export const RPC_ENCODINGS = {
+	BORSH: 'borsh',
+	JSON: 'json',
+};
+
+export const CONNECTION_STATES = {
+	CONNECTING: 'connecting',
+	CONNECTED: 'connected',
+	DISCONNECTED: 'disconnected',
+	RECONNECTED: 'reconnected',
+};
+
+export const DEFAULT_RECONNECT_OPTIONS = {
+	enabled: true,
+	initialDelayMs: 1000,
+	maxDelayMs: 30000,
+	factor: 2,
+	maxAttempts: Infinity,
+	connectTimeoutMs: 10000,
+};
+
+export const FEE_TIERS = {
+	LOW: 'low',
+	NORMAL: 'normal',
+	HIGH: 'high',
+};
+
+export const DEFAULT_SYNC_WAIT_OPTIONS = {
+	timeoutMs: 300000,
+	pollIntervalMs: 2000,
+};
+
+export const DEFAULT_POOL_OPTIONS = {
+	healthCheckIntervalMs: 15000,
+	healthCheckTimeoutMs: 5000,
+	maxBlueScoreLag: 10,
+};
+
+export const DEFAULT_WATCH_ONLY_OPTIONS = {
+	receiveCount: 20,
+	changeCount: 20,
+};
+
+export const RECORDING_FORMAT = 'kaspa-rpc-recording';
+export const RECORDING_VERSION = 1;
+
+export const REPLAY_TIMING = {
+	ORIGINAL: 'original',
+	FAST: 'fast',
+};
+
+export const PSKB_PREFIX = 'PSKB';
+
+// Consensus limit on public keys in one OP_CHECKMULTISIG
+export const MAX_MULTISIG_KEYS = 20;
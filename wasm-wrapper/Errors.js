@@ -54,6 +54,31 @@ export class RpcError extends KaspaError {
     }
 }
 
+/**
+ * Thrown when an RPC call does not complete within its timeout.
+ */
+export class RpcTimeoutError extends RpcError {
+    constructor(method, timeoutMs) {
+        super(`RPC call ${method} timed out after ${timeoutMs}ms`);
+        this.name = 'RpcTimeoutError';
+        this.code = 'RPC_TIMEOUT';
+        this.method = method;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Thrown when an RPC call is cancelled through its AbortSignal.
+ */
+export class RpcAbortedError extends RpcError {
+    constructor(method, reason = null) {
+        super(`RPC call ${method} was aborted`, reason instanceof Error ? reason : null);
+        this.name = 'RpcAbortedError';
+        this.code = 'RPC_ABORTED';
+        this.method = method;
+    }
+}
+
 /**
  * Thrown when wallet is not initialized or not open.
  */
@@ -197,6 +222,56 @@ export class ValidationError extends KaspaError {
     }
 }
 
+/**
+ * Thrown when one or more outputs of a batch payment are invalid.
+ * `errors` lists every problem as { index, field, message }.
+ */
+export class OutputsValidationError extends ValidationError {
+    constructor(errors = []) {
+        const first = errors[0];
+        super(
+            errors.length === 1
+                ? `Invalid output #${first.index + 1}: ${first.message}`
+                : `${errors.length} invalid outputs (first: #${first?.index + 1}: ${first?.message})`,
+            'outputs'
+        );
+        this.name = 'OutputsValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Thrown when a watch-only wallet is asked to sign or otherwise use a private key.
+ */
+export class WatchOnlyError extends KaspaError {
+    constructor(operation = null) {
+        super(
+            operation
+                ? `${operation} is not available: this wallet is watch-only and holds no private keys`
+                : 'This wallet is watch-only and holds no private keys',
+            'WATCH_ONLY'
+        );
+        this.name = 'WatchOnlyError';
+        this.operation = operation;
+    }
+}
+
+/**
+ * Thrown when signing needs the wallet's BIP-39 passphrase and none was given.
+ */
+export class PassphraseRequiredError extends KaspaError {
+    constructor(operation = null) {
+        super(
+            operation
+                ? `${operation} requires the wallet's BIP-39 passphrase`
+                : "This wallet's keys are protected by a BIP-39 passphrase",
+            'PASSPHRASE_REQUIRED'
+        );
+        this.name = 'PassphraseRequiredError';
+        this.operation = operation;
+    }
+}
+
 /**
  * Thrown when an operation is called on an already disposed/closed resource.
  */
@@ -221,3 +296,25 @@ export class NetworkMismatchError extends KaspaError {
         this.actual = actual;
     }
 }
+
+/**
+ * Thrown when an RPC recording is malformed or cannot serve a replayed call.
+ */
+export class ReplayError extends KaspaError {
+    constructor(message, cause = null) {
+        super(message, 'REPLAY_ERROR', cause);
+        this.name = 'ReplayError';
+    }
+}
+
+/**
+ * Thrown when an operation needs a synced node and the connected node is still syncing.
+ */
+export class NodeNotSyncedError extends KaspaError {
+    constructor(message = 'Node is not synced yet', { url = null, virtualDaaScore = null } = {}) {
+        super(message, 'NODE_NOT_SYNCED');
+        this.name = 'NodeNotSyncedError';
+        this.url = url;
+        this.virtualDaaScore = virtualDaaScore;
+    }
+}
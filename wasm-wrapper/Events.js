@@ -2,11 +2,12 @@
 // Usage: const events = new Events(kaspaClient); await events.subscribe('block-added', handler);
 
 import { EventError, DisposedError, NetworkError } from './Errors.js';
+import { CONNECTION_STATES } from './Constants.js';
 
 /**
  * Mapping of event names to their RpcClient subscribe/unsubscribe method names.
  */
-const EVENT_METHODS = {
+export const EVENT_METHODS = {
     'block-added': {
         subscribe: 'subscribeBlockAdded',
         unsubscribe: 'unsubscribeBlockAdded'
@@ -42,6 +43,7 @@ const EVENT_METHODS = {
  * 
  * Manages event subscriptions through a KaspaClient instance.
  * Multiple Events instances can coexist for different purposes.
+ * Active subscriptions are replayed automatically when the client reconnects.
  * 
  * Usage:
  *   const client = new KaspaClient();
@@ -57,6 +59,8 @@ export class Events {
     #handlers = {};
     #subscriptions = new Set();
     #boundRpcHandler = null;
+    #boundStateHandler = null;
+    #subscribedRpc = null;
     #disposed = false;
     #logger = console;
 
@@ -73,6 +77,8 @@ export class Events {
         this.#client = client;
         this.#logger = options.logger || console;
         this.#boundRpcHandler = this.#handleRpcEvent.bind(this);
+        this.#boundStateHandler = this.#handleConnectionState.bind(this);
+        this.#client.onConnectionStateChange(this.#boundStateHandler);
     }
 
     /**
@@ -134,6 +140,7 @@ export class Events {
                 this.#logger.log(`[Events] Subscribing to ${eventName} via ${subscribeMethod}()`);
                 await rpc[subscribeMethod]();
                 this.#subscriptions.add(eventName);
+                this.#subscribedRpc = rpc;
                 this.#logger.log(`[Events] Subscribed to ${eventName}`);
             } catch (err) {
                 throw new EventError(`Failed to subscribe to ${eventName}`, err);
@@ -221,24 +228,70 @@ export class Events {
 
     /**
      * Get the current sink blue score.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
      * @returns {Promise<bigint>}
      */
-    async getSinkBlueScore() {
+    async getSinkBlueScore(options = {}) {
         this.#assertNotDisposed();
         this.#assertConnected();
-        return await this.#client.getSinkBlueScore();
+        return await this.#client.getSinkBlueScore(options);
     }
 
     /**
      * Get a block by hash.
      * @param {string} hash
      * @param {boolean} [includeTransactions=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
      * @returns {Promise<any>}
      */
-    async getBlock(hash, includeTransactions = false) {
+    async getBlock(hash, includeTransactions = false, options = {}) {
+        this.#assertNotDisposed();
+        this.#assertConnected();
+        return await this.#client.getBlock(hash, includeTransactions, options);
+    }
+
+    /**
+     * Re-issue the RPC subscription for every active event type.
+     * Called automatically after the client reconnects; node-side
+     * subscriptions do not survive a dropped connection.
+     * @returns {Promise<string[]>} Event types that failed to resubscribe
+     */
+    async restoreSubscriptions() {
         this.#assertNotDisposed();
         this.#assertConnected();
-        return await this.#client.getBlock(hash, includeTransactions);
+
+        const failed = [];
+        const rpc = this.#client.rpc;
+
+        // The client may now route through a different node (e.g. pool failover);
+        // detach from the previous RPC so its events are not delivered twice.
+        if (this.#subscribedRpc && this.#subscribedRpc !== rpc) {
+            for (const eventName of this.#subscriptions) {
+                try {
+                    this.#subscribedRpc.removeEventListener?.(eventName, this.#boundRpcHandler);
+                } catch (_) {}
+            }
+        }
+        this.#subscribedRpc = rpc;
+
+        for (const eventName of this.#subscriptions) {
+            const methods = EVENT_METHODS[eventName];
+            try {
+                // Re-register the listener in case the RPC instance was replaced
+                rpc.removeEventListener?.(eventName, this.#boundRpcHandler);
+                rpc.addEventListener(eventName, this.#boundRpcHandler);
+                await rpc[methods.subscribe]();
+                this.#logger.log(`[Events] Restored subscription to ${eventName}`);
+            } catch (err) {
+                failed.push(eventName);
+                this.#logger.warn(`[Events] Failed to restore subscription to ${eventName}:`, err);
+            }
+        }
+        return failed;
     }
 
     /**
@@ -248,6 +301,8 @@ export class Events {
     async dispose() {
         if (this.#disposed) return;
 
+        this.#client.offConnectionStateChange(this.#boundStateHandler);
+
         // Unsubscribe from all events
         for (const eventName of this.#subscriptions) {
             const methods = EVENT_METHODS[eventName];
@@ -262,6 +317,7 @@ export class Events {
 
         this.#subscriptions.clear();
         this.#handlers = {};
+        this.#subscribedRpc = null;
         this.#disposed = true;
         this.#logger.log('[Events] Disposed');
     }
@@ -291,6 +347,17 @@ export class Events {
         }
     }
 
+    /**
+     * Internal handler for client connection state changes.
+     */
+    async #handleConnectionState({ state }) {
+        if (this.#disposed || state !== CONNECTION_STATES.RECONNECTED) return;
+        if (this.#subscriptions.size === 0) return;
+
+        this.#logger.log(`[Events] Client reconnected, restoring ${this.#subscriptions.size} subscription(s)`);
+        await this.restoreSubscriptions();
+    }
+
     #assertNotDisposed() {
         if (this.#disposed) {
             throw new DisposedError('Events');
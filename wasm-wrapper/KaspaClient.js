@@ -4,6 +4,8 @@
 import initKaspa, {
     Resolver,
     RpcClient,
+    Encoding,
+    ConnectStrategy,
     Wallet as KaspaWallet,
     AccountKind,
     UtxoProcessor,
@@ -13,11 +15,48 @@ import initKaspa, {
     setDefaultStorageFolder,
     Address,
     addressFromScriptPublicKey,
-    estimateTransactions
+    estimateTransactions,
+    createTransactions,
+    signTransaction,
+    payToAddressScript,
+    getTransactionMaturityProgress,
+    PSKT,
+    PSKB,
+    ScriptBuilder,
+    Opcodes,
+    payToScriptHashScript,
+    createMultisigAddress,
+    signMessage,
+    verifyMessage,
+    FeeSource,
+    NetworkId,
+    NetworkType,
+    XPub,
+    PublicKeyGenerator,
+    PrivateKeyGenerator,
+    XPrv,
+    PrivateKey
 } from '../kas-wasm/kaspa.js';
 
-import { NETWORK_IDS } from './Constants.js';
-import { WasmInitError, NetworkError, RpcError, DisposedError } from './Errors.js';
+import {
+    NETWORK_IDS,
+    RPC_ENCODINGS,
+    CONNECTION_STATES,
+    DEFAULT_RECONNECT_OPTIONS,
+    DEFAULT_RPC_TIMEOUT_MS,
+    DEFAULT_SYNC_WAIT_OPTIONS
+} from './Constants.js';
+import {
+    WasmInitError,
+    NetworkError,
+    RpcError,
+    RpcTimeoutError,
+    RpcAbortedError,
+    DisposedError,
+    ValidationError,
+    NodeNotSyncedError
+} from './Errors.js';
+import { RpcRecorder } from './RpcRecorder.js';
 
 // Shared WASM initialization state (module-level, but not mutable after init)
 let wasmInitialized = false;
@@ -45,37 +84,238 @@ async function ensureWasmInitialized() {
     await wasmInitPromise;
 }
 
+/**
+ * Normalize connect() arguments into a single options object.
+ * Accepts either a network ID string or an options object.
+ * @param {string|Object} networkIdOrOptions
+ * @returns {{ networkId: string, url: string|null, encoding: string, resolvers: string[]|null }}
+ */
+function normalizeConnectOptions(networkIdOrOptions) {
+    const options = typeof networkIdOrOptions === 'string'
+        ? { networkId: networkIdOrOptions }
+        : { ...(networkIdOrOptions || {}) };
+
+    const encoding = (options.encoding || RPC_ENCODINGS.BORSH).toLowerCase();
+    if (!Object.values(RPC_ENCODINGS).includes(encoding)) {
+        throw new ValidationError(
+            `Unknown RPC encoding: ${options.encoding}. Expected one of: ${Object.values(RPC_ENCODINGS).join(', ')}`,
+            'encoding'
+        );
+    }
+
+    if (options.url != null && (typeof options.url !== 'string' || !options.url.trim())) {
+        throw new ValidationError('url must be a non-empty string', 'url');
+    }
+
+    if (options.resolvers != null) {
+        if (!Array.isArray(options.resolvers) || options.resolvers.some(u => typeof u !== 'string' || !u.trim())) {
+            throw new ValidationError('resolvers must be an array of URL strings', 'resolvers');
+        }
+    }
+
+    return {
+        networkId: options.networkId || NETWORK_IDS.TESTNET_10,
+        url: options.url ? options.url.trim() : null,
+        encoding,
+        resolvers: options.resolvers?.length ? options.resolvers.map(u => u.trim()) : null
+    };
+}
+
+/**
+ * Validate a network ID with the SDK's NetworkId class (WASM must be initialized).
+ * @param {string} networkId
+ * @throws {ValidationError} If the SDK rejects the ID
+ */
+function assertValidNetworkId(networkId) {
+    try {
+        new NetworkId(networkId).free?.();
+    } catch (err) {
+        throw new ValidationError(`Invalid network ID: ${networkId} (${err?.message || err})`, 'networkId');
+    }
+}
+
+/**
+ * Settle an RPC promise with a timeout and optional AbortSignal.
+ * @param {Promise<any>} promise - The pending SDK call
+ * @param {string} method - RPC method name (for error messages)
+ * @param {Object} options
+ * @param {number} [options.timeoutMs] - Timeout in ms; 0 or less disables it
+ * @param {AbortSignal} [options.signal] - Signal to cancel the wait
+ * @returns {Promise<any>}
+ */
+function withDeadline(promise, method, { timeoutMs, signal } = {}) {
+    if (signal?.aborted) {
+        promise.catch(() => {});
+        return Promise.reject(new RpcAbortedError(method, signal.reason));
+    }
+    if (!(timeoutMs > 0) && !signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const cleanup = () => {
+            if (timer) clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            cleanup();
+            reject(new RpcAbortedError(method, signal.reason));
+        };
+
+        if (timeoutMs > 0) {
+            timer = setTimeout(() => {
+                cleanup();
+                reject(new RpcTimeoutError(method, timeoutMs));
+            }, timeoutMs);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(
+            value => { cleanup(); resolve(value); },
+            err => { cleanup(); reject(err); }
+        );
+    });
+}
+
+/**
+ * Sleep for a while, waking early if the signal is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleepUnlessAborted(ms, signal) {
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Adapt a middleware definition into an `(ctx, next) => Promise` function.
+ * @param {Function|Object} middleware
+ * @returns {Function}
+ */
+function toMiddlewareFunction(middleware) {
+    if (typeof middleware === 'function') {
+        return middleware;
+    }
+    if (middleware && typeof middleware === 'object') {
+        const { onRequest, onResponse, onError } = middleware;
+        if (![onRequest, onResponse, onError].some(h => typeof h === 'function')) {
+            throw new ValidationError('Middleware object must define onRequest, onResponse or onError', 'middleware');
+        }
+        return async (ctx, next) => {
+            if (onRequest) await onRequest(ctx);
+            try {
+                const result = await next();
+                if (onResponse) await onResponse(ctx);
+                return result;
+            } catch (err) {
+                if (onError) await onError(ctx);
+                throw err;
+            }
+        };
+    }
+    throw new ValidationError('Middleware must be a function or a hooks object', 'middleware');
+}
+
+/**
+ * Check whether two normalized connect options point at the same endpoint.
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+function isSameEndpoint(a, b) {
+    if (!a || !b) return false;
+    return a.networkId === b.networkId
+        && a.url === b.url
+        && a.encoding === b.encoding
+        && (a.resolvers || []).join(',') === (b.resolvers || []).join(',');
+}
+
 /**
  * KaspaClient - Central infrastructure object for Kaspa SDK operations.
  * 
  * Manages:
  * - WASM initialization
  * - RPC connection lifecycle
+ * - Automatic reconnect with exponential backoff
+ * - RPC middleware pipeline (logging, metrics, retries, caching)
  * - Network configuration
  * - Shared resources
  * 
  * Usage:
  *   const client = new KaspaClient();
  *   await client.connect('testnet-10');
- *   // ... use client.rpc, client.networkId, etc.
+ *   // or connect to a specific node instead of the public resolver:
+ *   await client.connect({ networkId: 'testnet-10', url: 'ws://127.0.0.1:17210', encoding: 'borsh' });
+ *   // ... use client.rpc, client.networkId, client.url, etc.
  *   await client.disconnect();
  */
 export class KaspaClient {
     #networkId = null;
     #rpc = null;
     #resolver = null;
+    #connectOptions = null;
     #disposed = false;
     #connectionPromise = null;
     #eventListeners = new Map();
     #logger = console;
+    #reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS };
+    #connectionState = CONNECTION_STATES.DISCONNECTED;
+    #stateHandlers = [];
+    #supervisorHandlers = null;
+    #reconnectPromise = null;
+    #reconnectGeneration = 0;
+    #defaultTimeoutMs = DEFAULT_RPC_TIMEOUT_MS;
+    #middleware = [];
+    #rpcFactory = null;
+    #recorder = null;
+    #captureListener = null;
+    #networks = null;
+    #isSynced = null;
 
     /**
      * Create a new KaspaClient instance.
      * @param {Object} [options]
      * @param {Object} [options.logger] - Custom logger (default: console)
+     * @param {number} [options.defaultTimeoutMs=30000] - Default timeout for RPC calls (0 disables)
+     * @param {Function} [options.rpcFactory] - Builds the RPC client from its config instead of the SDK
+     *   `RpcClient` (used by MockKaspaClient); WASM initialization is skipped when set
+     * @param {boolean} [options.capture=false] - Start capturing RPC traffic immediately (see startCapture())
+     * @param {NetworkRegistry} [options.networks] - Network registry consulted by connect() for node URLs
+     *   and resolvers; when set, only registered networks can be connected to
+     * @param {Object|boolean} [options.reconnect] - Reconnect settings, or `false` to disable
+     * @param {number} [options.reconnect.initialDelayMs=1000] - Delay before the first retry
+     * @param {number} [options.reconnect.maxDelayMs=30000] - Upper bound for the backoff delay
+     * @param {number} [options.reconnect.factor=2] - Backoff multiplier applied per attempt
+     * @param {number} [options.reconnect.maxAttempts=Infinity] - Give up after this many attempts
+     * @param {number} [options.reconnect.connectTimeoutMs=10000] - Timeout for a single attempt
      */
     constructor(options = {}) {
         this.#logger = options.logger || console;
+        this.#rpcFactory = typeof options.rpcFactory === 'function' ? options.rpcFactory : null;
+        this.#networks = options.networks || null;
+        if (options.defaultTimeoutMs != null) {
+            this.#defaultTimeoutMs = options.defaultTimeoutMs;
+        }
+        if (options.reconnect === false) {
+            this.#reconnectOptions.enabled = false;
+        } else if (options.reconnect && typeof options.reconnect === 'object') {
+            this.#reconnectOptions = { ...this.#reconnectOptions, ...options.reconnect };
+        }
+        if (options.capture) {
+            this.startCapture();
+        }
     }
 
     /**
@@ -94,6 +334,41 @@ export class KaspaClient {
         return this.#resolver;
     }
 
+    /**
+     * Whether the node is reached through an SDK RpcClient that other SDK
+     * objects (such as the SDK wallet) can dial themselves. False when an
+     * rpcFactory supplies the RPC client, as in MockKaspaClient and ReplayKaspaClient.
+     * @returns {boolean}
+     */
+    get usesSdkRpc() {
+        return this.#rpcFactory === null;
+    }
+
+    /**
+     * Get the wRPC URL of the node currently in use.
+     * When connected through a resolver, this is the node the resolver selected.
+     * @returns {string|null}
+     */
+    get url() {
+        return this.#rpc?.url ?? this.#connectOptions?.url ?? null;
+    }
+
+    /**
+     * Get the wRPC encoding in use ('borsh' or 'json').
+     * @returns {string|null}
+     */
+    get encoding() {
+        return this.#connectOptions?.encoding ?? null;
+    }
+
+    /**
+     * Get the options used for the current connection.
+     * @returns {{ networkId: string, url: string|null, encoding: string, resolvers: string[]|null }|null}
+     */
+    get connectOptions() {
+        return this.#connectOptions ? { ...this.#connectOptions } : null;
+    }
+
     /**
      * Get the RPC client. Throws if not connected.
      * @returns {RpcClient}
@@ -114,6 +389,56 @@ export class KaspaClient {
         return this.#rpc?.isConnected ?? false;
     }
 
+    /**
+     * Last known sync state of the connected node, from getSyncStatus(),
+     * getServerInfo() or waitForSync(). Null until checked, and reset
+     * whenever the connection changes.
+     * @returns {boolean|null}
+     */
+    get isSynced() {
+        return this.#isSynced;
+    }
+
+    /**
+     * Get the current connection state ('connecting', 'connected' or 'disconnected').
+     * @returns {string}
+     */
+    get connectionState() {
+        return this.#connectionState;
+    }
+
+    /**
+     * Get the default RPC timeout in milliseconds (0 means no timeout).
+     * @returns {number}
+     */
+    get defaultTimeoutMs() {
+        return this.#defaultTimeoutMs;
+    }
+
+    /**
+     * Check if a reconnect attempt loop is currently running.
+     * @returns {boolean}
+     */
+    get isReconnecting() {
+        return this.#reconnectPromise !== null;
+    }
+
+    /**
+     * Get the network registry, if one was configured.
+     * @returns {NetworkRegistry|null}
+     */
+    get networks() {
+        return this.#networks;
+    }
+
+    /**
+     * Get the active capture recorder, if capturing.
+     * @returns {RpcRecorder|null}
+     */
+    get capture() {
+        return this.#recorder;
+    }
+
     /**
      * Check if this client has been disposed.
      * @returns {boolean}
@@ -124,29 +449,44 @@ export class KaspaClient {
 
     /**
      * Initialize WASM and connect to a network.
-     * @param {string} networkId - Network to connect to
+     * 
+     * Without a `url`, the node is picked by the public Resolver (or by the
+     * `resolvers` list when given). With a `url`, the client connects directly
+     * to that node and no resolver is used. When the client has a network
+     * registry, a registered network's node URLs or resolvers fill in a
+     * missing `url`/`resolvers`.
+     * 
+     * The network ID is validated with the SDK's NetworkId class.
+     * 
+     * @param {string|Object} [networkIdOrOptions='testnet-10'] - Network ID or connect options
+     * @param {string} [networkIdOrOptions.networkId='testnet-10'] - Network to connect to
+     * @param {string} [networkIdOrOptions.url] - Explicit wRPC URL (e.g. 'ws://127.0.0.1:17110')
+     * @param {string} [networkIdOrOptions.encoding='borsh'] - wRPC encoding: 'borsh' or 'json'
+     * @param {string[]} [networkIdOrOptions.resolvers] - Custom resolver URLs (ignored when `url` is set)
      * @returns {Promise<void>}
      */
-    async connect(networkId = NETWORK_IDS.TESTNET_10) {
+    async connect(networkIdOrOptions = NETWORK_IDS.TESTNET_10) {
         this.#assertNotDisposed();
 
+        const options = this.#applyNetworkDefaults(normalizeConnectOptions(networkIdOrOptions));
+
         // If already connecting, wait for that
         if (this.#connectionPromise) {
             await this.#connectionPromise;
-            if (this.#networkId === networkId) return;
+            if (isSameEndpoint(this.#connectOptions, options)) return;
         }
 
-        // If already connected to different network, disconnect first
-        if (this.#rpc && this.#networkId !== networkId) {
+        // If already connected to a different network or endpoint, disconnect first
+        if (this.#rpc && !isSameEndpoint(this.#connectOptions, options)) {
             await this.disconnect();
         }
 
-        // If already connected to same network, return
-        if (this.#rpc && this.#networkId === networkId && this.isConnected) {
+        // If already connected to the same endpoint, return
+        if (this.#rpc && isSameEndpoint(this.#connectOptions, options) && this.isConnected) {
             return;
         }
 
-        this.#connectionPromise = this.#doConnect(networkId);
+        this.#connectionPromise = this.#doConnect(options);
         try {
             await this.#connectionPromise;
         } finally {
@@ -154,27 +494,210 @@ export class KaspaClient {
         }
     }
 
-    async #doConnect(networkId) {
+    async #doConnect(options) {
+        const { networkId, url, encoding, resolvers } = options;
+        const target = url || networkId;
+
         try {
-            await ensureWasmInitialized();
+            if (!this.#rpcFactory) {
+                await ensureWasmInitialized();
+                assertValidNetworkId(networkId);
+            }
             
             this.#networkId = networkId;
-            this.#resolver = new Resolver();
-            this.#rpc = new RpcClient({
-                resolver: this.#resolver,
-                networkId
-            });
+            this.#connectOptions = options;
+
+            const config = {
+                networkId,
+                encoding: encoding === RPC_ENCODINGS.JSON ? Encoding.SerdeJson : Encoding.Borsh
+            };
+
+            if (url) {
+                this.#resolver = null;
+                config.url = url;
+            } else {
+                this.#resolver = resolvers ? new Resolver(resolvers) : new Resolver();
+                config.resolver = this.#resolver;
+            }
 
+            this.#rpc = this.#rpcFactory ? this.#rpcFactory(config) : new RpcClient(config);
+
+            this.#attachCapture();
+            this.#emitState(CONNECTION_STATES.CONNECTING, { attempt: 0 });
             await this.#rpc.connect();
-            this.#logger.log(`[KaspaClient] Connected to ${networkId}`);
+            this.#attachSupervisor();
+            this.#logger.log(`[KaspaClient] Connected to ${networkId}${this.url ? ` (${this.url})` : ''}`);
+            this.#emitState(CONNECTION_STATES.CONNECTED, { url: this.url });
         } catch (err) {
+            this.#detachCapture();
             this.#rpc = null;
             this.#resolver = null;
             this.#networkId = null;
-            throw new NetworkError(`Failed to connect to ${networkId}`, err);
+            this.#connectOptions = null;
+            this.#emitState(CONNECTION_STATES.DISCONNECTED, { error: err });
+            if (err instanceof ValidationError) throw err;
+            throw new NetworkError(`Failed to connect to ${target}`, err);
+        }
+    }
+
+    /**
+     * Fill in the node URL or resolvers of a registered network. An explicit
+     * url or resolvers list wins, so the network need not be registered then.
+     * @param {{ networkId: string, url: string|null, encoding: string, resolvers: string[]|null }} options
+     * @returns {{ networkId: string, url: string|null, encoding: string, resolvers: string[]|null }}
+     */
+    #applyNetworkDefaults(options) {
+        if (!this.#networks || options.url || options.resolvers) return options;
+
+        const endpoint = this.#networks.resolveEndpoint(options.networkId, { encoding: options.encoding });
+        return { ...options, url: endpoint.url, resolvers: endpoint.resolvers };
+    }
+
+    /**
+     * Register a handler for connection state changes.
+     * The handler receives `{ state, attempt?, delayMs?, url?, error?, gaveUp? }` where
+     * `state` is one of 'connecting', 'connected', 'disconnected' or 'reconnected'.
+     * @param {Function} handler
+     */
+    onConnectionStateChange(handler) {
+        if (typeof handler === 'function' && !this.#stateHandlers.includes(handler)) {
+            this.#stateHandlers.push(handler);
+        }
+    }
+
+    /**
+     * Remove a connection state handler.
+     * @param {Function} handler
+     */
+    offConnectionStateChange(handler) {
+        this.#stateHandlers = this.#stateHandlers.filter(h => h !== handler);
+    }
+
+    #emitState(state, details = {}) {
+        // A new or restored connection may be to a different node
+        this.#isSynced = null;
+        this.#connectionState = state === CONNECTION_STATES.RECONNECTED
+            ? CONNECTION_STATES.CONNECTED
+            : state;
+
+        const event = { state, ...details };
+        for (const handler of this.#stateHandlers) {
+            try {
+                const result = handler(event);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(err => {
+                        this.#logger.error(`[KaspaClient] Async state handler error for ${state}:`, err);
+                    });
+                }
+            } catch (err) {
+                this.#logger.error(`[KaspaClient] State handler error for ${state}:`, err);
+            }
         }
     }
 
+    /**
+     * Listen for socket-level connect/disconnect events from the SDK so that
+     * dropped connections are detected and supervised.
+     */
+    #attachSupervisor() {
+        this.#detachSupervisor();
+
+        const onDisconnect = () => {
+            if (this.#disposed || !this.#rpc) return;
+            if (this.#connectionState === CONNECTION_STATES.DISCONNECTED) return;
+
+            this.#logger.warn('[KaspaClient] Connection lost');
+            this.#emitState(CONNECTION_STATES.DISCONNECTED, { url: this.url });
+
+            if (this.#reconnectOptions.enabled) {
+                this.#startReconnect();
+            }
+        };
+
+        const onConnect = () => {
+            // Already connected: this is the initial connect or a reconnect the
+            // supervisor has already reported.
+            if (this.#disposed || this.#connectionState === CONNECTION_STATES.CONNECTED) return;
+
+            // The SDK re-established the socket on its own; stop any backoff loop
+            this.#reconnectGeneration++;
+            this.#reconnectPromise = null;
+            this.#logger.log(`[KaspaClient] Reconnected to ${this.#networkId}`);
+            this.#emitState(CONNECTION_STATES.RECONNECTED, { url: this.url });
+        };
+
+        this.#rpc.addEventListener('disconnect', onDisconnect);
+        this.#rpc.addEventListener('connect', onConnect);
+        this.#supervisorHandlers = { onDisconnect, onConnect };
+    }
+
+    #detachSupervisor() {
+        if (!this.#supervisorHandlers || !this.#rpc) {
+            this.#supervisorHandlers = null;
+            return;
+        }
+        try {
+            this.#rpc.removeEventListener?.('disconnect', this.#supervisorHandlers.onDisconnect);
+            this.#rpc.removeEventListener?.('connect', this.#supervisorHandlers.onConnect);
+        } catch (_) {}
+        this.#supervisorHandlers = null;
+    }
+
+    #startReconnect() {
+        if (this.#reconnectPromise) return;
+
+        const generation = ++this.#reconnectGeneration;
+        this.#reconnectPromise = this.#reconnectLoop(generation)
+            .catch(err => {
+                this.#logger.error('[KaspaClient] Reconnect supervisor error:', err);
+            })
+            .finally(() => {
+                if (generation === this.#reconnectGeneration) {
+                    this.#reconnectPromise = null;
+                }
+            });
+    }
+
+    async #reconnectLoop(generation) {
+        const { initialDelayMs, maxDelayMs, factor, maxAttempts, connectTimeoutMs } = this.#reconnectOptions;
+        const isCancelled = () => this.#disposed || !this.#rpc || generation !== this.#reconnectGeneration;
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const delayMs = Math.min(initialDelayMs * Math.pow(factor, attempt - 1), maxDelayMs);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            if (isCancelled()) return;
+
+            // The SDK's own background task may already have restored the socket
+            if (!this.#rpc.isConnected) {
+                this.#emitState(CONNECTION_STATES.CONNECTING, { attempt, delayMs });
+                try {
+                    await this.#rpc.connect({
+                        blockAsyncConnect: true,
+                        strategy: ConnectStrategy.Fallback,
+                        timeoutDuration: connectTimeoutMs
+                    });
+                } catch (err) {
+                    lastError = err;
+                    this.#logger.warn(`[KaspaClient] Reconnect attempt ${attempt} failed:`, err?.message || err);
+                }
+            }
+
+            if (isCancelled()) return;
+
+            if (this.#rpc.isConnected) {
+                this.#logger.log(`[KaspaClient] Reconnected to ${this.#networkId} after ${attempt} attempt(s)`);
+                this.#emitState(CONNECTION_STATES.RECONNECTED, { attempt, url: this.url });
+                return;
+            }
+
+            this.#emitState(CONNECTION_STATES.DISCONNECTED, { attempt, error: lastError });
+        }
+
+        this.#logger.error(`[KaspaClient] Giving up after ${maxAttempts} reconnect attempt(s)`);
+        this.#emitState(CONNECTION_STATES.DISCONNECTED, { error: lastError, gaveUp: true });
+    }
+
     /**
      * Disconnect from the network and clean up resources.
      * @returns {Promise<void>}
@@ -182,6 +705,12 @@ export class KaspaClient {
     async disconnect() {
         if (!this.#rpc) return;
 
+        // Stop supervising before the socket closes so no reconnect is scheduled
+        this.#reconnectGeneration++;
+        this.#reconnectPromise = null;
+        this.#detachSupervisor();
+        this.#detachCapture();
+
         try {
             // Remove all event listeners
             for (const [event, listener] of this.#eventListeners) {
@@ -198,6 +727,7 @@ export class KaspaClient {
         } finally {
             this.#rpc = null;
             this.#resolver = null;
+            this.#emitState(CONNECTION_STATES.DISCONNECTED);
         }
     }
 
@@ -209,8 +739,11 @@ export class KaspaClient {
         if (this.#disposed) return;
         
         await this.disconnect();
+        this.stopCapture();
         this.#disposed = true;
         this.#networkId = null;
+        this.#connectOptions = null;
+        this.#stateHandlers = [];
         this.#logger.log('[KaspaClient] Disposed');
     }
 
@@ -241,107 +774,484 @@ export class KaspaClient {
 
     /**
      * Get the current sink blue score.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
      * @returns {Promise<bigint>}
      */
-    async getSinkBlueScore() {
-        this.#assertNotDisposed();
-        if (!this.#rpc) {
-            throw new NetworkError('Not connected. Call connect() first.');
-        }
-        try {
-            const res = await this.#rpc.getSinkBlueScore();
-            return res.blueScore;
-        } catch (err) {
-            throw new RpcError('Failed to get sink blue score', err);
-        }
+    async getSinkBlueScore(options = {}) {
+        const res = await this.#call(
+            'getSinkBlueScore',
+            [],
+            'Failed to get sink blue score',
+            rpc => rpc.getSinkBlueScore(),
+            options
+        );
+        return res.blueScore;
     }
 
     /**
      * Get UTXOs for addresses.
      * @param {string[]} addresses - List of addresses
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
      * @returns {Promise<any>}
      */
-    async getUtxosByAddresses(addresses) {
-        this.#assertNotDisposed();
-        if (!this.#rpc) {
-            throw new NetworkError('Not connected. Call connect() first.');
-        }
-        try {
-            return await this.#rpc.getUtxosByAddresses(addresses);
-        } catch (err) {
-            throw new RpcError('Failed to get UTXOs by addresses', err);
+    async getUtxosByAddresses(addresses, options = {}) {
+        return await this.#call(
+            'getUtxosByAddresses',
+            [addresses],
+            'Failed to get UTXOs by addresses',
+            rpc => rpc.getUtxosByAddresses(addresses),
+            options
+        );
+    }
+
+    /**
+     * Submit a signed transaction to the node's mempool.
+     * @param {Object} transaction - Signed transaction
+     * @param {boolean} [allowOrphan=false] - Accept a transaction whose inputs are not yet known
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<string>} The transaction ID
+     */
+    async submitTransaction(transaction, allowOrphan = false, options = {}) {
+        if (!transaction) {
+            throw new ValidationError('transaction is required', 'transaction');
         }
+        const res = await this.#call(
+            'submitTransaction',
+            [transaction, allowOrphan],
+            'Failed to submit transaction',
+            rpc => rpc.submitTransaction({ transaction, allowOrphan }),
+            options
+        );
+        return res.transactionId;
     }
 
     /**
      * Get fee estimate rates (in sompi per gram) for low/normal/high priority.
-     * These are the raw rates from the node's fee estimate buckets.
-     * @returns {Promise<{ low: number | null, normal: number | null, high: number | null }>}
+     * `low` and `normal` average the node's buckets of that class, `high` is the
+     * priority bucket. `estimatedSeconds` gives the matching expected confirmation
+     * times, and `buckets` the raw node buckets.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ low: number|null, normal: number|null, high: number|null, estimatedSeconds: { low: number|null, normal: number|null, high: number|null }, buckets: { priority: { feerate: number, estimatedSeconds: number }|null, normal: Array<{ feerate: number, estimatedSeconds: number }>, low: Array<{ feerate: number, estimatedSeconds: number }> } }>}
      */
-    async getFeeEstimate() {
-        this.#assertNotDisposed();
-        if (!this.#rpc) {
-            throw new NetworkError('Not connected. Call connect() first.');
+    async getFeeEstimate(options = {}) {
+        const res = await this.#call(
+            'getFeeEstimate',
+            [],
+            'Failed to get fee estimate',
+            rpc => rpc.getFeeEstimate(),
+            options
+        );
+
+        const estimate = res && (res.estimate || res);
+        if (!estimate) {
+            throw new RpcError('Fee estimate not available from node');
         }
 
-        try {
-            const res = await this.#rpc.getFeeEstimate();
-            const estimate = res && (res.estimate || res);
+        const finite = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+        const toBucket = (b) => (b && finite(b.feerate) != null
+            ? { feerate: b.feerate, estimatedSeconds: finite(b.estimatedSeconds) }
+            : null);
+        const toBuckets = (list) => (Array.isArray(list) ? list.map(toBucket).filter(Boolean) : []);
+
+        const average = (buckets, field) => {
+            const values = buckets.map(b => b[field]).filter(v => v != null);
+            if (!values.length) return null;
+            return values.reduce((a, b) => a + b, 0) / values.length;
+        };
+
+        const buckets = {
+            priority: toBucket(estimate.priorityBucket),
+            normal: toBuckets(estimate.normalBuckets),
+            low: toBuckets(estimate.lowBuckets)
+        };
+
+        return {
+            low: average(buckets.low, 'feerate'),
+            normal: average(buckets.normal, 'feerate'),
+            high: buckets.priority?.feerate ?? null,
+            estimatedSeconds: {
+                low: average(buckets.low, 'estimatedSeconds'),
+                normal: average(buckets.normal, 'estimatedSeconds'),
+                high: buckets.priority?.estimatedSeconds ?? null
+            },
+            buckets
+        };
+    }
+
+    /**
+     * Get a block by hash.
+     * @param {string} hash - Block hash
+     * @param {boolean} [includeTransactions=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<any>}
+     */
+    async getBlock(hash, includeTransactions = false, options = {}) {
+        return await this.#call(
+            'getBlock',
+            [hash, includeTransactions],
+            'Failed to get block',
+            rpc => rpc.getBlock({ hash, includeTransactions }),
+            options
+        );
+    }
+
+    /**
+     * Get DAG information (block/header counts, tips, sink, virtual DAA score, difficulty).
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ network: string, blockCount: bigint, headerCount: bigint, tipHashes: string[], difficulty: number, pastMedianTime: bigint, virtualParentHashes: string[], pruningPointHash: string, virtualDaaScore: bigint, sink: string }>}
+     */
+    async getBlockDagInfo(options = {}) {
+        return await this.#call(
+            'getBlockDagInfo',
+            [],
+            'Failed to get block DAG info',
+            rpc => rpc.getBlockDagInfo(),
+            options
+        );
+    }
+
+    /**
+     * Get information about the connected node.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ rpcApiVersion: number, serverVersion: string, networkId: string, hasUtxoIndex: boolean, isSynced: boolean, virtualDaaScore: bigint }>}
+     */
+    async getServerInfo(options = {}) {
+        const res = await this.#call(
+            'getServerInfo',
+            [],
+            'Failed to get server info',
+            rpc => rpc.getServerInfo(),
+            options
+        );
+        if (res && typeof res.isSynced === 'boolean') {
+            this.#isSynced = res.isSynced;
+        }
+        return res;
+    }
+
+    /**
+     * Check whether the connected node reports itself as synced.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<boolean>}
+     */
+    async getSyncStatus(options = {}) {
+        const res = await this.#call(
+            'getSyncStatus',
+            [],
+            'Failed to get sync status',
+            rpc => rpc.getSyncStatus(),
+            options
+        );
+        this.#isSynced = !!res.isSynced;
+        return this.#isSynced;
+    }
+
+    /**
+     * Wait until the connected node reports itself as synced.
+     *
+     * Polls getServerInfo(); while the node is syncing, getBlockDagInfo() is
+     * used to estimate progress from the block and header counts. Failed polls
+     * (e.g. during a reconnect) are logged and retried.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=300000] - Give up after this long (0 waits indefinitely)
+     * @param {number} [options.pollIntervalMs=2000] - Delay between polls
+     * @param {AbortSignal} [options.signal] - Cancels the wait when aborted
+     * @param {Function} [options.onProgress] - Receives `{ isSynced, virtualDaaScore, blockCount, headerCount, progress, elapsedMs }`
+     *   after every poll; `progress` is an estimate between 0 and 1, or null when unknown
+     * @returns {Promise<{ isSynced: true, virtualDaaScore: bigint|null, elapsedMs: number }>}
+     * @throws {NodeNotSyncedError} If the node is still syncing when the timeout expires
+     * @throws {RpcAbortedError} If the signal is aborted
+     */
+    async waitForSync(options = {}) {
+        const {
+            timeoutMs = DEFAULT_SYNC_WAIT_OPTIONS.timeoutMs,
+            pollIntervalMs = DEFAULT_SYNC_WAIT_OPTIONS.pollIntervalMs,
+            signal,
+            onProgress
+        } = options;
+
+        const started = Date.now();
+        const deadline = timeoutMs > 0 ? started + timeoutMs : Infinity;
+        let virtualDaaScore = null;
+        let announced = false;
 
-            if (!estimate) {
-                throw new RpcError('Fee estimate not available from node');
+        while (true) {
+            this.#assertNotDisposed();
+            if (signal?.aborted) {
+                throw new RpcAbortedError('waitForSync', signal.reason);
             }
 
-            const avgFeerate = (buckets) => {
-                if (!Array.isArray(buckets) || !buckets.length) return null;
-                let sum = 0;
-                let count = 0;
-                for (const b of buckets) {
-                    const r = b && typeof b.feerate === 'number' && Number.isFinite(b.feerate)
-                        ? b.feerate
-                        : null;
-                    if (r != null) {
-                        sum += r;
-                        count++;
+            const remaining = deadline - Date.now();
+            const callOptions = {
+                signal,
+                timeoutMs: Number.isFinite(remaining)
+                    ? Math.max(1, Math.min(remaining, this.#defaultTimeoutMs || remaining))
+                    : undefined
+            };
+
+            let progress = null;
+            try {
+                const info = await this.getServerInfo(callOptions);
+                virtualDaaScore = info?.virtualDaaScore ?? virtualDaaScore;
+                progress = { isSynced: !!info?.isSynced, virtualDaaScore, blockCount: null, headerCount: null, progress: null };
+
+                if (!progress.isSynced) {
+                    if (!announced) {
+                        this.#logger.log(`[KaspaClient] Waiting for ${this.url ?? 'node'} to sync...`);
+                        announced = true;
+                    }
+                    const dag = await this.getBlockDagInfo(callOptions);
+                    const blockCount = dag?.blockCount != null ? BigInt(dag.blockCount) : null;
+                    const headerCount = dag?.headerCount != null ? BigInt(dag.headerCount) : null;
+                    progress.blockCount = blockCount;
+                    progress.headerCount = headerCount;
+                    if (blockCount != null && headerCount > 0n) {
+                        // Reaching the header count is not the same as being synced
+                        progress.progress = Math.min(0.99, Number(blockCount * 10000n / headerCount) / 10000);
                     }
+                } else {
+                    progress.progress = 1;
                 }
-                if (!count) return null;
-                return sum / count;
-            };
+            } catch (err) {
+                if (err instanceof RpcAbortedError || err instanceof DisposedError) throw err;
+                if (!(err instanceof NetworkError) && !(err instanceof RpcError)) throw err;
+                this.#logger.warn('[KaspaClient] Sync status check failed:', err?.message || err);
+            }
 
-            const low = avgFeerate(estimate.lowBuckets);
-            const normal = avgFeerate(estimate.normalBuckets);
-            const high = (estimate.priorityBucket &&
-                typeof estimate.priorityBucket.feerate === 'number' &&
-                Number.isFinite(estimate.priorityBucket.feerate))
-                ? estimate.priorityBucket.feerate
-                : null;
+            const elapsedMs = Date.now() - started;
+            if (progress) {
+                try {
+                    onProgress?.({ ...progress, elapsedMs });
+                } catch (err) {
+                    this.#logger.error('[KaspaClient] Sync progress handler error:', err);
+                }
+                if (progress.isSynced) {
+                    if (announced) {
+                        this.#logger.log(`[KaspaClient] Node synced after ${elapsedMs}ms`);
+                    }
+                    return { isSynced: true, virtualDaaScore, elapsedMs };
+                }
+            }
 
-            return { low, normal, high };
-        } catch (err) {
-            if (err instanceof RpcError || err instanceof NetworkError) {
-                throw err;
+            const wait = Math.min(pollIntervalMs, deadline - Date.now());
+            if (wait <= 0) {
+                throw new NodeNotSyncedError(
+                    `Node ${this.url ?? this.#networkId} did not finish syncing within ${timeoutMs}ms`,
+                    { url: this.url, virtualDaaScore }
+                );
             }
-            throw new RpcError('Failed to get fee estimate', err);
+            await sleepUnlessAborted(wait, signal);
         }
     }
 
     /**
-     * Get a block by hash.
-     * @param {string} hash - Block hash
-     * @param {boolean} [includeTransactions=false]
-     * @returns {Promise<any>}
+     * Get the network the connected node runs on (e.g. 'mainnet', 'testnet').
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<string>}
      */
-    async getBlock(hash, includeTransactions = false) {
-        this.#assertNotDisposed();
-        if (!this.#rpc) {
-            throw new NetworkError('Not connected. Call connect() first.');
+    async getCurrentNetwork(options = {}) {
+        const res = await this.#call(
+            'getCurrentNetwork',
+            [],
+            'Failed to get current network',
+            rpc => rpc.getCurrentNetwork(),
+            options
+        );
+        return res.network;
+    }
+
+    /**
+     * Get the transactions currently in the node's mempool.
+     * @param {boolean} [includeOrphanPool=false] - Include orphan transactions
+     * @param {boolean} [filterTransactionPool=false] - Exclude the regular transaction pool
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Array<{ fee: bigint, transaction: Object, isOrphan: boolean }>>}
+     */
+    async getMempoolEntries(includeOrphanPool = false, filterTransactionPool = false, options = {}) {
+        const res = await this.#call(
+            'getMempoolEntries',
+            [includeOrphanPool, filterTransactionPool],
+            'Failed to get mempool entries',
+            rpc => rpc.getMempoolEntries({ includeOrphanPool, filterTransactionPool }),
+            options
+        );
+        return res.mempoolEntries || [];
+    }
+
+    /**
+     * Get a single mempool entry by transaction ID.
+     * @param {string} transactionId
+     * @param {boolean} [includeOrphanPool=false] - Also search orphan transactions
+     * @param {boolean} [filterTransactionPool=false] - Exclude the regular transaction pool
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ fee: bigint, transaction: Object, isOrphan: boolean }>}
+     */
+    async getMempoolEntry(transactionId, includeOrphanPool = false, filterTransactionPool = false, options = {}) {
+        if (!transactionId || typeof transactionId !== 'string') {
+            throw new ValidationError('transactionId is required', 'transactionId');
         }
-        try {
-            return await this.#rpc.getBlock({ hash, includeTransactions });
-        } catch (err) {
-            throw new RpcError('Failed to get block', err);
+        const res = await this.#call(
+            'getMempoolEntry',
+            [transactionId, includeOrphanPool, filterTransactionPool],
+            'Failed to get mempool entry',
+            rpc => rpc.getMempoolEntry({ transactionId, includeOrphanPool, filterTransactionPool }),
+            options
+        );
+        return res.mempoolEntry;
+    }
+
+    /**
+     * Get block hashes (and optionally blocks) from `lowHash` up to the virtual.
+     * @param {string|null} [lowHash=null] - Starting block hash (defaults to the pruning point)
+     * @param {boolean} [includeBlocks=false] - Include full blocks, not only hashes
+     * @param {boolean} [includeTransactions=false] - Include transactions in the blocks
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ blockHashes: string[], blocks: Object[] }>}
+     */
+    async getBlocks(lowHash = null, includeBlocks = false, includeTransactions = false, options = {}) {
+        const request = { includeBlocks, includeTransactions };
+        if (lowHash) request.lowHash = lowHash;
+
+        return await this.#call(
+            'getBlocks',
+            [lowHash, includeBlocks, includeTransactions],
+            'Failed to get blocks',
+            rpc => rpc.getBlocks(request),
+            options
+        );
+    }
+
+    /**
+     * Get block headers starting at `startHash`.
+     * @param {string} startHash - Hash to start from
+     * @param {number|bigint} [limit=100] - Maximum number of headers
+     * @param {boolean} [isAscending=true] - Walk towards the virtual (true) or the genesis (false)
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Object[]>}
+     */
+    async getHeaders(startHash, limit = 100, isAscending = true, options = {}) {
+        if (!startHash || typeof startHash !== 'string') {
+            throw new ValidationError('startHash is required', 'startHash');
+        }
+        const res = await this.#call(
+            'getHeaders',
+            [startHash, limit, isAscending],
+            'Failed to get headers',
+            rpc => rpc.getHeaders({ startHash, limit: BigInt(limit), isAscending }),
+            options
+        );
+        return res.headers || [];
+    }
+
+    /**
+     * Get the virtual selected parent chain changes since `startHash`.
+     * @param {string} startHash - Chain block to start from
+     * @param {boolean} [includeAcceptedTransactionIds=false] - Include accepted transaction IDs per chain block
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ removedChainBlockHashes: string[], addedChainBlockHashes: string[], acceptedTransactionIds: Object[] }>}
+     */
+    async getVirtualChainFromBlock(startHash, includeAcceptedTransactionIds = false, options = {}) {
+        if (!startHash || typeof startHash !== 'string') {
+            throw new ValidationError('startHash is required', 'startHash');
         }
+        return await this.#call(
+            'getVirtualChainFromBlock',
+            [startHash, includeAcceptedTransactionIds],
+            'Failed to get virtual chain from block',
+            rpc => rpc.getVirtualChainFromBlock({ startHash, includeAcceptedTransactionIds }),
+            options
+        );
+    }
+
+    /**
+     * Estimate the network hashrate over a window of blocks.
+     * @param {number} [windowSize=1000] - Number of blocks in the window
+     * @param {string|null} [startHash=null] - Block to end the window at (defaults to the sink)
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<bigint>} Hashes per second
+     */
+    async estimateNetworkHashesPerSecond(windowSize = 1000, startHash = null, options = {}) {
+        const request = { windowSize };
+        if (startHash) request.startHash = startHash;
+
+        const res = await this.#call(
+            'estimateNetworkHashesPerSecond',
+            [windowSize, startHash],
+            'Failed to estimate network hashrate',
+            rpc => rpc.estimateNetworkHashesPerSecond(request),
+            options
+        );
+        return res.networkHashesPerSecond;
+    }
+
+    /**
+     * Get the maximum and circulating coin supply.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ maxSompi: bigint, circulatingSompi: bigint }>}
+     */
+    async getCoinSupply(options = {}) {
+        return await this.#call(
+            'getCoinSupply',
+            [],
+            'Failed to get coin supply',
+            rpc => rpc.getCoinSupply(),
+            options
+        );
+    }
+
+    /**
+     * Get the balance of each address (requires a node with UTXO index).
+     * @param {string[]} addresses - List of addresses
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Array<{ address: string, balance: bigint }>>}
+     */
+    async getBalancesByAddresses(addresses, options = {}) {
+        if (!Array.isArray(addresses) || !addresses.length) {
+            throw new ValidationError('addresses must be a non-empty array', 'addresses');
+        }
+        const res = await this.#call(
+            'getBalancesByAddresses',
+            [addresses],
+            'Failed to get balances by addresses',
+            rpc => rpc.getBalancesByAddresses(addresses),
+            options
+        );
+        return res.entries || [];
     }
 
     /**
@@ -375,6 +1285,162 @@ export class KaspaClient {
         }
     }
 
+    /**
+     * Start capturing RPC traffic. Every wrapper call (request, raw response
+     * or error) and every node notification, including connect/disconnect,
+     * is recorded with its timing. Wallets built on this client also record
+     * their SDK wallet events. Replay the result with ReplayKaspaClient.
+     * 
+     * Calling it while already capturing returns the active recorder.
+     * 
+     * @param {RpcRecorder} [recorder] - Recorder to append to (default: a new one)
+     * @returns {RpcRecorder}
+     */
+    startCapture(recorder) {
+        this.#assertNotDisposed();
+        if (this.#recorder) return this.#recorder;
+
+        this.#recorder = recorder || new RpcRecorder({ logger: this.#logger });
+        this.#recorder.start({ networkId: this.#networkId, url: this.url });
+        if (this.#rpc) {
+            this.#attachCapture();
+        }
+        return this.#recorder;
+    }
+
+    /**
+     * Stop capturing RPC traffic.
+     * @returns {RpcRecorder|null} The recorder holding the captured traffic
+     */
+    stopCapture() {
+        const recorder = this.#recorder;
+        if (!recorder) return null;
+
+        this.#detachCapture();
+        recorder.stop();
+        this.#recorder = null;
+        return recorder;
+    }
+
+    #attachCapture() {
+        if (!this.#recorder || !this.#rpc || this.#captureListener) return;
+
+        const recorder = this.#recorder;
+        this.#captureListener = ({ type, data }) => recorder.recordNotification(type, data);
+        this.#rpc.addEventListener(this.#captureListener);
+        recorder.start({ networkId: this.#networkId, url: this.url });
+    }
+
+    #detachCapture() {
+        if (!this.#captureListener) return;
+        try {
+            this.#rpc?.clearEventListener?.(this.#captureListener);
+        } catch (_) {}
+        this.#captureListener = null;
+    }
+
+    /**
+     * Register RPC middleware. Middleware runs around every RPC wrapper call,
+     * in registration order (first registered is outermost).
+     * 
+     * Accepts either an "around" function `async (ctx, next) => {}` that must
+     * call `next()` to continue (and may call it again to retry, or skip it to
+     * serve a cached result), or a hooks object
+     * `{ onRequest(ctx), onResponse(ctx), onError(ctx) }`.
+     * 
+     * `ctx` contains `{ method, args, options, client, attempts, startedAt,
+     * durationMs, outcome, result, error }`; `durationMs`, `outcome`, `result`
+     * and `error` are filled in once the call settles.
+     * 
+     * @param {Function|{ onRequest?: Function, onResponse?: Function, onError?: Function }} middleware
+     * @returns {KaspaClient} this, for chaining
+     */
+    use(middleware) {
+        const fn = toMiddlewareFunction(middleware);
+        this.#middleware.push({ source: middleware, fn });
+        return this;
+    }
+
+    /**
+     * Remove previously registered middleware.
+     * @param {Function|Object} middleware - The same value passed to use()
+     */
+    removeMiddleware(middleware) {
+        this.#middleware = this.#middleware.filter(m => m.source !== middleware);
+    }
+
+    /**
+     * Run an RPC call through the middleware pipeline with the connection
+     * guards, timeout/abort handling and error wrapping shared by every
+     * wrapper method.
+     * @param {string} method - RPC method name
+     * @param {Array} args - Arguments the wrapper was called with
+     * @param {string} failMessage - Message for the wrapping RpcError
+     * @param {Function} invoke - Receives the RpcClient and returns the SDK promise
+     * @param {{ timeoutMs?: number, signal?: AbortSignal }} [options]
+     * @returns {Promise<any>}
+     */
+    async #call(method, args, failMessage, invoke, options = {}) {
+        this.#assertNotDisposed();
+        if (!this.#rpc) {
+            throw new NetworkError('Not connected. Call connect() first.');
+        }
+
+        const ctx = {
+            method,
+            args,
+            options,
+            client: this,
+            attempts: 0,
+            startedAt: Date.now(),
+            durationMs: null,
+            outcome: null,
+            result: undefined,
+            error: null
+        };
+
+        const execute = async () => {
+            this.#assertNotDisposed();
+            if (!this.#rpc) {
+                throw new NetworkError('Not connected. Call connect() first.');
+            }
+
+            ctx.attempts++;
+            const started = Date.now();
+            const timeoutMs = options.timeoutMs ?? this.#defaultTimeoutMs;
+            const recorder = this.#recorder;
+            const requestId = recorder?.recordRequest(method, args) ?? null;
+            try {
+                const result = await withDeadline(invoke(this.#rpc), method, { timeoutMs, signal: options.signal });
+                recorder?.recordResponse(requestId, method, result, Date.now() - started);
+                ctx.result = result;
+                ctx.error = null;
+                ctx.outcome = 'success';
+                return result;
+            } catch (err) {
+                recorder?.recordError(requestId, method, err, Date.now() - started);
+                const wrapped = (err instanceof RpcError || err instanceof NetworkError)
+                    ? err
+                    : new RpcError(failMessage, err);
+                ctx.error = wrapped;
+                ctx.outcome = 'error';
+                throw wrapped;
+            } finally {
+                ctx.durationMs = Date.now() - started;
+            }
+        };
+
+        const chain = this.#middleware.map(m => m.fn);
+        const dispatch = (index) => {
+            if (index >= chain.length) {
+                return execute();
+            }
+            return chain[index](ctx, () => dispatch(index + 1));
+        };
+
+        return await dispatch(0);
+    }
+
     #assertNotDisposed() {
         if (this.#disposed) {
             throw new DisposedError('KaspaClient');
@@ -392,9 +1458,30 @@ export {
     AccountKind,
     UtxoProcessor,
     KaspaUtxoContext,
+    Encoding,
+    NetworkId,
+    NetworkType,
     setDefaultStorageFolder,
     ensureWasmInitialized,
-    estimateTransactions
+    estimateTransactions,
+    createTransactions,
+    signTransaction,
+    payToAddressScript,
+    getTransactionMaturityProgress,
+    PSKT,
+    PSKB,
+    ScriptBuilder,
+    Opcodes,
+    payToScriptHashScript,
+    createMultisigAddress,
+    signMessage,
+    verifyMessage,
+    FeeSource,
+    XPub,
+    PublicKeyGenerator,
+    PrivateKeyGenerator,
+    XPrv,
+    PrivateKey
 };
 
 export default KaspaClient;
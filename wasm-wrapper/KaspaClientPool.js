@@ -0,0 +1,869 @@
+// KaspaClientPool.js - Multi-node failover pool with the same surface as KaspaClient
+// Usage: const pool = new KaspaClientPool({ endpoints: ['ws://a:17110', 'ws://b:17110'] }); await pool.connect('mainnet');
+
+import { KaspaClient, Address } from './KaspaClient.js';
+import { NETWORK_IDS, CONNECTION_STATES, DEFAULT_POOL_OPTIONS } from './Constants.js';
+import { NetworkError, RpcError, RpcAbortedError, DisposedError, ValidationError } from './Errors.js';
+
+/**
+ * Normalize an endpoint definition into `{ url, encoding }`.
+ * @param {string|Object} endpoint
+ * @returns {{ url: string|null, encoding: string|undefined, resolvers: string[]|undefined }}
+ */
+function normalizeEndpoint(endpoint) {
+    if (typeof endpoint === 'string') {
+        return { url: endpoint, encoding: undefined, resolvers: undefined };
+    }
+    if (endpoint && typeof endpoint === 'object') {
+        return {
+            url: endpoint.url || null,
+            encoding: endpoint.encoding,
+            resolvers: endpoint.resolvers
+        };
+    }
+    throw new ValidationError('Each endpoint must be a URL string or { url, encoding } object', 'endpoints');
+}
+
+/**
+ * Race a promise against a timeout.
+ * @param {Promise<any>} promise
+ * @param {number} ms
+ * @returns {Promise<any>}
+ */
+function withTimeout(promise, ms) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Health check timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * KaspaClientPool - Holds several KaspaClient connections and routes calls
+ * to the healthiest synced node, failing over transparently.
+ * 
+ * Exposes the same properties and methods as KaspaClient, so it can be
+ * passed to Wallet, Events and UtxoContext in place of a single client.
+ * When the active node changes, a 'reconnected' state event (with
+ * `failover: true`) is emitted so Events and UtxoContext re-bind to the
+ * new node, and Wallet reconnects its SDK wallet to it.
+ * 
+ * Usage:
+ *   const pool = new KaspaClientPool({
+ *       endpoints: ['ws://node-a:17110', { url: 'ws://node-b:18110', encoding: 'json' }]
+ *   });
+ *   await pool.connect('mainnet');
+ *   const events = new Events(pool);
+ *   console.log(pool.nodeStats);
+ *   await pool.dispose();
+ */
+export class KaspaClientPool {
+    #networkId = null;
+    #endpoints = [];
+    #members = [];
+    #active = null;
+    #options = { ...DEFAULT_POOL_OPTIONS };
+    #clientOptions = {};
+    #middleware = [];
+    #healthTimer = null;
+    #healthCheckPromise = null;
+    #stateHandlers = [];
+    #connectionState = CONNECTION_STATES.DISCONNECTED;
+    #disposed = false;
+    #logger = console;
+
+    /**
+     * Create a new KaspaClientPool instance.
+     * @param {Object} options
+     * @param {Array<string|Object>} options.endpoints - wRPC URLs or `{ url, encoding, resolvers }` objects
+     * @param {string} [options.networkId='testnet-10'] - Default network for connect()
+     * @param {number} [options.healthCheckIntervalMs=15000] - Interval between health checks (0 disables)
+     * @param {number} [options.healthCheckTimeoutMs=5000] - Timeout for a single node probe
+     * @param {number} [options.maxBlueScoreLag=10] - Max sink blue score lag behind the best node
+     * @param {Object|boolean} [options.reconnect] - Reconnect settings passed to each member client
+     * @param {number} [options.defaultTimeoutMs] - Default RPC timeout passed to each member client
+     * @param {NetworkRegistry} [options.networks] - Network registry passed to each member client
+     * @param {Object} [options.logger] - Custom logger (default: console)
+     */
+    constructor(options = {}) {
+        if (!Array.isArray(options.endpoints) || options.endpoints.length === 0) {
+            throw new ValidationError('At least one endpoint is required', 'endpoints');
+        }
+        this.#endpoints = options.endpoints.map(normalizeEndpoint);
+        this.#networkId = options.networkId || NETWORK_IDS.TESTNET_10;
+        this.#logger = options.logger || console;
+        for (const key of Object.keys(DEFAULT_POOL_OPTIONS)) {
+            if (options[key] != null) this.#options[key] = options[key];
+        }
+        this.#clientOptions = {
+            logger: this.#logger,
+            reconnect: options.reconnect,
+            defaultTimeoutMs: options.defaultTimeoutMs,
+            networks: options.networks
+        };
+    }
+
+    /**
+     * Get the network registry passed to member clients, if any.
+     * @returns {NetworkRegistry|null}
+     */
+    get networks() {
+        return this.#clientOptions.networks || null;
+    }
+
+    /**
+     * Get the current network ID.
+     * @returns {string|null}
+     */
+    get networkId() {
+        return this.#networkId;
+    }
+
+    /**
+     * Get the Resolver of the active node, if it uses one.
+     * @returns {Resolver|null}
+     */
+    get resolver() {
+        return this.#active?.client.resolver ?? null;
+    }
+
+    /**
+     * Get the wRPC URL of the active node.
+     * @returns {string|null}
+     */
+    get url() {
+        return this.#active?.client.url ?? null;
+    }
+
+    /**
+     * Get the wRPC encoding of the active node.
+     * @returns {string|null}
+     */
+    get encoding() {
+        return this.#active?.client.encoding ?? null;
+    }
+
+    /**
+     * Get the connect options of the active node.
+     * @returns {Object|null}
+     */
+    get connectOptions() {
+        return this.#active?.client.connectOptions ?? null;
+    }
+
+    /**
+     * Whether the active node is reached through an SDK RpcClient.
+     * @returns {boolean}
+     */
+    get usesSdkRpc() {
+        return this.#active?.client.usesSdkRpc ?? true;
+    }
+
+    /**
+     * Get the RPC client of the active node. Throws if no node is available.
+     * @returns {RpcClient}
+     */
+    get rpc() {
+        this.#assertNotDisposed();
+        if (!this.#active) {
+            throw new NetworkError('No healthy node available. Call connect() first.');
+        }
+        return this.#active.client.rpc;
+    }
+
+    /**
+     * Check if the pool has an active, connected node.
+     * @returns {boolean}
+     */
+    get isConnected() {
+        return this.#active?.client.isConnected ?? false;
+    }
+
+    /**
+     * Last known sync state of the active node (from its latest health probe).
+     * @returns {boolean|null}
+     */
+    get isSynced() {
+        return this.#active?.isSynced ?? null;
+    }
+
+    /**
+     * Check if this pool has been disposed.
+     * @returns {boolean}
+     */
+    get isDisposed() {
+        return this.#disposed;
+    }
+
+    /**
+     * Get the current connection state of the pool.
+     * @returns {string}
+     */
+    get connectionState() {
+        return this.#connectionState;
+    }
+
+    /**
+     * Get the underlying member clients.
+     * @returns {KaspaClient[]}
+     */
+    get clients() {
+        return this.#members.map(m => m.client);
+    }
+
+    /**
+     * Get per-node health statistics from the last health check.
+     * @returns {Array<{ url: string|null, active: boolean, connected: boolean, healthy: boolean, isSynced: boolean|null, latencyMs: number|null, blueScore: bigint|null, lagBlueScore: bigint|null, lastCheckedAt: number|null, lastError: string|null }>}
+     */
+    get nodeStats() {
+        return this.#members.map(m => ({
+            url: m.client.url ?? m.endpoint.url,
+            active: m === this.#active,
+            connected: m.client.isConnected,
+            healthy: m.healthy,
+            isSynced: m.isSynced,
+            latencyMs: m.latencyMs,
+            blueScore: m.blueScore,
+            lagBlueScore: m.lagBlueScore,
+            lastCheckedAt: m.lastCheckedAt,
+            lastError: m.lastError
+        }));
+    }
+
+    /**
+     * Connect to every endpoint, run a health check and select the active node.
+     * Succeeds as long as at least one node is healthy.
+     * @param {string} [networkId] - Network to connect to (defaults to the constructor value)
+     * @returns {Promise<void>}
+     */
+    async connect(networkId = this.#networkId) {
+        this.#assertNotDisposed();
+
+        if (typeof networkId === 'object' && networkId !== null) {
+            networkId = networkId.networkId || this.#networkId;
+        }
+
+        if (this.#members.length && this.#networkId === networkId && this.isConnected) {
+            return;
+        }
+        if (this.#members.length) {
+            await this.disconnect();
+        }
+
+        this.#networkId = networkId;
+        this.#emitState(CONNECTION_STATES.CONNECTING, { attempt: 0 });
+
+        this.#members = this.#endpoints.map(endpoint => ({
+            endpoint,
+            client: this.#createMemberClient(),
+            stateHandler: null,
+            healthy: false,
+            isSynced: null,
+            latencyMs: null,
+            blueScore: null,
+            lagBlueScore: null,
+            lastCheckedAt: null,
+            lastError: null
+        }));
+
+        const results = await Promise.allSettled(this.#members.map(m => m.client.connect({
+            networkId,
+            url: m.endpoint.url || undefined,
+            encoding: m.endpoint.encoding,
+            resolvers: m.endpoint.resolvers
+        })));
+
+        results.forEach((res, i) => {
+            const member = this.#members[i];
+            if (res.status === 'rejected') {
+                member.lastError = res.reason?.message || String(res.reason);
+                this.#logger.warn(`[KaspaClientPool] Endpoint ${member.endpoint.url || 'resolver'} failed to connect:`, member.lastError);
+            }
+            member.stateHandler = (event) => this.#handleMemberState(member, event);
+            member.client.onConnectionStateChange(member.stateHandler);
+        });
+
+        await this.healthCheck();
+
+        if (!this.#active) {
+            const errors = this.#members.map(m => m.lastError).filter(Boolean).join('; ');
+            await this.disconnect();
+            this.#emitState(CONNECTION_STATES.DISCONNECTED, { error: errors || null });
+            throw new NetworkError(`No healthy node available for ${networkId}${errors ? `: ${errors}` : ''}`);
+        }
+
+        if (this.#options.healthCheckIntervalMs > 0) {
+            this.#healthTimer = setInterval(() => {
+                this.healthCheck().catch(err => {
+                    this.#logger.warn('[KaspaClientPool] Health check failed:', err);
+                });
+            }, this.#options.healthCheckIntervalMs);
+        }
+
+        this.#logger.log(`[KaspaClientPool] Connected to ${networkId} via ${this.url}`);
+        this.#emitState(CONNECTION_STATES.CONNECTED, { url: this.url });
+    }
+
+    /**
+     * Probe every member with getServerInfo/getSinkBlueScore, update the
+     * statistics and fail over if the active node is no longer healthy.
+     * Concurrent calls share the same in-flight check.
+     * @returns {Promise<Array>} The updated node statistics
+     */
+    async healthCheck() {
+        this.#assertNotDisposed();
+
+        if (!this.#healthCheckPromise) {
+            this.#healthCheckPromise = (async () => {
+                await Promise.all(this.#members.map(m => this.#probe(m)));
+                this.#updateLag();
+                this.#selectActive();
+                return this.nodeStats;
+            })().finally(() => {
+                this.#healthCheckPromise = null;
+            });
+        }
+        return await this.#healthCheckPromise;
+    }
+
+    /**
+     * Disconnect every member and stop health checks.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (this.#healthTimer) {
+            clearInterval(this.#healthTimer);
+            this.#healthTimer = null;
+        }
+
+        const members = this.#members;
+        this.#members = [];
+        const hadActive = this.#active !== null;
+        this.#active = null;
+
+        await Promise.all(members.map(async (m) => {
+            if (m.stateHandler) {
+                m.client.offConnectionStateChange(m.stateHandler);
+            }
+            try {
+                await m.client.dispose();
+            } catch (err) {
+                this.#logger.warn('[KaspaClientPool] Error disposing member client:', err);
+            }
+        }));
+
+        if (hadActive) {
+            this.#logger.log('[KaspaClientPool] Disconnected');
+            this.#emitState(CONNECTION_STATES.DISCONNECTED);
+        }
+    }
+
+    /**
+     * Dispose of this pool permanently. Cannot be reused after disposal.
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        if (this.#disposed) return;
+
+        await this.disconnect();
+        this.#disposed = true;
+        this.#networkId = null;
+        this.#stateHandlers = [];
+        this.#logger.log('[KaspaClientPool] Disposed');
+    }
+
+    /**
+     * Register a handler for pool connection state changes.
+     * A change of active node is reported as 'reconnected' with `failover: true`.
+     * @param {Function} handler
+     */
+    onConnectionStateChange(handler) {
+        if (typeof handler === 'function' && !this.#stateHandlers.includes(handler)) {
+            this.#stateHandlers.push(handler);
+        }
+    }
+
+    /**
+     * Remove a connection state handler.
+     * @param {Function} handler
+     */
+    offConnectionStateChange(handler) {
+        this.#stateHandlers = this.#stateHandlers.filter(h => h !== handler);
+    }
+
+    /**
+     * Register RPC middleware on every member client (current and future).
+     * @see KaspaClient#use
+     * @param {Function|Object} middleware
+     * @returns {KaspaClientPool} this, for chaining
+     */
+    use(middleware) {
+        this.#middleware.push(middleware);
+        for (const m of this.#members) {
+            m.client.use(middleware);
+        }
+        return this;
+    }
+
+    /**
+     * Remove middleware from every member client.
+     * @param {Function|Object} middleware
+     */
+    removeMiddleware(middleware) {
+        this.#middleware = this.#middleware.filter(m => m !== middleware);
+        for (const m of this.#members) {
+            m.client.removeMiddleware(middleware);
+        }
+    }
+
+    /**
+     * Add an event listener to the active node's RPC client.
+     * @param {string} event - Event name
+     * @param {Function} listener - Event handler
+     */
+    addEventListener(event, listener) {
+        this.#assertNotDisposed();
+        this.#requireActive().client.addEventListener(event, listener);
+    }
+
+    /**
+     * Remove an event listener from the active node's RPC client.
+     * @param {string} event - Event name
+     * @param {Function} listener - Event handler
+     */
+    removeEventListener(event, listener) {
+        this.#active?.client.removeEventListener(event, listener);
+    }
+
+    /**
+     * Get the current sink blue score from the active node.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<bigint>}
+     */
+    async getSinkBlueScore(options = {}) {
+        return this.#withFailover(client => client.getSinkBlueScore(options));
+    }
+
+    /**
+     * Get UTXOs for addresses from the active node.
+     * @param {string[]} addresses - List of addresses
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<any>}
+     */
+    async getUtxosByAddresses(addresses, options = {}) {
+        return this.#withFailover(client => client.getUtxosByAddresses(addresses, options));
+    }
+
+    /**
+     * Submit a signed transaction to the active node.
+     * @param {Object} transaction - Signed transaction
+     * @param {boolean} [allowOrphan=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<string>} The transaction ID
+     */
+    async submitTransaction(transaction, allowOrphan = false, options = {}) {
+        return this.#withFailover(client => client.submitTransaction(transaction, allowOrphan, options));
+    }
+
+    /**
+     * Get fee estimate rates, expected confirmation times and raw buckets from the active node.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ low: number|null, normal: number|null, high: number|null, estimatedSeconds: Object, buckets: Object }>}
+     */
+    async getFeeEstimate(options = {}) {
+        return this.#withFailover(client => client.getFeeEstimate(options));
+    }
+
+    /**
+     * Get a block by hash from the active node.
+     * @param {string} hash - Block hash
+     * @param {boolean} [includeTransactions=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<any>}
+     */
+    async getBlock(hash, includeTransactions = false, options = {}) {
+        return this.#withFailover(client => client.getBlock(hash, includeTransactions, options));
+    }
+
+    /**
+     * Get DAG information from the active node.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Object>}
+     */
+    async getBlockDagInfo(options = {}) {
+        return this.#withFailover(client => client.getBlockDagInfo(options));
+    }
+
+    /**
+     * Get server information from the active node.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Object>}
+     */
+    async getServerInfo(options = {}) {
+        return this.#withFailover(client => client.getServerInfo(options));
+    }
+
+    /**
+     * Check whether the active node reports itself as synced.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<boolean>}
+     */
+    async getSyncStatus(options = {}) {
+        return this.#withFailover(client => client.getSyncStatus(options));
+    }
+
+    /**
+     * Wait until the active node is synced. Only synced nodes are selected
+     * as active, so this normally resolves after a single check.
+     * @param {Object} [options] - See KaspaClient.waitForSync()
+     * @returns {Promise<{ isSynced: true, virtualDaaScore: bigint|null, elapsedMs: number }>}
+     * @throws {NodeNotSyncedError} If the node is still syncing when the timeout expires
+     */
+    async waitForSync(options = {}) {
+        this.#assertNotDisposed();
+        if (!this.#active) {
+            throw new NetworkError('No healthy node available. Call connect() first.');
+        }
+        return this.#active.client.waitForSync(options);
+    }
+
+    /**
+     * Get the network the active node runs on.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<string>}
+     */
+    async getCurrentNetwork(options = {}) {
+        return this.#withFailover(client => client.getCurrentNetwork(options));
+    }
+
+    /**
+     * Get mempool entries from the active node.
+     * @param {boolean} [includeOrphanPool=false]
+     * @param {boolean} [filterTransactionPool=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Object[]>}
+     */
+    async getMempoolEntries(includeOrphanPool = false, filterTransactionPool = false, options = {}) {
+        return this.#withFailover(client => client.getMempoolEntries(includeOrphanPool, filterTransactionPool, options));
+    }
+
+    /**
+     * Get a mempool entry by transaction ID from the active node.
+     * @param {string} transactionId
+     * @param {boolean} [includeOrphanPool=false]
+     * @param {boolean} [filterTransactionPool=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Object>}
+     */
+    async getMempoolEntry(transactionId, includeOrphanPool = false, filterTransactionPool = false, options = {}) {
+        return this.#withFailover(client => client.getMempoolEntry(transactionId, includeOrphanPool, filterTransactionPool, options));
+    }
+
+    /**
+     * Get block hashes (and optionally blocks) from the active node.
+     * @param {string|null} [lowHash=null]
+     * @param {boolean} [includeBlocks=false]
+     * @param {boolean} [includeTransactions=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ blockHashes: string[], blocks: Object[] }>}
+     */
+    async getBlocks(lowHash = null, includeBlocks = false, includeTransactions = false, options = {}) {
+        return this.#withFailover(client => client.getBlocks(lowHash, includeBlocks, includeTransactions, options));
+    }
+
+    /**
+     * Get block headers from the active node.
+     * @param {string} startHash
+     * @param {number|bigint} [limit=100]
+     * @param {boolean} [isAscending=true]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Object[]>}
+     */
+    async getHeaders(startHash, limit = 100, isAscending = true, options = {}) {
+        return this.#withFailover(client => client.getHeaders(startHash, limit, isAscending, options));
+    }
+
+    /**
+     * Get virtual chain changes since a block from the active node.
+     * @param {string} startHash
+     * @param {boolean} [includeAcceptedTransactionIds=false]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Object>}
+     */
+    async getVirtualChainFromBlock(startHash, includeAcceptedTransactionIds = false, options = {}) {
+        return this.#withFailover(client => client.getVirtualChainFromBlock(startHash, includeAcceptedTransactionIds, options));
+    }
+
+    /**
+     * Estimate the network hashrate using the active node.
+     * @param {number} [windowSize=1000]
+     * @param {string|null} [startHash=null]
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<bigint>}
+     */
+    async estimateNetworkHashesPerSecond(windowSize = 1000, startHash = null, options = {}) {
+        return this.#withFailover(client => client.estimateNetworkHashesPerSecond(windowSize, startHash, options));
+    }
+
+    /**
+     * Get the coin supply from the active node.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<{ maxSompi: bigint, circulatingSompi: bigint }>}
+     */
+    async getCoinSupply(options = {}) {
+        return this.#withFailover(client => client.getCoinSupply(options));
+    }
+
+    /**
+     * Get balances for addresses from the active node.
+     * @param {string[]} addresses - List of addresses
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<Array<{ address: string, balance: bigint }>>}
+     */
+    async getBalancesByAddresses(addresses, options = {}) {
+        return this.#withFailover(client => client.getBalancesByAddresses(addresses, options));
+    }
+
+    /**
+     * Convert script public key to address for the pool's network.
+     * @param {string|object} scriptPubKey
+     * @returns {string}
+     */
+    scriptPubKeyToAddress(scriptPubKey) {
+        this.#assertNotDisposed();
+        return this.#requireActive().client.scriptPubKeyToAddress(scriptPubKey);
+    }
+
+    /**
+     * Validate a Kaspa address.
+     * @param {string} address
+     * @returns {boolean}
+     */
+    isValidAddress(address) {
+        try {
+            new Address(address);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Run an RPC call against the active node. If it fails and the node no
+     * longer passes a health probe, fail over to the next healthy node and retry.
+     * Errors from a node that is still healthy are genuine and rethrown.
+     */
+    async #withFailover(fn) {
+        this.#assertNotDisposed();
+
+        const tried = new Set();
+        let lastError = null;
+
+        while (true) {
+            const member = this.#active;
+            if (!member || tried.has(member)) {
+                throw lastError || new NetworkError('No healthy node available. Call connect() first.');
+            }
+            tried.add(member);
+
+            try {
+                return await fn(member.client);
+            } catch (err) {
+                // Caller cancellations are never a node fault
+                if (err instanceof RpcAbortedError) {
+                    throw err;
+                }
+                if (!(err instanceof NetworkError) && !(err instanceof RpcError)) {
+                    throw err;
+                }
+                lastError = err;
+
+                await this.#probe(member);
+                if (member.healthy) {
+                    throw err;
+                }
+
+                this.#logger.warn(`[KaspaClientPool] ${member.client.url ?? member.endpoint.url} failed, failing over`);
+                this.#updateLag();
+                this.#selectActive();
+            }
+        }
+    }
+
+    #createMemberClient() {
+        const client = new KaspaClient(this.#clientOptions);
+        for (const middleware of this.#middleware) {
+            client.use(middleware);
+        }
+        return client;
+    }
+
+    async #probe(member) {
+        const client = member.client;
+        member.lastCheckedAt = Date.now();
+
+        if (!client.isConnected) {
+            member.healthy = false;
+            member.latencyMs = null;
+            member.lastError = member.lastError || 'Not connected';
+            return;
+        }
+
+        try {
+            const started = performance.now();
+            const [info, blueScore] = await withTimeout(Promise.all([
+                client.getServerInfo({ timeoutMs: this.#options.healthCheckTimeoutMs }),
+                client.getSinkBlueScore({ timeoutMs: this.#options.healthCheckTimeoutMs })
+            ]), this.#options.healthCheckTimeoutMs);
+
+            member.latencyMs = Math.round(performance.now() - started);
+            member.isSynced = !!info?.isSynced;
+            member.blueScore = blueScore != null ? BigInt(blueScore) : null;
+            member.lastError = null;
+            member.healthy = member.isSynced;
+        } catch (err) {
+            member.healthy = false;
+            member.latencyMs = null;
+            member.lastError = err?.message || String(err);
+        }
+    }
+
+    #updateLag() {
+        const scores = this.#members.map(m => m.blueScore).filter(s => s != null);
+        if (!scores.length) return;
+        const best = scores.reduce((a, b) => (b > a ? b : a));
+        const maxLag = BigInt(this.#options.maxBlueScoreLag);
+
+        for (const m of this.#members) {
+            if (m.blueScore == null) {
+                m.lagBlueScore = null;
+                continue;
+            }
+            m.lagBlueScore = best - m.blueScore;
+            if (m.lagBlueScore > maxLag) {
+                m.healthy = false;
+            }
+        }
+    }
+
+    /**
+     * Keep the active node while it is healthy; otherwise switch to the
+     * healthy node with the lowest latency.
+     */
+    #selectActive() {
+        if (this.#active?.healthy) return;
+
+        const candidates = this.#members
+            .filter(m => m.healthy)
+            .sort((a, b) => (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+        const next = candidates[0] || null;
+        const previous = this.#active;
+
+        if (next === previous) return;
+        this.#active = next;
+
+        if (!next) {
+            if (previous) {
+                this.#logger.error('[KaspaClientPool] No healthy node available');
+                this.#emitState(CONNECTION_STATES.DISCONNECTED, { error: previous.lastError });
+            }
+            return;
+        }
+
+        // The initial selection is reported by connect() as 'connected'
+        if (previous || this.#connectionState === CONNECTION_STATES.DISCONNECTED) {
+            this.#logger.log(`[KaspaClientPool] Failing over to ${next.client.url}`);
+            this.#emitState(CONNECTION_STATES.RECONNECTED, { url: next.client.url, failover: true });
+        }
+    }
+
+    #handleMemberState(member, { state }) {
+        if (this.#disposed) return;
+
+        if (state === CONNECTION_STATES.DISCONNECTED) {
+            member.healthy = false;
+            if (member === this.#active) {
+                this.#selectActive();
+            }
+        } else if (state === CONNECTION_STATES.RECONNECTED) {
+            if (member === this.#active) {
+                // Same node came back; subscriptions on it must be restored
+                this.#emitState(CONNECTION_STATES.RECONNECTED, { url: member.client.url });
+            } else {
+                this.#probe(member).then(() => {
+                    this.#updateLag();
+                    this.#selectActive();
+                }).catch(() => {});
+            }
+        }
+    }
+
+    #emitState(state, details = {}) {
+        this.#connectionState = state === CONNECTION_STATES.RECONNECTED
+            ? CONNECTION_STATES.CONNECTED
+            : state;
+
+        const event = { state, ...details };
+        for (const handler of this.#stateHandlers) {
+            try {
+                const result = handler(event);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(err => {
+                        this.#logger.error(`[KaspaClientPool] Async state handler error for ${state}:`, err);
+                    });
+                }
+            } catch (err) {
+                this.#logger.error(`[KaspaClientPool] State handler error for ${state}:`, err);
+            }
+        }
+    }
+
+    #requireActive() {
+        if (!this.#active) {
+            throw new NetworkError('No healthy node available. Call connect() first.');
+        }
+        return this.#active;
+    }
+
+    #assertNotDisposed() {
+        if (this.#disposed) {
+            throw new DisposedError('KaspaClientPool');
+        }
+    }
+}
+
+export default KaspaClientPool;
@@ -0,0 +1,861 @@
+// MockKaspaClient.js - In-memory Kaspa node simulation for offline testing
+// Usage: const client = new MockKaspaClient(); await client.connect('testnet-10'); client.node.mineBlock();
+
+import { KaspaClient } from './KaspaClient.js';
+import { NETWORK_IDS } from './Constants.js';
+import { stringToHex, hexToString } from './Utilities.js';
+import { EVENT_METHODS } from './Events.js';
+
+/**
+ * URL reported by mock connections.
+ */
+export const MOCK_RPC_URL = 'mock://local';
+
+const DEFAULT_FEE_ESTIMATE = {
+    priorityBucket: { feerate: 1, estimatedSeconds: 1 },
+    normalBuckets: [{ feerate: 1, estimatedSeconds: 10 }],
+    lowBuckets: [{ feerate: 1, estimatedSeconds: 60 }]
+};
+
+/**
+ * Build a mock script public key for an address (the address bytes, hex-encoded).
+ * @param {string} address
+ * @returns {{ version: number, script: string }}
+ */
+export function mockScriptPublicKey(address) {
+    return { version: 0, script: stringToHex(String(address)) };
+}
+
+/**
+ * MockRpcClient - In-memory stand-in for the SDK's RpcClient.
+ *
+ * Simulates a linear chain of blocks with a UTXO set and a mempool.
+ * Blocks are produced on demand with mineBlock(); submitted transactions
+ * wait in the mempool until the next block. Notifications are delivered
+ * as `{ type, data }` events, like the SDK.
+ *
+ * Transactions are plain objects:
+ *   { inputs: [{ previousOutpoint: { transactionId, index } }],
+ *     outputs: [{ address, value }], payload?: hexString }
+ */
+export class MockRpcClient {
+    #networkId = NETWORK_IDS.TESTNET_10;
+    #url = MOCK_RPC_URL;
+    #connected = false;
+    #listeners = new Map();
+    #subscriptions = new Set();
+    #utxoSubscriptions = new Set();
+    #blocks = new Map();
+    #blockOrder = [];
+    #utxos = new Map();
+    #mempool = new Map();
+    #sequence = 0;
+    #daaScore = 0n;
+    #blueScore = 0n;
+    #feeEstimate = DEFAULT_FEE_ESTIMATE;
+    #isSynced = true;
+    #autoMineTimer = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.networkId='testnet-10']
+     * @param {boolean} [options.isSynced=true] - Value reported by getServerInfo
+     */
+    constructor(options = {}) {
+        this.#networkId = options.networkId || this.#networkId;
+        this.#isSynced = options.isSynced ?? true;
+        this.#mineGenesis();
+
+        // Subscribe/unsubscribe methods used by Events
+        for (const [type, { subscribe, unsubscribe }] of Object.entries(EVENT_METHODS)) {
+            this[subscribe] = async () => {
+                this.#assertConnected();
+                this.#subscriptions.add(type);
+            };
+            this[unsubscribe] = async () => {
+                this.#subscriptions.delete(type);
+            };
+        }
+    }
+
+    /**
+     * Apply the config KaspaClient would pass to the SDK RpcClient.
+     * @param {{ networkId?: string, url?: string }} config
+     */
+    configure(config = {}) {
+        if (config.networkId) this.#networkId = config.networkId;
+        if (config.url) this.#url = config.url;
+    }
+
+    get url() {
+        return this.#url;
+    }
+
+    get isConnected() {
+        return this.#connected;
+    }
+
+    get networkId() {
+        return this.#networkId;
+    }
+
+    get virtualDaaScore() {
+        return this.#daaScore;
+    }
+
+    get sinkBlueScore() {
+        return this.#blueScore;
+    }
+
+    get sink() {
+        return this.#blockOrder[this.#blockOrder.length - 1];
+    }
+
+    get mempool() {
+        return Array.from(this.#mempool.values());
+    }
+
+    async connect() {
+        if (this.#connected) return;
+        this.#connected = true;
+        this.#dispatch('connect', { url: this.#url });
+    }
+
+    async disconnect() {
+        if (!this.#connected) return;
+        this.#connected = false;
+        this.#subscriptions.clear();
+        this.#utxoSubscriptions.clear();
+        this.#dispatch('disconnect', { url: this.#url });
+    }
+
+    /**
+     * Simulate a dropped connection. Like a real node, all notification
+     * subscriptions are forgotten and must be re-issued after reconnecting.
+     */
+    simulateDisconnect() {
+        return this.disconnect();
+    }
+
+    /**
+     * Simulate the connection coming back.
+     */
+    simulateReconnect() {
+        return this.connect();
+    }
+
+    /**
+     * Set the sync state reported by getServerInfo/getSyncStatus.
+     * @param {boolean} isSynced
+     */
+    setSynced(isSynced) {
+        this.#isSynced = !!isSynced;
+    }
+
+    /**
+     * Override the fee estimate returned by getFeeEstimate.
+     * @param {{ priorityBucket: Object, normalBuckets: Object[], lowBuckets: Object[] }} estimate
+     */
+    setFeeEstimate(estimate) {
+        this.#feeEstimate = estimate;
+    }
+
+    addEventListener(event, callback) {
+        if (typeof event === 'function') {
+            callback = event;
+            event = '*';
+        }
+        if (!this.#listeners.has(event)) {
+            this.#listeners.set(event, new Set());
+        }
+        this.#listeners.get(event).add(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (typeof event === 'function') {
+            callback = event;
+            event = '*';
+        }
+        this.#listeners.get(event)?.delete(callback);
+    }
+
+    clearEventListener(callback) {
+        for (const callbacks of this.#listeners.values()) {
+            callbacks.delete(callback);
+        }
+    }
+
+    /**
+     * Produce a block containing the mempool transactions and an optional
+     * coinbase output, then emit block and score notifications.
+     * @param {Object} [options]
+     * @param {string} [options.coinbaseAddress] - Address receiving the coinbase output
+     * @param {bigint} [options.coinbaseAmount=50_000_000_000n] - Coinbase amount in sompi
+     * @param {string} [options.coinbasePayload] - Hex payload for the coinbase transaction
+     * @returns {Object} The new block
+     */
+    mineBlock({ coinbaseAddress, coinbaseAmount = 50_000_000_000n, coinbasePayload = '' } = {}) {
+        const transactions = [];
+
+        if (coinbaseAddress) {
+            transactions.push(this.#buildTransaction({
+                inputs: [],
+                outputs: [{ address: coinbaseAddress, value: coinbaseAmount }],
+                payload: coinbasePayload
+            }, true));
+        }
+        transactions.push(...this.#mempool.values());
+        this.#mempool.clear();
+
+        this.#daaScore += 1n;
+        this.#blueScore += 1n;
+
+        const hash = this.#nextHash();
+        const timestamp = Date.now();
+        const header = {
+            hash,
+            version: 1,
+            parentsByLevel: [[this.sink]],
+            timestamp,
+            timeInMillis: timestamp,
+            daaScore: this.#daaScore,
+            blueScore: this.#blueScore,
+            blueWork: this.#blueScore.toString(16),
+            bits: 0,
+            nonce: 0n
+        };
+        const block = {
+            hash,
+            header,
+            transactions,
+            verboseData: {
+                hash,
+                blueScore: this.#blueScore,
+                isChainBlock: true,
+                transactionIds: transactions.map(tx => tx.id)
+            }
+        };
+
+        const added = [];
+        const removed = [];
+        for (const tx of transactions) {
+            for (const input of tx.inputs) {
+                const key = `${input.previousOutpoint.transactionId}:${input.previousOutpoint.index}`;
+                const entry = this.#utxos.get(key);
+                if (entry) {
+                    this.#utxos.delete(key);
+                    removed.push(entry);
+                }
+            }
+            tx.outputs.forEach((output, index) => {
+                const address = output.verboseData.scriptPublicKeyAddress;
+                const entry = {
+                    address,
+                    outpoint: { transactionId: tx.id, index },
+                    amount: output.value,
+                    scriptPublicKey: output.scriptPublicKey,
+                    blockDaaScore: this.#daaScore,
+                    isCoinbase: tx.inputs.length === 0
+                };
+                this.#utxos.set(`${tx.id}:${index}`, entry);
+                added.push(entry);
+            });
+        }
+
+        this.#blocks.set(hash, block);
+        this.#blockOrder.push(hash);
+
+        this.#notify('block-added', { block });
+        this.#notify('virtual-daa-score-changed', { virtualDaaScore: this.#daaScore });
+        this.#notify('sink-blue-score-changed', { sinkBlueScore: this.#blueScore });
+        this.#notifyUtxosChanged(added, removed);
+
+        return block;
+    }
+
+    /**
+     * Produce several blocks.
+     * @param {number} count
+     * @param {Object} [options] - Passed to mineBlock()
+     * @returns {Object[]} The new blocks
+     */
+    mineBlocks(count, options = {}) {
+        const blocks = [];
+        for (let i = 0; i < count; i++) {
+            blocks.push(this.mineBlock(options));
+        }
+        return blocks;
+    }
+
+    /**
+     * Mine a block that pays `amount` sompi to `address`.
+     * @param {string} address
+     * @param {bigint} amount - Amount in sompi
+     * @returns {Object} The new block
+     */
+    fundAddress(address, amount) {
+        return this.mineBlock({ coinbaseAddress: address, coinbaseAmount: BigInt(amount) });
+    }
+
+    /**
+     * Produce a block every `intervalMs` until stopAutoMine() is called.
+     * @param {number} [intervalMs=1000]
+     */
+    startAutoMine(intervalMs = 1000) {
+        this.stopAutoMine();
+        this.#autoMineTimer = setInterval(() => this.mineBlock(), intervalMs);
+    }
+
+    stopAutoMine() {
+        if (this.#autoMineTimer) {
+            clearInterval(this.#autoMineTimer);
+            this.#autoMineTimer = null;
+        }
+    }
+
+    // --- RpcClient surface -------------------------------------------------
+
+    async getSinkBlueScore() {
+        this.#assertConnected();
+        return { blueScore: this.#blueScore };
+    }
+
+    async getServerInfo() {
+        this.#assertConnected();
+        return {
+            rpcApiVersion: 1,
+            serverVersion: 'mock',
+            networkId: this.#networkId,
+            hasUtxoIndex: true,
+            isSynced: this.#isSynced,
+            virtualDaaScore: this.#daaScore
+        };
+    }
+
+    async getSyncStatus() {
+        this.#assertConnected();
+        return { isSynced: this.#isSynced };
+    }
+
+    async getBlockDagInfo() {
+        this.#assertConnected();
+        return {
+            network: this.#networkId,
+            blockCount: BigInt(this.#blockOrder.length),
+            headerCount: BigInt(this.#blockOrder.length),
+            tipHashes: [this.sink],
+            difficulty: 1,
+            pastMedianTime: BigInt(Date.now()),
+            virtualParentHashes: [this.sink],
+            pruningPointHash: this.#blockOrder[0],
+            virtualDaaScore: this.#daaScore,
+            sink: this.sink
+        };
+    }
+
+    async getFeeEstimate() {
+        this.#assertConnected();
+        return { estimate: this.#feeEstimate };
+    }
+
+    async getBlock({ hash, includeTransactions = false } = {}) {
+        this.#assertConnected();
+        const block = this.#blocks.get(hash);
+        if (!block) {
+            throw new Error(`Block ${hash} not found`);
+        }
+        return { block: includeTransactions ? block : { ...block, transactions: [] } };
+    }
+
+    async getUtxosByAddresses(request) {
+        this.#assertConnected();
+        const addresses = new Set((Array.isArray(request) ? request : request?.addresses || []).map(String));
+        const entries = [];
+        for (const entry of this.#utxos.values()) {
+            if (addresses.has(entry.address)) {
+                entries.push({ ...entry });
+            }
+        }
+        return { entries };
+    }
+
+    async getBalanceByAddress({ address } = {}) {
+        const { entries } = await this.getUtxosByAddresses([address]);
+        return { balance: entries.reduce((sum, e) => sum + e.amount, 0n) };
+    }
+
+    async getMempoolEntries() {
+        this.#assertConnected();
+        return {
+            mempoolEntries: this.mempool.map(transaction => ({ fee: 0n, transaction, isOrphan: false }))
+        };
+    }
+
+    async getMempoolEntry({ transactionId } = {}) {
+        this.#assertConnected();
+        const transaction = this.#mempool.get(transactionId);
+        if (!transaction) {
+            throw new Error(`Transaction ${transactionId} not found in the mempool`);
+        }
+        return { mempoolEntry: { fee: 0n, transaction, isOrphan: false } };
+    }
+
+    async getCurrentNetwork() {
+        this.#assertConnected();
+        return { network: this.#networkId.split('-')[0] };
+    }
+
+    async getBlocks({ lowHash, includeBlocks = false, includeTransactions = false } = {}) {
+        this.#assertConnected();
+        const start = lowHash ? this.#blockOrder.indexOf(lowHash) : 0;
+        if (start < 0) {
+            throw new Error(`Block ${lowHash} not found`);
+        }
+        const blockHashes = this.#blockOrder.slice(start);
+        const blocks = includeBlocks
+            ? blockHashes.map(hash => {
+                const block = this.#blocks.get(hash);
+                return includeTransactions ? block : { ...block, transactions: [] };
+            })
+            : [];
+        return { blockHashes, blocks };
+    }
+
+    async getHeaders({ startHash, limit = 100n, isAscending = true } = {}) {
+        this.#assertConnected();
+        const start = this.#blockOrder.indexOf(startHash);
+        if (start < 0) {
+            throw new Error(`Block ${startHash} not found`);
+        }
+        const count = Number(limit);
+        const hashes = isAscending
+            ? this.#blockOrder.slice(start, start + count)
+            : this.#blockOrder.slice(Math.max(0, start - count + 1), start + 1).reverse();
+        return { headers: hashes.map(hash => this.#blocks.get(hash).header) };
+    }
+
+    async getVirtualChainFromBlock({ startHash, includeAcceptedTransactionIds = false } = {}) {
+        this.#assertConnected();
+        const start = this.#blockOrder.indexOf(startHash);
+        if (start < 0) {
+            throw new Error(`Block ${startHash} not found`);
+        }
+        const addedChainBlockHashes = this.#blockOrder.slice(start + 1);
+        return {
+            removedChainBlockHashes: [],
+            addedChainBlockHashes,
+            acceptedTransactionIds: includeAcceptedTransactionIds
+                ? addedChainBlockHashes.map(hash => ({
+                    acceptingBlockHash: hash,
+                    acceptedTransactionIds: this.#blocks.get(hash).verboseData.transactionIds
+                }))
+                : []
+        };
+    }
+
+    async estimateNetworkHashesPerSecond() {
+        this.#assertConnected();
+        return { networkHashesPerSecond: 1n };
+    }
+
+    async getCoinSupply() {
+        this.#assertConnected();
+        let circulatingSompi = 0n;
+        for (const entry of this.#utxos.values()) circulatingSompi += entry.amount;
+        return { maxSompi: 2_900_000_000_000_000_000n, circulatingSompi };
+    }
+
+    async getBalancesByAddresses(request) {
+        const addresses = (Array.isArray(request) ? request : request?.addresses || []).map(String);
+        const { entries } = await this.getUtxosByAddresses(addresses);
+        return {
+            entries: addresses.map(address => ({
+                address,
+                balance: entries.filter(e => e.address === address).reduce((sum, e) => sum + e.amount, 0n)
+            }))
+        };
+    }
+
+    /**
+     * Accept a transaction into the mempool after checking its inputs.
+     * @param {{ transaction: Object }} request
+     * @returns {Promise<{ transactionId: string }>}
+     */
+    async submitTransaction({ transaction } = {}) {
+        this.#assertConnected();
+        if (!transaction) {
+            throw new Error('Transaction is required');
+        }
+
+        const spent = new Set();
+        for (const tx of this.#mempool.values()) {
+            for (const input of tx.inputs) {
+                spent.add(`${input.previousOutpoint.transactionId}:${input.previousOutpoint.index}`);
+            }
+        }
+
+        let inputTotal = 0n;
+        for (const input of transaction.inputs || []) {
+            const key = `${input.previousOutpoint.transactionId}:${input.previousOutpoint.index}`;
+            const entry = this.#utxos.get(key);
+            if (!entry) {
+                throw new Error(`Input ${key} is not in the UTXO set`);
+            }
+            if (spent.has(key)) {
+                throw new Error(`Input ${key} is already spent by a mempool transaction`);
+            }
+            inputTotal += entry.amount;
+        }
+        if (!transaction.inputs?.length) {
+            throw new Error('Transaction has no inputs');
+        }
+
+        const tx = this.#buildTransaction(transaction, false);
+        const outputTotal = tx.outputs.reduce((sum, o) => sum + o.value, 0n);
+        if (outputTotal > inputTotal) {
+            throw new Error(`Outputs (${outputTotal}) exceed inputs (${inputTotal})`);
+        }
+
+        this.#mempool.set(tx.id, tx);
+        return { transactionId: tx.id };
+    }
+
+    /**
+     * Subscribe to UTXO changes for addresses (used by MockUtxoProcessor).
+     * @param {string[]} addresses
+     */
+    async subscribeUtxosChanged(addresses = []) {
+        this.#assertConnected();
+        for (const a of addresses) this.#utxoSubscriptions.add(String(a));
+    }
+
+    async unsubscribeUtxosChanged(addresses = []) {
+        for (const a of addresses) this.#utxoSubscriptions.delete(String(a));
+    }
+
+    // --- Internals ---------------------------------------------------------
+
+    #mineGenesis() {
+        const hash = this.#nextHash();
+        const block = {
+            hash,
+            header: { hash, parentsByLevel: [], timestamp: Date.now(), daaScore: 0n, blueScore: 0n },
+            transactions: [],
+            verboseData: { hash, blueScore: 0n, isChainBlock: true, transactionIds: [] }
+        };
+        this.#blocks.set(hash, block);
+        this.#blockOrder.push(hash);
+    }
+
+    #buildTransaction(transaction, isCoinbase) {
+        const id = transaction.id || this.#nextHash();
+        const outputs = (transaction.outputs || []).map(output => {
+            const address = output.address
+                ?? output.verboseData?.scriptPublicKeyAddress
+                ?? (output.scriptPublicKey?.script ? hexToString(output.scriptPublicKey.script) : null);
+            return {
+                value: BigInt(output.value ?? output.amount ?? 0),
+                scriptPublicKey: output.scriptPublicKey || mockScriptPublicKey(address),
+                verboseData: {
+                    scriptPublicKeyType: 'pubkey',
+                    scriptPublicKeyAddress: address
+                }
+            };
+        });
+
+        return {
+            id,
+            version: 0,
+            inputs: (transaction.inputs || []).map(input => ({
+                previousOutpoint: { ...input.previousOutpoint },
+                signatureScript: input.signatureScript || '',
+                sequence: input.sequence ?? 0n,
+                sigOpCount: input.sigOpCount ?? 1
+            })),
+            outputs,
+            lockTime: 0n,
+            subnetworkId: isCoinbase
+                ? '0100000000000000000000000000000000000000'
+                : '0000000000000000000000000000000000000000',
+            gas: 0n,
+            payload: transaction.payload || '',
+            verboseData: { transactionId: id, hash: id }
+        };
+    }
+
+    #nextHash() {
+        this.#sequence++;
+        return this.#sequence.toString(16).padStart(64, '0');
+    }
+
+    #notify(type, data) {
+        if (!this.#connected || !this.#subscriptions.has(type)) return;
+        this.#dispatch(type, data);
+    }
+
+    #notifyUtxosChanged(added, removed) {
+        if (!this.#connected || this.#utxoSubscriptions.size === 0) return;
+        const relevant = list => list.filter(e => this.#utxoSubscriptions.has(e.address));
+        const data = { added: relevant(added), removed: relevant(removed) };
+        if (data.added.length || data.removed.length) {
+            this.#dispatch('utxos-changed', data);
+        }
+    }
+
+    #dispatch(type, data) {
+        const event = { type, data };
+        const targets = [...(this.#listeners.get(type) || []), ...(this.#listeners.get('*') || [])];
+        for (const callback of targets) {
+            try {
+                if (typeof callback === 'function') {
+                    callback(event);
+                } else if (callback && typeof callback.handleEvent === 'function') {
+                    callback.handleEvent(event);
+                }
+            } catch (err) {
+                console.error(`[MockRpcClient] Listener error for ${type}:`, err);
+            }
+        }
+    }
+
+    #assertConnected() {
+        if (!this.#connected) {
+            throw new Error('Mock RPC is not connected');
+        }
+    }
+}
+
+/**
+ * MockUtxoProcessor - Stand-in for the SDK UtxoProcessor, driven by a MockRpcClient.
+ */
+export class MockUtxoProcessor {
+    #rpc = null;
+    #listeners = new Set();
+    #boundHandler = null;
+    #running = false;
+
+    constructor(rpc) {
+        this.#rpc = rpc;
+        this.#boundHandler = this.#handleUtxosChanged.bind(this);
+    }
+
+    get rpc() {
+        return this.#rpc;
+    }
+
+    get isActive() {
+        return this.#running;
+    }
+
+    async start() {
+        if (this.#running) return;
+        this.#rpc.addEventListener('utxos-changed', this.#boundHandler);
+        this.#running = true;
+    }
+
+    async stop() {
+        if (!this.#running) return;
+        this.#rpc.removeEventListener('utxos-changed', this.#boundHandler);
+        this.#running = false;
+    }
+
+    addEventListener(callback) {
+        this.#listeners.add(callback);
+    }
+
+    removeEventListener(callback) {
+        this.#listeners.delete(callback);
+    }
+
+    /**
+     * Forward an event to processor listeners (used by MockUtxoContext).
+     * @param {Object} event
+     */
+    emit(event) {
+        for (const callback of this.#listeners) {
+            try {
+                callback(event);
+            } catch (err) {
+                console.error('[MockUtxoProcessor] Listener error:', err);
+            }
+        }
+    }
+
+    #handleUtxosChanged({ data }) {
+        this.emit({ type: 'utxos-changed', data });
+    }
+}
+
+/**
+ * MockUtxoContext - Stand-in for the SDK UtxoContext. Tracks addresses
+ * on a MockUtxoProcessor and keeps a mature balance for them.
+ */
+export class MockUtxoContext {
+    #processor = null;
+    #addresses = new Set();
+    #entries = new Map();
+    #boundHandler = null;
+
+    constructor({ processor }) {
+        this.#processor = processor;
+        this.#boundHandler = this.#handleEvent.bind(this);
+        this.#processor.addEventListener(this.#boundHandler);
+    }
+
+    get balance() {
+        let mature = 0n;
+        for (const entry of this.#entries.values()) mature += entry.amount;
+        return {
+            mature,
+            pending: 0n,
+            outgoing: 0n,
+            matureUtxoCount: this.#entries.size,
+            pendingUtxoCount: 0,
+            stasisUtxoCount: 0
+        };
+    }
+
+    async trackAddresses(addresses) {
+        const list = addresses.map(String);
+        for (const a of list) this.#addresses.add(a);
+
+        const rpc = this.#processor.rpc;
+        await rpc.subscribeUtxosChanged(list);
+        const { entries } = await rpc.getUtxosByAddresses(list);
+        for (const entry of entries) {
+            this.#entries.set(`${entry.outpoint.transactionId}:${entry.outpoint.index}`, entry);
+        }
+        this.#emitBalance();
+    }
+
+    async unregisterAddresses(addresses) {
+        const list = addresses.map(String);
+        for (const a of list) this.#addresses.delete(a);
+        await this.#processor.rpc.unsubscribeUtxosChanged(list);
+        for (const [key, entry] of this.#entries) {
+            if (!this.#addresses.has(entry.address)) this.#entries.delete(key);
+        }
+        this.#emitBalance();
+    }
+
+    async clear() {
+        await this.#processor.rpc.unsubscribeUtxosChanged(Array.from(this.#addresses));
+        this.#addresses.clear();
+        this.#entries.clear();
+    }
+
+    #handleEvent(event) {
+        if (event.type !== 'utxos-changed') return;
+        const { added = [], removed = [] } = event.data || {};
+
+        for (const entry of removed) {
+            const key = `${entry.outpoint.transactionId}:${entry.outpoint.index}`;
+            if (this.#entries.delete(key)) {
+                this.#processor.emit({ type: 'utxo-spent', utxo: entry });
+            }
+        }
+        for (const entry of added) {
+            if (!this.#addresses.has(entry.address)) continue;
+            this.#entries.set(`${entry.outpoint.transactionId}:${entry.outpoint.index}`, entry);
+            this.#processor.emit({ type: 'utxo-added', utxo: entry });
+        }
+        this.#emitBalance();
+    }
+
+    #emitBalance() {
+        this.#processor.emit({ type: 'balance-changed', balance: this.balance });
+    }
+}
+
+/**
+ * MockKaspaClient - KaspaClient backed by an in-memory MockRpcClient.
+ *
+ * Behaves like a connected KaspaClient (middleware, timeouts, reconnect
+ * supervision, state events) without WASM or network access, and can be
+ * passed to Events, BlockScanner and UtxoContext. A Wallet on it reads and
+ * sends through the client (see Wallet.isClientBacked). The simulated node is
+ * available as `client.node` for producing blocks, funding addresses and
+ * simulating disconnects.
+ *
+ * Usage:
+ *   const client = new MockKaspaClient();
+ *   await client.connect('testnet-10');
+ *   const events = new Events(client);
+ *   await events.subscribe('block-added', data => console.log(data.block.header.blueScore));
+ *   client.node.mineBlock();
+ */
+export class MockKaspaClient extends KaspaClient {
+    #node = null;
+
+    /**
+     * @param {Object} [options] - KaspaClient options, plus:
+     * @param {MockRpcClient} [options.node] - Existing simulated node to share between clients
+     * @param {boolean} [options.isSynced=true] - Initial sync state of a new node
+     */
+    constructor(options = {}) {
+        const node = options.node || new MockRpcClient({ isSynced: options.isSynced });
+        super({
+            ...options,
+            rpcFactory: (config) => {
+                node.configure(config);
+                return node;
+            }
+        });
+        this.#node = node;
+    }
+
+    /**
+     * The simulated node.
+     * @returns {MockRpcClient}
+     */
+    get node() {
+        return this.#node;
+    }
+
+    /**
+     * Connect to the simulated node. A URL is always set so no Resolver is created.
+     * @param {string|Object} [networkIdOrOptions='testnet-10']
+     * @returns {Promise<void>}
+     */
+    async connect(networkIdOrOptions = NETWORK_IDS.TESTNET_10) {
+        const options = typeof networkIdOrOptions === 'string'
+            ? { networkId: networkIdOrOptions }
+            : { ...(networkIdOrOptions || {}) };
+        return super.connect({ ...options, url: options.url || MOCK_RPC_URL });
+    }
+
+    /**
+     * Provide the UTXO processor used by UtxoContext.
+     * @returns {{ processor: MockUtxoProcessor, context: MockUtxoContext }}
+     */
+    createUtxoProcessor() {
+        const processor = new MockUtxoProcessor(this.#node);
+        const context = new MockUtxoContext({ processor });
+        return { processor, context };
+    }
+
+    /**
+     * Convert a mock script public key back to its address.
+     * @param {string|object} scriptPubKey
+     * @returns {string}
+     */
+    scriptPubKeyToAddress(scriptPubKey) {
+        const script = typeof scriptPubKey === 'string' ? scriptPubKey : scriptPubKey?.script;
+        const address = script ? hexToString(script) : '';
+        if (!this.isValidAddress(address)) {
+            throw new Error('Unable to derive address from script public key');
+        }
+        return address;
+    }
+
+    /**
+     * Validate an address by its prefix/charset only (no checksum).
+     * @param {string} address
+     * @returns {boolean}
+     */
+    isValidAddress(address) {
+        return typeof address === 'string' && /^(kaspa|kaspatest|kaspasim|kaspadev):[a-z0-9]+$/.test(address);
+    }
+}
+
+export default MockKaspaClient;
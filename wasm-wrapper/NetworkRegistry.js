@@ -0,0 +1,303 @@
+// NetworkRegistry.js - Registry of known networks (built-in and custom devnet/simnet/testnet)
+// Usage: const networks = new NetworkRegistry(); await networks.register({ id: 'devnet', nodeUrls: ['ws://127.0.0.1:17610'] });
+
+import { NetworkId, NetworkType, ensureWasmInitialized } from './KaspaClient.js';
+import { DEFAULT_NETWORKS, DEFAULT_NETWORK_PORTS, RPC_ENCODINGS } from './Constants.js';
+import { ValidationError } from './Errors.js';
+
+/**
+ * Parse and validate a network ID with the SDK's NetworkId class.
+ * @param {string} networkId - e.g. 'mainnet', 'testnet-10', 'devnet', 'simnet'
+ * @returns {Promise<{ id: string, type: string, suffix: number|null, addressPrefix: string }>}
+ * @throws {ValidationError} If the SDK rejects the ID
+ */
+export async function parseNetworkId(networkId) {
+    if (typeof networkId !== 'string' || !networkId.trim()) {
+        throw new ValidationError('Network ID must be a non-empty string', 'networkId');
+    }
+
+    await ensureWasmInitialized();
+
+    let parsed;
+    try {
+        parsed = new NetworkId(networkId.trim());
+    } catch (err) {
+        throw new ValidationError(`Invalid network ID: ${networkId} (${err?.message || err})`, 'networkId');
+    }
+
+    try {
+        return {
+            id: parsed.toString(),
+            type: String(NetworkType[parsed.type]).toLowerCase(),
+            suffix: parsed.suffix ?? null,
+            addressPrefix: parsed.addressPrefix()
+        };
+    } finally {
+        parsed.free?.();
+    }
+}
+
+function normalizeUrlList(urls, field) {
+    if (urls == null) return [];
+    const list = Array.isArray(urls) ? urls : [urls];
+    for (const url of list) {
+        if (typeof url !== 'string' || !/^wss?:\/\/.+/i.test(url.trim())) {
+            throw new ValidationError(`${field} must contain ws:// or wss:// URLs`, field);
+        }
+    }
+    return list.map(u => u.trim());
+}
+
+/**
+ * NetworkRegistry - Known networks with their address prefix, default ports,
+ * explorer and node URLs.
+ *
+ * Ships with mainnet, testnet-10 and testnet-11 (reached through the public
+ * Resolver). Custom networks such as a private devnet are added with
+ * register(), which validates the ID through the SDK. Pass the registry to
+ * `new KaspaClient({ networks })` so connect() uses the registered nodes.
+ *
+ * Usage:
+ *   const networks = new NetworkRegistry();
+ *   await networks.register({
+ *     id: 'devnet',
+ *     name: 'Integration devnet',
+ *     nodeUrls: ['ws://10.0.0.5:17610'],
+ *     explorerUrl: 'http://10.0.0.5:8080'
+ *   });
+ *   const client = new KaspaClient({ networks });
+ *   await client.connect('devnet');
+ */
+export class NetworkRegistry {
+    #networks = new Map();
+    #builtinIds = new Set();
+    #logger = console;
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDefaults=true] - Start with the built-in networks
+     * @param {Object} [options.logger] - Custom logger (default: console)
+     */
+    constructor(options = {}) {
+        this.#logger = options.logger || console;
+        if (options.includeDefaults !== false) {
+            for (const network of DEFAULT_NETWORKS) {
+                this.#networks.set(network.id, { ...network, ports: { ...network.ports }, nodeUrls: [...network.nodeUrls], builtin: true });
+                this.#builtinIds.add(network.id);
+            }
+        }
+    }
+
+    /**
+     * Register (or replace) a custom network.
+     * @param {Object} definition
+     * @param {string} definition.id - Network ID accepted by the SDK (e.g. 'devnet', 'simnet', 'testnet-12')
+     * @param {string} [definition.name] - Display name (defaults to the ID)
+     * @param {string} [definition.addressPrefix] - Must match the SDK's prefix for the network type if given
+     * @param {Object} [definition.ports] - `{ grpc, p2p, wrpcBorsh, wrpcJson }` (defaults per network type)
+     * @param {string} [definition.explorerUrl] - Block explorer base URL
+     * @param {string[]} [definition.nodeUrls] - wRPC node URLs; the first one is used by connect()
+     * @param {string[]} [definition.resolvers] - Custom resolver URLs
+     * @param {boolean} [definition.useResolver=false] - Use the Resolver when no node URL is set
+     * @returns {Promise<Object>} The stored definition
+     * @throws {ValidationError} If the ID, prefix or URLs are invalid, or the ID is built in
+     */
+    async register(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new ValidationError('Network definition is required', 'definition');
+        }
+
+        const parsed = await parseNetworkId(definition.id);
+        if (this.#builtinIds.has(parsed.id)) {
+            throw new ValidationError(`${parsed.id} is a built-in network and cannot be redefined`, 'id');
+        }
+
+        if (definition.addressPrefix && definition.addressPrefix !== parsed.addressPrefix) {
+            throw new ValidationError(
+                `Address prefix ${definition.addressPrefix} does not match ${parsed.type} (${parsed.addressPrefix})`,
+                'addressPrefix'
+            );
+        }
+
+        if (definition.explorerUrl != null && definition.explorerUrl !== '' && !/^https?:\/\/.+/i.test(definition.explorerUrl)) {
+            throw new ValidationError('explorerUrl must be an http(s) URL', 'explorerUrl');
+        }
+
+        const ports = { ...(DEFAULT_NETWORK_PORTS[parsed.type] || {}), ...(definition.ports || {}) };
+        for (const [key, port] of Object.entries(ports)) {
+            if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+                throw new ValidationError(`Invalid ${key} port: ${port}`, 'ports');
+            }
+        }
+
+        const network = {
+            id: parsed.id,
+            name: definition.name?.trim() || parsed.id,
+            type: parsed.type,
+            addressPrefix: parsed.addressPrefix,
+            ports,
+            explorerUrl: definition.explorerUrl ? definition.explorerUrl.replace(/\/+$/, '') : null,
+            nodeUrls: normalizeUrlList(definition.nodeUrls, 'nodeUrls'),
+            resolvers: normalizeUrlList(definition.resolvers, 'resolvers'),
+            useResolver: !!definition.useResolver,
+            builtin: false
+        };
+
+        this.#networks.set(network.id, network);
+        this.#logger.log(`[NetworkRegistry] Registered network ${network.id}`);
+        return { ...network };
+    }
+
+    /**
+     * Remove a custom network.
+     * @param {string} networkId
+     * @returns {boolean} True if a network was removed
+     * @throws {ValidationError} If the network is built in
+     */
+    unregister(networkId) {
+        if (this.#builtinIds.has(networkId)) {
+            throw new ValidationError(`${networkId} is a built-in network and cannot be removed`, 'networkId');
+        }
+        return this.#networks.delete(networkId);
+    }
+
+    /**
+     * Get a network definition.
+     * @param {string} networkId
+     * @returns {Object|null}
+     */
+    get(networkId) {
+        const network = this.#networks.get(networkId);
+        return network ? { ...network, ports: { ...network.ports }, nodeUrls: [...network.nodeUrls] } : null;
+    }
+
+    /**
+     * Check if a network is registered.
+     * @param {string} networkId
+     * @returns {boolean}
+     */
+    has(networkId) {
+        return this.#networks.has(networkId);
+    }
+
+    /**
+     * Check if a network is built in.
+     * @param {string} networkId
+     * @returns {boolean}
+     */
+    isBuiltin(networkId) {
+        return this.#builtinIds.has(networkId);
+    }
+
+    /**
+     * List all networks, built-in first.
+     * @returns {Object[]}
+     */
+    list() {
+        return Array.from(this.#networks.keys(), id => this.get(id));
+    }
+
+    /**
+     * List custom networks only.
+     * @returns {Object[]}
+     */
+    listCustom() {
+        return this.list().filter(n => !n.builtin);
+    }
+
+    /**
+     * Default local wRPC URL for a network (e.g. ws://127.0.0.1:17610 for devnet).
+     * @param {string} networkId
+     * @param {Object} [options]
+     * @param {string} [options.host='127.0.0.1']
+     * @param {string} [options.encoding='borsh'] - 'borsh' or 'json'
+     * @returns {string|null}
+     */
+    defaultNodeUrl(networkId, { host = '127.0.0.1', encoding = RPC_ENCODINGS.BORSH } = {}) {
+        const network = this.#networks.get(networkId);
+        if (!network) return null;
+        const port = encoding === RPC_ENCODINGS.JSON ? network.ports.wrpcJson : network.ports.wrpcBorsh;
+        return port ? `ws://${host}:${port}` : null;
+    }
+
+    /**
+     * Resolve how connect() should reach a network: an explicit node URL,
+     * custom resolvers, or the public Resolver.
+     * @param {string} networkId
+     * @param {Object} [options]
+     * @param {string} [options.encoding='borsh']
+     * @returns {{ url: string|null, resolvers: string[]|null }}
+     * @throws {ValidationError} If the network is not registered
+     */
+    resolveEndpoint(networkId, { encoding = RPC_ENCODINGS.BORSH } = {}) {
+        const network = this.#networks.get(networkId);
+        if (!network) {
+            throw new ValidationError(
+                `Unknown network: ${networkId}. Registered: ${Array.from(this.#networks.keys()).join(', ')}`,
+                'networkId'
+            );
+        }
+        if (network.nodeUrls.length) {
+            return { url: network.nodeUrls[0], resolvers: null };
+        }
+        if (network.resolvers?.length) {
+            return { url: null, resolvers: [...network.resolvers] };
+        }
+        if (network.useResolver) {
+            return { url: null, resolvers: null };
+        }
+        return { url: this.defaultNodeUrl(networkId, { encoding }), resolvers: null };
+    }
+
+    /**
+     * Explorer URL for a transaction, or null if the network has no explorer.
+     * @param {string} networkId
+     * @param {string} txId
+     * @returns {string|null}
+     */
+    explorerTransactionUrl(networkId, txId) {
+        const base = this.#networks.get(networkId)?.explorerUrl;
+        return base ? `${base}/txs/${txId}` : null;
+    }
+
+    /**
+     * Explorer URL for an address, or null if the network has no explorer.
+     * @param {string} networkId
+     * @param {string} address
+     * @returns {string|null}
+     */
+    explorerAddressUrl(networkId, address) {
+        const base = this.#networks.get(networkId)?.explorerUrl;
+        return base ? `${base}/addresses/${address}` : null;
+    }
+
+    /**
+     * Custom network definitions, for persistence.
+     * @returns {Object[]}
+     */
+    toJSON() {
+        return this.listCustom().map(({ builtin, type, ...definition }) => definition);
+    }
+
+    /**
+     * Register previously saved custom networks. Invalid entries are skipped.
+     * @param {Object[]} definitions - Output of toJSON()
+     * @returns {Promise<{ loaded: string[], failed: Array<{ id: string, error: string }> }>}
+     */
+    async load(definitions = []) {
+        const loaded = [];
+        const failed = [];
+        for (const definition of definitions) {
+            try {
+                const network = await this.register(definition);
+                loaded.push(network.id);
+            } catch (err) {
+                failed.push({ id: definition?.id ?? null, error: err?.message || String(err) });
+                this.#logger.warn(`[NetworkRegistry] Skipping network ${definition?.id}:`, err?.message || err);
+            }
+        }
+        return { loaded, failed };
+    }
+}
+
+export default NetworkRegistry;
@@ -0,0 +1,419 @@
+// ReplayKaspaClient.js - Serve a captured RPC recording back as a KaspaClient
+// Usage: const client = new ReplayKaspaClient(json); await client.connect(); await client.play();
+
+import { KaspaClient } from './KaspaClient.js';
+import { EVENT_METHODS } from './Events.js';
+import { parseRecording } from './RpcRecorder.js';
+import { ReplayError } from './Errors.js';
+import { NETWORK_IDS, REPLAY_TIMING } from './Constants.js';
+
+/**
+ * URL reported by replay connections.
+ */
+export const REPLAY_RPC_URL = 'replay://recording';
+
+/**
+ * Wrapper methods that always exist on the replay RPC, so calls that were
+ * never recorded fail with a clear ReplayError instead of a TypeError.
+ */
+const BASE_METHODS = [
+    'getSinkBlueScore', 'getUtxosByAddresses', 'getFeeEstimate', 'getBlock',
+    'getBlockDagInfo', 'getServerInfo', 'getSyncStatus', 'getCurrentNetwork',
+    'getMempoolEntries', 'getMempoolEntry', 'getBlocks', 'getHeaders',
+    'getVirtualChainFromBlock', 'estimateNetworkHashesPerSecond', 'getCoinSupply',
+    'getBalancesByAddresses', 'submitTransaction'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * ReplayRpcClient - Stand-in for the SDK's RpcClient that answers from a recording.
+ *
+ * Responses are served per method in recorded order, whatever the arguments.
+ * Notifications are delivered by play(), either with their original spacing
+ * or back to back.
+ */
+export class ReplayRpcClient {
+    #recording = null;
+    #timing = REPLAY_TIMING.ORIGINAL;
+    #url = REPLAY_RPC_URL;
+    #connected = false;
+    #listeners = new Map();
+    #walletHandlers = new Set();
+    #responses = new Map();
+    #notifications = [];
+    #position = 0;
+    #playback = null;
+    #playGeneration = 0;
+    #logger = console;
+
+    /**
+     * @param {Object} recording - Parsed recording (see parseRecording())
+     * @param {Object} [options]
+     * @param {string} [options.timing='original'] - 'original' or 'fast'
+     * @param {Object} [options.logger] - Custom logger (default: console)
+     */
+    constructor(recording, options = {}) {
+        this.#recording = recording;
+        this.#timing = options.timing || REPLAY_TIMING.ORIGINAL;
+        this.#logger = options.logger || console;
+
+        if (!Object.values(REPLAY_TIMING).includes(this.#timing)) {
+            throw new ReplayError(`Unknown replay timing: ${this.#timing}`);
+        }
+
+        const requests = new Map();
+        for (const entry of recording.entries) {
+            if (entry.kind === 'request') {
+                requests.set(entry.id, entry);
+            } else if (entry.kind === 'response' || entry.kind === 'error') {
+                if (!this.#responses.has(entry.method)) {
+                    this.#responses.set(entry.method, []);
+                }
+                this.#responses.get(entry.method).push({ request: requests.get(entry.id) || null, outcome: entry });
+            } else if (entry.kind === 'notification') {
+                this.#notifications.push(entry);
+            }
+        }
+
+        for (const method of new Set([...BASE_METHODS, ...this.#responses.keys()])) {
+            this[method] = () => this.#serve(method);
+        }
+
+        // Subscriptions are implied by the recording; accept them as no-ops
+        for (const { subscribe, unsubscribe } of Object.values(EVENT_METHODS)) {
+            this[subscribe] = async () => {};
+            this[unsubscribe] = async () => {};
+        }
+    }
+
+    /**
+     * Apply the config KaspaClient would pass to the SDK RpcClient.
+     * @param {{ url?: string }} config
+     */
+    configure(config = {}) {
+        if (config.url) this.#url = config.url;
+    }
+
+    get url() {
+        return this.#url;
+    }
+
+    get isConnected() {
+        return this.#connected;
+    }
+
+    get timing() {
+        return this.#timing;
+    }
+
+    /**
+     * Check if notifications are currently being played.
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.#playback !== null;
+    }
+
+    /**
+     * Number of recorded notifications not yet delivered.
+     * @returns {number}
+     */
+    get pendingNotifications() {
+        return this.#notifications.length - this.#position;
+    }
+
+    /**
+     * Number of recorded responses not yet served.
+     * @returns {number}
+     */
+    get pendingResponses() {
+        let count = 0;
+        for (const queue of this.#responses.values()) count += queue.length;
+        return count;
+    }
+
+    async connect() {
+        if (this.#connected) return;
+        this.#connected = true;
+        this.#dispatch('connect', { url: this.#url });
+    }
+
+    async disconnect() {
+        this.stop();
+        if (!this.#connected) return;
+        this.#connected = false;
+        this.#dispatch('disconnect', { url: this.#url });
+    }
+
+    addEventListener(event, callback) {
+        if (typeof event === 'function') {
+            callback = event;
+            event = '*';
+        }
+        if (!this.#listeners.has(event)) {
+            this.#listeners.set(event, new Set());
+        }
+        this.#listeners.get(event).add(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (typeof event === 'function') {
+            callback = event;
+            event = '*';
+        }
+        this.#listeners.get(event)?.delete(callback);
+    }
+
+    clearEventListener(callback) {
+        for (const callbacks of this.#listeners.values()) {
+            callbacks.delete(callback);
+        }
+    }
+
+    /**
+     * Register a handler for recorded SDK wallet events.
+     * @param {Function} handler - Receives `{ type, data }`
+     */
+    onWalletEvent(handler) {
+        this.#walletHandlers.add(handler);
+    }
+
+    /**
+     * Remove a wallet event handler.
+     * @param {Function} handler
+     */
+    offWalletEvent(handler) {
+        this.#walletHandlers.delete(handler);
+    }
+
+    /**
+     * Deliver the remaining recorded notifications. Recorded connect and
+     * disconnect events toggle the simulated connection, so reconnect
+     * handling runs as it did during capture.
+     * @returns {Promise<void>} Resolves when playback finishes or is stopped
+     */
+    play() {
+        if (this.#playback) return this.#playback;
+
+        const generation = ++this.#playGeneration;
+        this.#playback = this.#playLoop(generation).finally(() => {
+            if (generation === this.#playGeneration) {
+                this.#playback = null;
+            }
+        });
+        return this.#playback;
+    }
+
+    /**
+     * Pause playback. A later play() resumes from the next notification.
+     */
+    stop() {
+        this.#playGeneration++;
+        this.#playback = null;
+    }
+
+    async #playLoop(generation) {
+        let previousT = null;
+
+        while (this.#position < this.#notifications.length) {
+            const entry = this.#notifications[this.#position];
+
+            if (this.#timing === REPLAY_TIMING.ORIGINAL && previousT !== null) {
+                await sleep(Math.max(0, entry.t - previousT));
+            } else {
+                // Let handlers triggered by the previous event run first
+                await sleep(0);
+            }
+            if (generation !== this.#playGeneration) return;
+
+            previousT = entry.t;
+            this.#position++;
+            await this.#deliver(entry);
+        }
+
+        this.#logger.log('[ReplayRpcClient] Playback finished');
+    }
+
+    async #deliver(entry) {
+        if (entry.source === 'wallet') {
+            for (const handler of this.#walletHandlers) {
+                try {
+                    handler({ type: entry.type, data: entry.data });
+                } catch (err) {
+                    this.#logger.error(`[ReplayRpcClient] Wallet handler error for ${entry.type}:`, err);
+                }
+            }
+            return;
+        }
+
+        if (entry.type === 'connect') {
+            await this.connect();
+        } else if (entry.type === 'disconnect') {
+            if (!this.#connected) return;
+            this.#connected = false;
+            this.#dispatch('disconnect', entry.data);
+        } else if (this.#connected) {
+            this.#dispatch(entry.type, entry.data);
+        }
+    }
+
+    async #serve(method) {
+        const next = this.#responses.get(method)?.shift();
+        if (!next) {
+            throw new ReplayError(`No recorded response left for ${method}`);
+        }
+
+        const { outcome } = next;
+        if (this.#timing === REPLAY_TIMING.ORIGINAL && outcome.durationMs > 0) {
+            await sleep(outcome.durationMs);
+        }
+
+        if (outcome.kind === 'error') {
+            const err = new Error(outcome.error.message);
+            err.name = outcome.error.name;
+            err.code = outcome.error.code;
+            throw err;
+        }
+        return outcome.result;
+    }
+
+    #dispatch(type, data) {
+        const event = { type, data };
+        const targets = [...(this.#listeners.get(type) || []), ...(this.#listeners.get('*') || [])];
+        for (const callback of targets) {
+            try {
+                if (typeof callback === 'function') {
+                    callback(event);
+                } else if (callback && typeof callback.handleEvent === 'function') {
+                    callback.handleEvent(event);
+                }
+            } catch (err) {
+                this.#logger.error(`[ReplayRpcClient] Listener error for ${type}:`, err);
+            }
+        }
+    }
+}
+
+/**
+ * ReplayKaspaClient - KaspaClient that serves a recording made with
+ * `KaspaClient.startCapture()`.
+ *
+ * Wrapper calls return the recorded node responses (or errors) through the
+ * normal middleware, timeout and error-wrapping path. play() delivers the
+ * recorded notifications to Events/BlockScanner listeners and recorded SDK
+ * wallet events to any Wallet built on this client. The SDK wallet's own RPC
+ * requests are never recorded, so a Wallet here only replays its events;
+ * its balance and send calls are answered from recorded wrapper calls, if any.
+ *
+ * Usage:
+ *   const client = new ReplayKaspaClient(jsonText, { timing: 'fast' });
+ *   await client.connect();
+ *   const scanner = new BlockScanner(new Events(client));
+ *   await scanner.start('hello', 'contains', match => console.log(match));
+ *   await client.play();
+ */
+export class ReplayKaspaClient extends KaspaClient {
+    #recording = null;
+    #node = null;
+
+    /**
+     * @param {string|Object} recording - Recording JSON text or parsed object
+     * @param {Object} [options] - KaspaClient options, plus:
+     * @param {string} [options.timing='original'] - 'original' keeps recorded delays, 'fast' replays back to back
+     * @throws {ReplayError} If the recording is malformed
+     */
+    constructor(recording, options = {}) {
+        const parsed = parseRecording(recording);
+        const node = new ReplayRpcClient(parsed, { timing: options.timing, logger: options.logger });
+        super({
+            ...options,
+            rpcFactory: (config) => {
+                node.configure(config);
+                return node;
+            }
+        });
+        this.#recording = parsed;
+        this.#node = node;
+    }
+
+    /**
+     * Create a replay client from a recording file (e.g. from an <input type="file">).
+     * @param {File|Blob} file
+     * @param {Object} [options] - See constructor
+     * @returns {Promise<ReplayKaspaClient>}
+     */
+    static async fromFile(file, options = {}) {
+        return new ReplayKaspaClient(await file.text(), options);
+    }
+
+    /**
+     * The parsed recording.
+     * @returns {Object}
+     */
+    get recording() {
+        return this.#recording;
+    }
+
+    /**
+     * The replay RPC backend.
+     * @returns {ReplayRpcClient}
+     */
+    get node() {
+        return this.#node;
+    }
+
+    /**
+     * Check if notifications are currently being played.
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.#node.isPlaying;
+    }
+
+    /**
+     * Connect to the replay backend. Defaults to the recorded network.
+     * @param {string|Object} [networkIdOrOptions]
+     * @returns {Promise<void>}
+     */
+    async connect(networkIdOrOptions = this.#recording.networkId || NETWORK_IDS.TESTNET_10) {
+        const options = typeof networkIdOrOptions === 'string'
+            ? { networkId: networkIdOrOptions }
+            : { ...(networkIdOrOptions || {}) };
+        return super.connect({ ...options, url: options.url || REPLAY_RPC_URL });
+    }
+
+    /**
+     * Deliver the recorded notifications. Subscribe first (Events, BlockScanner,
+     * Wallet handlers) so nothing is missed.
+     * @returns {Promise<void>} Resolves when playback finishes or is stopped
+     */
+    play() {
+        return this.#node.play();
+    }
+
+    /**
+     * Pause notification playback.
+     */
+    stopPlayback() {
+        this.#node.stop();
+    }
+
+    /**
+     * Register a handler for recorded SDK wallet events (used by Wallet).
+     * @param {Function} handler - Receives `{ type, data }`
+     */
+    onWalletEvent(handler) {
+        this.#node.onWalletEvent(handler);
+    }
+
+    /**
+     * Remove a wallet event handler.
+     * @param {Function} handler
+     */
+    offWalletEvent(handler) {
+        this.#node.offWalletEvent(handler);
+    }
+}
+
+export default ReplayKaspaClient;
@@ -0,0 +1,323 @@
+// RpcRecorder.js - Capture RPC requests, responses and notifications to JSON
+// Usage: const recorder = client.startCapture(); ...; recorder.download('bug-123.json');
+
+import { RECORDING_FORMAT, RECORDING_VERSION } from './Constants.js';
+import { ReplayError } from './Errors.js';
+
+/**
+ * Convert a value into plain JSON-friendly data, keeping bigints.
+ * SDK objects are flattened through toJSON() or their prototype getters;
+ * byte arrays become hex strings.
+ * @param {any} value
+ * @param {WeakSet} [seen]
+ * @returns {any}
+ */
+export function toPlain(value, seen = new WeakSet()) {
+    if (value === null || value === undefined) return value ?? null;
+
+    const type = typeof value;
+    if (type === 'bigint' || type === 'number' || type === 'string' || type === 'boolean') {
+        return value;
+    }
+    if (type === 'function' || type === 'symbol') return undefined;
+
+    if (ArrayBuffer.isView(value)) {
+        return Array.from(new Uint8Array(value.buffer, value.byteOffset, value.byteLength))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    if (seen.has(value)) return undefined;
+    seen.add(value);
+
+    try {
+        if (Array.isArray(value)) {
+            return value.map(v => toPlain(v, seen));
+        }
+        if (value instanceof Map) {
+            return Object.fromEntries(Array.from(value, ([k, v]) => [String(k), toPlain(v, seen)]));
+        }
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, code: value.code ?? null };
+        }
+        if (typeof value.toJSON === 'function') {
+            return toPlain(value.toJSON(), seen);
+        }
+
+        const out = {};
+        for (const key of Object.keys(value)) {
+            const v = toPlain(value[key], seen);
+            if (v !== undefined) out[key] = v;
+        }
+
+        // wasm-bindgen classes expose their fields as prototype getters
+        let proto = Object.getPrototypeOf(value);
+        while (proto && proto !== Object.prototype) {
+            for (const [key, desc] of Object.entries(Object.getOwnPropertyDescriptors(proto))) {
+                if (!desc.get || key in out || key.startsWith('__')) continue;
+                try {
+                    const v = toPlain(value[key], seen);
+                    if (v !== undefined) out[key] = v;
+                } catch (_) {}
+            }
+            proto = Object.getPrototypeOf(proto);
+        }
+
+        if (!Object.keys(out).length && Object.getPrototypeOf(value) !== Object.prototype) {
+            return String(value);
+        }
+        return out;
+    } finally {
+        seen.delete(value);
+    }
+}
+
+/**
+ * Serialize a recording to JSON. Bigints are written as `{ "$bigint": "123" }`.
+ * @param {Object} recording
+ * @param {number} [space=2] - Indentation passed to JSON.stringify
+ * @returns {string}
+ */
+export function serializeRecording(recording, space = 2) {
+    return JSON.stringify(
+        recording,
+        (_key, value) => (typeof value === 'bigint' ? { $bigint: value.toString() } : value),
+        space
+    );
+}
+
+/**
+ * Parse a recording produced by serializeRecording(), restoring bigints.
+ * @param {string|Object} json - JSON text or an already parsed object
+ * @returns {Object} The recording
+ * @throws {ReplayError} If the input is not a recording
+ */
+export function parseRecording(json) {
+    let recording;
+    try {
+        recording = typeof json === 'string'
+            ? JSON.parse(json, (_key, value) => reviveBigInt(value))
+            : reviveTree(json);
+    } catch (err) {
+        throw new ReplayError('Recording is not valid JSON', err);
+    }
+
+    if (!recording || recording.format !== RECORDING_FORMAT || !Array.isArray(recording.entries)) {
+        throw new ReplayError(`Not a ${RECORDING_FORMAT} file`);
+    }
+    if (recording.version > RECORDING_VERSION) {
+        throw new ReplayError(`Unsupported recording version ${recording.version}`);
+    }
+    return recording;
+}
+
+function reviveBigInt(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === '$bigint' && typeof value.$bigint === 'string') {
+            return BigInt(value.$bigint);
+        }
+    }
+    return value;
+}
+
+function reviveTree(value) {
+    if (Array.isArray(value)) return value.map(reviveTree);
+    if (value && typeof value === 'object') {
+        const revived = reviveBigInt(value);
+        if (revived !== value) return revived;
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, reviveTree(v)]));
+    }
+    return value;
+}
+
+/**
+ * RpcRecorder - Collects RPC traffic into a replayable recording.
+ *
+ * Entries are timestamped relative to start() and have one of these kinds:
+ * - `request`      `{ id, method, args }`
+ * - `response`     `{ id, method, durationMs, result }` (raw node result)
+ * - `error`        `{ id, method, durationMs, error: { name, message, code } }`
+ * - `notification` `{ source: 'rpc' | 'wallet', type, data }`
+ *
+ * Usually created through `KaspaClient.startCapture()`, which feeds it
+ * every wrapper call and every node notification. A Wallet adds the events of
+ * its SDK wallet (`source: 'wallet'`); the SDK wallet's RPC requests bypass
+ * the wrapper and are not recorded.
+ */
+export class RpcRecorder {
+    #entries = [];
+    #meta = {};
+    #startedAt = null;
+    #startedAtMs = 0;
+    #recording = false;
+    #nextId = 1;
+    #logger = console;
+
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Custom logger (default: console)
+     */
+    constructor(options = {}) {
+        this.#logger = options.logger || console;
+    }
+
+    /**
+     * Check if entries are currently being recorded.
+     * @returns {boolean}
+     */
+    get isRecording() {
+        return this.#recording;
+    }
+
+    /**
+     * Get a copy of the recorded entries.
+     * @returns {Object[]}
+     */
+    get entries() {
+        return this.#entries.slice();
+    }
+
+    /**
+     * Start (or resume) recording.
+     * @param {{ networkId?: string, url?: string }} [meta] - Connection info stored with the recording
+     */
+    start(meta = {}) {
+        for (const [key, value] of Object.entries(meta)) {
+            if (value != null) this.#meta[key] = value;
+        }
+        if (this.#recording) return;
+        if (!this.#startedAt) {
+            this.#startedAt = new Date().toISOString();
+            this.#startedAtMs = Date.now();
+        }
+        this.#recording = true;
+        this.#logger.log('[RpcRecorder] Recording started');
+    }
+
+    /**
+     * Stop recording. Recorded entries are kept.
+     */
+    stop() {
+        if (!this.#recording) return;
+        this.#recording = false;
+        this.#logger.log(`[RpcRecorder] Recording stopped (${this.#entries.length} entries)`);
+    }
+
+    /**
+     * Discard all recorded entries.
+     */
+    clear() {
+        this.#entries = [];
+        this.#nextId = 1;
+        this.#startedAt = this.#recording ? new Date().toISOString() : null;
+        this.#startedAtMs = Date.now();
+    }
+
+    /**
+     * Record an outgoing request.
+     * @param {string} method
+     * @param {Array} args
+     * @returns {number|null} Request id to pass to recordResponse/recordError
+     */
+    recordRequest(method, args = []) {
+        if (!this.#recording) return null;
+        const id = this.#nextId++;
+        this.#push({ kind: 'request', id, method, args: toPlain(args) });
+        return id;
+    }
+
+    /**
+     * Record the result of a request.
+     * @param {number|null} id
+     * @param {string} method
+     * @param {any} result
+     * @param {number} durationMs
+     */
+    recordResponse(id, method, result, durationMs) {
+        if (!this.#recording || id == null) return;
+        this.#push({ kind: 'response', id, method, durationMs, result: toPlain(result) });
+    }
+
+    /**
+     * Record a failed request.
+     * @param {number|null} id
+     * @param {string} method
+     * @param {Error} error
+     * @param {number} durationMs
+     */
+    recordError(id, method, error, durationMs) {
+        if (!this.#recording || id == null) return;
+        this.#push({
+            kind: 'error',
+            id,
+            method,
+            durationMs,
+            error: {
+                name: error?.name || 'Error',
+                message: error?.message || String(error),
+                code: error?.code ?? null
+            }
+        });
+    }
+
+    /**
+     * Record a notification.
+     * @param {string} type - Event type (e.g. 'block-added', 'connect', 'balance')
+     * @param {any} data - Event data
+     * @param {string} [source='rpc'] - 'rpc' for node events, 'wallet' for SDK wallet events
+     */
+    recordNotification(type, data, source = 'rpc') {
+        if (!this.#recording) return;
+        this.#push({ kind: 'notification', source, type, data: toPlain(data) ?? null });
+    }
+
+    /**
+     * Get the recording as a plain object (bigints kept as bigint).
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            startedAt: this.#startedAt,
+            networkId: this.#meta.networkId ?? null,
+            url: this.#meta.url ?? null,
+            entries: this.entries
+        };
+    }
+
+    /**
+     * Serialize the recording to JSON text.
+     * @param {number} [space=2]
+     * @returns {string}
+     */
+    serialize(space = 2) {
+        return serializeRecording(this.toJSON(), space);
+    }
+
+    /**
+     * Save the recording as a JSON file (browser download).
+     * @param {string} [filename='rpc-recording.json']
+     */
+    download(filename = 'rpc-recording.json') {
+        if (typeof document === 'undefined') {
+            throw new Error('download() requires a browser; use serialize() instead');
+        }
+        const blob = new Blob([this.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    #push(entry) {
+        this.#entries.push({ seq: this.#entries.length, t: Date.now() - this.#startedAtMs, ...entry });
+    }
+}
+
+export default RpcRecorder;
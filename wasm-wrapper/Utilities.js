@@ -1,4 +1,4 @@
-import { MIN_KAS_AMOUNT, MAX_PAYLOAD_BYTES } from './Constants.js';
+import { MIN_KAS_AMOUNT, MAX_PAYLOAD_BYTES, PSKB_PREFIX } from './Constants.js';
 
 export function stringToHex(str) {
   // Convert a JS string to a hex-encoded byte string (UTF-8)
@@ -56,4 +56,62 @@ export function getConfirmations(currentBlueScore, txBlockBlueScore) {
   const tx = BigInt(txBlockBlueScore);
   if (cur < tx) return 0;
   return Number(cur - tx + 1n);
-}
\ No newline at end of file
+}
+
+export function parseRecipientsCsv(text) {
+  // Parse "address,amount" lines into [{ line, address, amount, error }].
+  // Accepts comma, semicolon or tab separators, an optional header row,
+  // blank lines and "#" comments. Only the format is checked here.
+  const rows = [];
+  const lines = String(text ?? '').split(/\r?\n/);
+
+  lines.forEach((raw, i) => {
+    const trimmed = raw.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const cells = trimmed.split(/[,;\t]/).map(c => c.trim().replace(/^"(.*)"$/, '$1').trim());
+    if (!rows.length && /^address$/i.test(cells[0]) && /^amount/i.test(cells[1] ?? '')) return;
+
+    const [address = '', amount = ''] = cells;
+    let error = null;
+    if (cells.length < 2 || !address || !amount) {
+      error = 'Expected "address,amount"';
+    } else if (cells.length > 2 && cells.slice(2).some(Boolean)) {
+      error = 'Too many columns';
+    }
+    rows.push({ line: i + 1, address, amount, error });
+  });
+
+  return rows;
+}
+
+// JSON string and number literals, so digits inside strings are left alone
+const JSON_TOKENS = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+
+export function decodePskb(blob) {
+  // Decode a serialized PSKB ("PSKB" + hex of its JSON) into the JSON document,
+  // or null if it is not one. Integers too large for a Number (sompi amounts,
+  // DAA scores) are kept as "#bigint:<digits>" strings so encodePskb restores
+  // them exactly.
+  const text = String(blob ?? '').trim();
+  const hex = text.slice(PSKB_PREFIX.length);
+  if (!text.startsWith(PSKB_PREFIX) || !hex || hex.length % 2 || !/^[0-9a-f]+$/i.test(hex)) return null;
+
+  try {
+    const json = hexToString(hex).replace(JSON_TOKENS, token =>
+      !/^-?\d+$/.test(token) || Number.isSafeInteger(Number(token)) ? token : `"#bigint:${token}"`
+    );
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+export function encodePskb(doc) {
+  // Inverse of decodePskb
+  const json = JSON.stringify(doc).replace(JSON_TOKENS, token => {
+    const big = /^"#bigint:(-?\d+)"$/.exec(token);
+    return big ? big[1] : token;
+  });
+  return PSKB_PREFIX + stringToHex(json);
+}
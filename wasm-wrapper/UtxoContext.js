@@ -3,12 +3,14 @@
 
 import { UtxoProcessor, KaspaUtxoContext, ensureWasmInitialized } from './KaspaClient.js';
 import { UtxoContextNotInitializedError, DisposedError, NetworkError } from './Errors.js';
+import { CONNECTION_STATES } from './Constants.js';
 
 /**
  * UtxoContext - Instance-based UTXO tracking manager.
  * 
  * Tracks UTXOs for a set of addresses using a KaspaClient connection.
  * Multiple UtxoContext instances can coexist for different address sets.
+ * Watched addresses are re-tracked automatically when the client reconnects.
  * 
  * Usage:
  *   const client = new KaspaClient();
@@ -24,10 +26,13 @@ import { UtxoContextNotInitializedError, DisposedError, NetworkError } from './E
 export class UtxoContext {
     #client = null;
     #processor = null;
+    #processorRpc = null;
     #context = null;
     #initialized = false;
     #disposed = false;
     #eventHandlers = [];
+    #trackedAddresses = new Set();
+    #boundStateHandler = null;
     #logger = console;
 
     /**
@@ -42,6 +47,8 @@ export class UtxoContext {
         }
         this.#client = client;
         this.#logger = options.logger || console;
+        this.#boundStateHandler = this.#handleConnectionState.bind(this);
+        this.#client.onConnectionStateChange(this.#boundStateHandler);
     }
 
     /**
@@ -77,6 +84,14 @@ export class UtxoContext {
         return this.#context.balance;
     }
 
+    /**
+     * Get the list of addresses currently being tracked.
+     * @returns {string[]}
+     */
+    get trackedAddresses() {
+        return Array.from(this.#trackedAddresses);
+    }
+
     /**
      * Initialize the UTXO processor and context.
      * @returns {Promise<void>}
@@ -87,16 +102,13 @@ export class UtxoContext {
         if (this.#initialized) return;
 
         this.#assertConnected();
-        
-        await ensureWasmInitialized();
+
+        if (typeof this.#client.createUtxoProcessor !== 'function') {
+            await ensureWasmInitialized();
+        }
 
         try {
-            this.#processor = new UtxoProcessor({
-                rpc: this.#client.rpc,
-                networkId: this.#client.networkId
-            });
-            await this.#processor.start();
-            this.#context = new KaspaUtxoContext({ processor: this.#processor });
+            await this.#createProcessor();
             this.#initialized = true;
             this.#logger.log('[UtxoContext] Initialized');
         } catch (err) {
@@ -113,7 +125,11 @@ export class UtxoContext {
      */
     async watchAddresses(addresses) {
         this.#assertInitialized();
-        return await this.#context.trackAddresses(addresses);
+        const result = await this.#context.trackAddresses(addresses);
+        for (const addr of addresses) {
+            this.#trackedAddresses.add(String(addr));
+        }
+        return result;
     }
 
     /**
@@ -123,7 +139,11 @@ export class UtxoContext {
      */
     async unregisterAddresses(addresses) {
         this.#assertInitialized();
-        return await this.#context.unregisterAddresses(addresses);
+        const result = await this.#context.unregisterAddresses(addresses);
+        for (const addr of addresses) {
+            this.#trackedAddresses.delete(String(addr));
+        }
+        return result;
     }
 
     /**
@@ -133,6 +153,30 @@ export class UtxoContext {
     async clear() {
         this.#assertInitialized();
         await this.#context.clear();
+        this.#trackedAddresses.clear();
+    }
+
+    /**
+     * Re-register all tracked addresses with the node.
+     * Called automatically after the client reconnects; the node forgets
+     * UTXO notifications for a dropped connection.
+     * @returns {Promise<void>}
+     */
+    async retrackAddresses() {
+        this.#assertInitialized();
+        if (this.#trackedAddresses.size === 0) return;
+
+        const addresses = Array.from(this.#trackedAddresses);
+
+        // A pool may have failed over to another node; the processor is bound
+        // to a single RPC client, so rebuild it against the new one.
+        if (this.#client.rpc !== this.#processorRpc) {
+            await this.#rebuildProcessor();
+        } else {
+            await this.#context.clear();
+        }
+        await this.#context.trackAddresses(addresses);
+        this.#logger.log(`[UtxoContext] Re-tracked ${addresses.length} address(es)`);
     }
 
     /**
@@ -212,6 +256,8 @@ export class UtxoContext {
     async dispose() {
         if (this.#disposed) return;
 
+        this.#client.offConnectionStateChange(this.#boundStateHandler);
+
         try {
             if (this.#context) {
                 await this.#context.clear();
@@ -225,13 +271,64 @@ export class UtxoContext {
         } catch (_) {}
 
         this.#processor = null;
+        this.#processorRpc = null;
         this.#context = null;
         this.#eventHandlers = [];
+        this.#trackedAddresses.clear();
         this.#initialized = false;
         this.#disposed = true;
         this.#logger.log('[UtxoContext] Disposed');
     }
 
+    /**
+     * Create and start the UTXO processor and context for the client's
+     * current RPC connection. Clients may supply their own implementation
+     * through `createUtxoProcessor()` (e.g. MockKaspaClient); otherwise the
+     * SDK's UtxoProcessor/UtxoContext are used.
+     */
+    async #createProcessor() {
+        if (typeof this.#client.createUtxoProcessor === 'function') {
+            const { processor, context } = this.#client.createUtxoProcessor();
+            this.#processor = processor;
+            await this.#processor.start();
+            this.#context = context;
+        } else {
+            this.#processor = new UtxoProcessor({
+                rpc: this.#client.rpc,
+                networkId: this.#client.networkId
+            });
+            await this.#processor.start();
+            this.#context = new KaspaUtxoContext({ processor: this.#processor });
+        }
+        this.#processorRpc = this.#client.rpc;
+    }
+
+    async #rebuildProcessor() {
+        try {
+            await this.#processor?.stop();
+        } catch (_) {}
+
+        await this.#createProcessor();
+
+        for (const callback of this.#eventHandlers) {
+            this.#processor.addEventListener(callback);
+        }
+        this.#logger.log('[UtxoContext] Processor rebuilt for new RPC connection');
+    }
+
+    /**
+     * Internal handler for client connection state changes.
+     */
+    async #handleConnectionState({ state }) {
+        if (this.#disposed || !this.#initialized || state !== CONNECTION_STATES.RECONNECTED) return;
+
+        try {
+            await this.retrackAddresses();
+        } catch (err) {
+            this.#logger.warn('[UtxoContext] Failed to re-track addresses after reconnect:', err);
+        }
+    }
+
     #assertNotDisposed() {
         if (this.#disposed) {
             throw new DisposedError('UtxoContext');
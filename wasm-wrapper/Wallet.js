@@ -9,9 +9,30 @@ import {
     Address,
     addressFromScriptPublicKey,
     ensureWasmInitialized,
-    estimateTransactions
+    estimateTransactions,
+    createTransactions,
+    signTransaction,
+    payToAddressScript,
+    getTransactionMaturityProgress,
+    PSKT,
+    PSKB,
+    ScriptBuilder,
+    Opcodes,
+    payToScriptHashScript,
+    createMultisigAddress,
+    signMessage,
+    verifyMessage,
+    FeeSource,
+    Encoding,
+    NetworkId,
+    PublicKeyGenerator,
+    PrivateKeyGenerator,
+    XPrv,
+    PrivateKey
 } from './KaspaClient.js';
 
+import { RPC_ENCODINGS, FEE_TIERS, MIN_SOMPI_AMOUNT, PSKB_PREFIX, MAX_MULTISIG_KEYS, CONNECTION_STATES } from './Constants.js';
+
 // Import Mnemonic class directly from the SDK for wallet creation
 import { Mnemonic } from '../kas-wasm/kaspa.js';
 
@@ -21,7 +42,9 @@ import {
     validateKaspaAddress,
     validateKaspaAmount,
     validatePriorityFee,
-    validatePayload
+    validatePayload,
+    decodePskb,
+    encodePskb
 } from './Utilities.js';
 
 import {
@@ -36,7 +59,10 @@ import {
     TransactionError,
     DisposedError,
     NetworkMismatchError,
-    ValidationError
+    ValidationError,
+    OutputsValidationError,
+    NodeNotSyncedError,
+    PassphraseRequiredError
 } from './Errors.js';
 
 /**
@@ -59,8 +85,14 @@ export class Wallet {
     #wallet = null;
     #filename = null;
     #walletSecret = null;
+    #paymentSecret = null;  // BIP-39 passphrase, kept for signing like the wallet secret
+    #passphraseRequired = false;
     #mnemonic = null;  // Store mnemonic for retrieval
+    #multisigAccounts = new Map();  // accountId -> multisig account; not stored in the wallet file
     #boundEventHandler = null;
+    #boundReplayHandler = null;
+    #boundStateHandler = null;
+    #rebindPromise = null;
     #disposed = false;
     #sendMutex = Promise.resolve();
     #lastEvent = {};
@@ -70,12 +102,14 @@ export class Wallet {
         other: []
     };
     #logger = console;
+    #requireSynced = true;
 
     /**
      * Create a new Wallet instance.
      * @param {KaspaClient} client - The KaspaClient to use
      * @param {Object} [options]
      * @param {Object} [options.logger] - Custom logger (default: console)
+     * @param {boolean} [options.requireSynced=true] - Refuse sends and fee estimates while the node is syncing
      */
     constructor(client, options = {}) {
         if (!client) {
@@ -83,6 +117,19 @@ export class Wallet {
         }
         this.#client = client;
         this.#logger = options.logger || console;
+        this.#requireSynced = options.requireSynced !== false;
+
+        // Replay clients feed recorded SDK wallet events through the normal pipeline
+        if (typeof client.onWalletEvent === 'function') {
+            this.#boundReplayHandler = this.#handleEvent.bind(this);
+            client.onWalletEvent(this.#boundReplayHandler);
+        }
+
+        // A KaspaClientPool reports a change of active node as a failover
+        if (typeof client.onConnectionStateChange === 'function') {
+            this.#boundStateHandler = this.#handleConnectionState.bind(this);
+            client.onConnectionStateChange(this.#boundStateHandler);
+        }
     }
 
     /**
@@ -117,6 +164,42 @@ export class Wallet {
         return this.#disposed;
     }
 
+    /**
+     * Whether the wallet's node calls go through the client instead of the SDK
+     * wallet's own connection. The SDK wallet can only dial real nodes, so with
+     * a MockKaspaClient or ReplayKaspaClient it stays offline: balances and UTXOs
+     * are read through the client, and sends are signed with keys derived from
+     * the recovery phrase held for this session and submitted through the client.
+     * @returns {boolean}
+     */
+    get isClientBacked() {
+        return this.#client.usesSdkRpc === false;
+    }
+
+    /**
+     * Always false; see WatchOnlyWallet for wallets without private keys.
+     * @returns {boolean}
+     */
+    get isWatchOnly() {
+        return false;
+    }
+
+    /**
+     * Whether the wallet's mnemonic key data is protected by a BIP-39 passphrase.
+     * @returns {boolean}
+     */
+    get requiresPassphrase() {
+        return this.#passphraseRequired;
+    }
+
+    /**
+     * Whether a BIP-39 passphrase is held for signing in this session.
+     * @returns {boolean}
+     */
+    get hasPassphrase() {
+        return this.#paymentSecret != null;
+    }
+
     /**
      * Get the wallet filename.
      * @returns {string|null}
@@ -338,14 +421,21 @@ export class Wallet {
 
     /**
      * Validate a mnemonic phrase.
+     * Any passphrase is valid for any mnemonic (it selects a different wallet),
+     * so only its type is checked.
      * @param {string} mnemonic - The mnemonic phrase to validate
-     * @returns {{ valid: boolean, error?: string, wordCount?: number }}
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - Optional BIP-39 passphrase ("25th word")
+     * @returns {{ valid: boolean, error?: string, wordCount?: number, hasPassphrase?: boolean }}
      * @static
      */
-    static validateMnemonic(mnemonic) {
+    static validateMnemonic(mnemonic, { passphrase } = {}) {
         if (!mnemonic || typeof mnemonic !== 'string') {
             return { valid: false, error: 'Mnemonic is required' };
         }
+        if (passphrase != null && typeof passphrase !== 'string') {
+            return { valid: false, error: 'Passphrase must be a string' };
+        }
 
         const words = mnemonic.trim().toLowerCase().split(/\s+/);
         const wordCount = words.length;
@@ -362,7 +452,7 @@ export class Wallet {
         // Try to validate using SDK's Mnemonic class
         try {
             new Mnemonic(mnemonic.trim().toLowerCase());
-            return { valid: true, wordCount };
+            return { valid: true, wordCount, hasPassphrase: !!passphrase };
         } catch (err) {
             return { 
                 valid: false, 
@@ -372,15 +462,83 @@ export class Wallet {
         }
     }
 
+    /**
+     * Validate a hex private key and derive its address.
+     * The WASM module must be initialized.
+     * @param {string} privateKey - 32-byte secret key as 64 hex characters
+     * @param {string} [networkId] - Network to derive the address for
+     * @returns {{ valid: boolean, error?: string, address?: string }}
+     * @static
+     */
+    static validatePrivateKey(privateKey, networkId) {
+        if (!privateKey || typeof privateKey !== 'string') {
+            return { valid: false, error: 'Private key is required' };
+        }
+
+        const hex = privateKey.trim().replace(/^0x/i, '');
+        if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+            return { valid: false, error: 'Private key must be 64 hex characters (32 bytes)' };
+        }
+
+        try {
+            const key = new PrivateKey(hex);
+            const address = networkId ? key.toAddress(networkId).toString() : undefined;
+            return { valid: true, address };
+        } catch (err) {
+            return { valid: false, error: err?.message || 'Invalid private key' };
+        }
+    }
+
+    /**
+     * Verify a message signed with signMessage. Needs no open wallet; the WASM
+     * module must be initialized.
+     * @param {Object} params
+     * @param {string} params.message - The message as it was signed
+     * @param {string} params.signature - Schnorr signature as 128 hex characters
+     * @param {string} [params.publicKey] - Signer's public key (hex)
+     * @param {string} [params.address] - Signer's address, instead of or along with the public key
+     * @returns {boolean} Whether the signature is valid (and the key matches the address)
+     * @throws {ValidationError} If an input is missing or malformed
+     * @throws {InvalidAddressError} If the address is invalid
+     * @static
+     */
+    static verifyMessage({ message, signature, publicKey, address } = {}) {
+        if (typeof message !== 'string' || !message) {
+            throw new ValidationError('message is required', 'message');
+        }
+        const sig = typeof signature === 'string' ? signature.trim() : '';
+        if (!/^[0-9a-fA-F]{128}$/.test(sig)) {
+            throw new ValidationError('signature must be 128 hex characters', 'signature');
+        }
+        if (publicKey == null && address == null) {
+            throw new ValidationError('publicKey or address is required', 'publicKey');
+        }
+
+        const addressKey = address != null ? Wallet.#addressPublicKey(address) : null;
+        const key = publicKey != null ? String(publicKey).trim().toLowerCase() : addressKey;
+        // An address holds the x-only key; a compressed key adds a parity byte
+        if (addressKey && key.slice(-64) !== addressKey) {
+            return false;
+        }
+
+        try {
+            return verifyMessage({ message, signature: sig, publicKey: key });
+        } catch (err) {
+            throw new ValidationError(`Invalid public key: ${err?.message || err}`, 'publicKey');
+        }
+    }
+
     /**
      * Import a wallet from a mnemonic phrase.
      * Creates a new wallet file with the provided mnemonic.
      * @param {string} password - Wallet password
      * @param {string} mnemonic - The mnemonic phrase (12, 15, 18, 21, or 24 words)
      * @param {string} [filename='imported-wallet'] - Wallet filename
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - BIP-39 passphrase the mnemonic was used with, if any
      * @returns {Promise<boolean>}
      */
-    async import(password, mnemonic, filename = 'imported-wallet') {
+    async import(password, mnemonic, filename = 'imported-wallet', { passphrase } = {}) {
         this.#assertNotDisposed();
 
         if (!password) {
@@ -392,10 +550,11 @@ export class Wallet {
         }
 
         // Validate mnemonic
-        const validation = Wallet.validateMnemonic(mnemonic);
+        const validation = Wallet.validateMnemonic(mnemonic, { passphrase });
         if (!validation.valid) {
             throw new ValidationError(validation.error, 'mnemonic');
         }
+        const paymentSecret = Wallet.#normalizePassphrase(passphrase);
 
         // Normalize mnemonic
         const normalizedMnemonic = mnemonic.trim().toLowerCase();
@@ -409,15 +568,13 @@ export class Wallet {
 
             this.#filename = filename;
             this.#walletSecret = password;
+            this.#paymentSecret = paymentSecret;
+            this.#passphraseRequired = paymentSecret != null;
             this.#mnemonic = normalizedMnemonic;
 
             const networkId = this.#client.networkId;
 
-            this.#wallet = new KaspaWallet({
-                resident: false,
-                networkId,
-                resolver: this.#client.resolver || undefined
-            });
+            this.#wallet = new KaspaWallet(this.#walletConfig(networkId));
 
             // Check if wallet file already exists
             const exists = await this.#wallet.exists(filename);
@@ -429,7 +586,7 @@ export class Wallet {
 
             // Create wallet with the provided mnemonic
             await this.#wallet.walletCreate({
-                walletSecret: password,
+                ...this.#signingSecrets('import'),
                 filename,
                 title: 'Imported',
                 mnemonic: normalizedMnemonic
@@ -445,14 +602,14 @@ export class Wallet {
 
             await this.#wallet.accountsEnsureDefault({
                 walletSecret: password,
+                ...(this.#paymentSecret ? { paymentSecret: this.#paymentSecret } : {}),
                 type: new AccountKind('bip32')
             });
 
             this.#boundEventHandler = this.#handleEvent.bind(this);
             this.#wallet.addEventListener(this.#boundEventHandler);
 
-            await this.#wallet.connect();
-            await this.#wallet.start();
+            await this.#connectWallet();
 
             this.#logger.log('[Wallet] Import complete. Wallet ready.');
             return true;
@@ -465,18 +622,98 @@ export class Wallet {
         }
     }
 
+    /**
+     * Import a wallet from a raw private key (e.g. a paper wallet or a key
+     * exported from another tool). The new wallet file holds a single keypair
+     * account for that key; there is no mnemonic.
+     * @param {string} password - Wallet password
+     * @param {string} privateKey - Secret key as 64 hex characters
+     * @param {string} [filename='imported-wallet'] - Wallet filename
+     * @param {Object} [options]
+     * @param {string} [options.accountName] - Name of the keypair account
+     * @returns {Promise<boolean>}
+     */
+    async importPrivateKey(password, privateKey, filename = 'imported-wallet', { accountName } = {}) {
+        this.#assertNotDisposed();
+
+        if (!password) {
+            throw new ValidationError('Password is required', 'password');
+        }
+
+        const name = this.#validateAccountName(accountName);
+
+        try {
+            this.#logger.log('[Wallet] Importing wallet from private key...');
+            await ensureWasmInitialized();
+
+            const validation = Wallet.validatePrivateKey(privateKey);
+            if (!validation.valid) {
+                throw new ValidationError(validation.error, 'privateKey');
+            }
+
+            // Cleanup existing wallet if re-importing
+            await this.#cleanup();
+
+            this.#filename = filename;
+            this.#walletSecret = password;
+            this.#mnemonic = null;
+
+            const networkId = this.#client.networkId;
+
+            this.#wallet = new KaspaWallet(this.#walletConfig(networkId));
+
+            const exists = await this.#wallet.exists(filename);
+            if (exists) {
+                throw new WalletError(`Wallet "${filename}" already exists. Choose a different name or delete the existing wallet.`);
+            }
+
+            await this.#wallet.walletCreate({
+                walletSecret: password,
+                filename,
+                title: 'Imported'
+            });
+
+            await this.#wallet.walletOpen({
+                walletSecret: password,
+                filename,
+                accountDescriptors: true
+            });
+
+            // No accountsEnsureDefault: there is no mnemonic to derive a BIP32 account from
+            await this.#createKeypairAccount(privateKey, name);
+
+            this.#boundEventHandler = this.#handleEvent.bind(this);
+            this.#wallet.addEventListener(this.#boundEventHandler);
+
+            await this.#connectWallet();
+
+            this.#logger.log('[Wallet] Private key import complete. Wallet ready.');
+            return true;
+        } catch (err) {
+            this.#logger.error('[Wallet] Private key import error:', err);
+            if (err instanceof WalletError || err instanceof ValidationError) {
+                throw err;
+            }
+            throw new WalletError('Failed to import private key', err);
+        }
+    }
+
     /**
      * Create or open a wallet.
      * @param {string} password - Wallet password
      * @param {string} [filename='wallet-browser-demo'] - Wallet filename
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - BIP-39 passphrase for a new wallet, or the
+     *   existing wallet's passphrase when opening one that has it
      * @returns {Promise<boolean>}
      */
-    async create(password, filename = 'wallet-browser-demo') {
+    async create(password, filename = 'wallet-browser-demo', { passphrase } = {}) {
         this.#assertNotDisposed();
         
         if (!password) {
             throw new ValidationError('Password is required', 'password');
         }
+        const paymentSecret = Wallet.#normalizePassphrase(passphrase);
 
         try {
             this.#logger.log('[Wallet] Initializing...');
@@ -487,14 +724,12 @@ export class Wallet {
 
             this.#filename = filename;
             this.#walletSecret = password;
+            this.#paymentSecret = paymentSecret;
+            this.#passphraseRequired = false;
 
             const networkId = this.#client.networkId;
 
-            this.#wallet = new KaspaWallet({
-                resident: false,
-                networkId,
-                resolver: this.#client.resolver || undefined
-            });
+            this.#wallet = new KaspaWallet(this.#walletConfig(networkId));
 
             const exists = await this.#wallet.exists(filename);
             if (!exists) {
@@ -503,9 +738,10 @@ export class Wallet {
                 // Generate mnemonic ourselves so we can store it
                 const mnemonic = Mnemonic.random();
                 this.#mnemonic = mnemonic.phrase;
+                this.#passphraseRequired = paymentSecret != null;
                 
                 await this.#wallet.walletCreate({
-                    walletSecret: password,
+                    ...this.#signingSecrets('create'),
                     filename,
                     title: 'W-1',
                     mnemonic: mnemonic.phrase
@@ -523,17 +759,20 @@ export class Wallet {
                 filename,
                 accountDescriptors: true
             });
+            if (exists) {
+                await this.#detectPassphrase();
+            }
 
             await this.#wallet.accountsEnsureDefault({
                 walletSecret: password,
+                ...(this.#paymentSecret ? { paymentSecret: this.#paymentSecret } : {}),
                 type: new AccountKind('bip32')
             });
 
             this.#boundEventHandler = this.#handleEvent.bind(this);
             this.#wallet.addEventListener(this.#boundEventHandler);
 
-            await this.#wallet.connect();
-            await this.#wallet.start();
+            await this.#connectWallet();
 
             this.#logger.log('[Wallet] Ready.');
             return true;
@@ -548,16 +787,21 @@ export class Wallet {
 
     /**
      * Open an existing wallet.
+     * A wallet protected by a BIP-39 passphrase opens without it; signing then
+     * throws PassphraseRequiredError until `setPassphrase()` is called.
      * @param {string} filename - Wallet filename
      * @param {string} password - Wallet password
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - The wallet's BIP-39 passphrase, if it has one
      * @returns {Promise<boolean>}
      */
-    async open(filename, password) {
+    async open(filename, password, { passphrase } = {}) {
         this.#assertNotDisposed();
 
         if (!filename || !password) {
             throw new ValidationError('Filename and password are required');
         }
+        const paymentSecret = Wallet.#normalizePassphrase(passphrase);
 
         try {
             this.#logger.log('[Wallet] Opening wallet...');
@@ -567,26 +811,23 @@ export class Wallet {
 
             this.#filename = filename;
             this.#walletSecret = password;
+            this.#paymentSecret = paymentSecret;
 
             const networkId = this.#client.networkId;
 
-            this.#wallet = new KaspaWallet({
-                resident: false,
-                networkId,
-                resolver: this.#client.resolver || undefined
-            });
+            this.#wallet = new KaspaWallet(this.#walletConfig(networkId));
 
             await this.#wallet.walletOpen({
                 walletSecret: password,
                 filename,
                 accountDescriptors: true
             });
+            await this.#detectPassphrase();
 
             this.#boundEventHandler = this.#handleEvent.bind(this);
             this.#wallet.addEventListener(this.#boundEventHandler);
 
-            await this.#wallet.connect();
-            await this.#wallet.start();
+            await this.#connectWallet();
 
             this.#logger.log('[Wallet] Wallet opened and started.');
             return true;
@@ -634,6 +875,22 @@ export class Wallet {
         }
     }
 
+    /**
+     * Provide the BIP-39 passphrase for a wallet opened without it. The SDK
+     * only checks it when a transaction is signed, so a wrong passphrase
+     * surfaces as a send error; the passphrase is then forgotten
+     * (`hasPassphrase` turns false) so the caller can ask for it again.
+     * @param {string} passphrase - The passphrase the wallet was created or imported with
+     */
+    setPassphrase(passphrase) {
+        this.#assertOpen();
+        const paymentSecret = Wallet.#normalizePassphrase(passphrase);
+        if (paymentSecret == null) {
+            throw new ValidationError('Passphrase is required', 'passphrase');
+        }
+        this.#paymentSecret = paymentSecret;
+    }
+
     /**
      * Close the wallet and clean up resources.
      * @returns {Promise<void>}
@@ -656,6 +913,14 @@ export class Wallet {
         if (this.#disposed) return;
         
         await this.close();
+        if (this.#boundReplayHandler) {
+            this.#client.offWalletEvent?.(this.#boundReplayHandler);
+            this.#boundReplayHandler = null;
+        }
+        if (this.#boundStateHandler) {
+            this.#client.offConnectionStateChange?.(this.#boundStateHandler);
+            this.#boundStateHandler = null;
+        }
         this.#disposed = true;
         this.#eventHandlers = { balance: [], transaction: [], other: [] };
         this.#logger.log('[Wallet] Disposed');
@@ -667,11 +932,20 @@ export class Wallet {
      * @param {Object} params
      * @param {string} params.amount - Amount in KAS to send
      * @param {string} params.toAddress - Destination address
+     * @param {string} [params.accountId] - Account to spend from (default: first account)
      * @param {string} [params.payload] - Optional payload (hex string or UTF-8 text)
      * @param {string} [params.priorityFeeKas] - Optional priority fee in KAS (extra on top of base fee)
-     * @returns {Promise<{ mass: bigint, fees: bigint, feesKas: string, priorityFee: bigint, baseFee: bigint }>}
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+     *   sompi per gram; the priority fee is derived from the transaction mass (instead of priorityFeeKas)
+     * @param {{ allow?: Array<string|Object>, deny?: Array<string|Object> }} [params.utxos] - Coin control, as in send
+     * @param {number} [params.timeoutMs] - Timeout for the UTXO lookup (defaults to the client's)
+     * @param {AbortSignal} [params.signal] - Cancels the UTXO lookup when aborted
+     * @returns {Promise<{ mass: bigint, fees: bigint, feesKas: string, priorityFee: bigint, baseFee: bigint, feerate: number|null, estimatedSeconds: number|null, inputs: number, change: bigint|null, transactions: number, totalAmount: bigint }>}
+     *   `inputs` is the number of UTXOs spent; `change` is what returns to the change
+     *   address, or null when the Generator needs more than one transaction.
+     * @throws {NodeNotSyncedError} If the node is still syncing
      */
-    async estimateTransactionFee({ amount, toAddress, payload, priorityFeeKas }) {
+    async estimateTransactionFee({ amount, toAddress, accountId, payload, priorityFeeKas, feeTier, utxos, timeoutMs, signal }) {
         this.#assertOpen();
 
         // Validate inputs
@@ -681,31 +955,11 @@ export class Wallet {
         if (!validateKaspaAmount(amount)) {
             throw new InvalidAmountError(amount, 'Amount must be >= MIN_KAS_AMOUNT');
         }
+        const priorityFee = this.#parsePriorityFee(priorityFeeKas, feeTier);
 
-        // Get account info
-        const accounts = await this.#wallet.accountsEnumerate({});
-        if (!accounts.accountDescriptors?.length) {
-            throw new AccountNotFoundError();
-        }
-        const firstAccount = accounts.accountDescriptors[0];
-        const changeAddress = firstAccount.changeAddress;
-        const receiveAddress = firstAccount.receiveAddress;
-
-        // Get UTXOs for the account addresses
-        const addresses = [receiveAddress, changeAddress].filter(Boolean);
-        const utxoResult = await this.#client.getUtxosByAddresses(addresses);
-        
-        // Extract UTXO entries from the result
-        let utxoEntries = [];
-        if (utxoResult && Array.isArray(utxoResult)) {
-            utxoEntries = utxoResult;
-        } else if (utxoResult && utxoResult.entries) {
-            utxoEntries = utxoResult.entries;
-        }
+        await this.#assertSynced({ timeoutMs, signal });
 
-        if (!utxoEntries.length) {
-            throw new InsufficientFundsError('0', '0');
-        }
+        const account = await this.#findAccount(accountId);
 
         // Build output
         const outputs = [{
@@ -713,15 +967,6 @@ export class Wallet {
             amount: kaspaToSompi(amount)
         }];
 
-        // Priority fee (extra on top of base network fee)
-        let priorityFee = 0n;
-        if (priorityFeeKas != null && priorityFeeKas !== '') {
-            if (!validatePriorityFee(priorityFeeKas)) {
-                throw new ValidationError('Invalid priority fee', 'priorityFeeKas');
-            }
-            priorityFee = kaspaToSompi(priorityFeeKas);
-        }
-
         // Prepare payload if provided
         let payloadHex = undefined;
         if (payload) {
@@ -734,31 +979,57 @@ export class Wallet {
             }
         }
 
-        // Use SDK's estimateTransactions for accurate mass/fee calculation
-        // Generator expects `entries` and `networkId` in the settings object
-        const settings = {
-            entries: utxoEntries,
+        const entries = utxos != null ? await this.#selectUtxos(account.accountId, utxos) : undefined;
+
+        return this.#estimateOutputs({
+            account,
             outputs,
-            changeAddress,
+            payloadHex,
             priorityFee,
-            payload: payloadHex,
-            networkId: this.networkId
-        };
+            feeTier,
+            entries,
+            timeoutMs,
+            signal
+        });
+    }
+
+    /**
+     * Estimate the fees of a batch payment (see sendMany).
+     * @param {Object} params
+     * @param {Array<{ address: string, amount: string }>} params.outputs - Recipients and amounts in KAS
+     * @param {string} [params.accountId] - Account to spend from (default: first account)
+     * @param {string} [params.payload] - Optional payload
+     * @param {string} [params.priorityFeeKas] - Optional priority fee in KAS
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or { feerate }
+     * @param {{ allow?: Array<string|Object>, deny?: Array<string|Object> }} [params.utxos] - Coin control, as in send
+     * @param {number} [params.timeoutMs] - Timeout for the UTXO lookup (defaults to the client's)
+     * @param {AbortSignal} [params.signal] - Cancels the UTXO lookup when aborted
+     * @returns {Promise<{ mass: bigint, fees: bigint, feesKas: string, priorityFee: bigint, baseFee: bigint, feerate: number|null, estimatedSeconds: number|null, inputs: number, change: bigint|null, transactions: number, totalAmount: bigint }>}
+     * @throws {OutputsValidationError} If any output is invalid
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async estimateSendMany({ outputs, accountId, payload, priorityFeeKas, feeTier, utxos, timeoutMs, signal }) {
+        this.#assertOpen();
 
-        const estimate = await estimateTransactions(settings);
+        const destination = this.#normalizeOutputs(outputs);
+        const priorityFee = this.#parsePriorityFee(priorityFeeKas, feeTier);
+        const payloadHex = this.#encodePayload(payload);
 
-        // estimate contains: { mass, fees, ... } from GeneratorSummary
-        const totalFees = estimate.fees ?? 0n;
-        const mass = estimate.mass ?? 0n;
-        const baseFee = totalFees - priorityFee;
+        await this.#assertSynced({ timeoutMs, signal });
 
-        return {
-            mass,
-            fees: totalFees,
-            feesKas: sompiToKaspaString(totalFees),
+        const account = await this.#findAccount(accountId);
+        const entries = utxos != null ? await this.#selectUtxos(account.accountId, utxos) : undefined;
+
+        return this.#estimateOutputs({
+            account,
+            outputs: destination,
+            payloadHex,
             priorityFee,
-            baseFee
-        };
+            feeTier,
+            entries,
+            timeoutMs,
+            signal
+        });
     }
 
     /**
@@ -766,11 +1037,19 @@ export class Wallet {
     * @param {Object} params
     * @param {string} params.amount - Amount in KAS
     * @param {string} params.toAddress - Destination address
+    * @param {string} [params.accountId] - Account to spend from (default: first account)
     * @param {string} [params.payload] - Optional payload
     * @param {string} [params.priorityFeeKas] - Optional custom priority fee in KAS
+    * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+    *   sompi per gram; the priority fee is derived from the transaction mass (instead of priorityFeeKas)
+    * @param {{ allow?: Array<string|Object>, deny?: Array<string|Object> }} [params.utxos] - Coin control:
+    *   spend only the listed outpoints (in that order) or any mature UTXO except them. Outpoints are
+    *   "transactionId:index" strings or { transactionId, index } (see listUtxos).
     * @returns {Promise<any>}
+    * @throws {ValidationError} If the UTXO selection is malformed or lists an outpoint the account cannot spend
+    * @throws {NodeNotSyncedError} If the node is still syncing
     */
-    async send({ amount, toAddress, payload, priorityFeeKas }) {
+    async send({ amount, toAddress, accountId, payload, priorityFeeKas, feeTier, utxos }) {
         return this.#withSendLock(async () => {
             this.#assertOpen();
 
@@ -784,55 +1063,64 @@ export class Wallet {
                 throw new InvalidAmountError(amount, 'Amount must be >= MIN_KAS_AMOUNT');
             }
 
-            // Get account
-            const accounts = await this.#wallet.accountsEnumerate({});
-            if (!accounts.accountDescriptors?.length) {
-                throw new AccountNotFoundError();
-            }
-            const firstAccount = accounts.accountDescriptors[0];
-
             // Determine priority fee:
             // - If custom fee provided: use it as extra priority fee on top of base network fee
-            // - If no custom fee: use 0 (dust-floor / minimum required by network based on mass)
-            let priorityFeeSompi = 0n;
-            if (priorityFeeKas != null && priorityFeeKas !== '') {
-                if (!validatePriorityFee(priorityFeeKas)) {
-                    throw new ValidationError('Invalid priority fee', 'priorityFeeKas');
-                }
-                priorityFeeSompi = kaspaToSompi(priorityFeeKas);
+            // - If a fee tier is given: derive it from the transaction mass below
+            // - Otherwise: use 0 (dust-floor / minimum required by network based on mass)
+            let priorityFeeSompi = this.#parsePriorityFee(priorityFeeKas, feeTier);
+            const payloadHex = this.#encodePayload(payload);
+
+            await this.#assertSynced();
+
+            const account = await this.#findAccount(accountId);
+
+            const destination = [{
+                address: toAddress,
+                amount: kaspaToSompi(amount)
+            }];
+            const entries = utxos != null ? await this.#selectUtxos(account.accountId, utxos) : undefined;
+
+            if (feeTier != null) {
+                const { feerate } = await this.#resolveFeeTier(feeTier);
+                const { mass, fees } = await this.#summarizeTransaction({
+                    account,
+                    outputs: destination,
+                    payloadHex,
+                    entries
+                });
+                priorityFeeSompi = this.#priorityFeeForRate(mass, fees, feerate);
             }
 
             // Check balance (use amount + priority fee; network will add base fee from mass)
-            const spendable = await this.getSpendableBalance(firstAccount.accountId);
+            const spendable = entries ? Wallet.#sumEntries(entries) : await this.getSpendableBalance(account.accountId);
             const required = kaspaToSompi(amount) + priorityFeeSompi;
             if (spendable < required) {
                 throw new InsufficientFundsError(required.toString(), spendable.toString());
             }
 
+            if (entries) {
+                return this.#sendFromEntries('send', { account, entries, destination, payloadHex, priorityFee: priorityFeeSompi });
+            }
+
             // Build request - priorityFeeSompi is extra fee on top of the base network fee
             const sendRequest = {
-                walletSecret: this.#walletSecret,
-                accountId: firstAccount.accountId,
+                ...this.#signingSecrets('send'),
+                accountId: account.accountId,
                 priorityFeeSompi,
-                destination: [{
-                    address: toAddress,
-                    amount: kaspaToSompi(amount)
-                }]
+                destination
             };
+            if (payloadHex) {
+                sendRequest.payload = payloadHex;
+            }
 
-            // Payload
-            if (payload) {
-                if (!validatePayload(payload)) {
-                    throw new InvalidPayloadError('Payload must be a string and <= 32KB');
-                }
-                const hex = stringToHex(payload);
-                if (hex.length % 2 !== 0) {
-                    throw new InvalidPayloadError('Invalid hex payload');
-                }
-                if (hex.length / 2 > 32 * 1024) {
-                    throw new InvalidPayloadError('Payload too large');
-                }
-                sendRequest.payload = hex;
+            if (this.isClientBacked) {
+                return this.#sendFromEntries('send', {
+                    account,
+                    entries: await this.#spendableEntries(account.accountId),
+                    destination,
+                    payloadHex,
+                    priorityFee: priorityFeeSompi
+                });
             }
 
             try {
@@ -844,410 +1132,2609 @@ export class Wallet {
     }
 
     /**
-     * Transfer KAS between accounts.
+     * Pay several recipients at once. All outputs are validated up front and
+     * the balance is checked once for the whole batch. When the UTXO set is too
+     * large for one transaction, the SDK Generator first compounds UTXOs into
+     * the change address; every transaction of that chain is returned in order.
      * @param {Object} params
-     * @param {string} params.amount - Amount in KAS
-     * @param {string} params.fromAccountId - Source account ID
-     * @param {string} params.toAccountId - Destination account ID
-     * @param {string} [params.payload] - Optional payload
-     * @returns {Promise<any>}
+     * @param {Array<{ address: string, amount: string }>} params.outputs - Recipients and amounts in KAS
+     * @param {string} [params.accountId] - Account to spend from (default: first account)
+     * @param {string} [params.payload] - Optional payload (carried by the final transaction)
+     * @param {string} [params.priorityFeeKas] - Optional custom priority fee in KAS
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+     *   sompi per gram (instead of priorityFeeKas)
+     * @param {{ allow?: Array<string|Object>, deny?: Array<string|Object> }} [params.utxos] - Coin control, as in send
+     * @returns {Promise<{ transactionIds: string[], transactions: Array<{ index: number, id: string, final: boolean }>, summary: any, totalAmount: bigint, priorityFee: bigint }>}
+     * @throws {OutputsValidationError} If any output is invalid
+     * @throws {ValidationError} If the UTXO selection is malformed or lists an outpoint the account cannot spend
+     * @throws {NodeNotSyncedError} If the node is still syncing
      */
-    async transfer({ amount, fromAccountId, toAccountId, payload }) {
+    async sendMany({ outputs, accountId, payload, priorityFeeKas, feeTier, utxos }) {
         return this.#withSendLock(async () => {
             this.#assertOpen();
 
-            if (!fromAccountId || typeof fromAccountId !== 'string') {
-                throw new ValidationError('Invalid fromAccountId', 'fromAccountId');
-            }
-            if (!toAccountId || typeof toAccountId !== 'string') {
-                throw new ValidationError('Invalid toAccountId', 'toAccountId');
-            }
+            const destination = this.#normalizeOutputs(outputs);
+            let priorityFeeSompi = this.#parsePriorityFee(priorityFeeKas, feeTier);
+            const payloadHex = this.#encodePayload(payload);
 
-            if (!validateKaspaAmount(amount)) {
-                throw new InvalidAmountError(amount, 'Amount must be >= MIN_KAS_AMOUNT');
-            }
+            await this.#assertSynced();
 
-            const spendable = await this.getSpendableBalance(fromAccountId);
+            const account = await this.#findAccount(accountId);
+            const entries = utxos != null ? await this.#selectUtxos(account.accountId, utxos) : undefined;
+
+            if (feeTier != null) {
+                const { feerate } = await this.#resolveFeeTier(feeTier);
+                const { mass, fees } = await this.#summarizeTransaction({
+                    account,
+                    outputs: destination,
+                    payloadHex,
+                    entries
+                });
+                priorityFeeSompi = this.#priorityFeeForRate(mass, fees, feerate);
+            }
 
-            // Use dust-floor (0) for transfer - SDK handles the base network fee
-            const required = kaspaToSompi(amount);
+            // One balance check for the whole batch
+            const totalAmount = destination.reduce((sum, o) => sum + o.amount, 0n);
+            const spendable = entries ? Wallet.#sumEntries(entries) : await this.getSpendableBalance(account.accountId);
+            const required = totalAmount + priorityFeeSompi;
             if (spendable < required) {
                 throw new InsufficientFundsError(required.toString(), spendable.toString());
             }
 
-            const transferRequest = {
-                walletSecret: this.#walletSecret,
-                sourceAccountId: fromAccountId,
-                destinationAccountId: toAccountId,
-                transferAmountSompi: kaspaToSompi(amount)
-            };
-
-            if (payload) {
-                if (!validatePayload(payload)) {
-                    throw new InvalidPayloadError('Payload must be a string and <= 32KB');
-                }
-                const hex = stringToHex(payload);
-                if (hex.length % 2 !== 0) {
-                    throw new InvalidPayloadError('Invalid hex payload');
+            let response;
+            if (entries || this.isClientBacked) {
+                response = await this.#sendFromEntries('sendMany', {
+                    account,
+                    entries: entries ?? await this.#spendableEntries(account.accountId),
+                    destination,
+                    payloadHex,
+                    priorityFee: priorityFeeSompi
+                });
+            } else {
+                const sendRequest = {
+                    ...this.#signingSecrets('sendMany'),
+                    accountId: account.accountId,
+                    priorityFeeSompi,
+                    destination
+                };
+                if (payloadHex) {
+                    sendRequest.payload = payloadHex;
                 }
-                if (hex.length / 2 > 32 * 1024) {
-                    throw new InvalidPayloadError('Payload too large');
+
+                try {
+                    response = await this.#wallet.accountsSend(sendRequest);
+                } catch (err) {
+                    throw new TransactionError('Batch transaction failed', err);
                 }
-                transferRequest.payload = hex;
             }
 
-            try {
-                return await this.#wallet.accountsTransfer(transferRequest);
-            } catch (err) {
-                throw new TransactionError('Transfer failed', err);
-            }
+            return {
+                ...this.#trackTransactions('sendMany', response),
+                totalAmount,
+                priorityFee: priorityFeeSompi
+            };
         });
     }
 
     /**
-     * Activate accounts.
-     * @param {Object} params
-     * @param {string[]} params.accountIds - Account IDs to activate
-     * @returns {Promise<any>}
-     */
-    async accountsActivate({ accountIds }) {
-        this.#assertOpen();
-        return await this.#wallet.accountsActivate({ accountIds });
-    }
-
-    /**
-     * Create a new address for an account.
-     * By default this will create a new receive address.
+     * Estimate a sweep (see sweep): what the destination receives once the
+     * fees are taken out of the account's mature balance.
      * @param {Object} params
-     * @param {string} params.accountId - Account ID to create address for
-     * @param {string} [params.addressKind] - Optional address kind (string or NewAddressKind)
-     * @returns {Promise<string>} The new address as a string
+     * @param {string} params.toAddress - Destination address
+     * @param {string} [params.accountId] - Account to empty (default: first account)
+     * @param {string} [params.priorityFeeKas] - Optional priority fee in KAS
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or { feerate }
+     * @param {number} [params.timeoutMs] - Timeout for the UTXO lookup (defaults to the client's)
+     * @param {AbortSignal} [params.signal] - Cancels the UTXO lookup when aborted
+     * @returns {Promise<{ amount: bigint, amountKas: string, balance: bigint, mass: bigint, fees: bigint, feesKas: string, priorityFee: bigint, baseFee: bigint, feerate: number|null, estimatedSeconds: number|null, inputs: number, transactions: number }>}
+     * @throws {InsufficientFundsError} If the fees exceed the balance
+     * @throws {NodeNotSyncedError} If the node is still syncing
      */
-    async createNewAddress({ accountId, addressKind } = {}) {
+    async estimateSweep({ toAddress, accountId, priorityFeeKas, feeTier, timeoutMs, signal }) {
         this.#assertOpen();
 
-        if (!accountId || typeof accountId !== 'string') {
-            throw new ValidationError('Invalid accountId', 'accountId');
+        if (!validateKaspaAddress(Address, toAddress)) {
+            throw new InvalidAddressError(toAddress);
         }
+        let priorityFee = this.#parsePriorityFee(priorityFeeKas, feeTier);
 
-        const request = { accountId };
-        if (addressKind != null) {
-            request.addressKind = addressKind;
-        }
+        await this.#assertSynced({ timeoutMs, signal });
 
-        let res;
-        try {
-            res = await this.#wallet.accountsCreateNewAddress(request);
-        } catch (err) {
-            throw new WalletError('Failed to create new address', err);
+        const account = await this.#findAccount(accountId);
+        const balance = await this.#getMatureBalance(account.accountId);
+        const { mass, fees, inputs, transactions } = await this.#summarizeTransaction({
+            account,
+            sweepTo: toAddress,
+            priorityFee,
+            timeoutMs,
+            signal
+        });
+
+        let tier = null;
+        if (feeTier != null) {
+            tier = await this.#resolveFeeTier(feeTier, { timeoutMs, signal });
+            priorityFee = this.#priorityFeeForRate(mass, fees, tier.feerate);
+        }
+        // `fees` already includes an explicit priority fee; a tier's is added on top
+        const totalFees = feeTier != null ? fees + priorityFee : fees;
+        const amount = balance - totalFees;
+        if (amount <= 0n) {
+            throw new InsufficientFundsError(totalFees.toString(), balance.toString());
+        }
+
+        return {
+            amount,
+            amountKas: sompiToKaspaString(amount),
+            balance,
+            mass,
+            fees: totalFees,
+            feesKas: sompiToKaspaString(totalFees),
+            priorityFee,
+            baseFee: totalFees - priorityFee,
+            feerate: tier?.feerate ?? null,
+            estimatedSeconds: tier?.estimatedSeconds ?? null,
+            inputs,
+            transactions
+        };
+    }
+
+    /**
+     * Send an account's whole mature balance to an address. The fees are
+     * deducted from the output (receiver pays), so nothing is left behind. When
+     * the account has more UTXOs than fit in one transaction, the SDK Generator
+     * compounds them first; every transaction of that chain is returned in order.
+     * @param {Object} params
+     * @param {string} params.toAddress - Destination address
+     * @param {string} [params.accountId] - Account to empty (default: first account)
+     * @param {string} [params.priorityFeeKas] - Optional priority fee in KAS
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+     *   sompi per gram (instead of priorityFeeKas)
+     * @returns {Promise<{ transactionIds: string[], transactions: Array<{ index: number, id: string, final: boolean }>, summary: any, balance: bigint, amount: bigint|null, fees: bigint|null, priorityFee: bigint }>}
+     * @throws {InsufficientFundsError} If the account has no mature balance
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async sweep({ toAddress, accountId, priorityFeeKas, feeTier }) {
+        return this.#withSendLock(async () => {
+            this.#assertOpen();
+
+            if (!validateKaspaAddress(Address, toAddress)) {
+                throw new InvalidAddressError(toAddress);
+            }
+            let priorityFeeSompi = this.#parsePriorityFee(priorityFeeKas, feeTier);
+
+            await this.#assertSynced();
+
+            const account = await this.#findAccount(accountId);
+            const balance = await this.#getMatureBalance(account.accountId);
+            if (balance <= 0n) {
+                throw new InsufficientFundsError(String(MIN_SOMPI_AMOUNT), '0');
+            }
+
+            if (feeTier != null) {
+                const { feerate } = await this.#resolveFeeTier(feeTier);
+                const { mass, fees } = await this.#summarizeTransaction({ account, sweepTo: toAddress });
+                priorityFeeSompi = this.#priorityFeeForRate(mass, fees, feerate);
+            }
+
+            let response;
+            if (this.isClientBacked) {
+                // No outputs: everything goes to the destination as change, less fees
+                response = await this.#sendFromEntries('sweep', {
+                    account,
+                    entries: await this.#spendableEntries(account.accountId),
+                    destination: [],
+                    changeAddress: toAddress,
+                    priorityFee: priorityFeeSompi
+                });
+            } else {
+                const sendRequest = {
+                    ...this.#signingSecrets('sweep'),
+                    accountId: account.accountId,
+                    priorityFeeSompi: { amount: priorityFeeSompi, source: FeeSource.ReceiverPays },
+                    destination: [{ address: toAddress, amount: balance }]
+                };
+                try {
+                    response = await this.#wallet.accountsSend(sendRequest);
+                } catch (err) {
+                    throw new TransactionError('Sweep failed', err);
+                }
+            }
+
+            const summary = response?.generatorSummary;
+            return {
+                ...this.#trackTransactions('sweep', response),
+                balance,
+                amount: summary?.finalAmount ?? null,
+                fees: summary?.fees ?? null,
+                priorityFee: priorityFeeSompi
+            };
+        });
+    }
+
+    /**
+     * Estimate a private key sweep (see sweepPrivateKey): the key's address,
+     * its mature balance and what the account receives after fees. Nothing is
+     * signed; use it to show the amounts before asking for confirmation.
+     * @param {string} privateKeyHex - Secret key as 64 hex characters
+     * @param {Object} [params]
+     * @param {string} [params.accountId] - Account to receive the funds (default: first account)
+     * @param {string} [params.priorityFeeKas] - Optional priority fee in KAS
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+     *   sompi per gram (instead of priorityFeeKas)
+     * @returns {Promise<{ fromAddress: string, toAddress: string, balance: bigint, immatureBalance: bigint, amount: bigint, amountKas: string, fees: bigint, feesKas: string, priorityFee: bigint, inputs: number, transactions: number }>}
+     *   `balance` is the mature part that is swept; `immatureBalance` stays on the key
+     * @throws {ValidationError} If the private key is invalid
+     * @throws {InsufficientFundsError} If the key holds nothing mature
+     * @throws {TransactionError} If the balance does not cover the fees
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async estimateSweepPrivateKey(privateKeyHex, { accountId, priorityFeeKas, feeTier } = {}) {
+        this.#assertOpen();
+        const plan = await this.#planKeySweep(privateKeyHex, { accountId, priorityFeeKas, feeTier });
+        const fees = BigInt(plan.estimate.fees ?? 0);
+        const amount = BigInt(plan.estimate.finalAmount ?? plan.balance - fees);
+        return {
+            fromAddress: plan.fromAddress,
+            toAddress: plan.toAddress,
+            balance: plan.balance,
+            immatureBalance: plan.immatureBalance,
+            amount,
+            amountKas: sompiToKaspaString(amount),
+            fees,
+            feesKas: sompiToKaspaString(fees),
+            priorityFee: plan.settings.priorityFee,
+            inputs: plan.settings.entries.length,
+            transactions: Number(plan.estimate.transactions ?? 1)
+        };
+    }
+
+    /**
+     * Move everything held by an external private key (gift card, faucet key)
+     * into one of this wallet's accounts without importing the key. The key's
+     * mature UTXOs are looked up, spent with transactions built by the SDK
+     * Generator and signed locally, and the fees are deducted from the amount
+     * received. Immature UTXOs (e.g. recent coinbase rewards) cannot be spent
+     * yet and stay on the key; their total is returned as `immatureBalance`.
+     * The key itself is not stored.
+     * @param {string} privateKeyHex - Secret key as 64 hex characters
+     * @param {Object} [params]
+     * @param {string} [params.accountId] - Account to receive the funds (default: first account)
+     * @param {string} [params.priorityFeeKas] - Optional priority fee in KAS
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+     *   sompi per gram (instead of priorityFeeKas)
+     * @returns {Promise<{ transactionIds: string[], transactions: Array<{ index: number, id: string, final: boolean }>, summary: any, fromAddress: string, toAddress: string, balance: bigint, immatureBalance: bigint, amount: bigint, fees: bigint, priorityFee: bigint }>}
+     * @throws {ValidationError} If the private key is invalid
+     * @throws {InsufficientFundsError} If the key holds nothing mature
+     * @throws {TransactionError} If the transactions cannot be built (e.g. the balance does not cover the fees) or submitted
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async sweepPrivateKey(privateKeyHex, { accountId, priorityFeeKas, feeTier } = {}) {
+        return this.#withSendLock(async () => {
+            this.#assertOpen();
+
+            const { secret, fromAddress, toAddress, balance, immatureBalance, settings } =
+                await this.#planKeySweep(privateKeyHex, { accountId, priorityFeeKas, feeTier });
+
+            let created;
+            try {
+                created = await createTransactions(settings);
+            } catch (err) {
+                // Typically a balance too small to cover the fees
+                throw new TransactionError(`Failed to build sweep transactions for ${sompiToKaspaString(balance)} KAS`, err);
+            }
+
+            // Chained compound transactions spend each other's outputs, so submit in order
+            const transactionIds = [];
+            try {
+                for (const pending of created.transactions) {
+                    const signed = signTransaction(pending.transaction, [secret], true);
+                    transactionIds.push(await this.#client.submitTransaction(
+                        this.isClientBacked ? Wallet.#plainTransaction(signed, this.networkId) : signed
+                    ));
+                }
+            } catch (err) {
+                throw new TransactionError(
+                    `Private key sweep failed after ${transactionIds.length} of ${created.transactions.length} transaction(s)`,
+                    err
+                );
+            }
+
+            if (immatureBalance > 0n) {
+                this.#logger.log(`[Wallet] key sweep left ${sompiToKaspaString(immatureBalance)} KAS of immature UTXOs on ${fromAddress}`);
+            }
+
+            const summary = created.summary;
+            const fees = BigInt(summary?.fees ?? 0);
+            return {
+                ...this.#trackTransactions('key sweep', { transactionIds, generatorSummary: summary }),
+                fromAddress,
+                toAddress,
+                balance,
+                immatureBalance,
+                amount: BigInt(summary?.finalAmount ?? balance - fees),
+                fees,
+                priorityFee: settings.priorityFee
+            };
+        });
+    }
+
+    /**
+     * Look up an external key's mature UTXOs and the Generator settings that
+     * send them all to the account, less fees (shared by sweepPrivateKey and
+     * its estimate).
+     * @returns {Promise<{ secret: string, fromAddress: string, toAddress: string, balance: bigint, immatureBalance: bigint, settings: Object, estimate: Object }>}
+     */
+    async #planKeySweep(privateKeyHex, { accountId, priorityFeeKas, feeTier }) {
+        const check = Wallet.validatePrivateKey(privateKeyHex, this.networkId);
+        if (!check.valid) {
+            throw new ValidationError(check.error, 'privateKey');
+        }
+        const secret = privateKeyHex.trim().replace(/^0x/i, '');
+        const fromAddress = check.address;
+        const basePriorityFee = this.#parsePriorityFee(priorityFeeKas, feeTier);
+
+        await this.#assertSynced();
+
+        const account = await this.#findAccount(accountId);
+        const toAddress = String(account.receiveAddress);
+
+        const utxoResult = await this.#client.getUtxosByAddresses([fromAddress]);
+        let entries = Array.isArray(utxoResult) ? utxoResult : (utxoResult?.entries || []);
+        if (this.isClientBacked) {
+            entries = entries.map(e => ({ ...e, scriptPublicKey: payToAddressScript(fromAddress) }));
+        }
+
+        // Immature UTXOs cannot be spent yet; they stay on the key, as in consolidate
+        const described = await this.#describeUtxos(entries);
+        const mature = entries.filter((_, i) => described[i].mature);
+        const immatureBalance = described.filter(u => !u.mature).reduce((sum, u) => sum + u.amount, 0n);
+        const balance = Wallet.#sumEntries(mature);
+        if (balance <= 0n) {
+            throw new InsufficientFundsError(String(MIN_SOMPI_AMOUNT), '0');
+        }
+
+        // No outputs: the Generator sends every entry to the change address, less fees
+        const settings = {
+            entries: mature,
+            outputs: [],
+            changeAddress: toAddress,
+            priorityFee: basePriorityFee,
+            networkId: this.networkId
+        };
+
+        let estimate;
+        try {
+            estimate = await estimateTransactions(settings);
+            if (feeTier != null) {
+                const { feerate } = await this.#resolveFeeTier(feeTier);
+                settings.priorityFee = this.#priorityFeeForRate(estimate.mass ?? 0n, estimate.fees ?? 0n, feerate);
+                estimate = await estimateTransactions(settings);
+            }
+        } catch (err) {
+            throw new TransactionError(`Failed to plan the sweep of ${sompiToKaspaString(balance)} KAS`, err);
+        }
+
+        return { secret, fromAddress, toAddress, balance, immatureBalance, settings, estimate };
+    }
+
+    /**
+     * Compound an account's mature UTXOs into its change address, so later
+     * sends need fewer inputs and less mass. Without maxInputsPerTx the SDK
+     * Generator packs as many inputs per transaction as the mass limit allows,
+     * which gives the fewest transactions; with it the UTXOs are merged in
+     * groups of at most that many. Fees come out of the consolidated amount.
+     * Immature UTXOs are left alone.
+     * @param {Object} [params]
+     * @param {string} [params.accountId] - Account to consolidate (default: first account)
+     * @param {number} [params.maxInputsPerTx] - Cap on inputs per transaction (at least 2)
+     * @param {string} [params.priorityFeeKas] - Optional priority fee in KAS, per transaction group
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+     *   sompi per gram (instead of priorityFeeKas)
+     * @param {boolean} [params.dryRun=false] - Only project the transactions and fees; nothing is signed
+     * @param {Function} [params.onProgress] - Receives `{ index, total, transactionId, inputs }` after each
+     *   transaction is submitted
+     * @returns {Promise<{ dryRun: boolean, utxosBefore: number, utxosAfter: number, inputs: number, transactions: number, transactionIds: string[], amount: bigint, fees: bigint, feesKas: string, priorityFee: bigint }>}
+     *   `utxosAfter` is projected from the transactions built; `transactionIds` is empty for a dry run
+     * @throws {ValidationError} If maxInputsPerTx is not an integer of at least 2
+     * @throws {TransactionError} If a group does not cover its fees or a submission fails
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async consolidate({ accountId, maxInputsPerTx, priorityFeeKas, feeTier, dryRun = false, onProgress } = {}) {
+        if (maxInputsPerTx != null && (!Number.isInteger(maxInputsPerTx) || maxInputsPerTx < 2)) {
+            throw new ValidationError('maxInputsPerTx must be an integer of at least 2', 'maxInputsPerTx');
+        }
+
+        const run = async () => {
+            this.#assertOpen();
+
+            const basePriorityFee = this.#parsePriorityFee(priorityFeeKas, feeTier);
+            await this.#assertSynced();
+
+            const account = await this.#findAccount(accountId);
+            const entries = await this.#readAccountUtxos(account.accountId);
+            const described = await this.#describeUtxos(entries);
+            const mature = entries.filter((_, i) => described[i].mature);
+
+            // One Generator run per group; a trailing single UTXO has nothing to merge with
+            const size = maxInputsPerTx ?? mature.length;
+            const groups = [];
+            for (let i = 0; i < mature.length; i += size) {
+                const group = mature.slice(i, i + size);
+                if (group.length >= 2) groups.push(group);
+            }
+
+            const feerate = feeTier != null ? (await this.#resolveFeeTier(feeTier)).feerate : null;
+            const plans = [];
+            for (const group of groups) {
+                // No outputs: the Generator sends every entry to the change address, less fees
+                const settings = {
+                    entries: group,
+                    outputs: [],
+                    changeAddress: account.changeAddress,
+                    priorityFee: basePriorityFee,
+                    networkId: this.networkId
+                };
+                let estimate;
+                try {
+                    estimate = await estimateTransactions(settings);
+                    if (feerate != null) {
+                        settings.priorityFee = this.#priorityFeeForRate(estimate.mass ?? 0n, estimate.fees ?? 0n, feerate);
+                        estimate = await estimateTransactions(settings);
+                    }
+                } catch (err) {
+                    // Typically a group of dust too small to cover its fees
+                    throw new TransactionError(`Failed to plan consolidation of ${group.length} UTXOs`, err);
+                }
+                plans.push({ settings, estimate });
+            }
+
+            const inputs = groups.reduce((sum, group) => sum + group.length, 0);
+            const fees = plans.reduce((sum, { estimate }) => sum + BigInt(estimate.fees ?? 0), 0n);
+            const result = {
+                dryRun,
+                utxosBefore: entries.length,
+                // Every group ends in a single UTXO at the change address
+                utxosAfter: entries.length - inputs + groups.length,
+                inputs,
+                transactions: plans.reduce((sum, { estimate }) => sum + Number(estimate.transactions ?? 1), 0),
+                transactionIds: [],
+                amount: plans.reduce((sum, { estimate }) => sum + BigInt(estimate.finalAmount ?? 0), 0n),
+                fees,
+                feesKas: sompiToKaspaString(fees),
+                priorityFee: plans.reduce((sum, { settings }) => sum + settings.priorityFee, 0n)
+            };
+            if (dryRun || !plans.length) {
+                return result;
+            }
+
+            const secrets = this.#signingSecrets('consolidate');
+            const pending = [];
+            for (const { settings } of plans) {
+                try {
+                    pending.push(...(await createTransactions(settings)).transactions);
+                } catch (err) {
+                    throw new TransactionError(`Failed to build consolidation transactions for ${settings.entries.length} UTXOs`, err);
+                }
+            }
+            result.transactions = pending.length;
+
+            // Compound chains spend each other's outputs, so each transaction is submitted before the next
+            for (const [index, tx] of pending.entries()) {
+                let transactionId;
+                try {
+                    transactionId = await this.#signAndSubmit(account, tx, secrets);
+                } catch (err) {
+                    throw new TransactionError(
+                        `Consolidation failed after ${index} of ${pending.length} transaction(s)`,
+                        err
+                    );
+                }
+
+                result.transactionIds.push(transactionId);
+                this.#logger.log(`[Wallet] consolidate tx ${index + 1}/${pending.length}: ${transactionId}`);
+                try {
+                    onProgress?.({ index, total: pending.length, transactionId, inputs: tx.transaction.inputs.length });
+                } catch (err) {
+                    this.#logger.error('[Wallet] Consolidation progress handler error:', err);
+                }
+            }
+
+            return result;
+        };
+
+        // A dry run sends nothing, so it does not wait for other sends
+        return dryRun ? run() : this.#withSendLock(run);
+    }
+
+    /**
+     * Transfer KAS between accounts.
+     * @param {Object} params
+     * @param {string} params.amount - Amount in KAS
+     * @param {string} params.fromAccountId - Source account ID
+     * @param {string} params.toAccountId - Destination account ID
+     * @param {string} [params.payload] - Optional payload
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or a custom fee rate in
+     *   sompi per gram; without it the transfer pays the minimum network fee
+     * @returns {Promise<any>}
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async transfer({ amount, fromAccountId, toAccountId, payload, feeTier }) {
+        return this.#withSendLock(async () => {
+            this.#assertOpen();
+
+            if (!fromAccountId || typeof fromAccountId !== 'string') {
+                throw new ValidationError('Invalid fromAccountId', 'fromAccountId');
+            }
+            if (!toAccountId || typeof toAccountId !== 'string') {
+                throw new ValidationError('Invalid toAccountId', 'toAccountId');
+            }
+
+            if (!validateKaspaAmount(amount)) {
+                throw new InvalidAmountError(amount, 'Amount must be >= MIN_KAS_AMOUNT');
+            }
+            const payloadHex = this.#encodePayload(payload);
+
+            await this.#assertSynced();
+
+            // Use dust-floor (0) for transfer unless a fee tier is given - SDK handles the base network fee
+            let priorityFeeSompi = 0n;
+            if (feeTier != null) {
+                const { feerate } = await this.#resolveFeeTier(feeTier);
+                const source = await this.#findAccount(fromAccountId);
+                const target = await this.#findAccount(toAccountId);
+
+                const { mass, fees } = await this.#summarizeTransaction({
+                    account: source,
+                    outputs: [{ address: target.receiveAddress, amount: kaspaToSompi(amount) }],
+                    payloadHex
+                });
+                priorityFeeSompi = this.#priorityFeeForRate(mass, fees, feerate);
+            }
+
+            const spendable = await this.getSpendableBalance(fromAccountId);
+            const required = kaspaToSompi(amount) + priorityFeeSompi;
+            if (spendable < required) {
+                throw new InsufficientFundsError(required.toString(), spendable.toString());
+            }
+
+            const transferRequest = {
+                ...this.#signingSecrets('transfer'),
+                sourceAccountId: fromAccountId,
+                destinationAccountId: toAccountId,
+                transferAmountSompi: kaspaToSompi(amount)
+            };
+            if (priorityFeeSompi > 0n) {
+                transferRequest.priorityFeeSompi = priorityFeeSompi;
+            }
+            if (payloadHex) {
+                transferRequest.payload = payloadHex;
+            }
+
+            if (this.isClientBacked) {
+                const source = await this.#findAccount(fromAccountId);
+                const target = await this.#findAccount(toAccountId);
+                return this.#sendFromEntries('transfer', {
+                    account: source,
+                    entries: await this.#spendableEntries(source.accountId),
+                    destination: [{ address: target.receiveAddress, amount: kaspaToSompi(amount) }],
+                    payloadHex,
+                    priorityFee: priorityFeeSompi
+                });
+            }
+
+            try {
+                return await this.#wallet.accountsTransfer(transferRequest);
+            } catch (err) {
+                throw new TransactionError('Transfer failed', err);
+            }
+        });
+    }
+
+    /**
+     * Build the transactions for a payment without signing them, as a
+     * partially signed transaction bundle (PSKB) that can be passed to other
+     * signers (`signPskb`), merged (`combine`) and broadcast (`broadcastPskb`).
+     * Only mature UTXOs are spent. Nothing is reserved: a send from the
+     * account before the bundle is broadcast can spend the same UTXOs and
+     * invalidate it.
+     * @param {Object} params
+     * @param {Array<{ address: string, amount: string }>} params.outputs - Recipients and amounts in KAS
+     * @param {string} [params.accountId] - Account to spend from (default: first account), or a
+     *   multisig account from addMultisigAccount; its cosigners then sign the bundle
+     * @param {string} [params.payload] - Optional payload (carried by the final transaction; not for multisig accounts)
+     * @param {string} [params.priorityFeeKas] - Optional custom priority fee in KAS
+     * @param {string|{ feerate: number }} [params.feeTier] - 'low', 'normal', 'high' or { feerate }
+     * @returns {Promise<{ pskb: string, accountId: string, transactions: number, totalAmount: bigint, fees: bigint, priorityFee: bigint, summary: any }>}
+     * @throws {OutputsValidationError} If any output is invalid
+     * @throws {InsufficientFundsError} If the mature balance does not cover the outputs and fee
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async createUnsigned({ outputs, accountId, payload, priorityFeeKas, feeTier }) {
+        this.#assertOpen();
+
+        const multisig = this.#multisigAccounts.get(accountId);
+        if (multisig) {
+            return this.#createUnsignedMultisig(multisig, { outputs, payload, priorityFeeKas, feeTier });
+        }
+
+        const destination = this.#normalizeOutputs(outputs);
+        let priorityFee = this.#parsePriorityFee(priorityFeeKas, feeTier);
+        const payloadHex = this.#encodePayload(payload);
+
+        await this.#assertSynced();
+
+        const account = await this.#findAccount(accountId);
+        // Cosigners sign before the node sees the bundle, so only mature UTXOs go in
+        const entries = await this.#spendableEntries(account.accountId);
+
+        const settings = {
+            entries,
+            outputs: destination,
+            changeAddress: account.changeAddress,
+            priorityFee,
+            payload: payloadHex,
+            networkId: this.networkId
+        };
+
+        if (feeTier != null) {
+            const { feerate } = await this.#resolveFeeTier(feeTier);
+            const estimate = await estimateTransactions({ ...settings, priorityFee: 0n });
+            priorityFee = this.#priorityFeeForRate(estimate.mass ?? 0n, estimate.fees ?? 0n, feerate);
+            settings.priorityFee = priorityFee;
+        }
+
+        const totalAmount = destination.reduce((sum, o) => sum + o.amount, 0n);
+        const spendable = Wallet.#sumEntries(entries);
+        const required = totalAmount + priorityFee;
+        if (spendable < required) {
+            throw new InsufficientFundsError(required.toString(), spendable.toString());
+        }
+
+        let created;
+        try {
+            created = await createTransactions(settings);
+        } catch (err) {
+            throw new TransactionError('Failed to build unsigned transactions', err);
+        }
+
+        // One PSKT per transaction; compound transactions come first, in submission order
+        const bundle = new PSKB();
+        for (const pending of created.transactions) {
+            bundle.add(new PSKT(pending.transaction));
+        }
+
+        this.#logger.log(`[Wallet] Created unsigned PSKB with ${created.transactions.length} transaction(s).`);
+        return {
+            pskb: bundle.serialize(),
+            accountId: account.accountId,
+            transactions: created.transactions.length,
+            totalAmount,
+            fees: BigInt(created.summary?.fees ?? 0),
+            priorityFee,
+            summary: created.summary ?? null
+        };
+    }
+
+    /**
+     * Sign the inputs of a PSKB that belong to one of this wallet's accounts.
+     * Signatures already in the bundle are kept, so cosigners can sign in turn.
+     * Inputs of a multisig bundle are signed with the account's cosigner key
+     * (see getCosignerKey).
+     * @param {string} pskb - Serialized PSKB
+     * @param {Object} [options]
+     * @param {string} [options.accountId] - Account whose keys sign (default: first account)
+     * @returns {Promise<string>} The serialized PSKB with this account's signatures added
+     * @throws {ValidationError} If the blob is not a PSKB, or the account's key is not one of a multisig bundle's cosigners
+     */
+    async signPskb(pskb, { accountId } = {}) {
+        this.#assertOpen();
+
+        const blob = Wallet.#validatePskb(pskb);
+        const account = await this.#findAccount(accountId);
+
+        const request = {
+            ...this.#signingSecrets('signPskb'),
+            accountId: account.accountId,
+            pskb: blob
+        };
+
+        // P2SH inputs have no address key of their own; the SDK signs them with the key of signForAddress
+        const redeemScripts = Wallet.#pskbInputs(decodePskb(blob))
+            .map(input => input.redeemScript)
+            .filter(script => typeof script === 'string' && script);
+        if (redeemScripts.length) {
+            const cosigner = this.#cosignerKey(account);
+            const push = '20' + cosigner.publicKey.slice(2);
+            if (!redeemScripts.every(script => script.toLowerCase().includes(push))) {
+                throw new ValidationError(`This account's key ${cosigner.publicKey} is not a cosigner of this PSKB`, 'accountId');
+            }
+            request.signForAddress = cosigner.address;
+        }
+
+        let res;
+        try {
+            res = await this.#wallet.accountsPskbSign(request);
+        } catch (err) {
+            this.#forgetRejectedPassphrase(err);
+            throw new TransactionError('Failed to sign PSKB', err);
+        }
+        if (!res?.pskb) {
+            throw new TransactionError('Wallet returned no signed PSKB');
+        }
+        return res.pskb;
+    }
+
+    /**
+     * Merge copies of the same PSKB signed by different parties into one
+     * bundle carrying all of their signatures.
+     * @param {string[]} pskbs - Two or more serialized PSKBs of the same transactions
+     * @returns {string} The combined serialized PSKB
+     * @throws {ValidationError} If a blob is not a PSKB or the bundles are not the same transactions
+     */
+    combine(pskbs) {
+        return Wallet.combine(pskbs);
+    }
+
+    /**
+     * Merge signed copies of a PSKB (see the combine instance method). Needs
+     * no open wallet, so watch-only wallets and coordinators can combine too.
+     * @param {string[]} pskbs - Two or more serialized PSKBs of the same transactions
+     * @returns {string} The combined serialized PSKB
+     * @throws {ValidationError} If a blob is not a PSKB or the bundles are not the same transactions
+     * @static
+     */
+    static combine(pskbs) {
+        if (!Array.isArray(pskbs) || pskbs.length < 2) {
+            throw new ValidationError('combine needs at least two PSKBs', 'pskbs');
+        }
+
+        const docs = pskbs.map((blob, i) => {
+            const doc = decodePskb(Wallet.#validatePskb(blob, `PSKB ${i + 1}`));
+            if (!doc) {
+                throw new ValidationError(`PSKB ${i + 1} could not be decoded`, 'pskbs');
+            }
+            return doc;
+        });
+
+        let combined;
+        try {
+            combined = docs.reduce((merged, doc) => Wallet.#mergePskbDocs(merged, doc, ''));
+        } catch (err) {
+            throw new ValidationError(`PSKBs do not describe the same transactions (${err.message})`, 'pskbs');
+        }
+
+        // Re-parse with the SDK so a malformed result never leaves this method
+        const blob = encodePskb(combined);
+        Wallet.#validatePskb(blob, 'Combined PSKB');
+        return blob;
+    }
+
+    /**
+     * Summarize a PSKB for review before signing or broadcasting.
+     * @param {string} pskb - Serialized PSKB
+     * @returns {{ transactions: number, display: string }} Transaction count and the SDK's readable dump
+     * @throws {ValidationError} If the blob is not a PSKB
+     */
+    inspectPskb(pskb) {
+        return Wallet.inspectPskb(pskb, this.networkId);
+    }
+
+    /**
+     * Summarize a PSKB (see the inspectPskb instance method). Needs no open wallet.
+     * @param {string} pskb - Serialized PSKB
+     * @param {string} networkId - Network to show addresses for
+     * @returns {{ transactions: number, display: string }}
+     * @throws {ValidationError} If the blob is not a PSKB
+     * @static
+     */
+    static inspectPskb(pskb, networkId) {
+        const blob = Wallet.#validatePskb(pskb);
+        const bundle = PSKB.deserialize(blob);
+        return {
+            transactions: bundle.length,
+            display: bundle.displayFormat(networkId)
+        };
+    }
+
+    /**
+     * Finalize a fully signed PSKB and submit its transactions in order.
+     * Multisig inputs need signatures from at least the minimum number of
+     * cosigners; extra signatures are dropped, as OP_CHECKMULTISIG takes
+     * exactly that many.
+     * @param {string} pskb - Serialized PSKB
+     * @param {Object} [options]
+     * @param {string} [options.accountId] - Account the bundle spends from (default: first account)
+     * @returns {Promise<{ transactionIds: string[], transactions: Array<{ index: number, id: string, final: boolean }>, summary: null }>}
+     * @throws {ValidationError} If the blob is not a PSKB or a multisig input lacks signatures
+     * @throws {TransactionError} If a signature is missing or the node rejects a transaction
+     * @throws {NodeNotSyncedError} If the node is still syncing
+     */
+    async broadcastPskb(pskb, { accountId } = {}) {
+        return this.#withSendLock(async () => {
+            this.#assertOpen();
+
+            if (this.isClientBacked) {
+                throw new WalletError('PSKB broadcast needs a node connection; the client does not provide one');
+            }
+
+            const blob = Wallet.#finalizeMultisigSignatures(Wallet.#validatePskb(pskb));
+            await this.#assertSynced();
+            // The bundle carries its own scripts, so any SDK account can submit a multisig spend
+            const account = await this.#findAccount(this.#multisigAccounts.has(accountId) ? undefined : accountId);
+
+            let response;
+            try {
+                response = await this.#wallet.accountsPskbBroadcast({
+                    accountId: account.accountId,
+                    pskb: blob
+                });
+            } catch (err) {
+                throw new TransactionError('PSKB broadcast failed', err);
+            }
+
+            return this.#trackTransactions('broadcastPskb', response);
+        });
+    }
+
+    /**
+     * Public key this wallet contributes to a multisig address: the key of the
+     * account's first receive address. Share it with the other cosigners;
+     * signPskb signs multisig bundles with the same key.
+     * @param {Object} [options]
+     * @param {string} [options.accountId] - BIP32 account (default: first account)
+     * @returns {Promise<{ accountId: string, publicKey: string, address: string }>}
+     * @throws {ValidationError} If the account is not a BIP32 account
+     */
+    async getCosignerKey({ accountId } = {}) {
+        this.#assertOpen();
+        const account = await this.#findAccount(accountId);
+        return this.#cosignerKey(account);
+    }
+
+    /**
+     * Build an m-of-n multisig (pay-to-script-hash) address from the
+     * cosigners' public keys. Keys are sorted, so every cosigner gets the same
+     * address whatever order the keys were collected in.
+     * @param {Object} params
+     * @param {number} params.minimumSignatures - Signatures needed to spend (m)
+     * @param {string[]} params.publicKeys - Compressed public keys, 66 hex characters each (n)
+     * @returns {{ address: string, redeemScript: string, minimumSignatures: number, publicKeys: string[] }}
+     * @throws {ValidationError} If m is out of range or a key is invalid
+     */
+    createMultisigAddress({ minimumSignatures, publicKeys } = {}) {
+        this.#assertNotDisposed();
+        return Wallet.createMultisigAddress({ minimumSignatures, publicKeys, networkId: this.networkId });
+    }
+
+    /**
+     * Build an m-of-n multisig address (see the createMultisigAddress instance
+     * method). Needs no open wallet; the WASM module must be initialized.
+     * @param {Object} params
+     * @param {number} params.minimumSignatures - Signatures needed to spend (m)
+     * @param {string[]} params.publicKeys - Compressed public keys, 66 hex characters each (n)
+     * @param {string} params.networkId - Network of the address
+     * @returns {{ address: string, redeemScript: string, minimumSignatures: number, publicKeys: string[] }}
+     * @throws {ValidationError} If m is out of range or a key is invalid
+     * @static
+     */
+    static createMultisigAddress({ minimumSignatures, publicKeys, networkId } = {}) {
+        const keys = Wallet.#normalizeCosignerKeys(publicKeys);
+        if (!Number.isInteger(minimumSignatures) || minimumSignatures < 1 || minimumSignatures > keys.length) {
+            throw new ValidationError(`minimumSignatures must be an integer from 1 to ${keys.length}`, 'minimumSignatures');
+        }
+
+        let address;
+        try {
+            address = createMultisigAddress(minimumSignatures, keys, new NetworkId(networkId).type).toString();
+        } catch (err) {
+            throw new ValidationError(`Invalid public keys: ${err?.message || err}`, 'publicKeys');
+        }
+
+        // OP_m <x-only keys> OP_n OP_CHECKMULTISIG, the script the address commits to.
+        // Cosigners sign against it and the finalizer appends it to each input.
+        const builder = new ScriptBuilder().addI64(BigInt(minimumSignatures));
+        keys.forEach(key => builder.addData(key.slice(2)));
+        builder.addI64(BigInt(keys.length)).addOp(Opcodes.OpCheckMultiSig);
+        const redeemScript = builder.toString();
+
+        const scriptAddress = addressFromScriptPublicKey(payToScriptHashScript(redeemScript), networkId);
+        if (String(scriptAddress) !== address) {
+            throw new WalletError('Multisig redeem script does not match the SDK address');
+        }
+
+        return { address, redeemScript, minimumSignatures, publicKeys: keys };
+    }
+
+    /**
+     * Hold a multisig account in this wallet. The account is not stored in the
+     * wallet file: callers persist the descriptor and add it again after
+     * opening. Spend from it with createUnsigned({ accountId }) and pass the
+     * bundle to the cosigners.
+     * @param {Object} params
+     * @param {string} [params.name] - Account name
+     * @param {number} params.minimumSignatures - Signatures needed to spend (m)
+     * @param {string[]} params.publicKeys - Compressed public keys of all cosigners (n)
+     * @returns {{ accountId: string, name: string|null, kind: 'multisig', address: string, redeemScript: string, minimumSignatures: number, publicKeys: string[] }}
+     * @throws {ValidationError} If the parameters are invalid or the account is already held
+     */
+    addMultisigAccount({ name, minimumSignatures, publicKeys } = {}) {
+        this.#assertOpen();
+
+        const accountName = this.#validateAccountName(name);
+        const multisig = this.createMultisigAddress({ minimumSignatures, publicKeys });
+        if (this.#multisigAccounts.has(multisig.address)) {
+            throw new ValidationError(`Multisig account ${multisig.address} is already added`, 'publicKeys');
+        }
+
+        // The address doubles as the account ID: it is unique and the same for every cosigner
+        const account = {
+            accountId: multisig.address,
+            name: accountName || null,
+            kind: 'multisig',
+            ...multisig
+        };
+        this.#multisigAccounts.set(account.accountId, account);
+        this.#logger.log(`[Wallet] Added ${multisig.minimumSignatures}-of-${multisig.publicKeys.length} multisig account ${account.name || account.accountId}`);
+        return { ...account, publicKeys: [...account.publicKeys] };
+    }
+
+    /**
+     * List the multisig accounts held by this wallet.
+     * @returns {Array<Object>} Descriptors as returned by addMultisigAccount
+     */
+    listMultisigAccounts() {
+        this.#assertOpen();
+        return [...this.#multisigAccounts.values()].map(a => ({ ...a, publicKeys: [...a.publicKeys] }));
+    }
+
+    /**
+     * Stop holding a multisig account. Funds stay at its address.
+     * @param {string} accountId
+     * @returns {boolean} Whether the account was held
+     */
+    removeMultisigAccount(accountId) {
+        this.#assertOpen();
+        return this.#multisigAccounts.delete(accountId);
+    }
+
+    /**
+     * Balance of a multisig account in sompi, from the node's UTXO index.
+     * @param {string} accountId
+     * @returns {Promise<bigint>}
+     * @throws {AccountNotFoundError} If the multisig account is not held
+     */
+    async getMultisigBalance(accountId) {
+        this.#assertOpen();
+        const multisig = this.#multisigAccounts.get(accountId);
+        if (!multisig) {
+            throw new AccountNotFoundError(accountId);
+        }
+        const entries = await this.#getAddressUtxos(multisig.address);
+        return entries.reduce((sum, e) => sum + BigInt(e.amount ?? e.utxoEntry?.amount ?? 0), 0n);
+    }
+
+    /**
+     * Sign a message with the key of one of the wallet's addresses, e.g. to
+     * prove ownership of the address or answer a login challenge. BIP32 keys
+     * are derived from the recovery phrase: the one the wallet was created or
+     * imported with in this session, or `mnemonic` for a wallet opened from
+     * its file. Keypair accounts pass their `privateKey` instead.
+     * @param {Object} params
+     * @param {string} params.message - Text to sign
+     * @param {string} params.address - Receive or change address of one of the wallet's accounts
+     * @param {string} [params.mnemonic] - Recovery phrase, when the wallet does not hold it
+     * @param {string} [params.privateKey] - Secret key of a keypair account
+     * @returns {Promise<{ message: string, address: string, publicKey: string, signature: string }>}
+     * @throws {ValidationError} If the address is not the wallet's or its key is not available
+     * @throws {PassphraseRequiredError} If the wallet has a BIP-39 passphrase that was not given
+     */
+    async signMessage({ message, address, mnemonic, privateKey } = {}) {
+        this.#assertOpen();
+
+        if (typeof message !== 'string' || !message) {
+            throw new ValidationError('message is required', 'message');
+        }
+        const target = typeof address === 'string' ? address.trim() : '';
+        if (!validateKaspaAddress(Address, target)) {
+            throw new InvalidAddressError(address);
+        }
+
+        const key = privateKey != null
+            ? await this.#keypairAddressKey(target, privateKey)
+            : await this.#derivedAddressKey(target, mnemonic);
+
+        let signature;
+        try {
+            signature = signMessage({ message, privateKey: key });
+        } catch (err) {
+            throw new WalletError('Failed to sign message', err);
+        }
+
+        this.#logger.log(`[Wallet] Signed a message with ${target}`);
+        return {
+            message,
+            address: target,
+            publicKey: key.toPublicKey().toString(),
+            signature
+        };
+    }
+
+    /**
+     * Activate accounts.
+     * @param {Object} params
+     * @param {string[]} params.accountIds - Account IDs to activate
+     * @returns {Promise<any>}
+     */
+    async accountsActivate({ accountIds }) {
+        this.#assertOpen();
+        return await this.#wallet.accountsActivate({ accountIds });
+    }
+
+    /**
+     * Create a new address for an account.
+     * By default this will create a new receive address.
+     * @param {Object} params
+     * @param {string} params.accountId - Account ID to create address for
+     * @param {string} [params.addressKind] - Optional address kind (string or NewAddressKind)
+     * @returns {Promise<string>} The new address as a string
+     */
+    async createNewAddress({ accountId, addressKind } = {}) {
+        this.#assertOpen();
+
+        if (!accountId || typeof accountId !== 'string') {
+            throw new ValidationError('Invalid accountId', 'accountId');
+        }
+
+        const request = { accountId };
+        if (addressKind != null) {
+            request.addressKind = addressKind;
+        }
+
+        let res;
+        try {
+            res = await this.#wallet.accountsCreateNewAddress(request);
+        } catch (err) {
+            throw new WalletError('Failed to create new address', err);
         }
 
         const addr = res && res.address;
         if (!addr) {
-            throw new WalletError('Wallet returned no address for createNewAddress');
+            throw new WalletError('Wallet returned no address for createNewAddress');
+        }
+
+        return typeof addr.toString === 'function' ? addr.toString() : String(addr);
+    }
+
+    /**
+     * List all accounts.
+     * Descriptors are normalized: `balance` and `pendingBalance` are bigint sompi
+     * (null until the account has been synced), `index` is the BIP32 account index
+     * (null for non-BIP32 accounts) and addresses are strings.
+     * @returns {Promise<{ accountDescriptors: Array<{ accountId: string, name: string|null, kind: string, index: number|null, balance: bigint|null, pendingBalance: bigint|null, receiveAddress: string|null, changeAddress: string|null, prvKeyDataIds: string[] }> }>}
+     */
+    async listAccounts() {
+        this.#assertOpen();
+        const res = await this.#wallet.accountsEnumerate({});
+        return {
+            accountDescriptors: (res?.accountDescriptors || []).map(d => Wallet.#normalizeAccount(d))
+        };
+    }
+
+    /**
+     * Create another BIP32 account from the wallet's private key data. Use
+     * separate accounts to keep funds apart (e.g. operating vs. payouts); each
+     * has its own addresses and balance.
+     * @param {Object} [params]
+     * @param {string} [params.name] - Account name
+     * @param {number} [params.accountIndex] - BIP32 account index (default: the next unused index)
+     * @returns {Promise<Object>} The new account, normalized as in listAccounts
+     * @throws {ValidationError} If the name or index is invalid or the index is already in use
+     */
+    async createAccount({ name, accountIndex } = {}) {
+        this.#assertOpen();
+
+        const accountName = this.#validateAccountName(name);
+        if (accountIndex != null && (!Number.isInteger(accountIndex) || accountIndex < 0)) {
+            throw new ValidationError('accountIndex must be a non-negative integer', 'accountIndex');
+        }
+
+        // Imported secret keys (keypair accounts) cannot derive BIP32 accounts
+        const { accountDescriptors } = await this.listAccounts();
+        const keypairKeyIds = new Set(
+            accountDescriptors.filter(a => a.kind === 'keypair').flatMap(a => a.prvKeyDataIds)
+        );
+
+        let prvKeyDataId;
+        try {
+            const { prvKeyDataList } = await this.#wallet.prvKeyDataEnumerate({});
+            prvKeyDataId = prvKeyDataList?.find(d => !keypairKeyIds.has(d.id))?.id;
+        } catch (err) {
+            throw new WalletError('Failed to read private key data', err);
+        }
+        if (!prvKeyDataId) {
+            throw new WalletError('Wallet has no mnemonic key data to derive accounts from');
+        }
+
+        if (accountIndex != null) {
+            const taken = accountDescriptors.find(a =>
+                a.kind === 'bip32' && a.index === accountIndex && a.prvKeyDataIds.includes(prvKeyDataId)
+            );
+            if (taken) {
+                throw new ValidationError(`Account index ${accountIndex} is already used by ${taken.name || taken.accountId}`, 'accountIndex');
+            }
+        }
+
+        const request = {
+            ...this.#signingSecrets('createAccount'),
+            type: 'bip32',
+            prvKeyDataId
+        };
+        if (accountName) request.accountName = accountName;
+        if (accountIndex != null) request.accountIndex = accountIndex;
+
+        let res;
+        try {
+            res = await this.#wallet.accountsCreate(request);
+        } catch (err) {
+            this.#forgetRejectedPassphrase(err);
+            throw new WalletError('Failed to create account', err);
+        }
+
+        const account = Wallet.#normalizeAccount(res?.accountDescriptor);
+        await this.#wallet.accountsActivate({ accountIds: [account.accountId] });
+        this.#logger.log(`[Wallet] Created account ${account.name || account.accountId} (index ${account.index ?? accountIndex ?? '?'})`);
+        return account;
+    }
+
+    /**
+     * Import a raw private key into the open wallet as a keypair account. The
+     * account has a single address; funds sent to it can be spent like any
+     * other account's.
+     * @param {Object} params
+     * @param {string} params.privateKey - Secret key as 64 hex characters
+     * @param {string} [params.name] - Account name
+     * @returns {Promise<Object>} The new account, normalized as in listAccounts
+     * @throws {ValidationError} If the key is invalid or already imported
+     */
+    async addPrivateKeyAccount({ privateKey, name } = {}) {
+        this.#assertOpen();
+
+        const accountName = this.#validateAccountName(name);
+        const validation = Wallet.validatePrivateKey(privateKey, this.networkId);
+        if (!validation.valid) {
+            throw new ValidationError(validation.error, 'privateKey');
+        }
+
+        const { accountDescriptors } = await this.listAccounts();
+        const existing = accountDescriptors.find(a => a.receiveAddress === validation.address);
+        if (existing) {
+            throw new ValidationError(`This key is already imported as ${existing.name || existing.accountId}`, 'privateKey');
+        }
+
+        const account = await this.#createKeypairAccount(privateKey, accountName);
+        await this.#wallet.accountsActivate({ accountIds: [account.accountId] });
+        this.#logger.log(`[Wallet] Imported keypair account ${account.name || account.accountId}: ${account.receiveAddress}`);
+        return account;
+    }
+
+    /**
+     * Rename an account.
+     * @param {string} accountId
+     * @param {string} name - New name (empty string clears it)
+     * @returns {Promise<void>}
+     * @throws {AccountNotFoundError} If the account does not exist
+     */
+    async renameAccount(accountId, name) {
+        this.#assertOpen();
+
+        if (!accountId || typeof accountId !== 'string') {
+            throw new ValidationError('Invalid accountId', 'accountId');
+        }
+        const accountName = this.#validateAccountName(name);
+        await this.#findAccount(accountId);
+
+        try {
+            await this.#wallet.accountsRename({
+                walletSecret: this.#walletSecret,
+                accountId,
+                name: accountName || undefined
+            });
+        } catch (err) {
+            throw new WalletError('Failed to rename account', err);
+        }
+    }
+
+    /**
+     * Get the wallet's mnemonic phrase.
+     * WARNING: This exposes sensitive data. Handle with care.
+     * NOTE: Only available for wallets created in this session. 
+     *       For existing wallets, returns null (mnemonic cannot be retrieved from SDK).
+     * @returns {Promise<string|null>} The mnemonic phrase or null if not available
+     */
+    async getMnemonic() {
+        this.#assertOpen();
+
+        // Return stored mnemonic if available (only for newly created wallets)
+        if (this.#mnemonic) {
+            return this.#mnemonic;
+        }
+
+        // For existing wallets, the mnemonic cannot be retrieved from the SDK
+        // The user should have saved it when the wallet was first created
+        return null;
+    }
+
+    /**
+     * Activate all accounts in the wallet.
+     * This ensures all accounts appear in enumeration.
+     * @returns {Promise<void>}
+     */
+    async activateAllAccounts() {
+        this.#assertOpen();
+
+        // Get all account descriptors
+        const res = await this.#wallet.accountsEnumerate({});
+        const descriptors = res?.accountDescriptors || [];
+
+        if (descriptors.length === 0) {
+            return;
+        }
+
+        // Collect all account IDs and activate them
+        const accountIds = descriptors
+            .map(desc => desc.accountId || desc.account_id)
+            .filter(Boolean);
+
+        if (accountIds.length > 0) {
+            try {
+                await this.#wallet.accountsActivate({ accountIds });
+                this.#logger.log(`[Wallet] Activated ${accountIds.length} account(s)`);
+            } catch (err) {
+                this.#logger.warn('[Wallet] Failed to activate accounts:', err);
+            }
+        }
+    }
+
+    /**
+     * List all known addresses for all accounts.
+     * Flattens receive/change/other addresses from account descriptors.
+     * This will activate all accounts first to ensure they are all returned.
+     * @returns {Promise<{ accountId: string, receiveAddress?: string, changeAddress?: string, allAddresses: string[] }[]>}
+     */
+    async listAllAddresses() {
+        this.#assertOpen();
+
+        // First, activate all accounts to ensure they appear in enumeration
+        await this.activateAllAccounts();
+
+        const res = await this.#wallet.accountsEnumerate({});
+        const descriptors = res?.accountDescriptors || [];
+
+        return descriptors.map(desc => {
+            // Helper to convert address object to string
+            const addressToString = (addr) => {
+                if (!addr) return null;
+                if (typeof addr === 'string') return addr;
+                if (typeof addr.toString === 'function' && addr.toString() !== '[object Object]') {
+                    return addr.toString();
+                }
+                // Handle {prefix, payload} format
+                if (addr.prefix && addr.payload) {
+                    return `${addr.prefix}:${addr.payload}`;
+                }
+                return null;
+            };
+
+            const receiveAddress = addressToString(desc.receiveAddress || desc.receive_address);
+            const changeAddress = addressToString(desc.changeAddress || desc.change_address);
+
+            const addresses = new Set();
+            if (receiveAddress) addresses.add(receiveAddress);
+            if (changeAddress) addresses.add(changeAddress);
+
+            // Parse the addresses array which can be nested arrays of address objects
+            if (Array.isArray(desc.addresses)) {
+                const flattenAndAdd = (arr) => {
+                    for (const item of arr) {
+                        if (Array.isArray(item)) {
+                            flattenAndAdd(item);
+                        } else {
+                            const addrStr = addressToString(item);
+                            if (addrStr) addresses.add(addrStr);
+                        }
+                    }
+                };
+                flattenAndAdd(desc.addresses);
+            }
+
+            return {
+                accountId: desc.accountId || desc.account_id || '',
+                receiveAddress,
+                changeAddress,
+                allAddresses: Array.from(addresses)
+            };
+        });
+    }
+
+    /**
+     * List transactions for an account.
+     * @param {string} accountId
+     * @param {Object} [options]
+     * @param {number} [options.start=0]
+     * @param {number} [options.end=20]
+     * @returns {Promise<any>}
+     */
+    async listTransactions(accountId, { start = 0, end = 20 } = {}) {
+        this.#assertOpen();
+        return await this.#wallet.transactionsDataGet({
+            accountId,
+            start,
+            end,
+            networkId: this.networkId
+        });
+    }
+
+    /**
+     * Extract and decode a payload from a transaction.
+     * @param {any} transaction
+     * @returns {string|null}
+     */
+    getPayloadFromTransaction(transaction) {
+        if (!transaction || typeof transaction !== 'object') return null;
+
+        const hex = transaction.payload
+            || transaction.data?.payload
+            || transaction.metadata?.payload
+            || transaction.data?.data?.transaction?.payload;
+
+        if (!hex || typeof hex !== 'string' || !hex.length) {
+            return null;
+        }
+
+        try {
+            const first = hexToString(hex);
+            const isHexLike = /^[0-9a-fA-F]+$/.test(first) && first.length % 2 === 0;
+            if (isHexLike) {
+                try {
+                    return hexToString(first);
+                } catch (_) {
+                    return first;
+                }
+            }
+            return first;
+        } catch (err) {
+            this.#logger.warn('[Wallet] Failed to decode payload:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Convert script public key to address.
+     * @param {string|object} scriptPubKey
+     * @returns {string}
+     */
+    scriptPubKeyToAddress(scriptPubKey) {
+        if (!scriptPubKey) {
+            throw new ValidationError('scriptPubKey is required', 'scriptPubKey');
+        }
+
+        const addr = addressFromScriptPublicKey(scriptPubKey, this.networkId);
+        if (!addr) {
+            throw new Error('Unable to derive address from script public key');
+        }
+        return addr.toString();
+    }
+
+    /**
+     * Get UTXOs for addresses.
+     * @param {string|string[]} addresses
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Overrides the default timeout
+     * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+     * @returns {Promise<any>}
+     */
+    async getUtxosByAddresses(addresses, options = {}) {
+        this.#assertNotDisposed();
+
+        let list = [];
+        if (typeof addresses === 'string') {
+            list = addresses.split(/[\s,]+/).map(a => a.trim()).filter(a => a.length > 0);
+        } else if (Array.isArray(addresses)) {
+            list = addresses.map(a => typeof a === 'string' ? a.trim() : a).filter(a => typeof a === 'string' && a.length > 0);
+        } else {
+            throw new ValidationError('addresses must be a string or array of strings', 'addresses');
+        }
+
+        if (!list.length) {
+            throw new ValidationError('At least one address is required', 'addresses');
+        }
+
+        for (const addr of list) {
+            if (!validateKaspaAddress(Address, addr)) {
+                throw new InvalidAddressError(addr);
+            }
+        }
+
+        return await this.#client.getUtxosByAddresses(list, options);
+    }
+
+    /**
+     * List the account's unspent outputs for coin control. `id` is the
+     * "transactionId:index" outpoint that send and sendMany accept in `utxos`.
+     * Immature outputs (recent coinbase or unconfirmed) are listed with the
+     * percentage of the maturity period already passed.
+     * @param {Object} [params]
+     * @param {string} [params.accountId] - Account (default: first account)
+     * @returns {Promise<Array<{ id: string, transactionId: string, index: number, amount: bigint, address: string|null, blockDaaScore: bigint, isCoinbase: boolean, mature: boolean, maturityProgress: number|null }>>}
+     */
+    async listUtxos({ accountId } = {}) {
+        this.#assertOpen();
+        const account = await this.#findAccount(accountId);
+        const entries = await this.#readAccountUtxos(account.accountId);
+        return this.#describeUtxos(entries);
+    }
+
+    /**
+     * Get spendable balance for an account.
+     * @param {string} accountId
+     * @returns {Promise<number>}
+     */
+    async getSpendableBalance(accountId) {
+        this.#assertOpen();
+
+        if (this.isClientBacked) {
+            const account = await this.#findAccount(accountId);
+            return Number(Wallet.#sumEntries(await this.#readClientUtxos(account.accountId)));
+        }
+
+        const res = await this.#wallet.accountsGet({ accountId });
+        if (!res) return Number.MAX_SAFE_INTEGER;
+
+        let bal = null;
+        if (res.account?.balance) {
+            bal = res.account.balance;
+        } else if (res.accounts?.[0]?.balance) {
+            bal = res.accounts[0].balance;
+        }
+
+        if (!bal) {
+            return Number.MAX_SAFE_INTEGER;
+        }
+
+        return Number(bal.mature || 0) + Number(bal.pending || 0);
+    }
+
+    /**
+     * Clear all event handlers.
+     */
+    clearEventHandlers() {
+        this.#eventHandlers = { balance: [], transaction: [], other: [] };
+    }
+
+    /**
+     * Register a balance change handler.
+     * @param {Function} handler
+     */
+    onBalanceChanged(handler) {
+        this.#eventHandlers.balance.push(handler);
+    }
+
+    /**
+     * Register a transaction handler.
+     * @param {Function} handler
+     */
+    onTransactionReceived(handler) {
+        this.#eventHandlers.transaction.push(handler);
+    }
+
+    /**
+     * Register a handler for other events.
+     * @param {Function} handler
+     */
+    onOtherEvent(handler) {
+        this.#eventHandlers.other.push(handler);
+    }
+
+    async #cleanup() {
+        if (!this.#wallet) return;
+
+        if (this.#boundEventHandler) {
+            try {
+                this.#wallet.removeEventListener(this.#boundEventHandler);
+            } catch (_) {}
+        }
+
+        try {
+            await this.#wallet.stop();
+        } catch (_) {}
+
+        try {
+            await this.#wallet.disconnect();
+        } catch (_) {}
+
+        this.#wallet = null;
+        this.#boundEventHandler = null;
+        this.#filename = null;
+        this.#walletSecret = null;
+        this.#paymentSecret = null;
+        this.#passphraseRequired = false;
+        this.#mnemonic = null;  // Clear mnemonic on cleanup
+        this.#multisigAccounts.clear();
+    }
+
+    /**
+     * Build the SDK wallet config so the wallet's own RPC connection targets
+     * the same endpoint as the KaspaClient (explicit URL or resolver).
+     * @param {string} networkId
+     * @returns {Object}
+     */
+    #walletConfig(networkId) {
+        if (this.isClientBacked) {
+            return { resident: false, networkId };
         }
 
-        return typeof addr.toString === 'function' ? addr.toString() : String(addr);
+        const endpoint = this.#client.connectOptions;
+        const config = {
+            resident: false,
+            networkId,
+            resolver: this.#client.resolver || undefined
+        };
+        if (endpoint?.url) {
+            config.url = endpoint.url;
+            config.encoding = endpoint.encoding === RPC_ENCODINGS.JSON ? Encoding.SerdeJson : Encoding.Borsh;
+        }
+        return config;
     }
 
     /**
-     * List all accounts.
-     * @returns {Promise<any>}
+     * Connect and start the SDK wallet, unless the client serves its node calls.
      */
-    async listAccounts() {
-        this.#assertOpen();
-        return await this.#wallet.accountsEnumerate({});
+    async #connectWallet() {
+        if (this.isClientBacked) {
+            this.#logger.log('[Wallet] Client without a node connection: node calls go through the client');
+            return;
+        }
+        await this.#wallet.connect();
+        await this.#wallet.start();
     }
 
     /**
-     * Get the wallet's mnemonic phrase.
-     * WARNING: This exposes sensitive data. Handle with care.
-     * NOTE: Only available for wallets created in this session. 
-     *       For existing wallets, returns null (mnemonic cannot be retrieved from SDK).
-     * @returns {Promise<string|null>} The mnemonic phrase or null if not available
+     * The SDK wallet keeps its own RPC connection to the node it was opened
+     * with. When a pool fails over, point that connection at the new active
+     * node so balances, sends and events keep working.
      */
-    async getMnemonic() {
-        this.#assertOpen();
+    async #handleConnectionState({ state, failover }) {
+        if (!failover || state !== CONNECTION_STATES.RECONNECTED || !this.#wallet || this.#disposed || this.isClientBacked) return;
 
-        // Return stored mnemonic if available (only for newly created wallets)
-        if (this.#mnemonic) {
-            return this.#mnemonic;
+        // Back-to-back failovers rebind one after another, ending on the latest node
+        const previous = this.#rebindPromise || Promise.resolve();
+        const rebind = previous.then(() => this.#rebindRpc());
+        this.#rebindPromise = rebind;
+        try {
+            await rebind;
+        } finally {
+            if (this.#rebindPromise === rebind) this.#rebindPromise = null;
         }
+    }
 
-        // For existing wallets, the mnemonic cannot be retrieved from the SDK
-        // The user should have saved it when the wallet was first created
-        return null;
+    async #rebindRpc() {
+        const wallet = this.#wallet;
+        const url = this.#client.url;
+        if (!wallet || !url) return;
+
+        try {
+            await wallet.disconnect();
+            await wallet.connect({ url, blockAsyncConnect: true });
+            this.#logger.log(`[Wallet] Reconnected to ${url} after failover`);
+        } catch (err) {
+            this.#logger.error(`[Wallet] Failed to reconnect to ${url} after failover:`, err);
+        }
     }
 
     /**
-     * Activate all accounts in the wallet.
-     * This ensures all accounts appear in enumeration.
-     * @returns {Promise<void>}
+     * Validate an explicit priority fee. A fee tier replaces it, so both cannot be given.
+     * @returns {bigint} Priority fee in sompi (0n when none is given)
      */
-    async activateAllAccounts() {
-        this.#assertOpen();
+    #parsePriorityFee(priorityFeeKas, feeTier) {
+        const hasFee = priorityFeeKas != null && priorityFeeKas !== '';
+        if (hasFee && feeTier != null) {
+            throw new ValidationError('Pass either priorityFeeKas or feeTier, not both', 'feeTier');
+        }
+        if (!hasFee) return 0n;
+        if (!validatePriorityFee(priorityFeeKas)) {
+            throw new ValidationError('Invalid priority fee', 'priorityFeeKas');
+        }
+        return kaspaToSompi(priorityFeeKas);
+    }
 
-        // Get all account descriptors
-        const res = await this.#wallet.accountsEnumerate({});
-        const descriptors = res?.accountDescriptors || [];
+    /**
+     * Resolve a fee tier to a fee rate (sompi per gram) using the node's live estimate.
+     * @returns {Promise<{ feerate: number, estimatedSeconds: number|null }>}
+     */
+    async #resolveFeeTier(feeTier, options = {}) {
+        if (feeTier && typeof feeTier === 'object') {
+            const { feerate } = feeTier;
+            if (typeof feerate !== 'number' || !Number.isFinite(feerate) || feerate <= 0) {
+                throw new ValidationError('feeTier.feerate must be a positive number of sompi per gram', 'feeTier');
+            }
+            return { feerate, estimatedSeconds: null };
+        }
+        if (!Object.values(FEE_TIERS).includes(feeTier)) {
+            throw new ValidationError(
+                `Unknown fee tier: ${feeTier}. Expected one of: ${Object.values(FEE_TIERS).join(', ')} or { feerate }`,
+                'feeTier'
+            );
+        }
 
-        if (descriptors.length === 0) {
-            return;
+        const estimate = await this.#client.getFeeEstimate(options);
+        const feerate = estimate?.[feeTier];
+        if (feerate == null) {
+            throw new TransactionError(`The node did not report a ${feeTier} fee rate`);
         }
+        return { feerate, estimatedSeconds: estimate.estimatedSeconds?.[feeTier] ?? null };
+    }
 
-        // Collect all account IDs and activate them
-        const accountIds = descriptors
-            .map(desc => desc.accountId || desc.account_id)
-            .filter(Boolean);
+    /**
+     * Priority fee that brings a transaction with the given mass and base fee up to a fee rate.
+     * @returns {bigint}
+     */
+    #priorityFeeForRate(mass, baseFee, feerate) {
+        const target = BigInt(Math.ceil(Number(mass) * feerate));
+        return target > baseFee ? target - baseFee : 0n;
+    }
 
-        if (accountIds.length > 0) {
-            try {
-                await this.#wallet.accountsActivate({ accountIds });
-                this.#logger.log(`[Wallet] Activated ${accountIds.length} account(s)`);
-            } catch (err) {
-                this.#logger.warn('[Wallet] Failed to activate accounts:', err);
+    /**
+     * Mass and fees of a transaction spending from an account's receive and
+     * change addresses, calculated by the SDK Generator. The Generator consumes
+     * entries in order, so for a single transaction the spent input total is the
+     * sum of the first `inputs` entries. With `sweepTo`, every entry is sent to
+     * that address and the fees are deducted from the output.
+     * @returns {Promise<{ mass: bigint, fees: bigint, inputs: number, inputAmount: bigint|null, transactions: number }>}
+     */
+    async #summarizeTransaction({ account, outputs, payloadHex, priorityFee = 0n, sweepTo, entries, timeoutMs, signal }) {
+        // Coin control passes the selected entries; otherwise the account's addresses are looked up
+        let utxoEntries = entries || [];
+        if (!entries && this.isClientBacked) {
+            utxoEntries = await this.#readClientUtxos(account.accountId);
+        } else if (!entries) {
+            const addresses = [account.receiveAddress, account.changeAddress].filter(Boolean);
+            const utxoResult = await this.#client.getUtxosByAddresses(addresses, { timeoutMs, signal });
+
+            // Extract UTXO entries from the result
+            if (utxoResult && Array.isArray(utxoResult)) {
+                utxoEntries = utxoResult;
+            } else if (utxoResult && utxoResult.entries) {
+                utxoEntries = utxoResult.entries;
             }
         }
+
+        if (!utxoEntries.length) {
+            throw new InsufficientFundsError('0', '0');
+        }
+
+        const entryAmount = (e) => BigInt(e.amount ?? e.utxoEntry?.amount ?? 0);
+        if (sweepTo) {
+            outputs = [{ address: sweepTo, amount: utxoEntries.reduce((sum, e) => sum + entryAmount(e), 0n) }];
+            priorityFee = { amount: priorityFee, source: FeeSource.ReceiverPays };
+        }
+
+        // Generator expects `entries` and `networkId` in the settings object
+        const estimate = await estimateTransactions({
+            entries: utxoEntries,
+            outputs,
+            changeAddress: account.changeAddress,
+            priorityFee,
+            payload: payloadHex,
+            networkId: this.networkId
+        });
+
+        // estimate contains: { mass, fees, utxos, transactions, ... } from GeneratorSummary
+        const inputs = Number(estimate.utxos ?? 0);
+        const inputAmount = Number(estimate.transactions) === 1
+            ? utxoEntries.slice(0, inputs).reduce((sum, e) => sum + entryAmount(e), 0n)
+            : null;
+
+        return {
+            mass: estimate.mass ?? 0n,
+            fees: estimate.fees ?? 0n,
+            inputs,
+            inputAmount,
+            transactions: Number(estimate.transactions ?? 1)
+        };
     }
 
     /**
-     * List all known addresses for all accounts.
-     * Flattens receive/change/other addresses from account descriptors.
-     * This will activate all accounts first to ensure they are all returned.
-     * @returns {Promise<{ accountId: string, receiveAddress?: string, changeAddress?: string, allAddresses: string[] }[]>}
+     * All UTXOs the SDK tracks for an account, as entries for the Generator.
+     * @returns {Promise<Object[]>}
      */
-    async listAllAddresses() {
-        this.#assertOpen();
+    async #getAccountUtxos(accountId) {
+        const utxos = await this.#readAccountUtxos(accountId);
+        if (!utxos.length) {
+            throw new InsufficientFundsError('0', '0');
+        }
+        return utxos;
+    }
 
-        // First, activate all accounts to ensure they appear in enumeration
-        await this.activateAllAccounts();
+    /**
+     * @returns {Promise<Object[]>} The account's UTXO entries (possibly none)
+     */
+    async #readAccountUtxos(accountId) {
+        if (this.isClientBacked) {
+            return this.#readClientUtxos(accountId);
+        }
 
-        const res = await this.#wallet.accountsEnumerate({});
-        const descriptors = res?.accountDescriptors || [];
+        let res;
+        try {
+            res = await this.#wallet.accountsGetUtxos({ accountId });
+        } catch (err) {
+            throw new WalletError('Failed to read account UTXOs', err);
+        }
+        return res?.utxos || [];
+    }
 
-        return descriptors.map(desc => {
-            // Helper to convert address object to string
-            const addressToString = (addr) => {
-                if (!addr) return null;
-                if (typeof addr === 'string') return addr;
-                if (typeof addr.toString === 'function' && addr.toString() !== '[object Object]') {
-                    return addr.toString();
+    /**
+     * The account's UTXOs from the client, for client-backed wallets. Simulated
+     * nodes keep their own script format, so each entry gets the real script
+     * of its address for the Generator and signing.
+     * @returns {Promise<Object[]>}
+     */
+    async #readClientUtxos(accountId) {
+        const account = await this.#findAccount(accountId);
+        const result = await this.#client.getUtxosByAddresses(this.#accountAddresses(account));
+        const entries = Array.isArray(result) ? result : (result?.entries || []);
+        return entries.map(e => ({ ...e, scriptPublicKey: payToAddressScript(String(e.address)) }));
+    }
+
+    /**
+     * Every address of an account up to its current receive and change index.
+     * @returns {string[]}
+     */
+    #accountAddresses(account) {
+        const xpub = Wallet.#accountXPub(account);
+        if (String(account.kind) !== 'bip32' || !xpub) {
+            return [account.receiveAddress, account.changeAddress].filter(Boolean).map(String);
+        }
+        const { receiveAddressIndex, changeAddressIndex } = Wallet.#addressIndexes(account);
+        const generator = PublicKeyGenerator.fromXPub(xpub);
+        return [
+            ...generator.receiveAddressAsStrings(this.networkId, 0, receiveAddressIndex + 1),
+            ...generator.changeAddressAsStrings(this.networkId, 0, changeAddressIndex + 1)
+        ];
+    }
+
+    /**
+     * @returns {{ accountIndex: number, receiveAddressIndex: number, changeAddressIndex: number }}
+     */
+    static #addressIndexes(account) {
+        const prop = (name) => Number(account[name] ?? account.properties?.[name] ?? 0);
+        return {
+            accountIndex: prop('accountIndex'),
+            receiveAddressIndex: prop('receiveAddressIndex'),
+            changeAddressIndex: prop('changeAddressIndex')
+        };
+    }
+
+    /**
+     * The account's mature UTXOs, for sends that build their own transactions.
+     * @param {string} accountId
+     * @param {Object} [options]
+     * @param {boolean} [options.allowEmpty=false] - Return [] instead of throwing
+     * @returns {Promise<Object[]>}
+     * @throws {InsufficientFundsError} If nothing is spendable
+     */
+    async #spendableEntries(accountId, { allowEmpty = false } = {}) {
+        const entries = await this.#readAccountUtxos(accountId);
+        const described = await this.#describeUtxos(entries);
+        const mature = entries.filter((_, i) => described[i].mature);
+        if (!mature.length && !allowEmpty) {
+            throw new InsufficientFundsError('0', '0');
+        }
+        return mature;
+    }
+
+    /**
+     * Describe UTXO entries for listUtxos. Maturity is measured against the
+     * node's virtual DAA score with the SDK's network maturity periods.
+     * @returns {Promise<Object[]>} One description per entry, in the same order
+     */
+    async #describeUtxos(entries) {
+        if (!entries.length) return [];
+
+        const { virtualDaaScore } = await this.#client.getServerInfo();
+        const currentDaaScore = BigInt(virtualDaaScore ?? 0);
+
+        return entries.map(e => {
+            const outpoint = e.outpoint ?? e.entry?.outpoint;
+            const transactionId = String(outpoint?.transactionId ?? '').toLowerCase();
+            const index = Number(outpoint?.index ?? 0);
+            const blockDaaScore = BigInt(e.blockDaaScore ?? e.entry?.blockDaaScore ?? 0);
+            const isCoinbase = !!(e.isCoinbase ?? e.entry?.isCoinbase);
+            // '' once mature, otherwise the percentage of the maturity period that has passed
+            const progress = getTransactionMaturityProgress(blockDaaScore, currentDaaScore, this.networkId, isCoinbase);
+            const address = e.address ?? e.entry?.address;
+            return {
+                id: `${transactionId}:${index}`,
+                transactionId,
+                index,
+                amount: BigInt(e.amount ?? e.entry?.amount ?? 0),
+                address: address ? String(address) : null,
+                blockDaaScore,
+                isCoinbase,
+                mature: progress === '',
+                maturityProgress: progress === '' ? null : Number(progress)
+            };
+        });
+    }
+
+    /**
+     * Apply a coin control selection to an account's UTXOs. Allowed outpoints
+     * must all be spendable; denied ones that are already spent are ignored.
+     * @returns {Promise<Object[]>} Entries for the Generator, allowed ones in the given order
+     * @throws {ValidationError} If an allowed outpoint is unknown or not mature
+     * @throws {InsufficientFundsError} If nothing is left to spend
+     */
+    async #selectUtxos(accountId, utxos) {
+        const { allow, deny } = Wallet.#normalizeUtxoSelection(utxos);
+        const entries = await this.#readAccountUtxos(accountId);
+        const described = await this.#describeUtxos(entries);
+        const byId = new Map(described.map((utxo, i) => [utxo.id, { utxo, entry: entries[i] }]));
+
+        let selected;
+        if (allow) {
+            selected = allow.map(id => {
+                const found = byId.get(id);
+                if (!found) {
+                    throw new ValidationError(`UTXO ${id} is not an unspent output of this account`, 'utxos');
                 }
-                // Handle {prefix, payload} format
-                if (addr.prefix && addr.payload) {
-                    return `${addr.prefix}:${addr.payload}`;
+                if (!found.utxo.mature) {
+                    throw new ValidationError(`UTXO ${id} is not mature yet (${found.utxo.maturityProgress}%)`, 'utxos');
                 }
-                return null;
+                return found.entry;
+            });
+        } else {
+            const denied = new Set(deny);
+            selected = described
+                .filter(utxo => utxo.mature && !denied.has(utxo.id))
+                .map(utxo => byId.get(utxo.id).entry);
+        }
+
+        if (!selected.length) {
+            throw new InsufficientFundsError('0', '0');
+        }
+        return selected;
+    }
+
+    /**
+     * @returns {{ allow?: string[], deny?: string[] }} Outpoints as lowercase "transactionId:index"
+     * @throws {ValidationError} If the selection is malformed
+     */
+    static #normalizeUtxoSelection(utxos) {
+        const mode = utxos?.allow != null ? 'allow' : 'deny';
+        if (utxos == null || typeof utxos !== 'object' || (utxos.allow == null) === (utxos.deny == null)) {
+            throw new ValidationError('utxos must be { allow: [...] } or { deny: [...] }', 'utxos');
+        }
+        const list = utxos[mode];
+        if (!Array.isArray(list) || (mode === 'allow' && !list.length)) {
+            throw new ValidationError(`utxos.${mode} must be ${mode === 'allow' ? 'a non-empty' : 'an'} array of outpoints`, 'utxos');
+        }
+
+        const ids = list.map(item => {
+            const [transactionId, index] = typeof item === 'string'
+                ? item.trim().split(':')
+                : [item?.transactionId, item?.index];
+            const txid = String(transactionId ?? '').toLowerCase();
+            if (!/^[0-9a-f]{64}$/.test(txid) || !/^\d+$/.test(String(index ?? ''))) {
+                throw new ValidationError(`Invalid outpoint ${JSON.stringify(item)}: expected "transactionId:index"`, 'utxos');
+            }
+            return `${txid}:${Number(index)}`;
+        });
+        return { [mode]: [...new Set(ids)] };
+    }
+
+    /**
+     * @returns {bigint} Total amount of UTXO entries in sompi
+     */
+    static #sumEntries(entries) {
+        return entries.reduce((sum, e) => sum + BigInt(e.amount ?? e.entry?.amount ?? 0), 0n);
+    }
+
+    /**
+     * Send from an explicit set of UTXOs. accountsSend chooses its own inputs,
+     * so the transactions are built here and signed and submitted one by one
+     * (see #signAndSubmit). Without outputs, everything goes to changeAddress.
+     * @returns {Promise<{ transactionIds: string[], generatorSummary: any }>} Shaped like an accountsSend response
+     */
+    async #sendFromEntries(operation, { account, entries, destination, payloadHex, priorityFee, changeAddress }) {
+        const secrets = this.#signingSecrets(operation);
+
+        let created;
+        try {
+            created = await createTransactions({
+                entries,
+                outputs: destination,
+                changeAddress: changeAddress ?? account.changeAddress,
+                priorityFee,
+                payload: payloadHex,
+                networkId: this.networkId
+            });
+        } catch (err) {
+            throw new TransactionError('Failed to build transactions from the selected UTXOs', err);
+        }
+
+        // Compound chains spend each other's outputs, so each transaction is submitted before the next
+        const transactionIds = [];
+        for (const pending of created.transactions) {
+            try {
+                transactionIds.push(await this.#signAndSubmit(account, pending, secrets));
+            } catch (err) {
+                throw new TransactionError(
+                    `${operation} failed after ${transactionIds.length} of ${created.transactions.length} transaction(s)`,
+                    err
+                );
+            }
+        }
+
+        return { transactionIds, generatorSummary: created.summary ?? null };
+    }
+
+    /**
+     * Sign one pending transaction with the account's keys and submit it.
+     * Normally the SDK wallet signs it as a PSKB and broadcasts it over its
+     * own connection. A client-backed wallet signs with the session keys and
+     * submits through the client.
+     * @returns {Promise<string>} The transaction ID
+     */
+    async #signAndSubmit(account, pending, secrets) {
+        if (this.isClientBacked) {
+            const signed = signTransaction(pending.transaction, this.#sessionKeys(account, secrets), true);
+            return this.#client.submitTransaction(Wallet.#plainTransaction(signed, this.networkId));
+        }
+
+        const bundle = new PSKB();
+        bundle.add(new PSKT(pending.transaction));
+        const signed = await this.#wallet.accountsPskbSign({
+            ...secrets,
+            accountId: account.accountId,
+            pskb: bundle.serialize()
+        });
+        const response = await this.#wallet.accountsPskbBroadcast({
+            accountId: account.accountId,
+            pskb: signed.pskb
+        });
+        return response?.transactionIds?.[0];
+    }
+
+    /**
+     * Keys of every address of a BIP32 account, derived from the recovery
+     * phrase held for this session (client-backed wallets only).
+     * @returns {PrivateKey[]}
+     * @throws {WalletError} If the wallet was opened from its file, so no phrase is held
+     */
+    #sessionKeys(account, { paymentSecret } = {}) {
+        if (String(account.kind) !== 'bip32') {
+            throw new ValidationError('Only BIP32 accounts can send through a client without a node connection', 'accountId');
+        }
+        if (!this.#mnemonic) {
+            throw new WalletError('Sending through a client without a node connection needs the recovery phrase: create or import the wallet in this session');
+        }
+
+        const { accountIndex, receiveAddressIndex, changeAddressIndex } = Wallet.#addressIndexes(account);
+        try {
+            const seed = new Mnemonic(this.#mnemonic).toSeed(paymentSecret);
+            const keys = new PrivateKeyGenerator(new XPrv(seed), false, BigInt(accountIndex));
+            return [
+                ...Array.from({ length: receiveAddressIndex + 1 }, (_, i) => keys.receiveKey(i)),
+                ...Array.from({ length: changeAddressIndex + 1 }, (_, i) => keys.changeKey(i))
+            ];
+        } catch (err) {
+            throw new WalletError('Failed to derive the account keys', err);
+        }
+    }
+
+    /**
+     * A signed SDK transaction as a plain object for clients without an SDK
+     * RpcClient. Outputs carry their address, which simulated nodes index by.
+     * @returns {Object}
+     */
+    static #plainTransaction(tx, networkId) {
+        return {
+            id: tx.id,
+            version: tx.version,
+            inputs: tx.inputs.map(input => ({
+                previousOutpoint: {
+                    transactionId: input.previousOutpoint.transactionId,
+                    index: input.previousOutpoint.index
+                },
+                signatureScript: input.signatureScript,
+                sequence: input.sequence,
+                sigOpCount: input.sigOpCount
+            })),
+            outputs: tx.outputs.map(output => ({
+                value: output.value,
+                scriptPublicKey: { version: output.scriptPublicKey.version, script: output.scriptPublicKey.script },
+                address: addressFromScriptPublicKey(output.scriptPublicKey, networkId)?.toString() ?? null
+            })),
+            lockTime: tx.lockTime,
+            subnetworkId: tx.subnetworkId,
+            gas: tx.gas,
+            payload: tx.payload
+        };
+    }
+
+    /**
+     * Build the unsigned bundle for a multisig spend. Every input carries the
+     * redeem script; the Generator is told the signature count so the fee
+     * covers the larger signature scripts.
+     */
+    async #createUnsignedMultisig(multisig, { outputs, payload, priorityFeeKas, feeTier }) {
+        if (payload != null && payload !== '') {
+            throw new InvalidPayloadError('Multisig bundles cannot carry a payload');
+        }
+        const destination = this.#normalizeOutputs(outputs);
+        let priorityFee = this.#parsePriorityFee(priorityFeeKas, feeTier);
+
+        await this.#assertSynced();
+
+        const utxos = await this.#getAddressUtxos(multisig.address);
+        const described = await this.#describeUtxos(utxos);
+        const entries = utxos.filter((_, i) => described[i].mature);
+        const balance = Wallet.#sumEntries(entries);
+
+        const settings = {
+            entries,
+            outputs: destination,
+            changeAddress: multisig.address,
+            priorityFee,
+            sigOpCount: multisig.publicKeys.length,
+            minimumSignatures: multisig.minimumSignatures,
+            networkId: this.networkId
+        };
+
+        if (feeTier != null) {
+            const { feerate } = await this.#resolveFeeTier(feeTier);
+            const estimate = await estimateTransactions({ ...settings, priorityFee: 0n });
+            priorityFee = this.#priorityFeeForRate(estimate.mass ?? 0n, estimate.fees ?? 0n, feerate);
+            settings.priorityFee = priorityFee;
+        }
+
+        const totalAmount = destination.reduce((sum, o) => sum + o.amount, 0n);
+        const required = totalAmount + priorityFee;
+        if (balance < required) {
+            throw new InsufficientFundsError(required.toString(), balance.toString());
+        }
+
+        let created;
+        try {
+            created = await createTransactions(settings);
+        } catch (err) {
+            throw new TransactionError('Failed to build unsigned multisig transactions', err);
+        }
+
+        const bundle = new PSKB();
+        for (const pending of created.transactions) {
+            const tx = pending.transaction;
+            let pskt = new PSKT().toConstructor();
+            for (const input of tx.inputs) {
+                pskt = pskt.inputAndRedeemScript(input, multisig.redeemScript);
+            }
+            for (const output of tx.outputs) {
+                pskt = pskt.output(output);
+            }
+            bundle.add(pskt.noMoreInputs().noMoreOutputs().toSigner());
+        }
+
+        this.#logger.log(`[Wallet] Created unsigned multisig PSKB with ${created.transactions.length} transaction(s) from ${multisig.address}.`);
+        return {
+            pskb: bundle.serialize(),
+            accountId: multisig.accountId,
+            transactions: created.transactions.length,
+            totalAmount,
+            fees: BigInt(created.summary?.fees ?? 0),
+            priorityFee,
+            summary: created.summary ?? null
+        };
+    }
+
+    /**
+     * UTXOs of a single address from the node, as entries for the Generator.
+     * @returns {Promise<Object[]>}
+     */
+    async #getAddressUtxos(address) {
+        const utxoResult = await this.#client.getUtxosByAddresses([address]);
+        return Array.isArray(utxoResult) ? utxoResult : (utxoResult?.entries || []);
+    }
+
+    /**
+     * The key an account cosigns with: its first receive address's public key,
+     * derived from the account's xpub.
+     * @returns {{ accountId: string, publicKey: string, address: string }}
+     */
+    #cosignerKey(account) {
+        const xpub = Wallet.#accountXPub(account);
+        if (String(account?.kind) !== 'bip32' || !xpub) {
+            throw new ValidationError('Only BIP32 accounts can cosign multisig transactions', 'accountId');
+        }
+        try {
+            const generator = PublicKeyGenerator.fromXPub(xpub);
+            return {
+                accountId: account.accountId,
+                publicKey: generator.receivePubkeyAsString(0),
+                address: generator.receiveAddressAsString(this.networkId, 0)
             };
+        } catch (err) {
+            throw new WalletError('Failed to derive the cosigner key', err);
+        }
+    }
 
-            const receiveAddress = addressToString(desc.receiveAddress || desc.receive_address);
-            const changeAddress = addressToString(desc.changeAddress || desc.change_address);
+    /**
+     * Key of a BIP32 account address, derived from the recovery phrase. The
+     * address is looked up among each account's addresses up to its current
+     * receive and change index.
+     * @returns {Promise<PrivateKey>}
+     */
+    async #derivedAddressKey(address, mnemonic) {
+        const { paymentSecret } = this.#signingSecrets('signMessage');
+        const phrase = mnemonic ?? this.#mnemonic;
+        if (!phrase) {
+            throw new ValidationError('The recovery phrase is needed to sign with a wallet opened from its file', 'mnemonic');
+        }
+        const check = Wallet.validateMnemonic(phrase);
+        if (!check.valid) {
+            throw new ValidationError(check.error, 'mnemonic');
+        }
+
+        const { accountDescriptors } = await this.#wallet.accountsEnumerate({});
+        for (const account of accountDescriptors || []) {
+            const xpub = Wallet.#accountXPub(account);
+            if (String(account.kind) !== 'bip32' || !xpub) continue;
 
-            const addresses = new Set();
-            if (receiveAddress) addresses.add(receiveAddress);
-            if (changeAddress) addresses.add(changeAddress);
+            const { accountIndex, receiveAddressIndex, changeAddressIndex } = Wallet.#addressIndexes(account);
+            const generator = PublicKeyGenerator.fromXPub(xpub);
+            const receive = generator.receiveAddressAsStrings(this.networkId, 0, receiveAddressIndex + 1);
+            const change = generator.changeAddressAsStrings(this.networkId, 0, changeAddressIndex + 1);
+            const isChange = !receive.includes(address);
+            const index = isChange ? change.indexOf(address) : receive.indexOf(address);
+            if (index < 0) continue;
 
-            // Parse the addresses array which can be nested arrays of address objects
-            if (Array.isArray(desc.addresses)) {
-                const flattenAndAdd = (arr) => {
-                    for (const item of arr) {
-                        if (Array.isArray(item)) {
-                            flattenAndAdd(item);
-                        } else {
-                            const addrStr = addressToString(item);
-                            if (addrStr) addresses.add(addrStr);
-                        }
-                    }
-                };
-                flattenAndAdd(desc.addresses);
+            let key;
+            try {
+                const seed = new Mnemonic(phrase.trim().toLowerCase()).toSeed(paymentSecret);
+                const keys = new PrivateKeyGenerator(new XPrv(seed), false, BigInt(accountIndex));
+                key = isChange ? keys.changeKey(index) : keys.receiveKey(index);
+            } catch (err) {
+                throw new WalletError('Failed to derive the address key', err);
             }
+            if (key.toAddress(this.networkId).toString() !== address) {
+                throw new ValidationError('The recovery phrase (or passphrase) does not belong to this wallet', 'mnemonic');
+            }
+            return key;
+        }
 
-            return {
-                accountId: desc.accountId || desc.account_id || '',
-                receiveAddress,
-                changeAddress,
-                allAddresses: Array.from(addresses)
-            };
-        });
+        throw new ValidationError(`${address} is not a known address of a BIP32 account in this wallet`, 'address');
     }
 
     /**
-     * List transactions for an account.
-     * @param {string} accountId
-     * @param {Object} [options]
-     * @param {number} [options.start=0]
-     * @param {number} [options.end=20]
-     * @returns {Promise<any>}
+     * Key of a keypair account, checked against the account's address.
+     * @returns {Promise<PrivateKey>}
      */
-    async listTransactions(accountId, { start = 0, end = 20 } = {}) {
-        this.#assertOpen();
-        return await this.#wallet.transactionsDataGet({
-            accountId,
-            start,
-            end,
-            networkId: this.networkId
-        });
+    async #keypairAddressKey(address, privateKey) {
+        const check = Wallet.validatePrivateKey(privateKey, this.networkId);
+        if (!check.valid) {
+            throw new ValidationError(check.error, 'privateKey');
+        }
+        if (check.address !== address) {
+            throw new ValidationError('The private key does not belong to this address', 'privateKey');
+        }
+        const { accountDescriptors } = await this.listAccounts();
+        if (!accountDescriptors.some(a => a.kind === 'keypair' && a.receiveAddress === address)) {
+            throw new ValidationError(`${address} is not a keypair account in this wallet`, 'address');
+        }
+        return new PrivateKey(privateKey.trim().replace(/^0x/i, ''));
     }
 
     /**
-     * Extract and decode a payload from a transaction.
-     * @param {any} transaction
-     * @returns {string|null}
+     * The x-only public key a Schnorr pay-to-public-key address commits to.
+     * @returns {string} 64 lowercase hex characters
      */
-    getPayloadFromTransaction(transaction) {
-        if (!transaction || typeof transaction !== 'object') return null;
+    static #addressPublicKey(address) {
+        const value = typeof address === 'string' ? address.trim() : '';
+        let script;
+        try {
+            script = payToAddressScript(value).script;
+        } catch (_) {
+            throw new InvalidAddressError(address);
+        }
+        // OP_DATA_32 <key> OP_CHECKSIG
+        const match = /^20([0-9a-f]{64})ac$/i.exec(script);
+        if (!match) {
+            throw new ValidationError('Only Schnorr public key addresses can sign messages', 'address');
+        }
+        return match[1].toLowerCase();
+    }
 
-        const hex = transaction.payload
-            || transaction.data?.payload
-            || transaction.metadata?.payload
-            || transaction.data?.data?.transaction?.payload;
+    /**
+     * First extended public key of an SDK account descriptor, if any.
+     * @returns {string|null}
+     */
+    static #accountXPub(account) {
+        const xpub = account?.xpubKeys?.[0] ?? account?.properties?.xpubKeys?.[0];
+        return xpub ? String(xpub) : null;
+    }
 
-        if (!hex || typeof hex !== 'string' || !hex.length) {
-            return null;
+    /**
+     * Sorted like the PSKT finalizer orders partial signatures (by compressed
+     * key), which OP_CHECKMULTISIG requires to follow the script's key order.
+     * @returns {string[]} Lowercase compressed keys
+     */
+    static #normalizeCosignerKeys(publicKeys) {
+        if (!Array.isArray(publicKeys) || publicKeys.length < 2 || publicKeys.length > MAX_MULTISIG_KEYS) {
+            throw new ValidationError(`publicKeys must be an array of 2 to ${MAX_MULTISIG_KEYS} keys`, 'publicKeys');
         }
-
-        try {
-            const first = hexToString(hex);
-            const isHexLike = /^[0-9a-fA-F]+$/.test(first) && first.length % 2 === 0;
-            if (isHexLike) {
-                try {
-                    return hexToString(first);
-                } catch (_) {
-                    return first;
-                }
+        const keys = publicKeys.map((key, i) => {
+            const hex = typeof key === 'string' ? key.trim().toLowerCase() : '';
+            if (!/^0[23][0-9a-f]{64}$/.test(hex)) {
+                throw new ValidationError(`Public key ${i + 1} must be a compressed key of 66 hex characters`, 'publicKeys');
             }
-            return first;
-        } catch (err) {
-            this.#logger.warn('[Wallet] Failed to decode payload:', err);
-            return null;
+            return hex;
+        }).sort();
+        if (new Set(keys).size !== keys.length) {
+            throw new ValidationError('publicKeys contains the same key twice', 'publicKeys');
         }
+        return keys;
     }
 
     /**
-     * Convert script public key to address.
-     * @param {string|object} scriptPubKey
-     * @returns {string}
+     * Trim the partial signatures of multisig inputs to the script's
+     * threshold. Bundles without redeem scripts are returned unchanged.
+     * @returns {string} The serialized PSKB
+     * @throws {ValidationError} If an input has fewer signatures than required
      */
-    scriptPubKeyToAddress(scriptPubKey) {
-        if (!scriptPubKey) {
-            throw new ValidationError('scriptPubKey is required', 'scriptPubKey');
-        }
+    static #finalizeMultisigSignatures(blob) {
+        const doc = decodePskb(blob);
+        const inputs = Wallet.#pskbInputs(doc).filter(input => typeof input.redeemScript === 'string');
+        if (!inputs.length) return blob;
+
+        inputs.forEach((input, i) => {
+            const required = Wallet.#multisigThreshold(input.redeemScript);
+            if (required == null) return;
+            const signatures = Object.entries(input.partialSigs || {}).sort(([a], [b]) => (a < b ? -1 : 1));
+            if (signatures.length < required) {
+                throw new ValidationError(`Multisig input ${i + 1} has ${signatures.length} of ${required} required signatures`, 'pskb');
+            }
+            input.partialSigs = Object.fromEntries(signatures.slice(0, required));
+        });
+        return encodePskb(doc);
+    }
 
-        const addr = addressFromScriptPublicKey(scriptPubKey, this.networkId);
-        if (!addr) {
-            throw new Error('Unable to derive address from script public key');
-        }
-        return addr.toString();
+    /**
+     * Signature threshold (m) of a multisig redeem script.
+     * @returns {number|null} null if the script does not start with a small integer
+     */
+    static #multisigThreshold(redeemScript) {
+        const op = parseInt(redeemScript.slice(0, 2), 16);
+        // OP_1..OP_16, or a one-byte push for larger values
+        if (op >= 0x51 && op <= 0x60) return op - 0x50;
+        if (op === 0x01) return parseInt(redeemScript.slice(2, 4), 16);
+        return null;
     }
 
     /**
-     * Get UTXOs for addresses.
-     * @param {string|string[]} addresses
-     * @returns {Promise<any>}
+     * Every input of a decoded PSKB: the objects carrying partial signatures.
+     * @returns {Object[]}
      */
-    async getUtxosByAddresses(addresses) {
-        this.#assertNotDisposed();
+    static #pskbInputs(doc) {
+        if (doc == null || typeof doc !== 'object') return [];
+        if (Array.isArray(doc)) return doc.flatMap(item => Wallet.#pskbInputs(item));
+        if ('partialSigs' in doc) return [doc];
+        return Object.values(doc).flatMap(value => Wallet.#pskbInputs(value));
+    }
 
-        let list = [];
-        if (typeof addresses === 'string') {
-            list = addresses.split(/[\s,]+/).map(a => a.trim()).filter(a => a.length > 0);
-        } else if (Array.isArray(addresses)) {
-            list = addresses.map(a => typeof a === 'string' ? a.trim() : a).filter(a => typeof a === 'string' && a.length > 0);
-        } else {
-            throw new ValidationError('addresses must be a string or array of strings', 'addresses');
+    /**
+     * @returns {string} The trimmed blob
+     * @throws {ValidationError} If the SDK cannot parse it as a PSKB
+     */
+    static #validatePskb(pskb, label = 'PSKB') {
+        const blob = typeof pskb === 'string' ? pskb.trim() : '';
+        if (!blob.startsWith(PSKB_PREFIX)) {
+            throw new ValidationError(`${label} must be a serialized PSKB starting with "${PSKB_PREFIX}"`, 'pskb');
         }
-
-        if (!list.length) {
-            throw new ValidationError('At least one address is required', 'addresses');
+        try {
+            PSKB.deserialize(blob);
+        } catch (err) {
+            throw new ValidationError(`${label} is not a valid PSKB: ${err?.message || err}`, 'pskb');
         }
+        return blob;
+    }
 
-        for (const addr of list) {
-            if (!validateKaspaAddress(Address, addr)) {
-                throw new InvalidAddressError(addr);
+    /**
+     * Merge two decoded PSKBs like the PSKT combiner role: maps (partial
+     * signatures, derivations) are united, everything else must match, and a
+     * value missing on one side (e.g. a final script) is taken from the other.
+     * Schnorr signatures are randomized, so two signatures by the same key
+     * differ; the first one is kept.
+     * @returns {any}
+     * @throws {Error} Naming the first field that differs
+     */
+    static #mergePskbDocs(a, b, path) {
+        if (a == null) return b;
+        if (b == null) return a;
+        if (Array.isArray(a) || Array.isArray(b)) {
+            if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+                throw new Error(`${path || 'bundle'} differs`);
+            }
+            return a.map((item, i) => Wallet.#mergePskbDocs(item, b[i], `${path}[${i}]`));
+        }
+        if (typeof a === 'object' && typeof b === 'object') {
+            const merged = { ...a };
+            for (const [key, value] of Object.entries(b)) {
+                merged[key] = key === 'partialSigs' && a[key] && value
+                    ? { ...value, ...a[key] }
+                    : Wallet.#mergePskbDocs(a[key], value, path ? `${path}.${key}` : key);
             }
+            return merged;
         }
+        if (a !== b) {
+            throw new Error(`${path || 'bundle'} differs`);
+        }
+        return a;
+    }
 
-        return await this.#client.getUtxosByAddresses(list);
+    /**
+     * Normalize an SDK account descriptor. Account properties such as the BIP32
+     * index are flattened onto the descriptor by the SDK.
+     * @returns {Object}
+     */
+    static #normalizeAccount(d) {
+        const toBigInt = (v) => (v == null ? null : BigInt(v));
+        const toStr = (v) => (v == null ? null : String(v));
+        const index = d?.accountIndex ?? d?.properties?.accountIndex;
+        return {
+            accountId: d?.accountId,
+            name: d?.accountName || null,
+            kind: toStr(d?.kind),
+            index: index == null ? null : Number(index),
+            balance: toBigInt(d?.balance?.mature),
+            pendingBalance: toBigInt(d?.balance?.pending),
+            receiveAddress: toStr(d?.receiveAddress),
+            changeAddress: toStr(d?.changeAddress),
+            prvKeyDataIds: d?.prvKeyDataIds || []
+        };
     }
 
     /**
-     * Get spendable balance for an account.
-     * @param {string} accountId
-     * @returns {Promise<number>}
+     * Store a secret key as private key data and create a keypair account on it.
+     * @returns {Promise<Object>} The new account, normalized
      */
-    async getSpendableBalance(accountId) {
-        this.#assertOpen();
+    async #createKeypairAccount(privateKey, accountName) {
+        const secret = privateKey.trim().replace(/^0x/i, '').toLowerCase();
 
-        const res = await this.#wallet.accountsGet({ accountId });
-        if (!res) return Number.MAX_SAFE_INTEGER;
+        let prvKeyDataId;
+        try {
+            const res = await this.#wallet.prvKeyDataCreate({
+                walletSecret: this.#walletSecret,
+                secret,
+                kind: 'secretkey',
+                ...(accountName ? { name: accountName } : {})
+            });
+            prvKeyDataId = res?.prvKeyDataId;
+        } catch (err) {
+            throw new WalletError('Failed to store private key', err);
+        }
+        if (!prvKeyDataId) {
+            throw new WalletError('Wallet returned no private key data ID');
+        }
 
-        let bal = null;
-        if (res.account?.balance) {
-            bal = res.account.balance;
-        } else if (res.accounts?.[0]?.balance) {
-            bal = res.accounts[0].balance;
+        const request = {
+            walletSecret: this.#walletSecret,
+            type: 'keypair',
+            prvKeyDataId,
+            ecdsa: false
+        };
+        if (accountName) request.accountName = accountName;
+
+        let res;
+        try {
+            res = await this.#wallet.accountsCreate(request);
+        } catch (err) {
+            throw new WalletError('Failed to create keypair account', err);
         }
+        return Wallet.#normalizeAccount(res?.accountDescriptor);
+    }
 
-        if (!bal) {
-            return Number.MAX_SAFE_INTEGER;
+    /**
+     * @returns {string} Trimmed account name ('' when none is given)
+     */
+    #validateAccountName(name) {
+        if (name == null || name === '') return '';
+        if (typeof name !== 'string' || name.trim().length > 64) {
+            throw new ValidationError('Account name must be a string of at most 64 characters', 'name');
         }
+        return name.trim();
+    }
 
-        return Number(bal.mature || 0) + Number(bal.pending || 0);
+    /**
+     * Passphrases are used verbatim (BIP-39 does not trim them); '' means none.
+     * @returns {string|null}
+     */
+    static #normalizePassphrase(passphrase) {
+        if (passphrase == null || passphrase === '') return null;
+        if (typeof passphrase !== 'string') {
+            throw new ValidationError('Passphrase must be a string', 'passphrase');
+        }
+        return passphrase;
     }
 
     /**
-     * Clear all event handlers.
+     * Record whether the open wallet's key data is encrypted with a payment
+     * secret, which the SDK uses as the BIP-39 passphrase.
      */
-    clearEventHandlers() {
-        this.#eventHandlers = { balance: [], transaction: [], other: [] };
+    async #detectPassphrase() {
+        try {
+            const { prvKeyDataList } = await this.#wallet.prvKeyDataEnumerate({});
+            this.#passphraseRequired = (prvKeyDataList || []).some(d => d.isEncrypted);
+        } catch (err) {
+            this.#logger.warn('[Wallet] Failed to read private key data:', err);
+            this.#passphraseRequired = this.#paymentSecret != null;
+        }
+        if (this.#passphraseRequired && !this.#paymentSecret) {
+            this.#logger.log('[Wallet] Wallet keys are protected by a passphrase. Signing is disabled until setPassphrase().');
+        }
     }
 
     /**
-     * Register a balance change handler.
-     * @param {Function} handler
+     * Secrets for SDK calls that decrypt the wallet's key data.
+     * @param {string} operation - Named in PassphraseRequiredError
+     * @returns {{ walletSecret: string, paymentSecret?: string }}
      */
-    onBalanceChanged(handler) {
-        this.#eventHandlers.balance.push(handler);
+    #signingSecrets(operation) {
+        if (this.#passphraseRequired && !this.#paymentSecret) {
+            throw new PassphraseRequiredError(operation);
+        }
+        return this.#paymentSecret
+            ? { walletSecret: this.#walletSecret, paymentSecret: this.#paymentSecret }
+            : { walletSecret: this.#walletSecret };
     }
 
     /**
-     * Register a transaction handler.
-     * @param {Function} handler
+     * Look up an account descriptor by ID, or the first account when no ID is given.
+     * @returns {Promise<Object>}
      */
-    onTransactionReceived(handler) {
-        this.#eventHandlers.transaction.push(handler);
+    async #findAccount(accountId) {
+        const accounts = await this.#wallet.accountsEnumerate({});
+        const descriptors = accounts.accountDescriptors || [];
+        const account = accountId
+            ? descriptors.find(a => a.accountId === accountId)
+            : descriptors[0];
+        if (!account) {
+            throw new AccountNotFoundError(accountId);
+        }
+        return account;
     }
 
     /**
-     * Register a handler for other events.
-     * @param {Function} handler
+     * Mature balance of an account in sompi. Pending UTXOs cannot be spent yet,
+     * so a sweep only moves the mature part.
+     * @returns {Promise<bigint>}
      */
-    onOtherEvent(handler) {
-        this.#eventHandlers.other.push(handler);
+    async #getMatureBalance(accountId) {
+        if (this.isClientBacked) {
+            return Wallet.#sumEntries(await this.#spendableEntries(accountId, { allowEmpty: true }));
+        }
+        const res = await this.#wallet.accountsGet({ accountId });
+        const bal = res?.account?.balance ?? res?.accounts?.[0]?.balance;
+        return BigInt(bal?.mature ?? 0);
     }
 
-    async #cleanup() {
-        if (!this.#wallet) return;
+    /**
+     * List the transactions an accountsSend call submitted. The Generator
+     * submits compounding transactions first; the last one pays the outputs.
+     * @returns {{ transactionIds: string[], transactions: Array<{ index: number, id: string, final: boolean }>, summary: any }}
+     */
+    #trackTransactions(operation, response) {
+        const transactionIds = response?.transactionIds || [];
+        const transactions = transactionIds.map((id, index) => ({
+            index,
+            id,
+            final: index === transactionIds.length - 1
+        }));
+        transactions.forEach(tx => {
+            this.#logger.log(`[Wallet] ${operation} tx ${tx.index + 1}/${transactions.length}${tx.final ? ' (final)' : ' (compound)'}: ${tx.id}`);
+        });
+        return { transactionIds, transactions, summary: response?.generatorSummary ?? null };
+    }
 
-        if (this.#boundEventHandler) {
-            try {
-                this.#wallet.removeEventListener(this.#boundEventHandler);
-            } catch (_) {}
+    /**
+     * Estimate the fees of sending outputs from an account, with an explicit
+     * priority fee or a fee tier.
+     */
+    async #estimateOutputs({ account, outputs, payloadHex, priorityFee, feeTier, entries, timeoutMs, signal }) {
+        // Use SDK's estimateTransactions for accurate mass/fee calculation
+        const { mass, fees, inputs, inputAmount, transactions } = await this.#summarizeTransaction({
+            account,
+            outputs,
+            payloadHex,
+            priorityFee,
+            entries,
+            timeoutMs,
+            signal
+        });
+
+        let totalFees = fees;
+        let tier = null;
+        if (feeTier != null) {
+            tier = await this.#resolveFeeTier(feeTier, { timeoutMs, signal });
+            priorityFee = this.#priorityFeeForRate(mass, fees, tier.feerate);
+            totalFees = fees + priorityFee;
         }
+        const baseFee = totalFees - priorityFee;
+        const totalAmount = outputs.reduce((sum, o) => sum + o.amount, 0n);
 
-        try {
-            await this.#wallet.stop();
-        } catch (_) {}
+        return {
+            mass,
+            fees: totalFees,
+            feesKas: sompiToKaspaString(totalFees),
+            priorityFee,
+            baseFee,
+            feerate: tier?.feerate ?? null,
+            estimatedSeconds: tier?.estimatedSeconds ?? null,
+            inputs,
+            change: inputAmount != null ? inputAmount - totalAmount - totalFees : null,
+            transactions,
+            totalAmount
+        };
+    }
 
-        try {
-            await this.#wallet.disconnect();
-        } catch (_) {}
+    /**
+     * Validate every output of a batch payment and convert amounts to sompi.
+     * All problems are reported together so a caller can fix them in one pass.
+     * @returns {Array<{ address: string, amount: bigint }>}
+     */
+    #normalizeOutputs(outputs) {
+        if (!Array.isArray(outputs) || !outputs.length) {
+            throw new ValidationError('outputs must be a non-empty array of { address, amount }', 'outputs');
+        }
 
-        this.#wallet = null;
-        this.#boundEventHandler = null;
-        this.#filename = null;
-        this.#walletSecret = null;
-        this.#mnemonic = null;  // Clear mnemonic on cleanup
+        const errors = [];
+        const normalized = outputs.map((output, index) => {
+            const { address, amount } = output || {};
+            if (!validateKaspaAddress(Address, address)) {
+                errors.push({ index, field: 'address', message: `Invalid address: ${address}` });
+            }
+            if (!validateKaspaAmount(amount)) {
+                errors.push({ index, field: 'amount', message: `Amount must be >= MIN_KAS_AMOUNT (got ${amount})` });
+                return null;
+            }
+            const sompi = kaspaToSompi(String(amount));
+            if (sompi === undefined) {
+                errors.push({ index, field: 'amount', message: `Amount must be a decimal number of KAS (got ${amount})` });
+                return null;
+            }
+            return { address, amount: sompi };
+        });
+
+        if (errors.length) {
+            throw new OutputsValidationError(errors);
+        }
+        return normalized;
+    }
+
+    /**
+     * Validate a send payload and encode it as hex.
+     * @returns {string|undefined}
+     */
+    #encodePayload(payload) {
+        if (!payload) return undefined;
+        if (!validatePayload(payload)) {
+            throw new InvalidPayloadError('Payload must be a string and <= 32KB');
+        }
+        const hex = stringToHex(payload);
+        if (hex.length % 2 !== 0) {
+            throw new InvalidPayloadError('Invalid hex payload');
+        }
+        if (hex.length / 2 > 32 * 1024) {
+            throw new InvalidPayloadError('Payload too large');
+        }
+        return hex;
     }
 
     async #withSendLock(fn) {
@@ -1259,12 +3746,35 @@ export class Wallet {
         } catch (_) {}
         try {
             return await fn();
+        } catch (err) {
+            this.#forgetRejectedPassphrase(err);
+            throw err;
         } finally {
             release();
         }
     }
 
+    /**
+     * Forget the BIP-39 passphrase when the SDK could not decrypt the key data
+     * with it, so a mistyped passphrase is asked for again instead of failing
+     * every later signing call.
+     * @param {Error} err - Error from a call that decrypted the key data
+     */
+    #forgetRejectedPassphrase(err) {
+        if (this.#paymentSecret == null || !this.#passphraseRequired) return;
+
+        for (let e = err; e; e = e.cause) {
+            if (/decrypt|aead|chacha|payment ?secret|passphrase/i.test(e.message || String(e))) {
+                this.#paymentSecret = null;
+                this.#logger.warn('[Wallet] The passphrase did not decrypt the wallet keys; it has been cleared.');
+                return;
+            }
+        }
+    }
+
     #handleEvent({ type, data }) {
+        this.#client.capture?.recordNotification(type, data, 'wallet');
+
         const eventKey = type + ':' + (data?.id || data?.unixtimeMsec || '');
         const now = Date.now();
 
@@ -1295,6 +3805,21 @@ export class Wallet {
         }
     }
 
+    /**
+     * Balances and UTXO sets from a syncing node are incomplete, so ask the
+     * node before building a transaction.
+     */
+    async #assertSynced(options = {}) {
+        if (!this.#requireSynced) return;
+        const synced = await this.#client.getSyncStatus(options);
+        if (!synced) {
+            throw new NodeNotSyncedError(
+                'Node is still syncing; sending is disabled until it is synced',
+                { url: this.#client.url }
+            );
+        }
+    }
+
     #assertOpen() {
         this.#assertNotDisposed();
         if (!this.#wallet) {
@@ -0,0 +1,650 @@
+// WatchOnlyWallet.js - Balance tracking for an extended public key (kpub/xpub)
+// Usage: const wallet = new WatchOnlyWallet(kaspaClient); await wallet.open('kpub...');
+
+import {
+    XPub,
+    PublicKeyGenerator,
+    Address,
+    addressFromScriptPublicKey,
+    getTransactionMaturityProgress,
+    ensureWasmInitialized
+} from './KaspaClient.js';
+
+import { DEFAULT_WATCH_ONLY_OPTIONS } from './Constants.js';
+import { UtxoContext } from './UtxoContext.js';
+import { Wallet } from './Wallet.js';
+import { validateKaspaAddress } from './Utilities.js';
+
+import {
+    WalletNotOpenError,
+    WalletError,
+    WatchOnlyError,
+    InvalidAddressError,
+    AccountNotFoundError,
+    DisposedError,
+    ValidationError
+} from './Errors.js';
+
+/**
+ * WatchOnlyWallet - Read-only wallet for an account-level extended public key.
+ *
+ * Derives receive and change addresses with the SDK's PublicKeyGenerator and
+ * tracks their balance through a UtxoContext. It holds no private keys, so
+ * every signing path (send, sendMany, sweep, transfer and their estimates)
+ * throws WatchOnlyError. The read methods mirror Wallet, so the two can be
+ * used interchangeably for balances, addresses and events; so do the PSKB
+ * and multisig helpers that sign nothing (combine, inspectPskb,
+ * createMultisigAddress).
+ *
+ * Only the first `receiveCount`/`changeCount` addresses of each chain are
+ * watched; funds on addresses beyond that window are not seen.
+ *
+ * Usage:
+ *   const client = new KaspaClient();
+ *   await client.connect('mainnet');
+ *
+ *   const wallet = new WatchOnlyWallet(client);
+ *   await wallet.open('kpub...', { name: 'treasury' });
+ *   wallet.onBalanceChanged(({ balance }) => console.log(balance.mature));
+ *   // ...
+ *   await wallet.dispose();
+ */
+export class WatchOnlyWallet {
+    #client = null;
+    #xpub = null;
+    #generator = null;
+    #utxoContext = null;
+    #filename = null;
+    #name = null;
+    #receiveAddresses = [];
+    #changeAddresses = [];
+    #receiveIndex = 0;
+    #disposed = false;
+    #eventHandlers = {
+        balance: [],
+        transaction: [],
+        other: []
+    };
+    #logger = console;
+    #options = DEFAULT_WATCH_ONLY_OPTIONS;
+
+    /**
+     * Create a new WatchOnlyWallet instance.
+     * @param {KaspaClient} client - The KaspaClient to use
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Custom logger (default: console)
+     * @param {number} [options.receiveCount=20] - Receive addresses to derive and watch
+     * @param {number} [options.changeCount=20] - Change addresses to derive and watch
+     */
+    constructor(client, options = {}) {
+        if (!client) {
+            throw new Error('KaspaClient is required');
+        }
+        this.#client = client;
+        this.#logger = options.logger || console;
+        this.#options = {
+            receiveCount: options.receiveCount ?? DEFAULT_WATCH_ONLY_OPTIONS.receiveCount,
+            changeCount: options.changeCount ?? DEFAULT_WATCH_ONLY_OPTIONS.changeCount
+        };
+    }
+
+    /**
+     * Get the underlying KaspaClient.
+     * @returns {KaspaClient}
+     */
+    get client() {
+        return this.#client;
+    }
+
+    /**
+     * Get the current network ID.
+     * @returns {string|null}
+     */
+    get networkId() {
+        return this.#client.networkId;
+    }
+
+    /**
+     * Always true; lets callers tell this apart from a signing Wallet.
+     * @returns {boolean}
+     */
+    get isWatchOnly() {
+        return true;
+    }
+
+    /**
+     * Always false; there is no key data to protect.
+     * @returns {boolean}
+     */
+    get requiresPassphrase() {
+        return false;
+    }
+
+    /**
+     * Check if wallet is open.
+     * @returns {boolean}
+     */
+    get isOpen() {
+        return this.#xpub !== null;
+    }
+
+    /**
+     * Check if this wallet has been disposed.
+     * @returns {boolean}
+     */
+    get isDisposed() {
+        return this.#disposed;
+    }
+
+    /**
+     * Get the wallet name given to open().
+     * @returns {string|null}
+     */
+    get filename() {
+        return this.#filename;
+    }
+
+    /**
+     * Get the extended public key of the open wallet.
+     * @returns {string|null}
+     */
+    get xpub() {
+        return this.#xpub;
+    }
+
+    /**
+     * Validate an extended public key and derive its first receive address.
+     * The WASM module must be initialized.
+     * @param {string} xpub - Account-level kpub/xpub
+     * @param {string} [networkId] - Network to derive the address for
+     * @returns {{ valid: boolean, error?: string, address?: string }}
+     * @static
+     */
+    static validateXPub(xpub, networkId) {
+        if (!xpub || typeof xpub !== 'string') {
+            return { valid: false, error: 'Extended public key is required' };
+        }
+
+        try {
+            const key = xpub.trim();
+            new XPub(key);
+            const address = networkId
+                ? PublicKeyGenerator.fromXPub(key).receiveAddressAsStrings(networkId, 0, 1)[0]
+                : undefined;
+            return { valid: true, address };
+        } catch (err) {
+            return { valid: false, error: err?.message || String(err) || 'Invalid extended public key' };
+        }
+    }
+
+    /**
+     * Open the wallet for an extended public key: derive the address window
+     * and start tracking it. The client must be connected.
+     * @param {string} xpub - Account-level kpub/xpub (m/44'/111111'/account')
+     * @param {Object} [options]
+     * @param {string} [options.name] - Wallet name (also used as the account name)
+     * @returns {Promise<boolean>}
+     * @throws {ValidationError} If the extended public key is invalid
+     */
+    async open(xpub, { name } = {}) {
+        this.#assertNotDisposed();
+        await ensureWasmInitialized();
+
+        if (this.#xpub) {
+            await this.close();
+        }
+
+        const check = WatchOnlyWallet.validateXPub(xpub);
+        if (!check.valid) {
+            throw new ValidationError(`Invalid extended public key: ${check.error}`, 'xpub');
+        }
+
+        const key = xpub.trim();
+        try {
+            this.#generator = PublicKeyGenerator.fromXPub(key);
+            this.#receiveAddresses = this.#generator.receiveAddressAsStrings(this.networkId, 0, this.#options.receiveCount);
+            this.#changeAddresses = this.#generator.changeAddressAsStrings(this.networkId, 0, this.#options.changeCount);
+        } catch (err) {
+            this.#generator = null;
+            throw new WalletError('Failed to derive addresses from the extended public key', err);
+        }
+
+        // Set before tracking starts so the first balance event carries the account ID
+        this.#xpub = key;
+        this.#filename = name || null;
+        this.#name = name || null;
+        this.#receiveIndex = 0;
+
+        try {
+            this.#utxoContext = new UtxoContext(this.#client, { logger: this.#logger });
+            await this.#utxoContext.init();
+            this.#utxoContext.addEventListener(this.#handleEvent.bind(this));
+            await this.#utxoContext.watchAddresses([...this.#receiveAddresses, ...this.#changeAddresses]);
+        } catch (err) {
+            await this.#cleanup();
+            throw new WalletError('Failed to track watch-only addresses', err);
+        }
+
+        this.#logger.log(`[WatchOnlyWallet] Opened; watching ${this.#receiveAddresses.length} receive and ${this.#changeAddresses.length} change address(es)`);
+        return true;
+    }
+
+    /**
+     * Close the wallet and stop tracking its addresses.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.#cleanup();
+        this.#logger.log('[WatchOnlyWallet] Closed');
+    }
+
+    /**
+     * Dispose of this wallet permanently.
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        if (this.#disposed) return;
+
+        await this.close();
+        this.#disposed = true;
+        this.#eventHandlers = { balance: [], transaction: [], other: [] };
+        this.#logger.log('[WatchOnlyWallet] Disposed');
+    }
+
+    /**
+     * List the single watch-only account, normalized as in Wallet.listAccounts.
+     * The extended public key is the account ID.
+     * @returns {Promise<{ accountDescriptors: Object[] }>}
+     */
+    async listAccounts() {
+        this.#assertOpen();
+        const { mature, pending } = this.#balance();
+        return {
+            accountDescriptors: [{
+                accountId: this.#xpub,
+                name: this.#name,
+                kind: 'watch-only',
+                index: null,
+                balance: mature,
+                pendingBalance: pending,
+                receiveAddress: this.#receiveAddresses[this.#receiveIndex] || null,
+                changeAddress: this.#changeAddresses[0] || null,
+                prvKeyDataIds: []
+            }]
+        };
+    }
+
+    /**
+     * No-op; the watch-only account is always active. Kept for parity with Wallet.
+     * @returns {Promise<void>}
+     */
+    async accountsActivate() {
+        this.#assertOpen();
+    }
+
+    /**
+     * Advance to the next receive address, deriving and watching it when it is
+     * past the initial window.
+     * @param {Object} [params]
+     * @param {string} [params.accountId] - Account ID (the extended public key)
+     * @returns {Promise<string>} The new address as a string
+     */
+    async createNewAddress({ accountId } = {}) {
+        this.#assertOpen();
+        this.#assertAccount(accountId);
+
+        const index = this.#receiveIndex + 1;
+        if (index >= this.#receiveAddresses.length) {
+            const address = this.#generator.receiveAddressAsString(this.networkId, index);
+            await this.#utxoContext.watchAddresses([address]);
+            this.#receiveAddresses.push(address);
+        }
+        this.#receiveIndex = index;
+        return this.#receiveAddresses[index];
+    }
+
+    /**
+     * List the watched addresses.
+     * @returns {Promise<{ accountId: string, receiveAddress: string, changeAddress: string, allAddresses: string[] }[]>}
+     */
+    async listAllAddresses() {
+        this.#assertOpen();
+        return [{
+            accountId: this.#xpub,
+            receiveAddress: this.#receiveAddresses[this.#receiveIndex],
+            changeAddress: this.#changeAddresses[0],
+            allAddresses: [...this.#receiveAddresses, ...this.#changeAddresses]
+        }];
+    }
+
+    /**
+     * Watch-only wallets keep no transaction history; UTXO events are
+     * delivered through onTransactionReceived instead.
+     * @returns {Promise<{ transactions: any[] }>}
+     */
+    async listTransactions(accountId) {
+        this.#assertOpen();
+        this.#assertAccount(accountId);
+        return { transactions: [] };
+    }
+
+    /**
+     * Convert script public key to address.
+     * @param {string|object} scriptPubKey
+     * @returns {string}
+     */
+    scriptPubKeyToAddress(scriptPubKey) {
+        if (!scriptPubKey) {
+            throw new ValidationError('scriptPubKey is required', 'scriptPubKey');
+        }
+
+        const addr = addressFromScriptPublicKey(scriptPubKey, this.networkId);
+        if (!addr) {
+            throw new Error('Unable to derive address from script public key');
+        }
+        return addr.toString();
+    }
+
+    /**
+     * Get UTXOs for addresses.
+     * @param {string[]} addresses
+     * @param {Object} [options] - Passed to KaspaClient.getUtxosByAddresses
+     * @returns {Promise<any>}
+     */
+    async getUtxosByAddresses(addresses, options = {}) {
+        this.#assertNotDisposed();
+
+        if (!Array.isArray(addresses) || !addresses.length) {
+            throw new ValidationError('At least one address is required', 'addresses');
+        }
+        for (const addr of addresses) {
+            if (!validateKaspaAddress(Address, addr)) {
+                throw new InvalidAddressError(addr);
+            }
+        }
+
+        return await this.#client.getUtxosByAddresses(addresses, options);
+    }
+
+    /**
+     * Get the balance of the watched addresses.
+     * @param {string} [accountId]
+     * @returns {Promise<number>} Mature plus pending, in sompi
+     */
+    async getSpendableBalance(accountId) {
+        this.#assertOpen();
+        this.#assertAccount(accountId);
+        const { mature, pending } = this.#balance();
+        return Number(mature) + Number(pending);
+    }
+
+    /**
+     * List the unspent outputs of the watched addresses, shaped like
+     * Wallet.listUtxos.
+     * @param {Object} [params]
+     * @param {string} [params.accountId]
+     * @returns {Promise<Array<{ id: string, transactionId: string, index: number, amount: bigint, address: string|null, blockDaaScore: bigint, isCoinbase: boolean, mature: boolean, maturityProgress: number|null }>>}
+     */
+    async listUtxos({ accountId } = {}) {
+        this.#assertOpen();
+        this.#assertAccount(accountId);
+
+        const result = await this.#client.getUtxosByAddresses([...this.#receiveAddresses, ...this.#changeAddresses]);
+        const entries = Array.isArray(result) ? result : (result?.entries || []);
+        if (!entries.length) return [];
+
+        const { virtualDaaScore } = await this.#client.getServerInfo();
+        const currentDaaScore = BigInt(virtualDaaScore ?? 0);
+        return entries.map(e => {
+            const transactionId = String(e.outpoint?.transactionId ?? '').toLowerCase();
+            const index = Number(e.outpoint?.index ?? 0);
+            const blockDaaScore = BigInt(e.blockDaaScore ?? 0);
+            const isCoinbase = !!e.isCoinbase;
+            const progress = getTransactionMaturityProgress(blockDaaScore, currentDaaScore, this.networkId, isCoinbase);
+            return {
+                id: `${transactionId}:${index}`,
+                transactionId,
+                index,
+                amount: BigInt(e.amount ?? 0),
+                address: e.address ? String(e.address) : null,
+                blockDaaScore,
+                isCoinbase,
+                mature: progress === '',
+                maturityProgress: progress === '' ? null : Number(progress)
+            };
+        });
+    }
+
+    async estimateTransactionFee() {
+        throw new WatchOnlyError('estimateTransactionFee');
+    }
+
+    async estimateSendMany() {
+        throw new WatchOnlyError('estimateSendMany');
+    }
+
+    async estimateSweep() {
+        throw new WatchOnlyError('estimateSweep');
+    }
+
+    async send() {
+        throw new WatchOnlyError('send');
+    }
+
+    async sendMany() {
+        throw new WatchOnlyError('sendMany');
+    }
+
+    async sweep() {
+        throw new WatchOnlyError('sweep');
+    }
+
+    async estimateSweepPrivateKey() {
+        throw new WatchOnlyError('estimateSweepPrivateKey');
+    }
+
+    async sweepPrivateKey() {
+        throw new WatchOnlyError('sweepPrivateKey');
+    }
+
+    async consolidate() {
+        throw new WatchOnlyError('consolidate');
+    }
+
+    async transfer() {
+        throw new WatchOnlyError('transfer');
+    }
+
+    async createUnsigned() {
+        throw new WatchOnlyError('createUnsigned');
+    }
+
+    async signPskb() {
+        throw new WatchOnlyError('signPskb');
+    }
+
+    /**
+     * Merge signed copies of a PSKB, as Wallet.combine. Nothing is signed.
+     * @param {string[]} pskbs - Two or more serialized PSKBs of the same transactions
+     * @returns {string} The combined serialized PSKB
+     */
+    combine(pskbs) {
+        return Wallet.combine(pskbs);
+    }
+
+    /**
+     * Summarize a PSKB for review, as Wallet.inspectPskb.
+     * @param {string} pskb - Serialized PSKB
+     * @returns {{ transactions: number, display: string }}
+     */
+    inspectPskb(pskb) {
+        return Wallet.inspectPskb(pskb, this.networkId);
+    }
+
+    async broadcastPskb() {
+        throw new WatchOnlyError('broadcastPskb');
+    }
+
+    async getCosignerKey() {
+        throw new WatchOnlyError('getCosignerKey');
+    }
+
+    /**
+     * Build an m-of-n multisig address from the cosigners' public keys, as
+     * Wallet.createMultisigAddress. Needs no keys of this wallet.
+     * @param {Object} params
+     * @param {number} params.minimumSignatures - Signatures needed to spend (m)
+     * @param {string[]} params.publicKeys - Compressed public keys (n)
+     * @returns {{ address: string, redeemScript: string, minimumSignatures: number, publicKeys: string[] }}
+     */
+    createMultisigAddress({ minimumSignatures, publicKeys } = {}) {
+        this.#assertNotDisposed();
+        return Wallet.createMultisigAddress({ minimumSignatures, publicKeys, networkId: this.networkId });
+    }
+
+    addMultisigAccount() {
+        throw new WatchOnlyError('addMultisigAccount');
+    }
+
+    listMultisigAccounts() {
+        return [];
+    }
+
+    removeMultisigAccount() {
+        return false;
+    }
+
+    async getMultisigBalance(accountId) {
+        throw new AccountNotFoundError(accountId);
+    }
+
+    async signMessage() {
+        throw new WatchOnlyError('signMessage');
+    }
+
+    async createAccount() {
+        throw new WatchOnlyError('createAccount');
+    }
+
+    async addPrivateKeyAccount() {
+        throw new WatchOnlyError('addPrivateKeyAccount');
+    }
+
+    async renameAccount() {
+        throw new WatchOnlyError('renameAccount');
+    }
+
+    async changePassword() {
+        throw new WatchOnlyError('changePassword');
+    }
+
+    async getMnemonic() {
+        throw new WatchOnlyError('getMnemonic');
+    }
+
+    setPassphrase() {
+        throw new WatchOnlyError('setPassphrase');
+    }
+
+    /**
+     * Clear all event handlers.
+     */
+    clearEventHandlers() {
+        this.#eventHandlers = { balance: [], transaction: [], other: [] };
+    }
+
+    /**
+     * Register a balance change handler. Called with { id, balance } like
+     * Wallet balance events.
+     * @param {Function} handler
+     */
+    onBalanceChanged(handler) {
+        this.#eventHandlers.balance.push(handler);
+    }
+
+    /**
+     * Register a transaction handler (UTXO processor events for the watched addresses).
+     * @param {Function} handler
+     */
+    onTransactionReceived(handler) {
+        this.#eventHandlers.transaction.push(handler);
+    }
+
+    /**
+     * Register a handler for other events.
+     * @param {Function} handler
+     */
+    onOtherEvent(handler) {
+        this.#eventHandlers.other.push(handler);
+    }
+
+    async #cleanup() {
+        if (this.#utxoContext) {
+            try {
+                await this.#utxoContext.dispose();
+            } catch (_) {}
+        }
+
+        this.#utxoContext = null;
+        this.#generator = null;
+        this.#xpub = null;
+        this.#filename = null;
+        this.#name = null;
+        this.#receiveAddresses = [];
+        this.#changeAddresses = [];
+        this.#receiveIndex = 0;
+    }
+
+    /**
+     * Balance of the watched addresses in sompi.
+     * @returns {{ mature: bigint, pending: bigint, outgoing: bigint }}
+     */
+    #balance() {
+        const bal = this.#utxoContext?.isInitialized ? this.#utxoContext.balance : null;
+        return {
+            mature: BigInt(bal?.mature ?? 0),
+            pending: BigInt(bal?.pending ?? 0),
+            outgoing: BigInt(bal?.outgoing ?? 0)
+        };
+    }
+
+    /**
+     * Route UTXO processor events to the Wallet-style handlers. The SDK emits
+     * 'balance', 'pending', 'maturity', ... with a `data` field; client-supplied
+     * processors (MockKaspaClient) emit 'balance-changed' and 'utxo-added'.
+     */
+    #handleEvent(event) {
+        const type = event?.type;
+        const data = event?.data ?? event;
+
+        if (type === 'balance' || type === 'balance-changed') {
+            const balance = { ...(data?.balance || {}), ...this.#balance() };
+            this.#eventHandlers.balance.forEach(fn => fn({ id: this.#xpub, balance }));
+        } else if (['pending', 'maturity', 'discovery', 'reorg', 'stasis', 'utxo-added', 'utxo-spent'].includes(type)) {
+            this.#eventHandlers.transaction.forEach(fn => fn({ type, ...data }));
+        } else {
+            this.#eventHandlers.other.forEach(fn => fn(type, data));
+        }
+    }
+
+    #assertAccount(accountId) {
+        if (accountId && accountId !== this.#xpub) {
+            throw new AccountNotFoundError(accountId);
+        }
+    }
+
+    #assertNotDisposed() {
+        if (this.#disposed) {
+            throw new DisposedError('WatchOnlyWallet');
+        }
+    }
+
+    #assertOpen() {
+        this.#assertNotDisposed();
+        if (!this.#xpub) {
+            throw new WalletNotOpenError();
+        }
+    }
+}
+
+export default WatchOnlyWallet;